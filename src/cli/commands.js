@@ -0,0 +1,1351 @@
+/**
+ * Scriptable Command Line Interface
+ * Subcommands for driving swaps from scripts, cron jobs and other services: every input is a flag,
+ * results can be printed as JSON, and the exit code tells the caller what happened. Private keys and the
+ * keystore passphrase are never passed as flags; they are read from stdin, a file, the keystore or the
+ * watcher's environment variables.
+ * The interactive menu is still available as the `shell` subcommand.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const bitcoin = require('bitcoinjs-lib');
+const swapCoordinator = require('../core/swap-coordinator');
+const marscoin = require('../core/marscoin-lib-wrapper');
+const { createRpcClient } = require('../core/rpc-client');
+const timelockPlanner = require('../core/timelock-planner');
+const swapRepository = require('../core/swap-repository');
+const feeEstimator = require('../core/fee-estimator');
+const contractAudit = require('../core/contract-audit');
+const keystoreModule = require('../core/keystore');
+const hdWallet = require('../core/hd-wallet');
+const webhooks = require('../core/webhooks');
+const quoteEngine = require('../core/quote-engine');
+const liquidityManager = require('../core/liquidity-manager');
+const swapIntake = require('../core/swap-intake');
+const { TERMINAL_STATES } = require('../core/swap-state');
+const { createEnvKeyProvider, createKeystoreKeyProvider, KEYSTORE_PASSPHRASE_ENV_VAR } = require('../watcher');
+const config = require('../config');
+
+// Exit codes, so scripts can tell a failure from a swap that is not ready yet
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // The command failed (RPC error, rejected transaction, invalid swap data)
+  USAGE: 2, // Unknown command, unknown flag or invalid flag value
+  NOT_FOUND: 3, // No swap with the given ID
+  NOT_READY: 4, // Nothing to do yet: not funded, not claimed by the counterparty, timelock still running, swap queued
+  AUDIT_FAILED: 5, // The counterparty's contract failed the audit
+  KEYSTORE: 6, // The keystore does not exist or the passphrase is wrong
+  LIMIT: 7 // The swap exceeds the liquidity limits
+};
+
+// Role whose key signs each spend
+const SPEND_ROLES = {
+  bitcoin: { claim: 'initiatorBtc', refund: 'participantBtc' },
+  marscoin: { claim: 'participantMarscoin', refund: 'initiatorMarscoin' }
+};
+
+// Exit codes of quote failures other than ERROR
+const QUOTE_EXIT_CODES = {
+  not_found: EXIT_CODES.NOT_FOUND,
+  out_of_range: EXIT_CODES.USAGE
+};
+
+// Flags accepted by every command (--json is taken out before the command's flags are parsed)
+const COMMON_OPTIONS = {
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Flags selecting where a private key is read from
+const KEY_OPTIONS = {
+  'key-stdin': { type: 'boolean', default: false },
+  'key-file': { type: 'string' }
+};
+
+// Flags selecting where the keystore passphrase is read from
+const PASSPHRASE_OPTIONS = {
+  'passphrase-stdin': { type: 'boolean', default: false },
+  'passphrase-file': { type: 'string' }
+};
+
+const USAGE = `Usage: btc-mars-swap <command> [options]
+
+Commands:
+  swap init            Create a swap and its HTLCs, within the liquidity limits
+                       --initiator-btc-address, --initiator-btc-pubkey, --initiator-marscoin-address,
+                       --initiator-marscoin-pubkey, --participant-btc-address, --participant-btc-pubkey,
+                       --participant-marscoin-address, --participant-marscoin-pubkey,
+                       --btc-amount <satoshis>, --marscoin-amount <MRS>
+                       (public keys are hex, or "<xpub> <path>"; with --derive-keys the initiator's
+                       addresses and keys come from the HD wallet instead; with --quote <quote-id> the
+                       amounts come from an accepted quote instead)
+  swap list            List active swaps [--status <status>] [--archived]
+  swap status          Show funding and timelocks of a swap: <swap-id>
+  swap claim           Claim a leg: <swap-id> [--chain bitcoin|marscoin] [--fee-rate <sat/vB>]
+  swap refund          Refund an expired leg: <swap-id> --chain bitcoin|marscoin [--fee-rate <sat/vB>]
+  swap audit           Audit the counterparty's HTLC: <swap-id> --chain bitcoin|marscoin
+                       [--redeem-script <hex>] [--funding-txid <txid>] [--confirmations <n>]
+  swap archive         Move a claimed, refunded or failed swap to the archive: <swap-id> [--force]
+  quote create         Price a swap from the configured rate: --btc-amount <satoshis> (paid by the
+                       customer) or --marscoin-amount <MRS> (received by the customer)
+  quote show           Show a quote and the swap that accepted it: <quote-id>
+  liquidity report     Show wallet balances, the capital open swaps reserve and lock, and when their
+                       refund timelocks open
+  liquidity queue      List swap requests queued by the liquidity limits
+                       [--status queued|started|expired|cancelled|failed]
+  liquidity cancel     Take swap requests out of the queue: <request-id>...
+  keystore init        Create the encrypted keystore
+  keystore status      Show whether the keystore exists and the names of its secrets
+  keystore import-key  Store an HTLC private key: <role> [--swap <swap-id>] (--key-stdin or --key-file)
+  keystore passwd      Change the passphrase: --new-passphrase-file <path>
+  wallet create        Create the HD wallet seed and print its mnemonic [--words 12|24]
+  wallet restore       Restore the HD wallet from its mnemonic (--mnemonic-stdin or --mnemonic-file)
+                       and check the keys of every swap derived from it
+  webhook list         List webhook deliveries [--status pending|delivered|failed] [--swap <swap-id>]
+  webhook replay       Queue deliveries again, for the watcher's next webhook pass: <delivery-id>...
+  config set           Set a configuration value: <key> <value> (e.g. bitcoin.feeTarget 3)
+  shell                Start the interactive menu
+
+Options:
+  --json               Print the result as JSON on stdout (messages go to stderr)
+  --key-stdin          Read the signing key (WIF) from stdin
+  --key-file <path>    Read the signing key (WIF) from a file
+  --passphrase-stdin   Read the keystore passphrase from stdin
+  --passphrase-file <path>
+                       Read the keystore passphrase from a file
+  -h, --help           Show this help
+
+Without --passphrase-stdin or --passphrase-file, the keystore passphrase is read from
+BTC_MARS_KEYSTORE_PASSPHRASE. swap init and the Bitcoin claim need it, for the swap's preimage.
+
+Without --key-stdin or --key-file, claim and refund use the key stored in the keystore for the swap,
+then the key derived from the HD wallet, then the one stored for the signing role, then the watcher's
+environment variable (for example BTC_MARS_INITIATOR_BTC_WIF).
+
+Exit codes: 0 success, 1 error, 2 usage error, 3 swap not found, 4 not ready yet (or swap queued),
+5 audit failed, 6 keystore missing or wrong passphrase, 7 over the liquidity limits`;
+
+/**
+ * Error carrying the exit code of a failed command
+ */
+class CommandError extends Error {
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = 'CommandError';
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Parse the flags of a command
+ * @param {string[]} args - Arguments after the command name
+ * @param {Object} options - parseArgs option definitions
+ * @returns {Object} Parsed values and positionals
+ */
+function parseCommandArgs(args, options) {
+  try {
+    return parseArgs({ args, options: { ...COMMON_OPTIONS, ...options }, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new CommandError(error.message, EXIT_CODES.USAGE);
+  }
+}
+
+/**
+ * Parse a numeric flag
+ * @param {string} value - Flag value
+ * @param {string} name - Flag name, for the error message
+ * @param {Function} [parse=parseFloat] - Parser
+ * @returns {number|undefined} Parsed value, or undefined if the flag was not given
+ */
+function parseNumber(value, name, parse = parseFloat) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = parse(value, 10);
+
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new CommandError(`--${name} must be a positive number`, EXIT_CODES.USAGE);
+  }
+
+  return number;
+}
+
+/**
+ * Check a --chain flag
+ * @param {string} chain - Flag value
+ * @returns {string} 'bitcoin' or 'marscoin'
+ */
+function parseChain(chain) {
+  if (chain !== 'bitcoin' && chain !== 'marscoin') {
+    throw new CommandError('--chain must be bitcoin or marscoin', EXIT_CODES.USAGE);
+  }
+
+  return chain;
+}
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} Trimmed input
+ */
+async function readStdin() {
+  const chunks = [];
+
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf8').trim();
+}
+
+/**
+ * Get the keystore passphrase, from stdin, a file or the environment
+ * @param {Object} values - Parsed flags
+ * @returns {Promise<string|null>} Passphrase, or null if none was given
+ */
+async function readPassphrase(values) {
+  if (values['passphrase-file']) {
+    return fs.readFileSync(values['passphrase-file'], 'utf8').trim();
+  }
+
+  if (values['passphrase-stdin']) {
+    if (values['key-stdin']) {
+      throw new CommandError('--key-stdin and --passphrase-stdin cannot both read stdin', EXIT_CODES.USAGE);
+    }
+    return readStdin();
+  }
+
+  return process.env[KEYSTORE_PASSPHRASE_ENV_VAR] || null;
+}
+
+/**
+ * Get the keystore, unlocked when a passphrase is available
+ * @param {Object} values - Parsed flags
+ * @param {Object} cfg - Application configuration
+ * @param {boolean} [required=false] - Whether the command cannot run without unlocking it
+ * @returns {Promise<Object>} Keystore
+ */
+async function openKeystore(values, cfg, required = false) {
+  const keystore = keystoreModule.getKeystore(cfg);
+  const passphrase = await readPassphrase(values);
+
+  if (!passphrase) {
+    if (required) {
+      throw new CommandError('The keystore passphrase is required: use --passphrase-stdin, --passphrase-file ' +
+        `or ${KEYSTORE_PASSPHRASE_ENV_VAR}`, EXIT_CODES.USAGE);
+    }
+    return keystore;
+  }
+
+  try {
+    await keystore.unlock(passphrase);
+  } catch (error) {
+    throw new CommandError(error.message, EXIT_CODES.KEYSTORE);
+  }
+
+  await keystoreModule.sealSwapPreimages(swapRepository.getSwapRepository(cfg), keystore);
+
+  return keystore;
+}
+
+/**
+ * Get the signing key of a role, from stdin, a file, the keystore or the watcher's environment variable
+ * @param {Object} values - Parsed flags
+ * @param {Object} swap - Swap object
+ * @param {string} role - Swap role signing the spend
+ * @param {Object} keystore - Keystore, used when it is unlocked
+ * @returns {Promise<string>} WIF private key
+ */
+async function readPrivateKey(values, swap, role, keystore) {
+  let wif;
+
+  if (values['key-file']) {
+    wif = fs.readFileSync(values['key-file'], 'utf8').trim();
+  } else if (values['key-stdin']) {
+    wif = await readStdin();
+  } else {
+    wif = await createKeystoreKeyProvider(keystore, createEnvKeyProvider())(swap, role);
+  }
+
+  if (!wif) {
+    throw new CommandError(`No key for the ${role} role: use --key-stdin, --key-file, the keystore or the environment`,
+      EXIT_CODES.USAGE);
+  }
+
+  return wif;
+}
+
+/**
+ * Create the RPC clients of the configured nodes
+ * @param {Object} cfg - Application configuration
+ * @returns {Object} Bitcoin and MarsCoin RPC clients
+ */
+function createClients(cfg) {
+  return {
+    btcClient: createRpcClient(cfg.bitcoin.rpc),
+    marscoinClient: createRpcClient(cfg.marscoin.rpc)
+  };
+}
+
+/**
+ * Load a swap from the swap repository
+ * @param {Object} cfg - Application configuration
+ * @param {string} swapId - Swap ID
+ * @returns {Object} Swap object
+ */
+function loadSwap(cfg, swapId) {
+  if (!swapId) {
+    throw new CommandError('A swap ID is required', EXIT_CODES.USAGE);
+  }
+
+  let swap;
+
+  try {
+    swap = swapRepository.getSwapRepository(cfg).getSwap(swapId);
+  } catch (error) {
+    throw new CommandError(error.message, error.message.startsWith('Invalid swap ID') ? EXIT_CODES.USAGE : EXIT_CODES.ERROR);
+  }
+
+  if (!swap) {
+    throw new CommandError(`Swap ${swapId} not found`, EXIT_CODES.NOT_FOUND);
+  }
+
+  return swap;
+}
+
+/**
+ * Change a swap under its lock, so a running watcher cannot overwrite the change (or the other way round)
+ * @param {Object} cfg - Application configuration
+ * @param {string} swapId - Swap ID
+ * @param {Function} fn - Function (swap) => result, modifying the latest stored swap in place
+ * @returns {Promise<*>} The function's result
+ */
+function updateSwap(cfg, swapId, fn) {
+  return swapRepository.getSwapRepository(cfg).updateSwap(swapId, fn);
+}
+
+/**
+ * Parse a public key flag: either a hex public key or "<xpub> <path>"
+ * @param {string} input - Flag value
+ * @returns {string|Object} Public key, or xpub and derivation path
+ */
+function parsePubKey(input) {
+  const [key, derivationPath] = input.trim().split(/\s+/);
+  return derivationPath ? { xpub: key, path: derivationPath } : key;
+}
+
+/**
+ * Fee parameters of a claim or refund on one chain: the --fee-rate flag, or the configured flat fee
+ * or estimate
+ * @param {Object} cfg - Application configuration
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {number} [feeRate] - Fee rate from the command line
+ * @returns {Object} Parameters for completeSwap, redeemWithRevealedPreimage or handleSwapTimeout
+ */
+function getFeeParams(cfg, chain, feeRate) {
+  const prefix = chain === 'bitcoin' ? 'btc' : 'marscoin';
+
+  return {
+    [`${prefix}Fee`]: feeRate ? undefined : cfg[chain].fee,
+    [`${prefix}FeeRate`]: feeRate,
+    feeSettings: feeEstimator.getFeeSettings(cfg)
+  };
+}
+
+/**
+ * Summarize a swap for listings
+ * @param {Object} swap - Swap object
+ * @returns {Object} ID, status, amounts, HTLC addresses and transaction IDs
+ */
+function summarizeSwap(swap) {
+  return {
+    id: swap.id,
+    status: swap.status,
+    createdAt: swap.createdAt,
+    amounts: swap.amounts,
+    htlcAddresses: {
+      bitcoin: swap.btcHtlc ? swap.btcHtlc.address : null,
+      marscoin: swap.marscoinHtlc ? swap.marscoinHtlc.address : null
+    },
+    fundingTxIds: swap.fundingTxIds || {},
+    bitcoinClaimTxId: swap.bitcoinClaimTxId || null,
+    marscoinClaimTxId: swap.marscoinClaimTxId || null,
+    bitcoinRefundTxId: swap.bitcoinRefundTxId || null,
+    marscoinRefundTxId: swap.marscoinRefundTxId || null
+  };
+}
+
+/**
+ * Format a swap's event history, one line per transition
+ * @param {Array<Object>} history - Swap history
+ * @returns {Array<string>} Lines
+ */
+function formatHistory(history) {
+  return (history || []).map((entry) => {
+    const detail = [entry.chain, entry.path, entry.txid].filter(Boolean).join(' ');
+    return `  ${new Date(entry.at * 1000).toISOString()}  ${entry.event}: ${entry.from || '-'} -> ${entry.to}` +
+      (detail ? ` (${detail})` : '');
+  });
+}
+
+/**
+ * Turn a quote failure into a command error with its exit code
+ * @param {Error} error - Error from the quote engine
+ * @returns {Error} Error to throw
+ */
+function toQuoteCommandError(error) {
+  if (error instanceof quoteEngine.QuoteError) {
+    return new CommandError(error.message, QUOTE_EXIT_CODES[error.code] || EXIT_CODES.ERROR);
+  }
+
+  return error.message.startsWith('Invalid quote ID') ? new CommandError(error.message, EXIT_CODES.USAGE) : error;
+}
+
+/**
+ * Get the quote engine of the configuration
+ * @param {Object} cfg - Application configuration
+ * @returns {Object} Quote engine
+ */
+function getQuoteEngine(cfg) {
+  const { btcClient, marscoinClient } = createClients(cfg);
+  return quoteEngine.getQuoteEngine(cfg, btcClient, marscoinClient);
+}
+
+/**
+ * Turn a liquidity refusal into a command error with its exit code
+ * @param {Error} error - Error from the swap intake
+ * @returns {Error} Error to throw
+ */
+function toLiquidityCommandError(error) {
+  return error instanceof liquidityManager.LiquidityError ? new CommandError(error.message, EXIT_CODES.LIMIT) : error;
+}
+
+/**
+ * Get the liquidity manager of the configuration
+ * @param {Object} cfg - Application configuration
+ * @returns {Object} Liquidity manager
+ */
+function getLiquidityManager(cfg) {
+  const { btcClient, marscoinClient } = createClients(cfg);
+  return liquidityManager.getLiquidityManager(cfg, swapRepository.getSwapRepository(cfg), btcClient, marscoinClient);
+}
+
+/**
+ * Get the swap intake of the configuration
+ * @param {Object} cfg - Application configuration
+ * @param {Object} keystore - Unlocked keystore
+ * @returns {Object} Swap intake
+ */
+function getSwapIntake(cfg, keystore) {
+  const { btcClient, marscoinClient } = createClients(cfg);
+  return swapIntake.createSwapIntake({
+    cfg,
+    repository: swapRepository.getSwapRepository(cfg),
+    keystore,
+    btcClient,
+    marscoinClient
+  });
+}
+
+/**
+ * swap init: create a swap and its HTLCs, or queue it when the liquidity limits say so
+ */
+async function swapInit(args, cfg) {
+  const { values } = parseCommandArgs(args, {
+    'initiator-btc-address': { type: 'string' },
+    'initiator-btc-pubkey': { type: 'string' },
+    'initiator-marscoin-address': { type: 'string' },
+    'initiator-marscoin-pubkey': { type: 'string' },
+    'participant-btc-address': { type: 'string' },
+    'participant-btc-pubkey': { type: 'string' },
+    'participant-marscoin-address': { type: 'string' },
+    'participant-marscoin-pubkey': { type: 'string' },
+    'btc-amount': { type: 'string' },
+    'marscoin-amount': { type: 'string' },
+    'derive-keys': { type: 'boolean', default: false },
+    quote: { type: 'string' },
+    ...PASSPHRASE_OPTIONS
+  });
+  const initiatorFlags = [
+    'initiator-btc-address', 'initiator-btc-pubkey', 'initiator-marscoin-address', 'initiator-marscoin-pubkey'
+  ];
+
+  if (values['derive-keys'] && initiatorFlags.some((name) => values[name] !== undefined)) {
+    throw new CommandError('--derive-keys replaces the initiator address and public key flags', EXIT_CODES.USAGE);
+  }
+
+  if (values.quote && (values['btc-amount'] !== undefined || values['marscoin-amount'] !== undefined)) {
+    throw new CommandError('--quote replaces --btc-amount and --marscoin-amount', EXIT_CODES.USAGE);
+  }
+
+  const missing = [
+    ...(values['derive-keys'] ? [] : initiatorFlags),
+    'participant-btc-address', 'participant-btc-pubkey', 'participant-marscoin-address', 'participant-marscoin-pubkey',
+    ...(values.quote ? [] : ['btc-amount', 'marscoin-amount'])
+  ].filter((name) => values[name] === undefined);
+
+  if (missing.length > 0) {
+    throw new CommandError(`Missing ${missing.map((name) => `--${name}`).join(', ')}`, EXIT_CODES.USAGE);
+  }
+
+  const request = {
+    ...(values['derive-keys'] ? { deriveKeys: true } : {
+      initiatorBtcAddress: values['initiator-btc-address'],
+      initiatorMarscoinAddress: values['initiator-marscoin-address'],
+      initiatorBtcPubKey: parsePubKey(values['initiator-btc-pubkey']),
+      initiatorMarscoinPubKey: parsePubKey(values['initiator-marscoin-pubkey'])
+    }),
+    participantBtcAddress: values['participant-btc-address'],
+    participantMarscoinAddress: values['participant-marscoin-address'],
+    participantBtcPubKey: parsePubKey(values['participant-btc-pubkey']),
+    participantMarscoinPubKey: parsePubKey(values['participant-marscoin-pubkey']),
+    ...(values.quote ? { quoteId: values.quote } : {
+      btcAmount: parseNumber(values['btc-amount'], 'btc-amount', parseInt),
+      marscoinAmount: parseNumber(values['marscoin-amount'], 'marscoin-amount')
+    })
+  };
+  const intake = getSwapIntake(cfg, await openKeystore(values, cfg, true));
+  let submitted;
+
+  try {
+    submitted = await intake.submitSwap(request);
+  } catch (error) {
+    throw toLiquidityCommandError(toQuoteCommandError(error));
+  }
+
+  if (submitted.queued) {
+    const { queued } = submitted;
+
+    return {
+      result: { queued },
+      lines: [
+        `Swap request ${queued.id} queued until ${new Date(queued.expiresAt * 1000).toISOString()}:`,
+        ...queued.violations.map((violation) => `  ${violation.message}`),
+        'The watcher starts it once open swaps free enough capital'
+      ],
+      exitCode: EXIT_CODES.NOT_READY
+    };
+  }
+
+  const { swap } = submitted;
+
+  return {
+    result: {
+      ...summarizeSwap(swap),
+      timeouts: swap.timeouts,
+      timelockType: swap.timelockType,
+      derivation: swap.derivation || null,
+      quote: swap.quote || null
+    },
+    lines: [
+      `Swap ID: ${swap.id}`,
+      `Bitcoin HTLC Address: ${swap.btcHtlc.address}`,
+      `MarsCoin HTLC Address: ${swap.marscoinHtlc.address}`,
+      ...(swap.derivation ? [`Keys derived from seed ${swap.derivation.seed} at index ${swap.derivation.index}`] : []),
+      ...(swap.quote ? [`Amounts from quote ${swap.quote.id}: ${swap.amounts.btc} satoshis for ${swap.amounts.marscoin} MRS`] : [])
+    ]
+  };
+}
+
+/**
+ * swap list: list active swaps, or archived ones
+ */
+async function swapList(args, cfg) {
+  const { values } = parseCommandArgs(args, {
+    status: { type: 'string' },
+    archived: { type: 'boolean', default: false }
+  });
+  const swaps = swapRepository.getSwapRepository(cfg).listSwaps({ archived: values.archived })
+    .filter((swap) => !values.status || swap.status === values.status)
+    .map(summarizeSwap);
+
+  return {
+    result: swaps,
+    lines: swaps.length > 0
+      ? swaps.map((swap) => `${swap.id}  ${swap.status}  ${swap.amounts.btc} sat  ${swap.amounts.marscoin} MRS`)
+      : ['No swaps found']
+  };
+}
+
+/**
+ * swap status: check funding and timelocks of a swap on both chains
+ */
+async function swapStatus(args, cfg) {
+  const { positionals } = parseCommandArgs(args, {});
+  const loaded = loadSwap(cfg, positionals[0]);
+
+  if (!loaded.btcHtlc || !loaded.marscoinHtlc) {
+    return {
+      result: { ...summarizeSwap(loaded), funding: null, timelocks: null, history: loaded.history || [] },
+      lines: [
+        `Swap ${loaded.id}: ${loaded.status}`,
+        'The HTLCs have not been agreed with the counterparty yet',
+        'History:',
+        ...formatHistory(loaded.history)
+      ]
+    };
+  }
+
+  const { btcClient, marscoinClient } = createClients(cfg);
+  const { swap, fundingStatus, timelockStatus } = await updateSwap(cfg, loaded.id, async (current) => ({
+    swap: current,
+    fundingStatus: await swapCoordinator.verifySwapFunding(
+      current, btcClient, marscoinClient, cfg.bitcoin.confirmations, cfg.marscoin.confirmations),
+    timelockStatus: await swapCoordinator.getTimelockStatus(current, btcClient, marscoinClient)
+  }));
+
+  const lines = [`Swap ${swap.id}: ${swap.status}`];
+
+  for (const chain of ['bitcoin', 'marscoin']) {
+    const funding = fundingStatus[chain];
+    const timelock = timelockStatus[chain];
+    const note = funding.shortfall > 0 ? `, short by ${funding.shortfall}` : funding.excess > 0 ? `, over by ${funding.excess}` : '';
+    lines.push(`${chain}: ${funding.value} satoshis in ${funding.outputs.length} confirmed deposit(s)${note}; ` +
+      `timelock ${timelock.expired ? 'expired' : `opens in ${timelock.secondsRemaining}s`}`);
+  }
+
+  return {
+    result: {
+      ...summarizeSwap(swap),
+      funding: { bitcoin: fundingStatus.bitcoin, marscoin: fundingStatus.marscoin, funded: fundingStatus.funded },
+      timelocks: timelockStatus,
+      spends: swap.spends || {},
+      history: swap.history || []
+    },
+    lines: [...lines, 'History:', ...formatHistory(swap.history)]
+  };
+}
+
+/**
+ * swap claim: claim the Bitcoin with the preimage, or the MarsCoin with the preimage revealed on chain
+ */
+async function swapClaim(args, cfg) {
+  const { values, positionals } = parseCommandArgs(args, {
+    ...KEY_OPTIONS,
+    ...PASSPHRASE_OPTIONS,
+    chain: { type: 'string', default: 'bitcoin' },
+    'fee-rate': { type: 'string' }
+  });
+  const chain = parseChain(values.chain);
+  const feeRate = parseNumber(values['fee-rate'], 'fee-rate');
+  const swap = loadSwap(cfg, positionals[0]);
+  // The Bitcoin claim reveals the preimage held in the keystore
+  const keystore = await openKeystore(values, cfg, chain === 'bitcoin');
+  const privateKey = await readPrivateKey(values, swap, SPEND_ROLES[chain].claim, keystore);
+  const { btcClient, marscoinClient } = createClients(cfg);
+
+  if (chain === 'bitcoin') {
+    const claimResult = await updateSwap(cfg, swap.id, (current) => swapCoordinator.completeSwap(
+      current, btcClient, marscoinClient, {
+        initiatorBtcPrivateKey: privateKey,
+        ...getFeeParams(cfg, chain, feeRate),
+        keystore
+      }));
+
+    if (claimResult.error) {
+      throw new CommandError(claimResult.error, EXIT_CODES.NOT_READY);
+    }
+
+    if (!claimResult.success) {
+      throw new CommandError('The Bitcoin claim was not broadcast');
+    }
+
+    return {
+      result: { swapId: swap.id, chain, txId: claimResult.bitcoinClaimTxId },
+      lines: [`Bitcoin claim broadcast: ${claimResult.bitcoinClaimTxId}`]
+    };
+  }
+
+  // The preimage scan position is saved even when there is nothing to claim yet
+  const redeemResult = await updateSwap(cfg, swap.id, (current) => swapCoordinator.redeemWithRevealedPreimage(
+    current, btcClient, marscoinClient, {
+      participantMarscoinPrivateKey: privateKey,
+      ...getFeeParams(cfg, chain, feeRate)
+    }));
+
+  if (!redeemResult.redeemed) {
+    // Only a failed broadcast comes back with the preimage already known
+    throw new CommandError(redeemResult.message, redeemResult.preimage ? EXIT_CODES.ERROR : EXIT_CODES.NOT_READY);
+  }
+
+  return {
+    result: { swapId: swap.id, chain, txId: redeemResult.marscoinClaimTxId },
+    lines: [`MarsCoin claim broadcast: ${redeemResult.marscoinClaimTxId}`]
+  };
+}
+
+/**
+ * swap refund: refund a leg whose timelock has opened
+ */
+async function swapRefund(args, cfg) {
+  const { values, positionals } = parseCommandArgs(args, {
+    ...KEY_OPTIONS,
+    ...PASSPHRASE_OPTIONS,
+    chain: { type: 'string' },
+    'fee-rate': { type: 'string' }
+  });
+  const chain = parseChain(values.chain);
+  const feeRate = parseNumber(values['fee-rate'], 'fee-rate');
+  const swap = loadSwap(cfg, positionals[0]);
+  const role = SPEND_ROLES[chain].refund;
+  const keystore = await openKeystore(values, cfg);
+  const privateKey = await readPrivateKey(values, swap, role, keystore);
+  const { btcClient, marscoinClient } = createClients(cfg);
+
+  const refundResult = await updateSwap(cfg, swap.id, async (current) => {
+    // Pick up every deposit to the HTLC, including underpayments, so the refund returns all of them
+    await swapCoordinator.verifySwapFunding(
+      current, btcClient, marscoinClient, cfg.bitcoin.confirmations, cfg.marscoin.confirmations);
+
+    return swapCoordinator.handleSwapTimeout(current, btcClient, marscoinClient, {
+      [`${role}PrivateKey`]: privateKey,
+      ...getFeeParams(cfg, chain, feeRate)
+    });
+  });
+  const txId = refundResult[`${chain}RefundTxId`];
+
+  if (!txId) {
+    if (refundResult.expired) {
+      throw new CommandError(refundResult.message);
+    }
+
+    const expired = chain === 'bitcoin' ? refundResult.bitcoinExpired : refundResult.marscoinExpired;
+    throw new CommandError(expired ? `The ${chain} refund was not broadcast` : `The ${chain} timelock has not expired yet`,
+      expired ? EXIT_CODES.ERROR : EXIT_CODES.NOT_READY);
+  }
+
+  return {
+    result: { swapId: swap.id, chain, txId },
+    lines: [`${chain === 'bitcoin' ? 'Bitcoin' : 'MarsCoin'} refund broadcast: ${txId}`]
+  };
+}
+
+/**
+ * swap audit: check the counterparty's HTLC against the agreed terms
+ */
+async function swapAudit(args, cfg) {
+  const { values, positionals } = parseCommandArgs(args, {
+    chain: { type: 'string' },
+    'redeem-script': { type: 'string' },
+    'funding-txid': { type: 'string' },
+    confirmations: { type: 'string' }
+  });
+  const chain = parseChain(values.chain);
+  const swap = loadSwap(cfg, positionals[0]);
+  const { btcClient, marscoinClient } = createClients(cfg);
+
+  const report = await contractAudit.auditSwapContract(swap, chain, {
+    redeemScript: values['redeem-script'],
+    fundingTxId: values['funding-txid']
+  }, btcClient, marscoinClient, {
+    timelockSettings: timelockPlanner.getTimelockSettings(cfg),
+    confirmations: parseNumber(values.confirmations, 'confirmations', parseInt) || cfg[chain].confirmations
+  });
+
+  return {
+    result: report,
+    lines: [contractAudit.formatAuditReport(report)],
+    exitCode: report.passed ? EXIT_CODES.OK : EXIT_CODES.AUDIT_FAILED
+  };
+}
+
+/**
+ * swap archive: move a finished swap out of the active set
+ */
+async function swapArchive(args, cfg) {
+  const { values, positionals } = parseCommandArgs(args, { force: { type: 'boolean', default: false } });
+  const swap = loadSwap(cfg, positionals[0]);
+
+  if (!TERMINAL_STATES.includes(swap.status) && !values.force) {
+    throw new CommandError(`Swap ${swap.id} is ${swap.status}; use --force to archive it anyway`, EXIT_CODES.NOT_READY);
+  }
+
+  const moved = await swapRepository.getSwapRepository(cfg).archiveSwap(swap.id);
+
+  return {
+    result: { swapId: swap.id, archived: true },
+    lines: [moved ? `Swap ${swap.id} archived` : `Swap ${swap.id} was already archived`]
+  };
+}
+
+/**
+ * keystore init: create the keystore
+ */
+async function keystoreInit(args, cfg) {
+  const { values } = parseCommandArgs(args, PASSPHRASE_OPTIONS);
+  const keystore = keystoreModule.getKeystore(cfg);
+  const passphrase = await readPassphrase(values);
+
+  if (!passphrase) {
+    throw new CommandError('A passphrase is required: use --passphrase-stdin, --passphrase-file ' +
+      `or ${KEYSTORE_PASSPHRASE_ENV_VAR}`, EXIT_CODES.USAGE);
+  }
+
+  if (keystore.exists()) {
+    throw new CommandError(`A keystore already exists in ${keystore.directory}`);
+  }
+
+  await keystore.create(passphrase);
+  const sealed = await keystoreModule.sealSwapPreimages(swapRepository.getSwapRepository(cfg), keystore);
+
+  return {
+    result: { directory: keystore.directory, sealedPreimages: sealed },
+    lines: [
+      `Keystore created in ${keystore.directory}`,
+      ...(sealed > 0 ? [`Moved ${sealed} preimage(s) from swap records into the keystore`] : [])
+    ]
+  };
+}
+
+/**
+ * keystore status: show whether the keystore exists and which secrets it holds (no passphrase needed)
+ */
+async function keystoreStatus(args, cfg) {
+  parseCommandArgs(args, {});
+  const keystore = keystoreModule.getKeystore(cfg);
+  const exists = keystore.exists();
+  const secrets = keystore.listSecrets();
+
+  return {
+    result: { directory: keystore.directory, exists, secrets },
+    lines: exists
+      ? [`Keystore ${keystore.directory}: ${secrets.length} secret(s)`, ...secrets.map((name) => `  ${name}`)]
+      : [`No keystore in ${keystore.directory}; create one with "btc-mars-swap keystore init"`]
+  };
+}
+
+/**
+ * keystore import-key: store the private key of a swap role, for one swap or for all of them
+ */
+async function keystoreImportKey(args, cfg) {
+  const { values, positionals } = parseCommandArgs(args, {
+    ...KEY_OPTIONS,
+    ...PASSPHRASE_OPTIONS,
+    swap: { type: 'string' }
+  });
+  const role = positionals[0];
+
+  if (!keystoreModule.KEY_ROLES.includes(role)) {
+    throw new CommandError(`The role must be one of ${keystoreModule.KEY_ROLES.join(', ')}`, EXIT_CODES.USAGE);
+  }
+
+  if (!values['key-stdin'] && !values['key-file']) {
+    throw new CommandError('Give the key with --key-stdin or --key-file', EXIT_CODES.USAGE);
+  }
+
+  if (values.swap) {
+    loadSwap(cfg, values.swap);
+  }
+
+  const keystore = await openKeystore(values, cfg, true);
+  const wif = values['key-file'] ? fs.readFileSync(values['key-file'], 'utf8').trim() : await readStdin();
+  const name = keystoreModule.keySecretName(role, values.swap);
+
+  keystore.setSecret(name, wif);
+
+  return {
+    result: { name },
+    lines: [`Stored ${name}`]
+  };
+}
+
+/**
+ * keystore passwd: protect the keystore with a new passphrase
+ */
+async function keystorePasswd(args, cfg) {
+  const { values } = parseCommandArgs(args, {
+    ...PASSPHRASE_OPTIONS,
+    'new-passphrase-file': { type: 'string' }
+  });
+
+  if (!values['new-passphrase-file']) {
+    throw new CommandError('--new-passphrase-file is required', EXIT_CODES.USAGE);
+  }
+
+  const keystore = keystoreModule.getKeystore(cfg);
+  const passphrase = await readPassphrase(values);
+  const newPassphrase = fs.readFileSync(values['new-passphrase-file'], 'utf8').trim();
+
+  try {
+    await keystore.changePassphrase(passphrase, newPassphrase);
+  } catch (error) {
+    throw new CommandError(error.message, EXIT_CODES.KEYSTORE);
+  }
+
+  return {
+    result: { directory: keystore.directory, changed: true },
+    lines: ['Keystore passphrase changed']
+  };
+}
+
+/**
+ * wallet create: generate the HD wallet seed and print its mnemonic, the only backup of derived swap keys
+ */
+async function walletCreate(args, cfg) {
+  const { values } = parseCommandArgs(args, {
+    ...PASSPHRASE_OPTIONS,
+    words: { type: 'string' }
+  });
+  const words = parseNumber(values.words, 'words', parseInt) || 24;
+  const keystore = await openKeystore(values, cfg, true);
+  const { seedName } = cfg.wallet;
+
+  if (hdWallet.hasWallet(keystore, seedName)) {
+    throw new CommandError(`The keystore already holds seed ${seedName}`);
+  }
+
+  let mnemonic;
+
+  try {
+    mnemonic = hdWallet.createWallet(keystore, { seedName, words });
+  } catch (error) {
+    throw new CommandError(error.message, EXIT_CODES.USAGE);
+  }
+
+  return {
+    result: { seed: seedName, mnemonic },
+    lines: [
+      `Created seed ${seedName}. Write down this mnemonic; it restores the keys of every swap derived from it:`,
+      '',
+      mnemonic
+    ]
+  };
+}
+
+/**
+ * wallet restore: store the HD wallet seed from its mnemonic and check the keys of the swaps derived from it
+ */
+async function walletRestore(args, cfg) {
+  const { values } = parseCommandArgs(args, {
+    ...PASSPHRASE_OPTIONS,
+    'mnemonic-stdin': { type: 'boolean', default: false },
+    'mnemonic-file': { type: 'string' }
+  });
+
+  if (!values['mnemonic-stdin'] && !values['mnemonic-file']) {
+    throw new CommandError('Give the mnemonic with --mnemonic-stdin or --mnemonic-file', EXIT_CODES.USAGE);
+  }
+
+  if (values['mnemonic-stdin'] && values['passphrase-stdin']) {
+    throw new CommandError('--mnemonic-stdin and --passphrase-stdin cannot both read stdin', EXIT_CODES.USAGE);
+  }
+
+  const keystore = await openKeystore(values, cfg, true);
+  const mnemonic = values['mnemonic-file'] ? fs.readFileSync(values['mnemonic-file'], 'utf8') : await readStdin();
+  const { seedName } = cfg.wallet;
+
+  try {
+    hdWallet.createWallet(keystore, { seedName, mnemonic });
+  } catch (error) {
+    throw new CommandError(error.message, EXIT_CODES.USAGE);
+  }
+
+  const swaps = hdWallet.restoreSwapKeys(keystore, swapRepository.getSwapRepository(cfg), seedName);
+  const mismatched = swaps.filter((swap) => !swap.restored);
+
+  return {
+    result: { seed: seedName, swaps },
+    lines: [
+      `Restored seed ${seedName}: keys of ${swaps.length - mismatched.length} of ${swaps.length} swap(s) recovered`,
+      ...mismatched.map((swap) => `  ${swap.id} (index ${swap.index}): keys do not match this mnemonic`)
+    ],
+    exitCode: mismatched.length > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK
+  };
+}
+
+/**
+ * Format a quote, one line per term
+ * @param {Object} quote - Quote
+ * @returns {Array<string>} Lines
+ */
+function formatQuote(quote) {
+  const { rate, fees } = quote;
+
+  return [
+    `Quote ID: ${quote.id}`,
+    `Customer pays: ${quote.btcAmount} satoshis`,
+    `Customer receives: ${quote.marscoinAmount} MRS`,
+    `Rate: ${rate.quoted} MRS/BTC (${rate.source} mid rate ${rate.mid}, spread ${Number((quote.spread * 100).toFixed(4))}%)`,
+    fees
+      ? `Fees passed through: ${fees.deducted} MRS (Bitcoin claim ${fees.bitcoinClaim} satoshis, ` +
+        `MarsCoin funding ${fees.marscoinFunding} MRS)`
+      : 'Fees passed through: none',
+    `Expires: ${new Date(quote.expiresAt * 1000).toISOString()}`,
+    ...(quote.swapId ? [`Accepted by swap ${quote.swapId}`] : [])
+  ];
+}
+
+/**
+ * quote create: price a swap from the configured rate source
+ */
+async function quoteCreate(args, cfg) {
+  const { values } = parseCommandArgs(args, {
+    'btc-amount': { type: 'string' },
+    'marscoin-amount': { type: 'string' }
+  });
+
+  if ((values['btc-amount'] === undefined) === (values['marscoin-amount'] === undefined)) {
+    throw new CommandError('Give either --btc-amount or --marscoin-amount', EXIT_CODES.USAGE);
+  }
+
+  let quote;
+
+  try {
+    quote = await getQuoteEngine(cfg).createQuote({
+      btcAmount: parseNumber(values['btc-amount'], 'btc-amount', parseInt),
+      marscoinAmount: parseNumber(values['marscoin-amount'], 'marscoin-amount')
+    });
+  } catch (error) {
+    throw toQuoteCommandError(error);
+  }
+
+  return {
+    result: quote,
+    lines: [...formatQuote(quote), `Accept it with: swap init --quote ${quote.id} ...`]
+  };
+}
+
+/**
+ * quote show: show a quote
+ */
+async function quoteShow(args, cfg) {
+  const { positionals } = parseCommandArgs(args, {});
+
+  if (positionals.length !== 1) {
+    throw new CommandError('Usage: quote show <quote-id>', EXIT_CODES.USAGE);
+  }
+
+  let quote;
+
+  try {
+    quote = getQuoteEngine(cfg).getQuote(positionals[0]);
+  } catch (error) {
+    throw toQuoteCommandError(error);
+  }
+
+  if (!quote) {
+    throw new CommandError(`Quote ${positionals[0]} not found`, EXIT_CODES.NOT_FOUND);
+  }
+
+  return { result: quote, lines: formatQuote(quote) };
+}
+
+/**
+ * liquidity report: wallet balances, the capital reserved for and locked in open swaps, and its expiry buckets
+ */
+async function liquidityReport(args, cfg) {
+  parseCommandArgs(args, {});
+
+  const report = await getLiquidityManager(cfg).getReport();
+  const units = { bitcoin: 'sat', marscoin: 'MRS' };
+  const formatLeg = (chain, amounts) => `${amounts.locked} ${units[chain]} locked, ${amounts.reserved} ${units[chain]} reserved`;
+
+  return {
+    result: report,
+    lines: [
+      `Open swaps: ${report.openSwaps}${report.maxOpenSwaps ? ` of at most ${report.maxOpenSwaps}` : ''}`,
+      ...['bitcoin', 'marscoin'].map((chain) => {
+        const amounts = report.chains[chain];
+        return `${chain === 'bitcoin' ? 'Bitcoin' : 'MarsCoin'}: balance ${amounts.balance} ${units[chain]}, ` +
+          `${formatLeg(chain, amounts)}, ${amounts.available} ${units[chain]} available` +
+          (amounts.maxLocked !== null ? `, limit ${amounts.maxLocked} ${units[chain]}` : '');
+      }),
+      'Refund timelocks opening:',
+      ...report.buckets
+        .filter((bucket) => bucket.bitcoin.swaps > 0 || bucket.marscoin.swaps > 0)
+        .map((bucket) => `  ${bucket.label}: ` + ['bitcoin', 'marscoin']
+          .filter((chain) => bucket[chain].swaps > 0)
+          .map((chain) => `${bucket[chain].swaps} ${chain} leg(s), ${formatLeg(chain, bucket[chain])}`)
+          .join('; ')),
+      `Queued swap requests: ${report.queued}`
+    ]
+  };
+}
+
+/**
+ * liquidity queue: list swap requests waiting for capital, and those that left the queue
+ */
+async function liquidityQueue(args, cfg) {
+  const { values } = parseCommandArgs(args, {
+    status: { type: 'string' }
+  });
+
+  if (values.status && !liquidityManager.QUEUE_STATUSES.includes(values.status)) {
+    throw new CommandError(`Invalid status: ${values.status} (expected ${liquidityManager.QUEUE_STATUSES.join(', ')})`,
+      EXIT_CODES.USAGE);
+  }
+
+  const entries = getLiquidityManager(cfg).listQueue({ status: values.status });
+
+  return {
+    result: entries,
+    lines: entries.length > 0
+      ? entries.map((entry) => {
+        const outcome = entry.status === 'queued'
+          ? `until ${new Date(entry.expiresAt * 1000).toISOString()}: ${entry.violations.map((violation) => violation.message).join('; ')}`
+          : entry.swapId ? `swap ${entry.swapId}` : entry.error || '';
+
+        const amounts = entry.request.quoteId
+          ? `quote ${entry.request.quoteId}`
+          : `${entry.request.btcAmount} sat  ${entry.request.marscoinAmount} MRS`;
+
+        return [entry.id, entry.status, amounts, outcome].filter(Boolean).join('  ');
+      })
+      : ['No swap requests found']
+  };
+}
+
+/**
+ * liquidity cancel: take queued swap requests out of the queue
+ */
+async function liquidityCancel(args, cfg) {
+  const { positionals } = parseCommandArgs(args, {});
+
+  if (positionals.length === 0) {
+    throw new CommandError('Usage: liquidity cancel <request-id>...', EXIT_CODES.USAGE);
+  }
+
+  const liquidity = getLiquidityManager(cfg);
+  const cancelled = [];
+
+  for (const requestId of positionals) {
+    let entry;
+
+    try {
+      entry = liquidity.getQueued(requestId);
+    } catch (error) {
+      throw new CommandError(error.message, EXIT_CODES.USAGE);
+    }
+
+    if (!entry) {
+      throw new CommandError(`Swap request ${requestId} not found`, EXIT_CODES.NOT_FOUND);
+    }
+
+    cancelled.push(await liquidity.cancelQueued(requestId));
+  }
+
+  return {
+    result: cancelled,
+    lines: cancelled.map((entry) => `Swap request ${entry.id} cancelled`)
+  };
+}
+
+/**
+ * Get the webhook dispatcher of the configured data directory
+ * @param {Object} cfg - Application configuration
+ * @returns {Object} Webhook dispatcher
+ */
+function getWebhookDispatcher(cfg) {
+  return webhooks.getWebhookDispatcher(cfg, swapRepository.getSwapRepository(cfg));
+}
+
+/**
+ * webhook list: list webhook deliveries with the outcome of their last attempt
+ */
+async function webhookList(args, cfg) {
+  const { values } = parseCommandArgs(args, {
+    status: { type: 'string' },
+    swap: { type: 'string' }
+  });
+
+  if (values.status && !['pending', 'delivered', 'failed'].includes(values.status)) {
+    throw new CommandError(`Invalid status: ${values.status} (expected pending, delivered or failed)`, EXIT_CODES.USAGE);
+  }
+
+  const deliveries = getWebhookDispatcher(cfg).listDeliveries({ status: values.status, swapId: values.swap });
+
+  return {
+    result: deliveries,
+    lines: deliveries.length > 0
+      ? deliveries.map((delivery) => {
+        const last = delivery.attempts[delivery.attempts.length - 1];
+        const outcome = last ? (last.error || `answered ${last.statusCode}`) : 'not attempted yet';
+
+        return `${delivery.id}  ${delivery.status}  ${delivery.event.type}  swap ${delivery.event.swapId}  ` +
+          `${delivery.url}  ${delivery.attempts.length} attempt(s), ${outcome}`;
+      })
+      : ['No deliveries found']
+  };
+}
+
+/**
+ * webhook replay: queue delivered or failed deliveries again
+ */
+async function webhookReplay(args, cfg) {
+  const { positionals } = parseCommandArgs(args, {});
+
+  if (positionals.length === 0) {
+    throw new CommandError('Usage: webhook replay <delivery-id>...', EXIT_CODES.USAGE);
+  }
+
+  const dispatcher = getWebhookDispatcher(cfg);
+  const replays = positionals.map((deliveryId) => {
+    let delivery;
+
+    try {
+      delivery = dispatcher.getDelivery(deliveryId);
+    } catch (error) {
+      throw new CommandError(error.message, EXIT_CODES.USAGE);
+    }
+
+    if (!delivery) {
+      throw new CommandError(`Delivery ${deliveryId} not found`, EXIT_CODES.NOT_FOUND);
+    }
+
+    if (delivery.status === 'pending') {
+      throw new CommandError(`Delivery ${deliveryId} is still pending`, EXIT_CODES.NOT_READY);
+    }
+
+    return delivery;
+  }).map((delivery) => dispatcher.replayDelivery(delivery.id));
+
+  return {
+    result: replays,
+    lines: replays.map((replay) => `Delivery ${replay.replayOf} queued again as ${replay.id}`)
+  };
+}
+
+/**
+ * config set: set one configuration value and save the configuration file
+ */
+async function configSet(args, cfg) {
+  const { positionals } = parseCommandArgs(args, {});
+  const [key, rawValue] = positionals;
+
+  if (!key || rawValue === undefined) {
+    throw new CommandError('Usage: config set <key> <value>', EXIT_CODES.USAGE);
+  }
+
+  const [section, ...rest] = key.split('.');
+  const parent = rest.slice(0, -1).reduce((object, name) => (object ? object[name] : undefined), cfg[section]);
+  const name = rest[rest.length - 1];
+
+  if (!parent || typeof parent !== 'object' || !name || !(name in parent) ||
+      (parent[name] !== null && typeof parent[name] === 'object')) {
+    throw new CommandError(`Unknown configuration key: ${key}`, EXIT_CODES.USAGE);
+  }
+
+  // Numbers, booleans and null are given as JSON; anything else is a string
+  let value;
+
+  try {
+    value = JSON.parse(rawValue);
+  } catch (error) {
+    value = rawValue;
+  }
+
+  const update = rest.slice(0, -1).reduceRight((inner, field) => ({ [field]: inner }), { [name]: value });
+  config.updateConfig({ [section]: update });
+
+  if (!config.saveConfig()) {
+    throw new CommandError('The configuration could not be saved');
+  }
+
+  return {
+    result: { key, value },
+    lines: [`${key} = ${JSON.stringify(value)}`]
+  };
+}
+
+// Handlers by command and subcommand
+const COMMANDS = {
+  swap: {
+    init: swapInit,
+    list: swapList,
+    status: swapStatus,
+    claim: swapClaim,
+    refund: swapRefund,
+    audit: swapAudit,
+    archive: swapArchive
+  },
+  quote: {
+    create: quoteCreate,
+    show: quoteShow
+  },
+  liquidity: {
+    report: liquidityReport,
+    queue: liquidityQueue,
+    cancel: liquidityCancel
+  },
+  keystore: {
+    init: keystoreInit,
+    status: keystoreStatus,
+    'import-key': keystoreImportKey,
+    passwd: keystorePasswd
+  },
+  wallet: {
+    create: walletCreate,
+    restore: walletRestore
+  },
+  webhook: {
+    list: webhookList,
+    replay: webhookReplay
+  },
+  config: {
+    set: configSet
+  }
+};
+
+/**
+ * Run a command line
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommand(argv) {
+  const json = argv.includes('--json');
+  const [command, subcommand, ...args] = argv.filter((arg) => arg !== '--json');
+
+  // Keep stdout for the result; the core modules' progress messages go to stderr
+  if (json) {
+    console.log = console.error;
+  }
+
+  if (command === 'shell') {
+    require('./index').startCli();
+    return EXIT_CODES.OK;
+  }
+
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  const handler = COMMANDS[command] && COMMANDS[command][subcommand];
+
+  try {
+    if (!handler) {
+      throw new CommandError(`Unknown command: ${[command, subcommand].filter(Boolean).join(' ')}`, EXIT_CODES.USAGE);
+    }
+
+    if (args.includes('--help') || args.includes('-h')) {
+      process.stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.OK;
+    }
+
+    const { result, lines, exitCode = EXIT_CODES.OK } = await handler(args, config.getConfig());
+
+    process.stdout.write(json ? `${JSON.stringify(result, null, 2)}\n` : `${lines.join('\n')}\n`);
+
+    return exitCode;
+  } catch (error) {
+    const exitCode = error instanceof CommandError ? error.exitCode : EXIT_CODES.ERROR;
+
+    if (json) {
+      process.stdout.write(`${JSON.stringify({ error: error.message, exitCode }, null, 2)}\n`);
+    } else {
+      console.error(`Error: ${error.message}`);
+
+      if (exitCode === EXIT_CODES.USAGE) {
+        console.error('Run "btc-mars-swap help" for usage');
+      }
+    }
+
+    return exitCode;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  CommandError,
+  runCommand
+};
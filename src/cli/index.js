@@ -12,65 +12,108 @@ const path = require('path');
 const swapCoordinator = require('../core/swap-coordinator');
 const bitcoinHtlc = require('../core/bitcoin-htlc');
 const marscoinHtlc = require('../core/marscoin-htlc');
+const marscoin = require('../core/marscoin-lib-wrapper');
+const { createRpcClient } = require('../core/rpc-client');
+const timelockPlanner = require('../core/timelock-planner');
+const htlcScript = require('../core/htlc-script');
+const swapRepository = require('../core/swap-repository');
+const keystoreModule = require('../core/keystore');
+const hdWallet = require('../core/hd-wallet');
+const feeEstimator = require('../core/fee-estimator');
+const swapProtocol = require('../core/swap-protocol');
+const contractAudit = require('../core/contract-audit');
+const liquidityManager = require('../core/liquidity-manager');
+const swapIntake = require('../core/swap-intake');
+const { createKeystoreKeyProvider, getSwapKey } = require('../watcher');
 const config = require('../config');
 
-// Mock RPC clients for demonstration
-const btcClient = {
-  getTransaction: async () => ({ confirmations: 3 }),
-  sendRawTransaction: async (txHex) => crypto.randomBytes(32).toString('hex'),
-  getRawTransaction: async () => ({}),
-  getInfo: async () => ({ version: '0.21.0', balance: 1.23456789 }),
-  getBalance: async () => 1.23456789
+// Role whose key signs each spend
+const SPEND_ROLES = {
+  bitcoin: { claim: 'initiatorBtc', refund: 'participantBtc' },
+  marscoin: { claim: 'participantMarscoin', refund: 'initiatorMarscoin' }
 };
 
-const marscoinClient = {
-  getTransaction: async () => ({ confirmations: 2 }),
-  sendRawTransaction: async (txHex) => crypto.randomBytes(32).toString('hex'),
-  getRawTransaction: async () => ({}),
-  getInfo: async () => ({ version: '0.15.0', balance: 100.0 }),
-  getBalance: async () => 100.0
-};
+// RPC clients for the configured nodes
+const btcClient = createRpcClient(config.getConfig().bitcoin.rpc);
+const marscoinClient = createRpcClient(config.getConfig().marscoin.rpc);
+
+// Readline interface, created when the menu starts so scripted commands can read stdin themselves
+let rl = null;
+
+// Get the swap repository of the configured data directory
+function getRepository() {
+  return swapRepository.getSwapRepository(config.getConfig());
+}
 
-// Initialize readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Get the keystore of the configured data directory
+function getKeystore() {
+  return keystoreModule.getKeystore(config.getConfig());
+}
 
-// Maintain in-memory storage of active swaps
-const activeSwaps = {};
+// Get the swap intake, which creates the swaps this side initiates
+function getSwapIntake() {
+  return swapIntake.createSwapIntake({
+    cfg: config.getConfig(),
+    repository: getRepository(),
+    keystore: getKeystore(),
+    btcClient,
+    marscoinClient
+  });
+}
 
-// Helper to load swap database
-function loadSwaps() {
-  const swapDbPath = path.join(config.getConfig().app.dataDir, config.getConfig().app.swapDatabase);
+// Refuse a swap over the liquidity limits; the menu does not queue swaps, it leaves that to swap init and the API
+async function checkLiquidity(chain, value) {
+  const liquidity = liquidityManager.getLiquidityManager(config.getConfig(), getRepository(), btcClient, marscoinClient);
+  const violations = await liquidity.checkSwap({ chain, value });
   
-  if (fs.existsSync(swapDbPath)) {
-    try {
-      const swapData = JSON.parse(fs.readFileSync(swapDbPath, 'utf8'));
-      Object.assign(activeSwaps, swapData);
-      console.log(`Loaded ${Object.keys(swapData).length} active swaps from database`);
-    } catch (error) {
-      console.error(`Error loading swap database: ${error.message}`);
-    }
-  } else {
-    console.log('No existing swap database found. Starting with empty swap list.');
+  if (violations.length > 0) {
+    throw new Error(`The swap exceeds the liquidity limits: ${violations.map((violation) => violation.message).join('; ')}`);
   }
 }
 
-// Helper to save swap database
-function saveSwaps() {
-  const swapDbPath = path.join(config.getConfig().app.dataDir, config.getConfig().app.swapDatabase);
-  const swapDir = path.dirname(swapDbPath);
+// Ask for a passphrase without echoing it
+function askPassphrase(query, callback) {
+  const writeToOutput = rl._writeToOutput;
+  
+  rl.output.write(query);
+  rl._writeToOutput = () => {};
+  rl.question('', (answer) => {
+    rl._writeToOutput = writeToOutput;
+    rl.output.write('\n');
+    callback(answer.trim());
+  });
+}
+
+// Sign with the keystore's key for a swap role (stored, or derived from the HD wallet) when it has one,
+// otherwise ask for the key
+async function askSwapKey(swap, role, query, callback) {
+  const keystore = getKeystore();
+  let privateKey = null;
+  
+  try {
+    privateKey = keystore.isUnlocked() ? await getSwapKey(createKeystoreKeyProvider(keystore), swap, role) : null;
+  } catch (error) {
+    console.error(`\nError reading the ${role} key from the keystore: ${error.message}`);
+  }
   
-  if (!fs.existsSync(swapDir)) {
-    fs.mkdirSync(swapDir, { recursive: true });
+  if (privateKey) {
+    console.log(`\nSigning with the ${role} key from the keystore.`);
+    callback(privateKey);
+    return;
   }
   
+  console.log('\nWARNING: In a real application, never enter private keys in plaintext!');
+  console.log('This is just a demonstration of the flow.');
+  rl.question(query, callback);
+}
+
+// Look up a swap, or null if there is no swap with that ID
+function findSwap(swapId) {
   try {
-    fs.writeFileSync(swapDbPath, JSON.stringify(activeSwaps, null, 2));
-    console.log(`Saved ${Object.keys(activeSwaps).length} active swaps to database`);
+    return getRepository().getSwap(swapId.trim());
   } catch (error) {
-    console.error(`Error saving swap database: ${error.message}`);
+    console.error(`Error loading swap: ${error.message}`);
+    return null;
   }
 }
 
@@ -82,10 +125,15 @@ function showMainMenu() {
   console.log('3. Check swap status');
   console.log('4. Complete swap');
   console.log('5. Refund expired swap');
-  console.log('6. Configure settings');
-  console.log('7. Exit');
+  console.log('6. Export claim/refund PSBT');
+  console.log('7. Finalize signed PSBT');
+  console.log('8. Bump fee of pending claim/refund');
+  console.log('9. Negotiate swap with counterparty');
+  console.log(`10. Keystore (${getKeystore().isUnlocked() ? 'unlocked' : 'locked'})`);
+  console.log('11. Configure settings');
+  console.log('12. Exit');
   
-  rl.question('Enter your choice (1-7): ', (choice) => {
+  rl.question('Enter your choice (1-12): ', (choice) => {
     switch (choice) {
       case '1':
         initiateSwapFlow();
@@ -103,11 +151,26 @@ function showMainMenu() {
         refundExpiredSwapFlow();
         break;
       case '6':
-        configureSettingsFlow();
+        exportPsbtFlow();
         break;
       case '7':
-        console.log('Saving data and exiting...');
-        saveSwaps();
+        finalizePsbtFlow();
+        break;
+      case '8':
+        bumpFeeFlow();
+        break;
+      case '9':
+        negotiateSwapFlow();
+        break;
+      case '10':
+        keystoreFlow();
+        break;
+      case '11':
+        configureSettingsFlow();
+        break;
+      case '12':
+        console.log('Exiting...');
+        getKeystore().lock();
         rl.close();
         break;
       default:
@@ -117,70 +180,187 @@ function showMainMenu() {
   });
 }
 
+// Parse a public key prompt answer: either a hex public key or "<xpub> <path>"
+function parsePubKeyInput(input) {
+  const [key, derivationPath] = input.trim().split(/\s+/);
+  return derivationPath ? { xpub: key, path: derivationPath } : key;
+}
+
+// Get the configured network names and network objects of both chains
+function getNetworks(cfg) {
+  return {
+    networkNames: { bitcoin: cfg.bitcoin.network, marscoin: cfg.marscoin.network },
+    bitcoinNetwork: bitcoin.networks[cfg.bitcoin.network === 'mainnet' ? 'bitcoin' : cfg.bitcoin.network],
+    marscoinNetwork: marscoin.getNetwork(cfg.marscoin.network)
+  };
+}
+
+// Save an outgoing protocol message to the data directory and print it for the counterparty
+function writeMessage(message) {
+  const cfg = config.getConfig();
+  const messagePath = path.join(cfg.app.dataDir, `${message.swapId}-${message.type}.json`);
+  
+  fs.mkdirSync(cfg.app.dataDir, { recursive: true });
+  fs.writeFileSync(messagePath, JSON.stringify(message, null, 2));
+  
+  console.log(`\nSend this ${message.type} message to your counterparty:`);
+  console.log(JSON.stringify(message));
+  console.log(`\nSaved to ${messagePath}`);
+}
+
+// Read an incoming protocol message given as JSON or a file path
+function readMessage(input) {
+  const json = fs.existsSync(input.trim()) ? fs.readFileSync(input.trim(), 'utf8') : input;
+  return swapProtocol.parseMessage(json);
+}
+
+// Describe a leg's timelock as a block height, a median-time-past timestamp or a delay after funding
+function describeTimelock(swap, chain) {
+  const timeout = swap.timeouts[chain];
+  
+  if (swap.timelockType === 'csv') {
+    const { blocks, seconds } = htlcScript.decodeRelativeTimelock(timeout);
+    return blocks !== undefined ? `${blocks} blocks after funding` : `${seconds} seconds after funding`;
+  }
+  
+  return timeout < timelockPlanner.LOCKTIME_THRESHOLD
+    ? `block ${timeout}`
+    : `median time past ${new Date(timeout * 1000).toLocaleString()}`;
+}
+
+// Describe the time left on a timelock
+function describeRemaining(secondsRemaining) {
+  return secondsRemaining === null
+    ? 'starts counting once funded'
+    : `about ${Math.ceil(secondsRemaining / 60)} minutes left`;
+}
+
+// Ask for the user's own addresses and public keys in a swap, or derive fresh ones from the HD wallet.
+// With deferDerivation the keys are not derived here; the callback gets { deriveKeys: true } instead.
+function askOwnKeys(party, callback, { deferDerivation = false } = {}) {
+  const cfg = config.getConfig();
+  const keystore = getKeystore();
+  const [btcRole, marscoinRole] = hdWallet.PARTY_ROLES[party];
+  
+  const askManually = () => {
+    rl.question('Enter your Bitcoin address: ', (btcAddress) => {
+      rl.question('Enter your Bitcoin public key (hex, or "<xpub> <path>"): ', (btcPubKey) => {
+        rl.question('Enter your MarsCoin address: ', (marscoinAddress) => {
+          rl.question('Enter your MarsCoin public key (hex, or "<xpub> <path>"): ', (marscoinPubKey) => {
+            callback({
+              addresses: { [btcRole]: btcAddress, [marscoinRole]: marscoinAddress },
+              pubKeys: { [btcRole]: parsePubKeyInput(btcPubKey), [marscoinRole]: parsePubKeyInput(marscoinPubKey) }
+            });
+          });
+        });
+      });
+    });
+  };
+  
+  if (!keystore.isUnlocked() || !hdWallet.hasWallet(keystore, cfg.wallet.seedName)) {
+    askManually();
+    return;
+  }
+  
+  rl.question('Derive fresh keys from the HD wallet? (Y/n): ', async (answer) => {
+    if (answer.trim().toLowerCase().startsWith('n')) {
+      askManually();
+      return;
+    }
+    
+    if (deferDerivation) {
+      callback({ deriveKeys: true });
+      return;
+    }
+    
+    try {
+      const derived = await hdWallet.deriveSwapKeys(keystore, getRepository(), {
+        party,
+        seedName: cfg.wallet.seedName,
+        account: cfg.wallet.account,
+        ...getNetworks(cfg)
+      });
+      
+      console.log(`Your Bitcoin address: ${derived.addresses[btcRole]}`);
+      console.log(`Your MarsCoin address: ${derived.addresses[marscoinRole]}`);
+      callback(derived);
+    } catch (error) {
+      console.error(`Error deriving keys: ${error.message}`);
+      askManually();
+    }
+  });
+}
+
 // Flow for initiating a new swap
 async function initiateSwapFlow() {
   console.log('\n----- Initiate New Swap -----');
   
-  rl.question('Enter your Bitcoin address: ', (initiatorBtcAddress) => {
-    rl.question('Enter your MarsCoin address: ', (initiatorMarscoinAddress) => {
-      rl.question('Enter participant\'s Bitcoin address: ', (participantBtcAddress) => {
+  askOwnKeys('initiator', (own) => {
+    rl.question('Enter participant\'s Bitcoin address: ', (participantBtcAddress) => {
+      rl.question('Enter participant\'s Bitcoin public key (hex, or "<xpub> <path>"): ', (participantBtcPubKey) => {
         rl.question('Enter participant\'s MarsCoin address: ', (participantMarscoinAddress) => {
-          rl.question('Enter Bitcoin amount (in satoshis): ', async (btcAmount) => {
-            rl.question('Enter MarsCoin amount: ', async (marscoinAmount) => {
-              try {
-                // Get configuration
-                const cfg = config.getConfig();
-                
-                // Initialize swap
-                const swapDetails = await swapCoordinator.initiateSwap({
-                  initiatorBtcAddress,
-                  initiatorMarscoinAddress,
-                  participantBtcAddress,
-                  participantMarscoinAddress,
-                  btcAmount: parseInt(btcAmount, 10),
-                  marscoinAmount: parseFloat(marscoinAmount),
-                  timeoutDuration: cfg.bitcoin.timeoutDuration,
-                  bitcoinNetwork: bitcoin.networks.testnet, // From config
-                  marscoinNetwork: { name: 'marscoin-testnet' } // Placeholder
-                });
-                
-                // Store the swap in our active swaps
-                activeSwaps[swapDetails.id] = swapDetails;
-                saveSwaps();
-                
-                console.log('\nSwap initiated successfully!');
-                console.log(`Swap ID: ${swapDetails.id}`);
-                console.log(`Bitcoin HTLC Address: ${swapDetails.btcHtlc.address}`);
-                console.log(`MarsCoin HTLC Address: ${swapDetails.marscoinHtlc.address}`);
-                console.log('\nNext steps:');
-                console.log('1. Send Bitcoin to the Bitcoin HTLC address');
-                console.log('2. Send MarsCoin to the MarsCoin HTLC address');
-                console.log('3. Once both transactions are confirmed, the swap can be completed');
-                
-                rl.question('\nPress Enter to return to main menu...', () => {
-                  showMainMenu();
-                });
-              } catch (error) {
-                console.error(`Error initiating swap: ${error.message}`);
-                rl.question('\nPress Enter to return to main menu...', () => {
-                  showMainMenu();
-                });
-              }
+          rl.question('Enter participant\'s MarsCoin public key (hex, or "<xpub> <path>"): ', (participantMarscoinPubKey) => {
+            rl.question('Enter Bitcoin amount (in satoshis): ', async (btcAmount) => {
+              rl.question('Enter MarsCoin amount: ', async (marscoinAmount) => {
+                try {
+                  await checkLiquidity('marscoin', marscoin.toSatoshis(parseFloat(marscoinAmount)));
+                  
+                  // The intake derives the keys, reserving their index, and stores the swap
+                  const swapDetails = await getSwapIntake().startSwap({
+                    ...(own.deriveKeys ? { deriveKeys: true } : {
+                      initiatorBtcAddress: own.addresses.initiatorBtc,
+                      initiatorMarscoinAddress: own.addresses.initiatorMarscoin,
+                      initiatorBtcPubKey: own.pubKeys.initiatorBtc,
+                      initiatorMarscoinPubKey: own.pubKeys.initiatorMarscoin
+                    }),
+                    participantBtcAddress,
+                    participantMarscoinAddress,
+                    participantBtcPubKey: parsePubKeyInput(participantBtcPubKey),
+                    participantMarscoinPubKey: parsePubKeyInput(participantMarscoinPubKey),
+                    btcAmount: parseInt(btcAmount, 10),
+                    marscoinAmount: parseFloat(marscoinAmount)
+                  });
+                  
+                  console.log('\nSwap initiated successfully!');
+                  console.log(`Swap ID: ${swapDetails.id}`);
+                  if (own.deriveKeys) {
+                    console.log(`Your Bitcoin address: ${swapDetails.addresses.initiatorBtc}`);
+                    console.log(`Your MarsCoin address: ${swapDetails.addresses.initiatorMarscoin}`);
+                  }
+                  console.log(`Bitcoin HTLC Address: ${swapDetails.btcHtlc.address}`);
+                  console.log(`MarsCoin HTLC Address: ${swapDetails.marscoinHtlc.address}`);
+                  console.log(`Bitcoin timelock: ${describeTimelock(swapDetails, 'bitcoin')}`);
+                  console.log(`MarsCoin timelock: ${describeTimelock(swapDetails, 'marscoin')}`);
+                  console.log('\nNext steps:');
+                  console.log('1. Send Bitcoin to the Bitcoin HTLC address');
+                  console.log('2. Send MarsCoin to the MarsCoin HTLC address');
+                  console.log('3. Once both transactions are confirmed, the swap can be completed');
+                  
+                  rl.question('\nPress Enter to return to main menu...', () => {
+                    showMainMenu();
+                  });
+                } catch (error) {
+                  console.error(`Error initiating swap: ${error.message}`);
+                  rl.question('\nPress Enter to return to main menu...', () => {
+                    showMainMenu();
+                  });
+                }
+              });
             });
           });
         });
       });
     });
-  });
+  }, { deferDerivation: true });
 }
 
 // Display active swaps
 function viewActiveSwaps() {
   console.log('\n----- Active Swaps -----');
   
-  const swapIds = Object.keys(activeSwaps);
+  const swaps = getRepository().listSwaps();
   
-  if (swapIds.length === 0) {
+  if (swaps.length === 0) {
     console.log('No active swaps found.');
     rl.question('\nPress Enter to return to main menu...', () => {
       showMainMenu();
@@ -188,9 +368,8 @@ function viewActiveSwaps() {
     return;
   }
   
-  swapIds.forEach((id, index) => {
-    const swap = activeSwaps[id];
-    console.log(`${index + 1}. ID: ${id}`);
+  swaps.forEach((swap, index) => {
+    console.log(`${index + 1}. ID: ${swap.id}`);
     console.log(`   Status: ${swap.status}`);
     console.log(`   Created: ${new Date(swap.createdAt * 1000).toLocaleString()}`);
     console.log(`   BTC Amount: ${swap.amounts.btc} satoshis`);
@@ -208,7 +387,9 @@ function checkSwapStatusFlow() {
   console.log('\n----- Check Swap Status -----');
   
   rl.question('Enter swap ID: ', async (swapId) => {
-    if (!activeSwaps[swapId]) {
+    const swap = findSwap(swapId);
+    
+    if (!swap) {
       console.log('Swap not found. Please check the ID and try again.');
       rl.question('\nPress Enter to return to main menu...', () => {
         showMainMenu();
@@ -216,17 +397,58 @@ function checkSwapStatusFlow() {
       return;
     }
     
-    const swap = activeSwaps[swapId];
-    
     console.log(`\nSwap ID: ${swapId}`);
     console.log(`Status: ${swap.status}`);
     console.log(`Created: ${new Date(swap.createdAt * 1000).toLocaleString()}`);
+
+    console.log('\nHistory:');
+    (swap.history || []).forEach((entry) => {
+      const txid = entry.txid ? ` ${entry.chain} ${entry.txid}` : '';
+      console.log(`  ${new Date(entry.at * 1000).toLocaleString()}: ${entry.event} -> ${entry.to}${txid}`);
+    });
+
+    if (!swap.btcHtlc) {
+      console.log('\nThe HTLCs have not been agreed with the counterparty yet.');
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+      return;
+    }
+    
     console.log('\nHTLC Details:');
     console.log(`Bitcoin HTLC Address: ${swap.btcHtlc.address}`);
     console.log(`MarsCoin HTLC Address: ${swap.marscoinHtlc.address}`);
     
     // In a real application, you would check actual blockchain status
     console.log('\nPerforming blockchain verification...');
+    
+    try {
+      const cfg = config.getConfig();
+      const fundingStatus = await getRepository().updateSwap(swap.id, (current) => swapCoordinator.verifySwapFunding(
+        current, btcClient, marscoinClient, cfg.bitcoin.confirmations, cfg.marscoin.confirmations));
+      
+      for (const [chain, label] of [['bitcoin', 'Bitcoin'], ['marscoin', 'MarsCoin']]) {
+        const funding = fundingStatus[chain];
+        const note = funding.shortfall > 0 ? `, short by ${funding.shortfall}` : funding.excess > 0 ? `, over by ${funding.excess}` : '';
+        console.log(`${label} HTLC: ${funding.outputs.length} confirmed deposit(s) totalling ${funding.value} satoshis` +
+          `${funding.outputs.length > 0 ? note : ''}`);
+      }
+      
+      const timelockStatus = await swapCoordinator.getTimelockStatus(swap, btcClient, marscoinClient);
+      
+      for (const [chain, label] of [['bitcoin', 'Bitcoin'], ['marscoin', 'MarsCoin']]) {
+        const status = timelockStatus[chain];
+        console.log(`${label} timelock: ${describeTimelock(swap, chain)} - ` +
+          (status.expired ? 'expired' : `${describeRemaining(status.secondsRemaining)} (tip ${status.height})`));
+      }
+      
+      for (const [name, spend] of Object.entries(swap.spends || {})) {
+        const replaced = spend.replacedTxIds.length > 0 ? `, replaced ${spend.replacedTxIds.length} time(s)` : '';
+        console.log(`${name}: ${spend.txId} paying ${spend.feeRate.toFixed(2)} sat/vB${replaced}`);
+      }
+    } catch (error) {
+      console.error(`Error reading chain state: ${error.message}`);
+    }
 
     rl.question('\nPress Enter to return to main menu...', () => {
       showMainMenu();
@@ -239,7 +461,9 @@ function completeSwapFlow() {
   console.log('\n----- Complete Swap -----');
   
   rl.question('Enter swap ID: ', (swapId) => {
-    if (!activeSwaps[swapId]) {
+    const swap = findSwap(swapId);
+    
+    if (!swap) {
       console.log('Swap not found. Please check the ID and try again.');
       rl.question('\nPress Enter to return to main menu...', () => {
         showMainMenu();
@@ -247,26 +471,103 @@ function completeSwapFlow() {
       return;
     }
     
-    const swap = activeSwaps[swapId];
+    // The initiator claims the Bitcoin with the secret; the participant then claims the MarsCoin with the
+    // secret that claim reveals on chain
+    rl.question('Chain to claim (bitcoin/marscoin): ', (answer) => {
+      const chain = answer.trim().toLowerCase();
+      
+      if (!SPEND_ROLES[chain]) {
+        console.log('Invalid chain. Enter bitcoin or marscoin.');
+        rl.question('\nPress Enter to return to main menu...', () => {
+          showMainMenu();
+        });
+        return;
+      }
+      
+      const role = SPEND_ROLES[chain].claim;
+      const label = chain === 'bitcoin' ? 'Bitcoin' : 'MarsCoin';
+      
+      askSwapKey(swap, role, `Enter your ${label} private key (WIF): `, async (privateKey) => {
+        try {
+          console.log('\nCompleting swap...');
+          
+          const cfg = config.getConfig();
+          
+          const result = await getRepository().updateSwap(swap.id, (current) => swapCoordinator.completeSwap(
+            current, btcClient, marscoinClient, {
+              [`${role}PrivateKey`]: privateKey.trim(),
+              btcFee: cfg.bitcoin.fee,
+              marscoinFee: cfg.marscoin.fee,
+              feeSettings: feeEstimator.getFeeSettings(cfg),
+              keystore: getKeystore()
+            }));
+          
+          if (result.error) {
+            console.log(`\n${result.error}`);
+          } else if (result.success) {
+            console.log(`\n${label} claim broadcast: ${result[`${chain}ClaimTxId`]}`);
+            console.log(`Swap status: ${result.status}`);
+          } else {
+            console.log(`\nThe ${label} claim was not broadcast.`);
+          }
+        } catch (error) {
+          console.error(`\nError completing swap: ${error.message}`);
+        }
+        
+        rl.question('\nPress Enter to return to main menu...', () => {
+          showMainMenu();
+        });
+      });
+    });
+  });
+}
+
+// Flow for refunding an expired swap
+function refundExpiredSwapFlow() {
+  console.log('\n----- Refund Expired Swap -----');
+  
+  rl.question('Enter swap ID: ', (swapId) => {
+    const swap = findSwap(swapId);
     
-    // In a real app, you would ask for private keys securely
-    console.log('\nWARNING: In a real application, never enter private keys in plaintext!');
-    console.log('This is just a demonstration of the flow.');
+    if (!swap) {
+      console.log('Swap not found. Please check the ID and try again.');
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+      return;
+    }
     
-    rl.question('Enter private key (mock): ', async (privateKey) => {
+    askSwapKey(swap, 'initiatorMarscoin', 'Enter your MarsCoin private key (WIF): ', async (privateKey) => {
       try {
-        console.log('\nCompleting swap...');
+        console.log('\nProcessing refund...');
+        
+        const cfg = config.getConfig();
         
-        // Update swap status
-        swap.status = 'completed';
-        swap.completedAt = Math.floor(Date.now() / 1000);
-        saveSwaps();
+        const result = await getRepository().updateSwap(swap.id, async (current) => {
+          // Pick up every deposit to the HTLC, including underpayments, so the refund returns all of them
+          await swapCoordinator.verifySwapFunding(
+            current, btcClient, marscoinClient, cfg.bitcoin.confirmations, cfg.marscoin.confirmations);
           
-        console.log('\nSwap completed successfully!');
-        console.log('In a real implementation, transactions would be broadcast to both blockchains.');
+          // The refund flow returns the initiator's MarsCoin; expiry is checked against each chain's tip
+          return swapCoordinator.handleSwapTimeout(current, btcClient, marscoinClient, {
+            initiatorMarscoinPrivateKey: privateKey,
+            marscoinFee: cfg.marscoin.fee,
+            feeSettings: feeEstimator.getFeeSettings(cfg)
+          });
+        });
+        
+        if (result.refunded) {
+          console.log(`\nRefund transaction broadcast: ${result.marscoinRefundTxId}`);
+        } else if (!result.marscoinExpired && !result.bitcoinExpired) {
+          console.log('\nTimelocks have not yet expired. Cannot process refund.');
+          console.log(`MarsCoin timelock: ${describeTimelock(swap, 'marscoin')} (${describeRemaining(result.marscoinExpiry)})`);
+          console.log(`Bitcoin timelock: ${describeTimelock(swap, 'bitcoin')} (${describeRemaining(result.bitcoinExpiry)})`);
+        } else {
+          console.log(`\n${result.message}`);
+        }
         
       } catch (error) {
-        console.error(`\nError completing swap: ${error.message}`);
+        console.error(`\nError processing refund: ${error.message}`);
       }
       
       rl.question('\nPress Enter to return to main menu...', () => {
@@ -276,12 +577,14 @@ function completeSwapFlow() {
   });
 }
 
-// Flow for refunding an expired swap
-function refundExpiredSwapFlow() {
-  console.log('\n----- Refund Expired Swap -----');
+// Flow for exporting an unsigned claim or refund PSBT for external signing
+function exportPsbtFlow() {
+  console.log('\n----- Export Claim/Refund PSBT -----');
   
   rl.question('Enter swap ID: ', (swapId) => {
-    if (!activeSwaps[swapId]) {
+    const swap = findSwap(swapId);
+    
+    if (!swap) {
       console.log('Swap not found. Please check the ID and try again.');
       rl.question('\nPress Enter to return to main menu...', () => {
         showMainMenu();
@@ -289,34 +592,631 @@ function refundExpiredSwapFlow() {
       return;
     }
     
-    const swap = activeSwaps[swapId];
+    rl.question('Chain (bitcoin/marscoin): ', (chain) => {
+      rl.question('Spend path (claim/refund): ', async (spendPath) => {
+        try {
+          const cfg = config.getConfig();
+          const fixedFee = chain === 'bitcoin' ? cfg.bitcoin.fee : cfg.marscoin.fee;
+          const fee = fixedFee === null || fixedFee === undefined
+            ? undefined
+            : chain === 'bitcoin' ? fixedFee : marscoin.toSatoshis(fixedFee);
+          
+          const psbtBase64 = await swapCoordinator.createSwapPsbt(
+            swap,
+            { chain, path: spendPath, fee, feeSettings: feeEstimator.getFeeSettings(cfg), keystore: getKeystore() },
+            chain === 'bitcoin' ? btcClient : marscoinClient
+          );
+          
+          const psbtPath = path.join(cfg.app.dataDir, `${swapId}-${chain}-${spendPath}.psbt`);
+          fs.writeFileSync(psbtPath, psbtBase64);
+          
+          console.log('\nUnsigned PSBT (base64):');
+          console.log(psbtBase64);
+          console.log(`\nSaved to ${psbtPath}`);
+          console.log('Sign it with your external wallet, then use "Finalize signed PSBT".');
+        } catch (error) {
+          console.error(`\nError exporting PSBT: ${error.message}`);
+        }
+        
+        rl.question('\nPress Enter to return to main menu...', () => {
+          showMainMenu();
+        });
+      });
+    });
+  });
+}
+
+// Flow for finalizing and broadcasting an externally signed PSBT
+function finalizePsbtFlow() {
+  console.log('\n----- Finalize Signed PSBT -----');
+  
+  rl.question('Enter swap ID: ', (swapId) => {
+    const swap = findSwap(swapId);
+    
+    if (!swap) {
+      console.log('Swap not found. Please check the ID and try again.');
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+      return;
+    }
     
-    console.log('\nWARNING: In a real application, never enter private keys in plaintext!');
-    console.log('This is just a demonstration of the flow.');
+    rl.question('Chain (bitcoin/marscoin): ', (chain) => {
+      rl.question('Signed PSBT (base64 or file path): ', async (psbtInput) => {
+        try {
+          const psbtBase64 = fs.existsSync(psbtInput)
+            ? fs.readFileSync(psbtInput, 'utf8').trim()
+            : psbtInput.trim();
+          
+          const result = await getRepository().updateSwap(swap.id, (current) => swapCoordinator.finalizeSwapPsbt(
+            current,
+            chain,
+            psbtBase64,
+            chain === 'bitcoin' ? btcClient : marscoinClient
+          ));
+          
+          console.log(`\n${result.path === 'claim' ? 'Claim' : 'Refund'} transaction broadcast: ${result.txId}`);
+        } catch (error) {
+          console.error(`\nError finalizing PSBT: ${error.message}`);
+        }
+        
+        rl.question('\nPress Enter to return to main menu...', () => {
+          showMainMenu();
+        });
+      });
+    });
+  });
+}
+
+// Flow for speeding up an unconfirmed claim or refund, by replacement (RBF) or with a child transaction (CPFP)
+function bumpFeeFlow() {
+  console.log('\n----- Bump Fee of Pending Claim/Refund -----');
+  
+  rl.question('Enter swap ID: ', (swapId) => {
+    const swap = findSwap(swapId);
+    
+    if (!swap) {
+      console.log('Swap not found. Please check the ID and try again.');
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+      return;
+    }
     
-    rl.question('Enter private key (mock): ', async (privateKey) => {
+    rl.question('Chain (bitcoin/marscoin): ', (chain) => {
+      rl.question('Spend path (claim/refund): ', (spendPath) => {
+        rl.question('Method (rbf/cpfp) [rbf]: ', (method) => {
+          const isCpfp = method.trim().toLowerCase() === 'cpfp';
+          const keyPrompt = isCpfp
+            ? 'Private key of the destination address (WIF): '
+            : `Private key of the ${spendPath} branch (WIF): `;
+          const role = SPEND_ROLES[chain] && SPEND_ROLES[chain][spendPath];
+          
+          // Spends pay to the signing role's address, so its key also signs a CPFP child
+          const ask = (query, callback) => (role ? askSwapKey(swap, role, query, callback) : rl.question(query, callback));
+          
+          ask(keyPrompt, (privateKey) => {
+            rl.question('Fee rate in sat/vB (blank for the node estimate): ', async (feeRateInput) => {
+              try {
+                const params = {
+                  chain,
+                  path: spendPath,
+                  privateKey,
+                  feeRate: feeRateInput.trim() ? parseFloat(feeRateInput) : undefined,
+                  feeSettings: feeEstimator.getFeeSettings(config.getConfig()),
+                  keystore: getKeystore()
+                };
+                const rpcClient = chain === 'bitcoin' ? btcClient : marscoinClient;
+                
+                if (isCpfp) {
+                  const result = await getRepository().updateSwap(swap.id, (current) =>
+                    swapCoordinator.cpfpSwapSpend(current, params, rpcClient));
+                  console.log(`\nChild transaction broadcast: ${result.txId}`);
+                  console.log(`Parent and child pay ${result.packageFeeRate.toFixed(2)} sat/vB together`);
+                } else {
+                  const result = await getRepository().updateSwap(swap.id, (current) =>
+                    swapCoordinator.bumpSwapSpend(current, params, rpcClient));
+                  console.log(`\nReplacement broadcast: ${result.txId} (${result.feeRate.toFixed(2)} sat/vB)`);
+                  console.log(`Replaces ${result.replacedTxId}`);
+                }
+              } catch (error) {
+                console.error(`\nError bumping fee: ${error.message}`);
+              }
+              
+              rl.question('\nPress Enter to return to main menu...', () => {
+                showMainMenu();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Flow for managing the keystore of preimages, keys and seeds
+function keystoreFlow() {
+  const keystore = getKeystore();
+  const status = keystore.getStatus();
+  
+  console.log('\n----- Keystore -----');
+  console.log(`Directory: ${keystore.directory}`);
+  console.log(`Status: ${!status.exists ? 'not created' : status.unlocked ? 'unlocked' : 'locked'}` +
+    (status.expiresAt ? ` (locks at ${new Date(status.expiresAt * 1000).toLocaleTimeString()})` : ''));
+  console.log('1. Create keystore');
+  console.log('2. Unlock keystore');
+  console.log('3. Lock keystore');
+  console.log('4. Change passphrase');
+  console.log('5. Import private key');
+  console.log('6. Create HD wallet');
+  console.log('7. Restore HD wallet');
+  console.log('8. Return to Main Menu');
+  
+  rl.question('Enter your choice (1-8): ', (choice) => {
+    switch (choice) {
+      case '1':
+        createKeystoreFlow();
+        break;
+      case '2':
+        unlockKeystoreFlow();
+        break;
+      case '3':
+        keystore.lock();
+        console.log('\nKeystore locked.');
+        keystoreFlow();
+        break;
+      case '4':
+        changePassphraseFlow();
+        break;
+      case '5':
+        importKeyFlow();
+        break;
+      case '6':
+        createWalletFlow();
+        break;
+      case '7':
+        restoreWalletFlow();
+        break;
+      case '8':
+        showMainMenu();
+        break;
+      default:
+        console.log('Invalid choice. Please try again.');
+        keystoreFlow();
+    }
+  });
+}
+
+// Move preimages left in swap records by older versions into the unlocked keystore
+async function sealPreimages() {
+  const sealed = await keystoreModule.sealSwapPreimages(getRepository(), getKeystore());
+  
+  if (sealed > 0) {
+    console.log(`Moved ${sealed} preimage(s) from swap records into the keystore.`);
+  }
+}
+
+// Flow for creating the keystore
+function createKeystoreFlow() {
+  askPassphrase('New passphrase: ', (passphrase) => {
+    askPassphrase('Repeat passphrase: ', async (repeated) => {
       try {
-        console.log('\nProcessing refund...');
+        if (passphrase !== repeated) {
+          throw new Error('The passphrases do not match');
+        }
+        
+        await getKeystore().create(passphrase);
+        console.log('\nKeystore created and unlocked.');
+        await sealPreimages();
+      } catch (error) {
+        console.error(`\nError creating keystore: ${error.message}`);
+      }
+      
+      rl.question('\nPress Enter to return to keystore menu...', () => {
+        keystoreFlow();
+      });
+    });
+  });
+}
+
+// Flow for unlocking the keystore
+function unlockKeystoreFlow() {
+  askPassphrase('Passphrase: ', async (passphrase) => {
+    try {
+      await getKeystore().unlock(passphrase);
+      console.log('\nKeystore unlocked.');
+      await sealPreimages();
+    } catch (error) {
+      console.error(`\nError unlocking keystore: ${error.message}`);
+    }
+    
+    rl.question('\nPress Enter to return to keystore menu...', () => {
+      keystoreFlow();
+    });
+  });
+}
+
+// Flow for changing the keystore passphrase
+function changePassphraseFlow() {
+  askPassphrase('Current passphrase: ', (oldPassphrase) => {
+    askPassphrase('New passphrase: ', (newPassphrase) => {
+      askPassphrase('Repeat new passphrase: ', async (repeated) => {
+        try {
+          if (newPassphrase !== repeated) {
+            throw new Error('The passphrases do not match');
+          }
+          
+          await getKeystore().changePassphrase(oldPassphrase, newPassphrase);
+          console.log('\nPassphrase changed.');
+        } catch (error) {
+          console.error(`\nError changing passphrase: ${error.message}`);
+        }
         
-        const now = Math.floor(Date.now() / 1000);
+        rl.question('\nPress Enter to return to keystore menu...', () => {
+          keystoreFlow();
+        });
+      });
+    });
+  });
+}
+
+// Flow for storing an HTLC private key, used by the watcher and the scriptable commands
+function importKeyFlow() {
+  rl.question(`Role (${keystoreModule.KEY_ROLES.join('/')}): `, (role) => {
+    rl.question('Swap ID (blank to use the key for every swap): ', (swapId) => {
+      askPassphrase('Private key (WIF): ', (privateKey) => {
+        try {
+          getKeystore().setSecret(keystoreModule.keySecretName(role.trim(), swapId.trim() || undefined), privateKey);
+          console.log('\nKey stored.');
+        } catch (error) {
+          console.error(`\nError storing key: ${error.message}`);
+        }
         
-        // Check if timelocks have expired
-        if (now > swap.timeouts.marscoin || now > swap.timeouts.bitcoin) {
-          // Update swap status
-          swap.status = 'refunded';
-          swap.refundedAt = now;
-          saveSwaps();
+        rl.question('\nPress Enter to return to keystore menu...', () => {
+          keystoreFlow();
+        });
+      });
+    });
+  });
+}
+
+// Flow for creating the HD wallet seed that fresh swap keys are derived from
+function createWalletFlow() {
+  const { seedName } = config.getConfig().wallet;
+  
+  try {
+    if (hdWallet.hasWallet(getKeystore(), seedName)) {
+      throw new Error(`The keystore already holds seed ${seedName}`);
+    }
+    
+    const mnemonic = hdWallet.createWallet(getKeystore(), { seedName });
+    
+    console.log(`\nCreated seed ${seedName}. Write down this mnemonic; it restores the keys of every swap derived from it:`);
+    console.log(`\n${mnemonic}`);
+  } catch (error) {
+    console.error(`\nError creating HD wallet: ${error.message}`);
+  }
+  
+  rl.question('\nPress Enter to return to keystore menu...', () => {
+    keystoreFlow();
+  });
+}
+
+// Flow for restoring the HD wallet from its mnemonic and checking the keys of the swaps derived from it
+function restoreWalletFlow() {
+  const { seedName } = config.getConfig().wallet;
+  
+  askPassphrase('Mnemonic: ', (mnemonic) => {
+    try {
+      hdWallet.createWallet(getKeystore(), { seedName, mnemonic });
+      
+      const swaps = hdWallet.restoreSwapKeys(getKeystore(), getRepository(), seedName);
+      
+      console.log(`\nRestored seed ${seedName}: keys of ${swaps.filter((swap) => swap.restored).length} ` +
+        `of ${swaps.length} swap(s) recovered.`);
+      swaps.filter((swap) => !swap.restored).forEach((swap) => {
+        console.log(`  ${swap.id} (index ${swap.index}): keys do not match this mnemonic`);
+      });
+    } catch (error) {
+      console.error(`\nError restoring HD wallet: ${error.message}`);
+    }
+    
+    rl.question('\nPress Enter to return to keystore menu...', () => {
+      keystoreFlow();
+    });
+  });
+}
+
+// Flow for negotiating a swap with a counterparty running their own instance
+function negotiateSwapFlow() {
+  console.log('\n----- Negotiate Swap -----');
+  console.log('1. Create offer (initiator)');
+  console.log('2. Accept offer (participant)');
+  console.log('3. Process incoming message');
+  console.log('4. Send funding notice');
+  console.log('5. Reveal secret (initiator, after claiming the Bitcoin)');
+  console.log('6. Request cooperative close (initiator, Taproot Bitcoin HTLC)');
+  console.log('7. Audit counterparty contract');
+  console.log('8. Return to Main Menu');
+  
+  rl.question('Enter your choice (1-8): ', (choice) => {
+    switch (choice) {
+      case '1':
+        createOfferFlow();
+        break;
+      case '2':
+        acceptOfferFlow();
+        break;
+      case '3':
+        processMessageFlow();
+        break;
+      case '4':
+        fundingNoticeFlow();
+        break;
+      case '5':
+        revealSecretFlow();
+        break;
+      case '6':
+        closeRequestFlow();
+        break;
+      case '7':
+        auditContractFlow();
+        break;
+      case '8':
+        showMainMenu();
+        break;
+      default:
+        console.log('Invalid choice. Please try again.');
+        negotiateSwapFlow();
+    }
+  });
+}
+
+// Flow for offering a swap as the initiator
+function createOfferFlow() {
+  console.log('\n----- Create Swap Offer -----');
+  
+  askOwnKeys('initiator', (own) => {
+    rl.question('Enter Bitcoin amount (in satoshis): ', (btcAmount) => {
+      rl.question('Enter MarsCoin amount: ', async (marscoinAmount) => {
+        try {
+          const cfg = config.getConfig();
           
-          console.log('\nSwap refunded successfully!');
-          console.log('In a real implementation, refund transactions would be broadcast to both blockchains.');
-        } else {
-          console.log('\nTimelocks have not yet expired. Cannot process refund.');
-          console.log(`MarsCoin timelock expires: ${new Date(swap.timeouts.marscoin * 1000).toLocaleString()}`);
-          console.log(`Bitcoin timelock expires: ${new Date(swap.timeouts.bitcoin * 1000).toLocaleString()}`);
+          await checkLiquidity('marscoin', marscoin.toSatoshis(parseFloat(marscoinAmount)));
+          
+          const { swap, message } = swapProtocol.createOffer({
+            initiatorBtcAddress: own.addresses.initiatorBtc,
+            initiatorMarscoinAddress: own.addresses.initiatorMarscoin,
+            initiatorBtcPubKey: own.pubKeys.initiatorBtc,
+            initiatorMarscoinPubKey: own.pubKeys.initiatorMarscoin,
+            btcAmount: parseInt(btcAmount, 10),
+            marscoinAmount: parseFloat(marscoinAmount),
+            timeoutDuration: cfg.bitcoin.timeoutDuration,
+            marscoinTimeoutDuration: cfg.marscoin.timeoutDuration,
+            timelockType: cfg.swap.timelockType,
+            scriptTypes: {
+              bitcoin: cfg.bitcoin.scriptType,
+              marscoin: cfg.marscoin.scriptType
+            },
+            ...getNetworks(cfg),
+            keystore: getKeystore(),
+            derivation: own.derivation
+          });
+          
+          await getRepository().createSwap(swap);
+          
+          console.log(`\nSwap ID: ${swap.id}`);
+          writeMessage(message);
+          console.log('Wait for the participant\'s accept message, then process it.');
+        } catch (error) {
+          console.error(`\nError creating offer: ${error.message}`);
         }
         
+        rl.question('\nPress Enter to return to main menu...', () => {
+          showMainMenu();
+        });
+      });
+    });
+  });
+}
+
+// Flow for accepting an offer as the participant
+function acceptOfferFlow() {
+  console.log('\n----- Accept Swap Offer -----');
+  
+  rl.question('Offer message (JSON or file path): ', (offerInput) => {
+    let offer;
+    
+    try {
+      offer = readMessage(offerInput);
+      const { terms } = offer.payload;
+      
+      console.log(`\nOffer ${offer.swapId}:`);
+      console.log(`You send ${terms.btcAmount} satoshis and receive ${terms.marscoinAmount} MRS`);
+      console.log(`Bitcoin refund after about ${Math.round(terms.timeoutDuration / 60)} minutes (${terms.timelockType})`);
+    } catch (error) {
+      console.error(`\nError reading offer: ${error.message}`);
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+      return;
+    }
+    
+    askOwnKeys('participant', async (own) => {
+      try {
+        // The participant funds the Bitcoin leg
+        await checkLiquidity('bitcoin', offer.payload.terms.btcAmount);
+        
+        const { swap, message } = swapProtocol.acceptOffer(offer, {
+          participantBtcAddress: own.addresses.participantBtc,
+          participantMarscoinAddress: own.addresses.participantMarscoin,
+          participantBtcPubKey: own.pubKeys.participantBtc,
+          participantMarscoinPubKey: own.pubKeys.participantMarscoin,
+          ...getNetworks(config.getConfig()),
+          derivation: own.derivation
+        });
+        
+        await getRepository().createSwap(swap);
+        
+        writeMessage(message);
+        console.log('Wait for the initiator\'s htlc-params message, then process it.');
       } catch (error) {
-        console.error(`\nError processing refund: ${error.message}`);
+        console.error(`\nError accepting offer: ${error.message}`);
+      }
+      
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+    });
+  });
+}
+
+// Flow for handling an accept, htlc-params, funding, secret-reveal, close-request or close-sign message
+function processMessageFlow() {
+  console.log('\n----- Process Incoming Message -----');
+  
+  rl.question('Message (JSON or file path): ', async (messageInput) => {
+    try {
+      const cfg = config.getConfig();
+      const message = readMessage(messageInput);
+      
+      // Signing a cooperative close needs this side's Bitcoin key
+      if (message.type === 'close-request' || message.type === 'close-sign') {
+        processCloseMessage(message);
+        return;
+      }
+      const options = {
+        timelockSettings: timelockPlanner.getTimelockSettings(cfg),
+        btcConfirmations: cfg.bitcoin.confirmations,
+        marscoinConfirmations: cfg.marscoin.confirmations
+      };
+      
+      // The swap is written back only if the message is handled without error
+      await getRepository().updateSwap(message.swapId, async (swap) => {
+        switch (message.type) {
+          case 'accept': {
+            const reply = await swapProtocol.handleAccept(swap, message, btcClient, marscoinClient, options);
+            console.log(`\nBitcoin HTLC Address: ${swap.btcHtlc.address}`);
+            console.log(`MarsCoin HTLC Address: ${swap.marscoinHtlc.address}`);
+            writeMessage(reply);
+            console.log(`Fund the MarsCoin HTLC with ${swap.amounts.marscoin} MRS, then send a funding notice.`);
+            break;
+          }
+          case 'htlc-params':
+            await swapProtocol.handleHtlcParams(swap, message, btcClient, marscoinClient, options);
+            console.log('\nHTLCs verified against the agreed terms.');
+            console.log(`Bitcoin HTLC Address: ${swap.btcHtlc.address} (${describeTimelock(swap, 'bitcoin')})`);
+            console.log(`MarsCoin HTLC Address: ${swap.marscoinHtlc.address} (${describeTimelock(swap, 'marscoin')})`);
+            console.log('Wait for the initiator\'s MarsCoin funding notice before funding the Bitcoin HTLC.');
+            break;
+          case 'funding': {
+            const result = await swapProtocol.handleFundingNotice(swap, message, btcClient, marscoinClient, options);
+            
+            if (!result.verified) {
+              console.log(`\nFunding found with ${result.confirmations}/${result.requiredConfirmations} confirmations; ` +
+                'process the message again once it has confirmed.');
+            } else if (swap.role === 'participant') {
+              console.log('\nMarsCoin HTLC funding verified.');
+              console.log(`Fund the Bitcoin HTLC ${swap.btcHtlc.address} with ${swap.amounts.btc} satoshis, then send a funding notice.`);
+            } else {
+              console.log('\nBitcoin HTLC funding verified. The swap can now be completed.');
+            }
+            break;
+          }
+          case 'secret-reveal':
+            swapProtocol.handleSecretReveal(swap, message);
+            console.log('\nSecret verified. Complete the swap to claim the MarsCoin.');
+            break;
+          default:
+            throw new Error(`Cannot process a ${message.type} message here; use "Accept offer" for offers`);
+        }
+      });
+    } catch (error) {
+      console.error(`\nError processing message: ${error.message}`);
+    }
+    
+    rl.question('\nPress Enter to return to main menu...', () => {
+      showMainMenu();
+    });
+  });
+}
+
+// Flow for telling the counterparty this side's HTLC is funded
+function fundingNoticeFlow() {
+  console.log('\n----- Send Funding Notice -----');
+  
+  rl.question('Enter swap ID: ', (swapId) => {
+    const swap = findSwap(swapId);
+    
+    if (!swap) {
+      console.log('Swap not found. Please check the ID and try again.');
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+      return;
+    }
+    
+    rl.question('Funding transaction ID: ', (txid) => {
+      try {
+        writeMessage(swapProtocol.createFundingNotice(swap, txid.trim()));
+      } catch (error) {
+        console.error(`\nError creating funding notice: ${error.message}`);
+      }
+      
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+    });
+  });
+}
+
+// Flow for revealing the secret to the participant once the Bitcoin has been claimed
+function revealSecretFlow() {
+  console.log('\n----- Reveal Secret -----');
+  
+  rl.question('Enter swap ID: ', (swapId) => {
+    const swap = findSwap(swapId);
+    
+    if (!swap) {
+      console.log('Swap not found. Please check the ID and try again.');
+    } else {
+      try {
+        writeMessage(swapProtocol.createSecretReveal(swap, getKeystore()));
+      } catch (error) {
+        console.error(`\nError revealing secret: ${error.message}`);
+      }
+    }
+    
+    rl.question('\nPress Enter to return to main menu...', () => {
+      showMainMenu();
+    });
+  });
+}
+
+// Flow for asking the participant to close a funded Taproot Bitcoin HTLC through the key path
+function closeRequestFlow() {
+  console.log('\n----- Request Cooperative Close -----');
+  
+  rl.question('Enter swap ID: ', (swapId) => {
+    const swap = findSwap(swapId);
+    
+    if (!swap) {
+      console.log('Swap not found. Please check the ID and try again.');
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+      return;
+    }
+    
+    askSwapKey(swap, 'initiatorBtc', 'Enter your Bitcoin private key (WIF): ', async (privateKey) => {
+      try {
+        const cfg = config.getConfig();
+        const feeRate = await feeEstimator.estimateFeeRate(btcClient, feeEstimator.getFeeSettings(cfg).bitcoin, 'bitcoin');
+        
+        writeMessage(swapProtocol.createCloseRequest(swap, getKeystore(), { privateKey: privateKey.trim(), feeRate }));
+        console.log('The request reveals the secret. If the participant does not answer, claim the Bitcoin as usual.');
+      } catch (error) {
+        console.error(`\nError requesting cooperative close: ${error.message}`);
       }
       
       rl.question('\nPress Enter to return to main menu...', () => {
@@ -326,6 +1226,98 @@ function refundExpiredSwapFlow() {
   });
 }
 
+// Flow for signing a cooperative close as the participant, or completing and broadcasting it as the initiator
+function processCloseMessage(message) {
+  const swap = findSwap(message.swapId);
+  
+  if (!swap) {
+    console.log('Swap not found. Please check the ID and try again.');
+    rl.question('\nPress Enter to return to main menu...', () => {
+      showMainMenu();
+    });
+    return;
+  }
+  
+  const role = message.type === 'close-request' ? 'participantBtc' : 'initiatorBtc';
+  
+  askSwapKey(swap, role, 'Enter your Bitcoin private key (WIF): ', async (privateKey) => {
+    try {
+      const cfg = config.getConfig();
+      
+      await getRepository().updateSwap(swap.id, async (current) => {
+        if (message.type === 'close-request') {
+          const reply = await swapProtocol.handleCloseRequest(current, message, btcClient, marscoinClient, {
+            privateKey: privateKey.trim(),
+            timelockSettings: timelockPlanner.getTimelockSettings(cfg)
+          });
+          
+          writeMessage(reply);
+          console.log('Close signed. Complete the swap to claim the MarsCoin with the secret.');
+          return;
+        }
+        
+        const psbtBase64 = swapProtocol.handleCloseSign(current, message, getKeystore(), { privateKey: privateKey.trim() });
+        const result = await swapCoordinator.finalizeSwapPsbt(current, 'bitcoin', psbtBase64, btcClient);
+        
+        console.log(`\nCooperative close broadcast: ${result.txId}`);
+      });
+    } catch (error) {
+      console.error(`\nError processing ${message.type} message: ${error.message}`);
+    }
+    
+    rl.question('\nPress Enter to return to main menu...', () => {
+      showMainMenu();
+    });
+  });
+}
+
+// Flow for auditing a counterparty's HTLC and funding transaction before funding our own leg
+function auditContractFlow() {
+  console.log('\n----- Audit Counterparty Contract -----');
+  
+  rl.question('Enter swap ID: ', (swapId) => {
+    const swap = findSwap(swapId);
+    
+    if (!swap || !swap.timeouts) {
+      console.log(swap ? 'The HTLCs have not been agreed yet.' : 'Swap not found. Please check the ID and try again.');
+      rl.question('\nPress Enter to return to main menu...', () => {
+        showMainMenu();
+      });
+      return;
+    }
+    
+    rl.question('Chain (bitcoin/marscoin): ', (chain) => {
+      rl.question('Redeem script (hex, blank for the agreed HTLC): ', (redeemScript) => {
+        rl.question('Funding transaction ID (blank for the recorded funding): ', async (fundingTxId) => {
+          try {
+            const cfg = config.getConfig();
+            
+            const report = await contractAudit.auditSwapContract(
+              swap,
+              chain,
+              { redeemScript: redeemScript.trim(), fundingTxId: fundingTxId.trim() },
+              btcClient,
+              marscoinClient,
+              {
+                timelockSettings: timelockPlanner.getTimelockSettings(cfg),
+                confirmations: cfg[chain].confirmations
+              }
+            );
+            
+            console.log(`\n${contractAudit.formatAuditReport(report)}`);
+          } catch (error) {
+            console.error(`\nError auditing contract: ${error.message}`);
+          }
+          
+          rl.question('\nPress Enter to return to main menu...', () => {
+            showMainMenu();
+          });
+        });
+      });
+    });
+  });
+}
+
 // Flow for configuring settings
 function configureSettingsFlow() {
   console.log('\n----- Configure Settings -----');
@@ -362,6 +1354,15 @@ function configureSettingsFlow() {
   });
 }
 
+// Read a fee setting: blank keeps the current value, "auto" switches to fee rate estimates
+function parseFeeInput(input, parse, current) {
+  if (!input) {
+    return current;
+  }
+
+  return input.trim().toLowerCase() === 'auto' ? null : parse(input);
+}
+
 function configureBitcoinSettings() {
   const currentConfig = config.getConfig();
   
@@ -382,8 +1383,8 @@ function configureBitcoinSettings() {
           rl.question(`Timeout Duration (seconds) [${currentConfig.bitcoin.timeoutDuration}]: `, (timeoutDuration) => {
             timeoutDuration = timeoutDuration ? parseInt(timeoutDuration, 10) : currentConfig.bitcoin.timeoutDuration;
             
-            rl.question(`Fee (satoshis) [${currentConfig.bitcoin.fee}]: `, (fee) => {
-              fee = fee ? parseInt(fee, 10) : currentConfig.bitcoin.fee;
+            rl.question(`Fixed fee in satoshis, or "auto" to estimate [${currentConfig.bitcoin.fee === null ? 'auto' : currentConfig.bitcoin.fee}]: `, (fee) => {
+              fee = parseFeeInput(fee, (value) => parseInt(value, 10), currentConfig.bitcoin.fee);
               
               // Update configuration
               const newConfig = {
@@ -434,8 +1435,8 @@ function configureMarscoinSettings() {
           rl.question(`Timeout Duration (seconds) [${currentConfig.marscoin.timeoutDuration}]: `, (timeoutDuration) => {
             timeoutDuration = timeoutDuration ? parseInt(timeoutDuration, 10) : currentConfig.marscoin.timeoutDuration;
             
-            rl.question(`Fee [${currentConfig.marscoin.fee}]: `, (fee) => {
-              fee = fee ? parseFloat(fee) : currentConfig.marscoin.fee;
+            rl.question(`Fixed fee in MarsCoin, or "auto" to estimate [${currentConfig.marscoin.fee === null ? 'auto' : currentConfig.marscoin.fee}]: `, (fee) => {
+              fee = parseFeeInput(fee, parseFloat, currentConfig.marscoin.fee);
               
               // Update configuration
               const newConfig = {
@@ -474,8 +1475,8 @@ function configureAppSettings() {
   rl.question(`Data Directory [${currentConfig.app.dataDir}]: `, (dataDir) => {
     dataDir = dataDir || currentConfig.app.dataDir;
     
-    rl.question(`Swap Database Filename [${currentConfig.app.swapDatabase}]: `, (swapDatabase) => {
-      swapDatabase = swapDatabase || currentConfig.app.swapDatabase;
+    rl.question(`Swap Directory [${currentConfig.app.swapDirectory}]: `, (swapDirectory) => {
+      swapDirectory = swapDirectory || currentConfig.app.swapDirectory;
       
       rl.question(`Log Level (debug/info/warn/error) [${currentConfig.app.logLevel}]: `, (logLevel) => {
         logLevel = logLevel || currentConfig.app.logLevel;
@@ -484,7 +1485,7 @@ function configureAppSettings() {
         const newConfig = {
           app: {
             dataDir,
-            swapDatabase,
+            swapDirectory,
             logLevel
           }
         };
@@ -503,11 +1504,22 @@ function configureAppSettings() {
 
 // Main function to start the CLI
 function startCli() {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  
   console.log('Starting Bitcoin-MarsCoin Atomic Swap CLI...');
-  console.log('RUNNING IN MOCK MODE - No actual blockchain transactions');
+  console.log(`Bitcoin node: ${config.getConfig().bitcoin.rpc.host}:${config.getConfig().bitcoin.rpc.port}`);
+  console.log(`MarsCoin node: ${config.getConfig().marscoin.rpc.host}:${config.getConfig().marscoin.rpc.port}`);
   
-  // Load existing swaps
-  loadSwaps();
+  // Report the swaps on disk
+  try {
+    const repository = getRepository();
+    console.log(`${repository.listSwaps().length} swap(s) in ${repository.directory}`);
+  } catch (error) {
+    console.error(`Error loading swaps: ${error.message}`);
+  }
   
   // Show the main menu
   showMainMenu();
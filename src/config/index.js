@@ -16,11 +16,20 @@ const defaultConfig = {
       host: '127.0.0.1',
       port: 18332, // 8332 for mainnet, 18332 for testnet
       username: '',
-      password: ''
+      password: '',
+      cookieFile: '', // Used instead of username/password when set
+      wallet: '',
+      timeout: 30000 // Request timeout in milliseconds
     },
     confirmations: 1, // Required confirmations for swap
-    timeoutDuration: 7200, // 2 hours in seconds
-    fee: 1000, // Fee in satoshis
+    timeoutDuration: 7200, // Lifetime of the Bitcoin HTLC in seconds (2 hours)
+    timelockMode: 'height', // 'height' (block height) or 'time' (median-time-past)
+    blockInterval: 600, // Target block interval in seconds
+    fee: null, // Fixed fee in satoshis, or null to size fees from the node's fee rate estimate
+    feeTarget: 6, // Confirmation target in blocks for fee rate estimates
+    minFeeRate: 1, // Fee rate floor in sat/vB
+    maxFeeRate: 200, // Fee rate ceiling in sat/vB
+    scriptType: 'p2sh', // HTLC output type: 'p2sh', 'p2wsh', 'p2sh-p2wsh' or 'p2tr'
   },
   
   // MarsCoin settings
@@ -30,17 +39,104 @@ const defaultConfig = {
       host: '127.0.0.1',
       port: 18555, // 8327 for mainnet, 18555 for testnet
       username: '',
-      password: ''
+      password: '',
+      cookieFile: '', // Used instead of username/password when set
+      wallet: '',
+      timeout: 30000 // Request timeout in milliseconds
     },
     confirmations: 1, // Required confirmations for swap
-    timeoutDuration: 3600, // 1 hour in seconds
-    fee: 0.0001, // Fee in MarsCoin
+    timeoutDuration: 14400, // Minimum lifetime of the MarsCoin HTLC in seconds (4 hours), extended to keep the safety margin
+    timelockMode: 'height', // 'height' (block height) or 'time' (median-time-past)
+    blockInterval: 123, // Target block interval in seconds
+    fee: null, // Fixed fee in MarsCoin, or null to size fees from the node's fee rate estimate
+    feeTarget: 6, // Confirmation target in blocks for fee rate estimates
+    minFeeRate: 1, // Fee rate floor in sat/vB
+    maxFeeRate: 100, // Fee rate ceiling in sat/vB
+    scriptType: 'p2sh', // HTLC output type: 'p2sh', 'p2wsh' or 'p2sh-p2wsh'
+  },
+  
+  // Swap settings
+  swap: {
+    safetyMargin: 3600, // Extra seconds the MarsCoin HTLC must outlive the Bitcoin HTLC, on top of confirmation time
+    timelockType: 'cltv', // 'cltv' (absolute) or 'csv' (relative to each HTLC's funding confirmation)
+  },
+  
+  // Watcher settings
+  watcher: {
+    pollInterval: 30, // Seconds between polls of both nodes
+    autoClaim: true, // Claim funded swaps when the watcher holds the claim key
+    autoRefund: true, // Refund expired legs when the watcher holds the refund key
+    feeBump: true, // Re-broadcast unconfirmed claims and refunds at higher fee rates
+    feeBumpWindow: 7200, // Seconds before a leg's timelock in which its claim fee escalates
+    feeBumpInterval: 600 // Minimum seconds between fee bumps of the same transaction
+  },
+  
+  // Keystore settings
+  keystore: {
+    directory: 'keystore', // Encrypted preimages, keys and seeds, under the data directory
+    unlockTimeout: 300, // Seconds an unlock lasts in the interactive CLI (0 for no limit)
+    scryptCost: 32768 // scrypt N used when a keystore is created or its passphrase changed
+  },
+  
+  // HD wallet settings
+  wallet: {
+    seedName: 'default', // Keystore seed that fresh swap keys are derived from
+    account: 0 // Hardened account index of the derivation paths
+  },
+  
+  // REST API settings (the server listens on app.port)
+  api: {
+    host: '127.0.0.1', // Interface to listen on; put a TLS proxy in front before exposing it further
+    maxBodySize: 65536, // Largest request body accepted, in bytes
+    eventPollInterval: 1000 // Milliseconds between checks of the event journal for event stream clients
+  },
+  
+  // Webhook settings (deliveries are made by the watcher)
+  webhooks: {
+    endpoints: [], // { url, secret, events }: events lists the event types to send (all if omitted)
+    directory: 'webhooks', // Delivery log, under the data directory
+    timeout: 10000, // Milliseconds to wait for an endpoint to answer
+    maxAttempts: 10, // Attempts before a delivery is given up as failed
+    initialBackoff: 30, // Seconds before the first retry, doubled after each failed attempt
+    maxBackoff: 3600, // Longest wait between retries, in seconds
+    dispatchInterval: 5, // Seconds between passes over the journal and the due deliveries
+    maxAttemptsPerPass: 50 // Most delivery attempts in one pass; the rest wait for the next
+  },
+  
+  // Quote settings (the mid rate is in MRS per BTC)
+  quotes: {
+    rateSource: 'static', // 'static' (rate), 'file' (rateFile) or 'feed' (feedModule)
+    rate: 0, // Mid rate of the static source, and of the local stand-in feed
+    rateFile: 'rate.json', // { "rate", "updatedAt" } kept current by another process, under the data directory
+    feedModule: '', // Module exporting getRate(cfg) => { rate, updatedAt }, under the data directory; empty for the local stand-in
+    maxRateAge: 300, // Seconds after which a file or feed rate is too old to quote from
+    spread: 0.02, // Fraction of the mid rate kept by the provider
+    minBtcAmount: 10000, // Smallest swap quoted, in satoshis
+    maxBtcAmount: 100000000, // Largest swap quoted, in satoshis
+    feePassThrough: true, // Take the estimated Bitcoin claim and MarsCoin funding fees off the MarsCoin quoted
+    ttl: 300, // Seconds a quote can be accepted for
+    directory: 'quotes' // Issued quotes, under the data directory
+  },
+
+  // Limits on the capital the provider commits to open swaps
+  liquidity: {
+    maxOpenSwaps: 0, // Most swaps open at once (0 for no limit)
+    maxBtcLocked: 0, // Most satoshis reserved for or locked in Bitcoin HTLCs the provider funds (0 for no limit)
+    maxMarscoinLocked: 0, // Most MRS reserved for or locked in MarsCoin HTLCs the provider funds (0 for no limit)
+    btcReserve: 0, // Satoshis kept in the Bitcoin wallet, never committed to swaps
+    marscoinReserve: 0, // MRS kept in the MarsCoin wallet, never committed to swaps
+    checkBalance: true, // Refuse swaps the wallet balance not yet reserved for other swaps cannot fund
+    overLimit: 'refuse', // 'refuse' a swap over a limit, or 'queue' it until open swaps finish
+    queueTimeout: 3600, // Seconds a queued swap request waits before it expires
+    expiryBuckets: [3600, 21600, 86400], // Upper bounds in seconds of the exposure report's refund timelock buckets
+    directory: 'liquidity' // Queued swap requests, under the data directory
   },
   
   // Application settings
   app: {
     dataDir: path.join(os.homedir(), '.btc-mars-bridge'),
-    swapDatabase: 'swaps.json',
+    swapDirectory: 'swaps', // One file per swap, with finished swaps under archive/
+    swapDatabase: 'swaps.json', // Single-file database of older versions, imported into swapDirectory on first use
     logLevel: 'info',
     port: 3000,
   }
@@ -73,6 +169,14 @@ function loadConfig(configPath) {
         // Merge nested objects instead of replacing them
         bitcoin: { ...defaultConfig.bitcoin, ...loadedConfig.bitcoin },
         marscoin: { ...defaultConfig.marscoin, ...loadedConfig.marscoin },
+        swap: { ...defaultConfig.swap, ...loadedConfig.swap },
+        watcher: { ...defaultConfig.watcher, ...loadedConfig.watcher },
+        keystore: { ...defaultConfig.keystore, ...loadedConfig.keystore },
+        wallet: { ...defaultConfig.wallet, ...loadedConfig.wallet },
+        api: { ...defaultConfig.api, ...loadedConfig.api },
+        webhooks: { ...defaultConfig.webhooks, ...loadedConfig.webhooks },
+        quotes: { ...defaultConfig.quotes, ...loadedConfig.quotes },
+        liquidity: { ...defaultConfig.liquidity, ...loadedConfig.liquidity },
         app: { ...defaultConfig.app, ...loadedConfig.app }
       };
       console.log(`Configuration loaded from ${configPath}`);
@@ -126,6 +230,38 @@ function updateConfig(newConfig) {
     }
   }
   
+  if (newConfig.swap) {
+    config.swap = { ...config.swap, ...newConfig.swap };
+  }
+  
+  if (newConfig.watcher) {
+    config.watcher = { ...config.watcher, ...newConfig.watcher };
+  }
+  
+  if (newConfig.keystore) {
+    config.keystore = { ...config.keystore, ...newConfig.keystore };
+  }
+  
+  if (newConfig.wallet) {
+    config.wallet = { ...config.wallet, ...newConfig.wallet };
+  }
+  
+  if (newConfig.api) {
+    config.api = { ...config.api, ...newConfig.api };
+  }
+  
+  if (newConfig.webhooks) {
+    config.webhooks = { ...config.webhooks, ...newConfig.webhooks };
+  }
+  
+  if (newConfig.quotes) {
+    config.quotes = { ...config.quotes, ...newConfig.quotes };
+  }
+  
+  if (newConfig.liquidity) {
+    config.liquidity = { ...config.liquidity, ...newConfig.liquidity };
+  }
+  
   if (newConfig.app) {
     config.app = { ...config.app, ...newConfig.app };
   }
@@ -4,29 +4,47 @@
  */
 
 const bitcoin = require('bitcoinjs-lib');
-const crypto = require('crypto');
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+const htlcScript = require('./htlc-script');
+const feeEstimator = require('./fee-estimator');
+const htlcPsbt = require('./htlc-psbt');
+const keys = require('./keys');
+const taproot = require('./taproot');
+
+const ECPair = ECPairFactory(ecc);
 
 /**
  * Create a Bitcoin HTLC transaction
  * @param {Object} params
  * @param {Buffer} params.hashLock - The SHA256 hash to use as hashlock
- * @param {number} params.timelock - Absolute timelock (block height)
- * @param {string} params.recipientPubKey - Recipient's public key
- * @param {string} params.refundPubKey - Refund public key
+ * @param {number} params.timelock - Absolute locktime (cltv) or BIP68 sequence number from htlcScript.encodeRelativeTimelock (csv)
+ * @param {string|Buffer} params.recipientPubKey - Recipient's compressed public key
+ * @param {string|Buffer} params.refundPubKey - Refund compressed public key
  * @param {Object} params.network - Bitcoin network object
+ * @param {string} [params.scriptType='p2sh'] - Output type: 'p2sh', 'p2wsh', 'p2sh-p2wsh' or 'p2tr'
+ * @param {string} [params.internalPubKey] - Taproot internal key, defaults to the aggregate of both public keys
+ * @param {string} [params.timelockType='cltv'] - 'cltv' for an absolute refund timelock, 'csv' for one relative to the funding confirmation
  * @returns {Object} HTLC details including address
  */
 async function createHtlc(params) {
-  const { hashLock, timelock, recipientPubKey, refundPubKey, network } = params;
+  const { hashLock, timelock, recipientPubKey, refundPubKey, network, scriptType = 'p2sh', timelockType = 'cltv' } = params;
   
-  // Convert public keys to Buffer if they're strings
-  const recipientPubKeyBuffer = Buffer.isBuffer(recipientPubKey) 
-    ? recipientPubKey 
-    : Buffer.from(recipientPubKey, 'hex');
-    
-  const refundPubKeyBuffer = Buffer.isBuffer(refundPubKey)
-    ? refundPubKey
-    : Buffer.from(refundPubKey, 'hex');
+  // Parse and validate the public keys
+  const recipientPubKeyBuffer = keys.parsePublicKey(recipientPubKey, 'recipient public key');
+  const refundPubKeyBuffer = keys.parsePublicKey(refundPubKey, 'refund public key');
+
+  if (scriptType === 'p2tr') {
+    return createTaprootHtlc({
+      hashLock,
+      timelock,
+      recipientPubKey: recipientPubKeyBuffer,
+      refundPubKey: refundPubKeyBuffer,
+      internalPubKey: params.internalPubKey,
+      network,
+      timelockType
+    });
+  }
 
   // Create the redeem script for HTLC
   const redeemScript = bitcoin.script.compile([
@@ -36,162 +54,313 @@ async function createHtlc(params) {
     bitcoin.opcodes.OP_EQUALVERIFY,
     bitcoin.opcodes.OP_DUP,
     bitcoin.opcodes.OP_HASH160,
-    bitcoin.crypto.hash160(recipientPubKeyBuffer),
+    keys.hash160(recipientPubKeyBuffer),
     bitcoin.opcodes.OP_EQUALVERIFY,
     bitcoin.opcodes.OP_CHECKSIG,
     bitcoin.opcodes.OP_ELSE,
-    bitcoin.script.number.encode(timelock),
-    bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY,
+    ...htlcScript.timelockOps(bitcoin, timelockType, timelock),
     bitcoin.opcodes.OP_DROP,
     bitcoin.opcodes.OP_DUP,
     bitcoin.opcodes.OP_HASH160,
-    bitcoin.crypto.hash160(refundPubKeyBuffer),
+    keys.hash160(refundPubKeyBuffer),
     bitcoin.opcodes.OP_EQUALVERIFY,
     bitcoin.opcodes.OP_CHECKSIG,
     bitcoin.opcodes.OP_ENDIF
   ]);
 
-  // Create P2SH address from redeem script
-  const p2sh = bitcoin.payments.p2sh({
-    redeem: { output: redeemScript, network },
-    network
-  });
+  // Create the HTLC address from the redeem script
+  const payment = htlcScript.createHtlcPayment(bitcoin, redeemScript, scriptType, network);
 
   return {
-    address: p2sh.address,
+    address: payment.address,
+    scriptType,
     redeemScript: redeemScript.toString('hex'),
-    p2shOutput: p2sh.output.toString('hex'),
-    locktime: timelock
+    outputScript: payment.output.toString('hex'),
+    p2shOutput: scriptType === 'p2wsh' ? null : payment.output.toString('hex'),
+    timelockType,
+    locktime: timelockType === 'cltv' ? timelock : null,
+    sequence: timelockType === 'csv' ? timelock : null
+  };
+}
+
+/**
+ * Create a Taproot HTLC whose claim and refund branches are tapscript leaves
+ * The internal key is the aggregate of both parties' keys unless one is given, so the output can
+ * also be spent through the key path with a MuSig2 signature from both (see cooperative-close.js)
+ * @param {Object} params
+ * @param {Buffer} params.hashLock - The SHA256 hash to use as hashlock
+ * @param {number} params.timelock - Absolute locktime (cltv) or BIP68 sequence number (csv)
+ * @param {Buffer} params.recipientPubKey - Recipient's public key
+ * @param {Buffer} params.refundPubKey - Refund public key
+ * @param {string|Buffer} [params.internalPubKey] - Internal key override
+ * @param {Object} params.network - Bitcoin network object
+ * @param {string} params.timelockType - 'cltv' or 'csv'
+ * @returns {Object} HTLC details including address
+ */
+function createTaprootHtlc(params) {
+  const { hashLock, timelock, recipientPubKey, refundPubKey, network, timelockType } = params;
+
+  const internalPubKey = params.internalPubKey
+    ? taproot.toXOnly(Buffer.from(params.internalPubKey, 'hex'))
+    : taproot.toXOnly(taproot.aggregatePublicKeys([recipientPubKey, refundPubKey]));
+
+  const tapLeaves = taproot.buildLeaves({ hashLock, timelock, timelockType, recipientPubKey, refundPubKey });
+  const payment = taproot.createTaprootPayment(tapLeaves, internalPubKey, network);
+
+  return {
+    address: payment.address,
+    scriptType: 'p2tr',
+    redeemScript: null,
+    internalPubKey: internalPubKey.toString('hex'),
+    tapLeaves: {
+      claim: tapLeaves.claim.toString('hex'),
+      refund: tapLeaves.refund.toString('hex')
+    },
+    outputScript: payment.output.toString('hex'),
+    p2shOutput: null,
+    timelockType,
+    locktime: timelockType === 'cltv' ? timelock : null,
+    sequence: timelockType === 'csv' ? timelock : null
+  };
+}
+
+/**
+ * Decode the hex-encoded Taproot spend data of an HTLC
+ * @param {Object} tapLeaves - Hex-encoded claim and refund leaves
+ * @param {string} internalPubKey - Hex-encoded x-only internal key
+ * @returns {Object} Buffers for the leaves and internal key
+ */
+function decodeTaprootParams(tapLeaves, internalPubKey) {
+  if (!tapLeaves || !internalPubKey) {
+    throw new Error('tapLeaves and internalPubKey are required to spend a p2tr HTLC');
+  }
+
+  return {
+    tapLeaves: {
+      claim: Buffer.from(tapLeaves.claim, 'hex'),
+      refund: Buffer.from(tapLeaves.refund, 'hex')
+    },
+    internalPubKey: Buffer.from(internalPubKey, 'hex')
   };
 }
 
 /**
  * Create a transaction to claim funds from an HTLC using the preimage
  * @param {Object} params
- * @param {string} params.htlcTxId - Transaction ID of the HTLC funding transaction
- * @param {number} params.htlcVout - Output index of the HTLC in the funding transaction
+ * @param {Array<Object>} [params.inputs] - HTLC outputs to spend ({ txid, vout, value in satoshis });
+ *   defaults to the single output htlcTxId:htlcVout worth amount
+ * @param {string} [params.htlcTxId] - Transaction ID of the HTLC funding transaction
+ * @param {number} [params.htlcVout] - Output index of the HTLC in the funding transaction
  * @param {string} params.redeemScript - Hex-encoded redeem script
  * @param {string} params.preimage - Hex-encoded preimage that hashes to the hashlock
  * @param {string} params.privateKey - WIF private key to sign the transaction
  * @param {string} params.destinationAddress - Address to send the claimed funds to
- * @param {number} params.amount - Amount to claim in satoshis (minus fee)
- * @param {number} params.fee - Transaction fee in satoshis
+ * @param {number} [params.amount] - Value of the HTLC output in satoshis
+ * @param {number} [params.fee] - Fixed transaction fee in satoshis (subtracted from the total value of the inputs)
+ * @param {number} [params.feeRate] - Fee rate in sat/vB, used to size the fee when no fixed fee is given
  * @param {Object} params.network - Bitcoin network object
+ * @param {string} [params.scriptType='p2sh'] - Output type of the HTLC being spent
+ * @param {Object} [params.tapLeaves] - Hex-encoded claim and refund leaves (p2tr only)
+ * @param {string} [params.internalPubKey] - Hex-encoded internal key (p2tr only)
  * @returns {Object} Transaction details
  */
 async function claimHtlcWithPreimage(params) {
   const {
-    htlcTxId,
-    htlcVout,
     redeemScript,
     preimage,
     privateKey,
     destinationAddress,
-    amount,
-    fee,
-    network
+    network,
+    scriptType = 'p2sh',
+    tapLeaves,
+    internalPubKey
   } = params;
 
-  // Create transaction
-  const tx = new bitcoin.Transaction();
-  
-  // Add input from HTLC
-  tx.addInput(Buffer.from(htlcTxId, 'hex').reverse(), htlcVout);
-  
-  // Add output to destination address
-  const outputScript = bitcoin.address.toOutputScript(destinationAddress, network);
-  tx.addOutput(outputScript, amount - fee);
+  // Spend every HTLC output to the destination address
+  const inputs = htlcScript.getSpendInputs(params);
+  const fee = feeEstimator.getSpendFee(bitcoin, { ...params, path: 'claim', inputCount: inputs.length });
+  const tx = htlcScript.createSpendTransaction(bitcoin, { inputs, destinationAddress, fee, network });
 
-  // Sign the transaction
-  const keyPair = bitcoin.ECPair.fromWIF(privateKey, network);
-  const redeemScriptBuffer = Buffer.from(redeemScript, 'hex');
-  const preimageBuffer = Buffer.from(preimage, 'hex');
-  
-  // Create the witness stack for spending the HTLC
-  const hashType = bitcoin.Transaction.SIGHASH_ALL;
-  const signatureHash = tx.hashForSignature(0, redeemScriptBuffer, hashType);
-  const signature = keyPair.sign(signatureHash).toDER();
-  
-  // Set the input script with the preimage and signature
-  const inputScript = bitcoin.script.compile([
-    Buffer.concat([signature, Buffer.from([hashType])]),
-    keyPair.publicKey,
-    preimageBuffer,
-    bitcoin.opcodes.OP_TRUE,
-    redeemScriptBuffer
-  ]);
-  
-  tx.setInputScript(0, inputScript);
+  // Sign the transaction, revealing the preimage in the claim branch
+  signHtlcInputs(tx, inputs, {
+    path: 'claim',
+    redeemScript,
+    scriptType,
+    tapLeaves,
+    internalPubKey,
+    keyPair: ECPair.fromWIF(privateKey, network),
+    unlock: [Buffer.from(preimage, 'hex')],
+    network
+  });
   
   return {
     txHex: tx.toHex(),
-    txId: tx.getId()
+    txId: tx.getId(),
+    fee
   };
 }
 
 /**
  * Create a transaction to refund funds from an HTLC after timeout
  * @param {Object} params
- * @param {string} params.htlcTxId - Transaction ID of the HTLC funding transaction
- * @param {number} params.htlcVout - Output index of the HTLC in the funding transaction
+ * @param {Array<Object>} [params.inputs] - HTLC outputs to spend ({ txid, vout, value in satoshis });
+ *   defaults to the single output htlcTxId:htlcVout worth amount
+ * @param {string} [params.htlcTxId] - Transaction ID of the HTLC funding transaction
+ * @param {number} [params.htlcVout] - Output index of the HTLC in the funding transaction
  * @param {string} params.redeemScript - Hex-encoded redeem script
  * @param {string} params.privateKey - WIF private key to sign the transaction
  * @param {string} params.refundAddress - Address to refund the funds to
- * @param {number} params.amount - Amount to refund in satoshis (minus fee)
- * @param {number} params.fee - Transaction fee in satoshis
- * @param {number} params.locktime - Timelock value (must be expired)
+ * @param {number} [params.amount] - Value of the HTLC output in satoshis
+ * @param {number} [params.fee] - Fixed transaction fee in satoshis (subtracted from the total value of the inputs)
+ * @param {number} [params.feeRate] - Fee rate in sat/vB, used to size the fee when no fixed fee is given
+ * @param {number} [params.locktime] - Absolute timelock value (must be expired), for cltv HTLCs
+ * @param {number} [params.sequence] - BIP68 sequence number of the relative timelock, for csv HTLCs
  * @param {Object} params.network - Bitcoin network object
+ * @param {string} [params.scriptType='p2sh'] - Output type of the HTLC being spent
+ * @param {Object} [params.tapLeaves] - Hex-encoded claim and refund leaves (p2tr only)
+ * @param {string} [params.internalPubKey] - Hex-encoded internal key (p2tr only)
  * @returns {Object} Transaction details
  */
 async function refundHtlcAfterTimeout(params) {
   const {
-    htlcTxId,
-    htlcVout,
     redeemScript,
     privateKey,
     refundAddress,
-    amount,
-    fee,
     locktime,
-    network
+    sequence,
+    network,
+    scriptType = 'p2sh',
+    tapLeaves,
+    internalPubKey
   } = params;
 
-  // Create transaction with locktime set
-  const tx = new bitcoin.Transaction();
-  tx.locktime = locktime;
-  
-  // Add input from HTLC with sequence set to enable locktime
-  tx.addInput(Buffer.from(htlcTxId, 'hex').reverse(), htlcVout, 0xfffffffe);
-  
-  // Add output to refund address
-  const outputScript = bitcoin.address.toOutputScript(refundAddress, network);
-  tx.addOutput(outputScript, amount - fee);
+  // Spend every HTLC output back to the refund address once the timelock allows it
+  const inputs = htlcScript.getSpendInputs(params);
+  const fee = feeEstimator.getSpendFee(bitcoin, {
+    ...params,
+    path: 'refund',
+    destinationAddress: refundAddress,
+    inputCount: inputs.length
+  });
+  const tx = htlcScript.createSpendTransaction(bitcoin, {
+    inputs,
+    destinationAddress: refundAddress,
+    fee,
+    network,
+    refund: true,
+    locktime,
+    sequence
+  });
 
-  // Sign the transaction
-  const keyPair = bitcoin.ECPair.fromWIF(privateKey, network);
-  const redeemScriptBuffer = Buffer.from(redeemScript, 'hex');
-  
-  // Create the witness stack for spending the HTLC after timeout
-  const hashType = bitcoin.Transaction.SIGHASH_ALL;
-  const signatureHash = tx.hashForSignature(0, redeemScriptBuffer, hashType);
-  const signature = keyPair.sign(signatureHash).toDER();
-  
-  // Set the input script for refund path
-  const inputScript = bitcoin.script.compile([
-    Buffer.concat([signature, Buffer.from([hashType])]),
-    keyPair.publicKey,
-    bitcoin.opcodes.OP_FALSE,
-    redeemScriptBuffer
-  ]);
-  
-  tx.setInputScript(0, inputScript);
+  // Sign the transaction for the refund branch
+  signHtlcInputs(tx, inputs, {
+    path: 'refund',
+    redeemScript,
+    scriptType,
+    tapLeaves,
+    internalPubKey,
+    keyPair: ECPair.fromWIF(privateKey, network),
+    unlock: [],
+    network
+  });
   
   return {
     txHex: tx.toHex(),
-    txId: tx.getId()
+    txId: tx.getId(),
+    fee
   };
 }
 
+/**
+ * Sign every HTLC input of a claim or refund through the matching script branch or tapscript leaf
+ * @param {Object} tx - Transaction being built
+ * @param {Array<Object>} inputs - HTLC outputs being spent, in input order
+ * @param {Object} params
+ * @param {string} params.path - 'claim' or 'refund'
+ * @param {string} [params.redeemScript] - Hex-encoded redeem script (non-Taproot)
+ * @param {string} params.scriptType - Output type of the HTLC being spent
+ * @param {Object} [params.tapLeaves] - Hex-encoded claim and refund leaves (p2tr only)
+ * @param {string} [params.internalPubKey] - Hex-encoded internal key (p2tr only)
+ * @param {Object} params.keyPair - Key pair used to sign
+ * @param {Buffer[]} params.unlock - Extra stack items, e.g. [preimage] for claims
+ * @param {Object} params.network - Bitcoin network object
+ */
+function signHtlcInputs(tx, inputs, params) {
+  const { path, redeemScript, scriptType, tapLeaves, internalPubKey, keyPair, unlock, network } = params;
+
+  if (scriptType === 'p2tr') {
+    const decoded = decodeTaprootParams(tapLeaves, internalPubKey);
+    const amounts = inputs.map((input) => input.value);
+
+    inputs.forEach((input, inputIndex) => {
+      taproot.signScriptPath(tx, {
+        inputIndex,
+        tapLeaves: decoded.tapLeaves,
+        internalPubKey: decoded.internalPubKey,
+        leaf: decoded.tapLeaves[path],
+        amounts,
+        keyPair,
+        unlock,
+        network
+      });
+    });
+    return;
+  }
+
+  inputs.forEach((input, inputIndex) => {
+    htlcScript.signHtlcInput(bitcoin, tx, {
+      inputIndex,
+      redeemScript: Buffer.from(redeemScript, 'hex'),
+      scriptType,
+      amount: input.value,
+      keyPair,
+      unlock: path === 'claim' ? [...unlock, true] : [false],
+      network
+    });
+  });
+}
+
+/**
+ * Create an unsigned PSBT claiming an HTLC with the preimage, for signing outside this process
+ * @param {Object} params - Same as claimHtlcWithPreimage, without privateKey
+ * @param {string} [params.fundingTxHex] - Full funding transaction, required for P2SH HTLCs
+ * @param {Object} [params.fundingTxHexes] - Full funding transactions keyed by txid, when P2SH inputs come from several
+ * @returns {string} Base64-encoded PSBT carrying the redeem script and preimage
+ */
+async function createClaimPsbt(params) {
+  return htlcPsbt.createHtlcPsbt(bitcoin, {
+    scriptType: 'p2sh',
+    ...params,
+    path: 'claim'
+  });
+}
+
+/**
+ * Create an unsigned PSBT refunding an HTLC after timeout, for signing outside this process
+ * @param {Object} params - Same as refundHtlcAfterTimeout, without privateKey
+ * @param {string} [params.fundingTxHex] - Full funding transaction, required for P2SH HTLCs
+ * @param {Object} [params.fundingTxHexes] - Full funding transactions keyed by txid, when P2SH inputs come from several
+ * @returns {string} Base64-encoded PSBT carrying the redeem script and locktime
+ */
+async function createRefundPsbt(params) {
+  return htlcPsbt.createHtlcPsbt(bitcoin, {
+    scriptType: 'p2sh',
+    ...params,
+    destinationAddress: params.refundAddress,
+    path: 'refund'
+  });
+}
+
+/**
+ * Finalize an externally signed claim or refund PSBT
+ * @param {string} psbtBase64 - Base64-encoded signed PSBT
+ * @param {Object} network - Bitcoin network object
+ * @returns {Object} Transaction details
+ */
+async function finalizeHtlcPsbt(psbtBase64, network) {
+  return htlcPsbt.finalizeHtlcPsbt(bitcoin, psbtBase64, network);
+}
+
 /**
  * Verify a Bitcoin transaction has enough confirmations
  * @param {string} txId - Transaction ID to check
@@ -209,6 +378,27 @@ async function verifyBitcoinConfirmations(txId, requiredConfirmations, rpcClient
   }
 }
 
+/**
+ * Find the preimage for a hashlock in a Bitcoin transaction
+ * @param {string} txHex - Hex-encoded transaction, e.g. an HTLC claim
+ * @param {Buffer} expectedHash - Expected SHA256 hash that the preimage should match
+ * @returns {string|null} Hex-encoded preimage if found, null otherwise
+ */
+function extractPreimageFromTransaction(txHex, expectedHash) {
+  const tx = bitcoin.Transaction.fromHex(txHex);
+  
+  // Examine each input script and witness for a potential preimage
+  for (const input of tx.ins) {
+    const preimage = htlcScript.findPreimageInInput(bitcoin, input, expectedHash);
+    
+    if (preimage) {
+      return preimage.toString('hex');
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Extract and validate preimage from a Bitcoin transaction
  * @param {string} txId - Transaction ID to extract preimage from
@@ -220,28 +410,7 @@ async function extractPreimageFromBitcoinTx(txId, expectedHash, rpcClient) {
   try {
     // Get raw transaction
     const txHex = await rpcClient.getRawTransaction(txId);
-    const tx = bitcoin.Transaction.fromHex(txHex);
-    
-    // Examine each input for a potential preimage
-    for (const input of tx.ins) {
-      // Parse the input script
-      const inputScript = bitcoin.script.decompile(input.script);
-      
-      // Look for a 32-byte value that could be the preimage
-      for (const item of inputScript) {
-        if (Buffer.isBuffer(item) && item.length === 32) {
-          // Hash the potential preimage
-          const hash = crypto.createHash('sha256').update(item).digest();
-          
-          // Compare to expected hash
-          if (hash.equals(expectedHash)) {
-            return item.toString('hex');
-          }
-        }
-      }
-    }
-    
-    return null;
+    return extractPreimageFromTransaction(txHex, expectedHash);
   } catch (error) {
     console.error(`Error extracting preimage from Bitcoin tx: ${error.message}`);
     return null;
@@ -252,6 +421,10 @@ module.exports = {
   createHtlc,
   claimHtlcWithPreimage,
   refundHtlcAfterTimeout,
+  createClaimPsbt,
+  createRefundPsbt,
+  finalizeHtlcPsbt,
   verifyBitcoinConfirmations,
+  extractPreimageFromTransaction,
   extractPreimageFromBitcoinTx
 };
\ No newline at end of file
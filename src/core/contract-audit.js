@@ -0,0 +1,314 @@
+/**
+ * Contract Audit
+ * This module checks an HTLC received from a counterparty before anything is sent to it: it decodes the
+ * redeem script (or the Taproot leaves), compares the hashlock, keys and timelock with the agreed terms, and
+ * checks that the funding transaction pays the HTLC address in full. The result is a pass/fail report, one line per check.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const marscoin = require('./marscoin-lib-wrapper');
+const keys = require('./keys');
+const htlcScript = require('./htlc-script');
+const taproot = require('./taproot');
+const timelockPlanner = require('./timelock-planner');
+const swapCoordinator = require('./swap-coordinator');
+
+/**
+ * Turn a public key or pubkey hash into a pubkey hash
+ * @param {string|Buffer} key - Compressed public key or 20-byte pubkey hash (hex or raw)
+ * @param {string} label - Name used in error messages
+ * @returns {Buffer} 20-byte pubkey hash
+ */
+function toPubKeyHash(key, label) {
+  const buffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key), 'hex');
+  return buffer.length === 20 ? buffer : keys.hash160(keys.parsePublicKey(buffer, label));
+}
+
+/**
+ * Audit an HTLC on either chain
+ * @param {Object} params
+ * @param {string} params.chain - 'bitcoin' or 'marscoin'
+ * @param {string} [params.redeemScript] - Hex-encoded redeem script (witness script for SegWit types)
+ * @param {Object} [params.tapLeaves] - Hex-encoded claim and refund leaves, for a Bitcoin Taproot HTLC instead
+ *   of a redeem script
+ * @param {string} [params.internalPubKey] - Hex-encoded x-only internal key of a Taproot HTLC
+ * @param {string} params.fundingTxId - Transaction ID said to fund the HTLC
+ * @param {Object} params.network - Network object of the chain
+ * @param {Object} params.expected - Agreed terms
+ * @param {string} params.expected.hash - Hex-encoded SHA256 hashlock
+ * @param {string|Buffer} params.expected.recipientPubKey - Public key (or pubkey hash) that claims with the preimage
+ * @param {string|Buffer} params.expected.refundPubKey - Public key (or pubkey hash) that refunds after the timelock;
+ *   Taproot HTLCs need both full public keys
+ * @param {string} [params.expected.internalPubKey] - Taproot internal key (defaults to the aggregate of both keys)
+ * @param {number} params.expected.amount - Minimum value of the HTLC output(s) in satoshis
+ * @param {string} [params.expected.address] - HTLC address
+ * @param {string} [params.expected.scriptType] - HTLC output type (detected from the funding transaction if omitted)
+ * @param {string} [params.expected.timelockType] - 'cltv' or 'csv'
+ * @param {number} [params.expected.minSecondsRemaining] - Shortest acceptable time until the refund path opens
+ * @param {number} [params.expected.maxSecondsRemaining] - Longest acceptable time until the refund path opens
+ * @param {number} [params.expected.confirmations] - Required confirmations of the funding transaction
+ * @param {number} [params.blockInterval] - Block interval of the chain in seconds
+ * @param {Object} rpcClient - RPC client for the chain
+ * @returns {Object} Report with passed, the decoded contract, the funding found and the individual checks
+ */
+async function auditContract(params, rpcClient) {
+  const { chain, redeemScript, tapLeaves, internalPubKey, fundingTxId, network, expected } = params;
+  const lib = chain === 'bitcoin' ? bitcoin : marscoin;
+  const isTaproot = !!tapLeaves;
+
+  if (isTaproot && (chain !== 'bitcoin' || !internalPubKey)) {
+    throw new Error('Taproot HTLCs are Bitcoin only and need both the tapLeaves and the internalPubKey to audit');
+  }
+
+  const leaves = isTaproot
+    ? { claim: Buffer.from(tapLeaves.claim, 'hex'), refund: Buffer.from(tapLeaves.refund, 'hex') }
+    : null;
+  const internalPubKeyBuffer = isTaproot ? taproot.toXOnly(Buffer.from(internalPubKey, 'hex')) : null;
+  const blockInterval = params.blockInterval || timelockPlanner.DEFAULT_SETTINGS[chain].blockInterval;
+  const checks = [];
+  const report = { chain, passed: false, contract: null, funding: null, checks };
+
+  const check = (name, passed, message) => {
+    checks.push({ name, passed: !!passed, message });
+    return passed;
+  };
+
+  // Script: everything else is read from it
+  let decoded;
+
+  try {
+    decoded = isTaproot
+      ? taproot.decodeLeaves(leaves)
+      : htlcScript.decodeHtlcScript(lib, Buffer.from(redeemScript, 'hex'));
+    check('script', true, isTaproot
+      ? 'Tapscript leaves are the standard HTLC claim and refund leaves'
+      : 'Redeem script is a standard HTLC');
+  } catch (error) {
+    check('script', false, error.message);
+    return report;
+  }
+
+  report.contract = { hash: decoded.hashLock.toString('hex') };
+
+  check('hashlock', report.contract.hash === String(expected.hash).toLowerCase(),
+    `Hashlock ${report.contract.hash} (expected ${expected.hash})`);
+
+  if (isTaproot) {
+    // Leaves name x-only keys, so the agreed keys must be full public keys rather than hashes
+    const recipientPubKey = keys.parsePublicKey(expected.recipientPubKey, 'recipient public key');
+    const refundPubKey = keys.parsePublicKey(expected.refundPubKey, 'refund public key');
+    const expectedInternalPubKey = expected.internalPubKey
+      ? taproot.toXOnly(Buffer.from(expected.internalPubKey, 'hex'))
+      : taproot.aggregatePublicKeys([recipientPubKey, refundPubKey]);
+
+    Object.assign(report.contract, {
+      recipientPubKey: decoded.recipientPubKey.toString('hex'),
+      refundPubKey: decoded.refundPubKey.toString('hex'),
+      internalPubKey: internalPubKeyBuffer.toString('hex')
+    });
+
+    check('recipient', decoded.recipientPubKey.equals(taproot.toXOnly(recipientPubKey)),
+      `Claim leaf pays key ${report.contract.recipientPubKey} (expected ${taproot.toXOnly(recipientPubKey).toString('hex')})`);
+    check('refund', decoded.refundPubKey.equals(taproot.toXOnly(refundPubKey)),
+      `Refund leaf pays key ${report.contract.refundPubKey} (expected ${taproot.toXOnly(refundPubKey).toString('hex')})`);
+
+    // Any other internal key could let its owner take the funds through the key path
+    check('internal-key', internalPubKeyBuffer.equals(expectedInternalPubKey),
+      `Internal key ${report.contract.internalPubKey} (expected ${expectedInternalPubKey.toString('hex')}${
+        expected.internalPubKey ? '' : ', the aggregate of both parties\' keys'})`);
+  } else {
+    Object.assign(report.contract, {
+      recipientPubKeyHash: decoded.recipientPubKeyHash.toString('hex'),
+      refundPubKeyHash: decoded.refundPubKeyHash.toString('hex')
+    });
+
+    const recipientPubKeyHash = toPubKeyHash(expected.recipientPubKey, 'recipient public key');
+    check('recipient', decoded.recipientPubKeyHash.equals(recipientPubKeyHash),
+      `Claim path pays pubkey hash ${report.contract.recipientPubKeyHash} (expected ${recipientPubKeyHash.toString('hex')})`);
+
+    const refundPubKeyHash = toPubKeyHash(expected.refundPubKey, 'refund public key');
+    check('refund', decoded.refundPubKeyHash.equals(refundPubKeyHash),
+      `Refund path pays pubkey hash ${report.contract.refundPubKeyHash} (expected ${refundPubKeyHash.toString('hex')})`);
+  }
+
+  report.contract.timelockType = decoded.timelockType;
+  report.contract.timelock = decoded.timelock;
+
+  if (expected.timelockType) {
+    check('timelock-type', decoded.timelockType === expected.timelockType,
+      `Timelock is ${decoded.timelockType} (expected ${expected.timelockType})`);
+  }
+
+  // Funding: find the outputs paying this script
+  let fundingTx = null;
+
+  try {
+    fundingTx = await rpcClient.getTransaction(fundingTxId);
+  } catch (error) {
+    check('funding', false, `Cannot load funding transaction ${fundingTxId}: ${error.message}`);
+  }
+
+  // The Taproot output key commits to the leaves and the internal key, so it is rebuilt from both
+  const outputScriptOf = (scriptType) => (scriptType === 'p2tr'
+    ? taproot.createTaprootPayment(leaves, internalPubKeyBuffer, network)
+    : htlcScript.createHtlcPayment(lib, Buffer.from(redeemScript, 'hex'), scriptType, network));
+  const paysTo = (output, payment) => output.scriptPubKey && output.scriptPubKey.hex === payment.output.toString('hex');
+
+  const scriptType = isTaproot ? 'p2tr' : expected.scriptType || (fundingTx && htlcScript.SCRIPT_TYPES.find((type) =>
+    fundingTx.vout.some((output) => paysTo(output, outputScriptOf(type))))) || 'p2sh';
+  const payment = outputScriptOf(scriptType);
+
+  report.contract.scriptType = scriptType;
+  report.contract.address = payment.address;
+
+  if (expected.address) {
+    check('address', payment.address === expected.address,
+      `Script hashes to ${payment.address} (expected ${expected.address})`);
+  }
+
+  if (fundingTx) {
+    const outputs = fundingTx.vout
+      .filter((output) => paysTo(output, payment))
+      .map((output) => ({ txid: fundingTxId, vout: output.n, value: Math.round(output.value * 100000000) }));
+    const value = outputs.reduce((total, output) => total + output.value, 0);
+
+    report.funding = { txid: fundingTxId, outputs, value, confirmations: fundingTx.confirmations };
+
+    check('amount', outputs.length > 0 && value >= expected.amount, outputs.length > 0
+      ? `Funding pays ${value} to ${payment.address} in ${outputs.length} output(s) (expected at least ${expected.amount})`
+      : `Funding transaction ${fundingTxId} does not pay ${payment.address}`);
+
+    if (expected.confirmations) {
+      check('confirmations', fundingTx.confirmations >= expected.confirmations,
+        `Funding has ${fundingTx.confirmations} confirmation(s) (required ${expected.confirmations})`);
+    }
+  }
+
+  // Timelock: how long until the refund path opens
+  let secondsRemaining;
+  let expired = false;
+
+  if (decoded.timelockType === 'csv') {
+    const status = await timelockPlanner.getRelativeTimelockStatus(
+      rpcClient, fundingTx && fundingTx.confirmations ? fundingTxId : null, decoded.timelock, blockInterval);
+
+    secondsRemaining = status.secondsRemaining !== null
+      ? status.secondsRemaining
+      : timelockPlanner.relativeDelaySeconds(decoded.timelock, blockInterval);
+    expired = status.expired;
+  } else {
+    const chainState = await timelockPlanner.getChainState(rpcClient);
+
+    secondsRemaining = timelockPlanner.estimateSecondsRemaining(decoded.timelock, chainState, blockInterval);
+    expired = timelockPlanner.isTimelockExpired(decoded.timelock, chainState);
+  }
+
+  report.contract.secondsRemaining = secondsRemaining;
+
+  check('timelock-open', !expired, expired
+    ? 'The refund path is already open'
+    : `The refund path opens in about ${secondsRemaining}s`);
+
+  if (expected.minSecondsRemaining !== undefined) {
+    check('timelock-margin', secondsRemaining >= expected.minSecondsRemaining,
+      `Refund opens in about ${secondsRemaining}s (required at least ${expected.minSecondsRemaining}s)`);
+  }
+
+  if (expected.maxSecondsRemaining !== undefined) {
+    check('timelock-limit', secondsRemaining <= expected.maxSecondsRemaining,
+      `Refund opens in about ${secondsRemaining}s (allowed at most ${expected.maxSecondsRemaining}s)`);
+  }
+
+  report.passed = checks.every((item) => item.passed);
+
+  return report;
+}
+
+/**
+ * Audit one leg of a swap against the swap record
+ * The MarsCoin leg must stay locked for the required margin after the Bitcoin leg opens, and the Bitcoin leg
+ * must open at least the required margin before the MarsCoin leg
+ * @param {Object} swap - Swap object with the agreed hash, public keys, amounts and timelocks
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {Object} contract - Contract received from the counterparty
+ * @param {string} [contract.redeemScript] - Hex-encoded redeem script (defaults to the swap's own HTLC)
+ * @param {Object} [contract.tapLeaves] - Hex-encoded claim and refund leaves of a Taproot HTLC (defaults to the
+ *   swap's own HTLC)
+ * @param {string} [contract.internalPubKey] - Hex-encoded internal key of a Taproot HTLC (defaults to the swap's own)
+ * @param {string} [contract.fundingTxId] - Funding transaction ID (defaults to the recorded funding)
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @param {Object} [options]
+ * @param {Object} [options.timelockSettings] - Timelock settings, for the required margin and block intervals
+ * @param {number} [options.confirmations] - Required confirmations of the funding transaction
+ * @returns {Object} Audit report
+ */
+async function auditSwapContract(swap, chain, contract, btcClient, marscoinClient, options = {}) {
+  const isBitcoin = chain === 'bitcoin';
+  const htlc = (isBitcoin ? swap.btcHtlc : swap.marscoinHtlc) || {};
+  const isTaproot = htlc.scriptType === 'p2tr';
+  const redeemScript = contract.redeemScript || htlc.redeemScript;
+  const fundingTxId = contract.fundingTxId || (swap.fundingTxIds || {})[chain];
+  const settings = options.timelockSettings || {};
+  const blockInterval = (leg) => (settings[leg] && settings[leg].blockInterval) ||
+    timelockPlanner.DEFAULT_SETTINGS[leg].blockInterval;
+
+  if (isTaproot && contract.redeemScript) {
+    throw new Error(`The ${chain} leg is a Taproot HTLC, which has tapscript leaves rather than a redeem script`);
+  }
+
+  if (!isTaproot && !redeemScript) {
+    throw new Error(`No redeem script to audit for the ${chain} leg`);
+  }
+
+  if (!fundingTxId) {
+    throw new Error(`No funding transaction to audit for the ${chain} leg`);
+  }
+
+  // The MarsCoin leg is measured against the Bitcoin leg and vice versa
+  const otherChain = isBitcoin ? 'marscoin' : 'bitcoin';
+  const timelockStatus = await swapCoordinator.getTimelockStatus(swap, btcClient, marscoinClient);
+  const otherRemaining = timelockStatus[otherChain].secondsRemaining !== null
+    ? timelockStatus[otherChain].secondsRemaining
+    : timelockPlanner.relativeDelaySeconds(swap.timeouts[otherChain], blockInterval(otherChain));
+  const requiredMargin = timelockPlanner.getRequiredMargin(settings);
+
+  return auditContract({
+    chain,
+    redeemScript: isTaproot ? undefined : redeemScript,
+    tapLeaves: isTaproot ? contract.tapLeaves || htlc.tapLeaves : undefined,
+    internalPubKey: isTaproot ? contract.internalPubKey || htlc.internalPubKey : undefined,
+    fundingTxId,
+    network: isBitcoin ? swap.bitcoinNetwork : swap.marscoinNetwork,
+    blockInterval: blockInterval(chain),
+    expected: {
+      hash: swap.hash,
+      recipientPubKey: isBitcoin ? swap.pubKeys.initiatorBtc : swap.pubKeys.participantMarscoin,
+      refundPubKey: isBitcoin ? swap.pubKeys.participantBtc : swap.pubKeys.initiatorMarscoin,
+      amount: isBitcoin ? swap.amounts.btc : marscoin.toSatoshis(swap.amounts.marscoin),
+      address: htlc.address,
+      scriptType: htlc.scriptType,
+      timelockType: swap.timelockType,
+      minSecondsRemaining: isBitcoin ? undefined : otherRemaining + requiredMargin,
+      maxSecondsRemaining: isBitcoin ? otherRemaining - requiredMargin : undefined,
+      confirmations: options.confirmations
+    }
+  }, isBitcoin ? btcClient : marscoinClient);
+}
+
+/**
+ * Format an audit report for display
+ * @param {Object} report - Audit report
+ * @returns {string} One line per check followed by the overall result
+ */
+function formatAuditReport(report) {
+  const lines = report.checks.map((item) => `[${item.passed ? 'PASS' : 'FAIL'}] ${item.name}: ${item.message}`);
+  lines.push(`${report.chain} contract audit ${report.passed ? 'PASSED' : 'FAILED'}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  auditContract,
+  auditSwapContract,
+  formatAuditReport
+};
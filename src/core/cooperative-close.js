@@ -0,0 +1,271 @@
+/**
+ * Cooperative Taproot Close
+ * This module spends a Taproot HTLC through the key path once both parties agree the initiator takes the
+ * Bitcoin. The internal key is the MuSig2 aggregate of their keys, so the close is signed in two rounds
+ * without either party handing over a private key: each HTLC input gets its own signing session, whose
+ * public nonces and partial signatures the swap protocol carries between the parties. On chain the close
+ * looks like a single-key payment and reveals neither leaf.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+const musig2 = require('./musig2');
+const taproot = require('./taproot');
+const htlcPsbt = require('./htlc-psbt');
+
+const ECPair = ECPairFactory(ecc);
+
+/**
+ * Key aggregation context of a Taproot HTLC's output key: both parties' keys, sorted and aggregated into
+ * the internal key, then tweaked with the leaves' merkle root
+ * @param {Object} htlc - Taproot HTLC (internalPubKey and hex-encoded tapLeaves)
+ * @param {Buffer[]} publicKeys - 33-byte compressed public keys of both parties
+ * @returns {Object} Tweaked key aggregation context
+ */
+function getOutputKeyContext(htlc, publicKeys) {
+  if (!htlc || htlc.scriptType !== 'p2tr') {
+    throw new Error('Only Taproot HTLCs can be closed through the key path');
+  }
+
+  const internalPubKey = Buffer.from(htlc.internalPubKey, 'hex');
+  const context = musig2.keyAggContext(taproot.keySort(publicKeys));
+
+  if (!musig2.getXOnlyKey(context).equals(internalPubKey)) {
+    throw new Error('The parties\' keys do not aggregate to the HTLC internal key');
+  }
+
+  const leaves = {
+    claim: Buffer.from(htlc.tapLeaves.claim, 'hex'),
+    refund: Buffer.from(htlc.tapLeaves.refund, 'hex')
+  };
+  const merkleRoot = taproot.createTaprootPayment(leaves, internalPubKey).hash;
+
+  return musig2.applyXOnlyTweak(context, bitcoin.crypto.taggedHash('TapTweak', Buffer.concat([internalPubKey, merkleRoot])));
+}
+
+/**
+ * Parse a cooperative close PSBT, refusing inputs that do not spend the HTLC through the key path
+ * @param {string} psbtBase64 - Base64-encoded key-path PSBT
+ * @param {Object} htlc - Taproot HTLC the inputs must spend
+ * @param {Object} network - Bitcoin network object
+ * @returns {Object} PSBT and unsigned transaction
+ */
+function parseClosePsbt(psbtBase64, htlc, network) {
+  const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+  const outputScript = Buffer.from(htlc.outputScript, 'hex');
+
+  if (psbt.data.inputs.length === 0) {
+    throw new Error('PSBT spends nothing');
+  }
+
+  psbt.data.inputs.forEach((input, inputIndex) => {
+    if (!input.witnessUtxo || !input.witnessUtxo.script.equals(outputScript) || input.tapLeafScript) {
+      throw new Error(`PSBT input ${inputIndex} is not a key-path spend of the HTLC ${htlc.address}`);
+    }
+  });
+
+  return { psbt, tx: bitcoin.Transaction.fromBuffer(psbt.data.getTransaction()) };
+}
+
+/**
+ * Read a cooperative close PSBT and the signing session of each of its inputs
+ * @param {string} psbtBase64 - Base64-encoded key-path PSBT
+ * @param {Object} htlc - Taproot HTLC the inputs spend
+ * @param {Buffer[]} publicKeys - 33-byte compressed public keys of both parties
+ * @param {Object} network - Bitcoin network object
+ * @returns {Object} PSBT, key aggregation context and the BIP341 signature hash of each input
+ */
+function readSessions(psbtBase64, htlc, publicKeys, network) {
+  const keyAgg = getOutputKeyContext(htlc, publicKeys);
+  const { psbt, tx } = parseClosePsbt(psbtBase64, htlc, network);
+  const scripts = psbt.data.inputs.map((input) => input.witnessUtxo.script);
+  const values = psbt.data.inputs.map((input) => input.witnessUtxo.value);
+  const messages = tx.ins.map((input, inputIndex) =>
+    tx.hashForWitnessV1(inputIndex, scripts, values, bitcoin.Transaction.SIGHASH_DEFAULT));
+
+  return { psbt, keyAgg, messages };
+}
+
+/**
+ * Check that every input has one public nonce or partial signature per party
+ * @param {Array<Buffer[]>} items - Per input, one item per party
+ * @param {number} inputCount - Number of inputs of the PSBT
+ * @param {string} label - Description for error messages
+ */
+function assertPerInput(items, inputCount, label) {
+  if (!Array.isArray(items) || items.length !== inputCount || items.some((item) => !Array.isArray(item) || item.length !== 2)) {
+    throw new Error(`Expected both parties' ${label} for each of the ${inputCount} inputs`);
+  }
+}
+
+/**
+ * Create an unsigned PSBT closing a Taproot HTLC through the key path
+ * @param {Object} htlc - Taproot HTLC (internalPubKey and hex-encoded tapLeaves)
+ * @param {Object} params
+ * @param {Array<Object>} params.inputs - HTLC outputs to spend ({ txid, vout, value in satoshis })
+ * @param {string} params.destinationAddress - Address to send the funds to
+ * @param {number} [params.fee] - Fixed transaction fee in satoshis
+ * @param {number} [params.feeRate] - Fee rate in sat/vB, used to size the fee when no fixed fee is given
+ * @param {Object} params.network - Bitcoin network object
+ * @returns {string} Base64-encoded PSBT
+ */
+function createClosePsbt(htlc, params) {
+  if (!htlc || htlc.scriptType !== 'p2tr') {
+    throw new Error('Only Taproot HTLCs can be closed through the key path');
+  }
+
+  return htlcPsbt.createHtlcPsbt(bitcoin, {
+    ...params,
+    scriptType: 'p2tr',
+    tapLeaves: htlc.tapLeaves,
+    internalPubKey: htlc.internalPubKey,
+    path: 'keypath'
+  });
+}
+
+/**
+ * Describe what a cooperative close PSBT spends, for the party asked to sign it
+ * @param {string} psbtBase64 - Base64-encoded key-path PSBT
+ * @param {Object} htlc - Taproot HTLC the inputs must spend
+ * @param {Object} network - Bitcoin network object
+ * @returns {Object} Transaction ID (Taproot spends do not change it when signed) and the outpoints spent
+ */
+function readClosePsbt(psbtBase64, htlc, network) {
+  const { psbt, tx } = parseClosePsbt(psbtBase64, htlc, network);
+
+  return {
+    txId: tx.getId(),
+    inputs: tx.ins.map((input, inputIndex) => ({
+      txid: Buffer.from(input.hash).reverse().toString('hex'),
+      vout: input.index,
+      value: psbt.data.inputs[inputIndex].witnessUtxo.value
+    }))
+  };
+}
+
+/**
+ * Generate this party's nonces for every input of a cooperative close
+ * The secret nonces must be kept until this party signs and never reused
+ * @param {string} psbtBase64 - Base64-encoded key-path PSBT
+ * @param {Object} params
+ * @param {Object} params.htlc - Taproot HTLC the inputs spend
+ * @param {Buffer[]} params.publicKeys - 33-byte compressed public keys of both parties
+ * @param {string} params.privateKey - This party's WIF private key
+ * @param {Object} params.network - Bitcoin network object
+ * @returns {Object} Per input, the 97-byte secret nonces (secNonces) and the 66-byte public nonces (pubNonces)
+ */
+function createCloseNonces(psbtBase64, params) {
+  const { htlc, publicKeys, privateKey, network } = params;
+  const { keyAgg, messages } = readSessions(psbtBase64, htlc, publicKeys, network);
+  const keyPair = ECPair.fromWIF(privateKey, network);
+  const nonces = messages.map((message) => musig2.nonceGen({
+    publicKey: keyPair.publicKey,
+    secretKey: keyPair.privateKey,
+    aggregateKey: musig2.getXOnlyKey(keyAgg),
+    message
+  }));
+
+  return {
+    secNonces: nonces.map((nonce) => nonce.secNonce),
+    pubNonces: nonces.map((nonce) => nonce.pubNonce)
+  };
+}
+
+/**
+ * Partially sign every input of a cooperative close
+ * @param {string} psbtBase64 - Base64-encoded key-path PSBT
+ * @param {Object} params
+ * @param {Object} params.htlc - Taproot HTLC the inputs spend
+ * @param {Buffer[]} params.publicKeys - 33-byte compressed public keys of both parties
+ * @param {string} params.privateKey - This party's WIF private key
+ * @param {Buffer[]} params.secNonces - This party's secret nonces, per input (wiped once used)
+ * @param {Array<Buffer[]>} params.pubNonces - Per input, the public nonces of both parties
+ * @param {Object} params.network - Bitcoin network object
+ * @returns {Buffer[]} 32-byte partial signatures, per input
+ */
+function signClose(psbtBase64, params) {
+  const { htlc, publicKeys, privateKey, secNonces, pubNonces, network } = params;
+  const { keyAgg, messages } = readSessions(psbtBase64, htlc, publicKeys, network);
+  const keyPair = ECPair.fromWIF(privateKey, network);
+
+  assertPerInput(pubNonces, messages.length, 'public nonces');
+
+  return messages.map((message, inputIndex) => musig2.partialSign(secNonces[inputIndex], keyPair.privateKey, {
+    keyAgg,
+    aggNonce: musig2.nonceAgg(pubNonces[inputIndex]),
+    message
+  }));
+}
+
+/**
+ * Check the other party's partial signatures before aggregating them
+ * @param {string} psbtBase64 - Base64-encoded key-path PSBT
+ * @param {Object} params
+ * @param {Object} params.htlc - Taproot HTLC the inputs spend
+ * @param {Buffer[]} params.publicKeys - 33-byte compressed public keys of both parties
+ * @param {Array<Buffer[]>} params.pubNonces - Per input, the public nonces of both parties
+ * @param {Buffer} params.signerPubKey - Public key of the party that signed
+ * @param {Buffer[]} params.signerPubNonces - That party's public nonces, per input
+ * @param {Buffer[]} params.partialSigs - That party's partial signatures, per input
+ * @param {Object} params.network - Bitcoin network object
+ */
+function verifyCloseSignatures(psbtBase64, params) {
+  const { htlc, publicKeys, pubNonces, signerPubKey, signerPubNonces, partialSigs, network } = params;
+  const { keyAgg, messages } = readSessions(psbtBase64, htlc, publicKeys, network);
+
+  assertPerInput(pubNonces, messages.length, 'public nonces');
+
+  if (!Array.isArray(partialSigs) || partialSigs.length !== messages.length) {
+    throw new Error(`Expected a partial signature for each of the ${messages.length} inputs`);
+  }
+
+  messages.forEach((message, inputIndex) => {
+    const session = { keyAgg, aggNonce: musig2.nonceAgg(pubNonces[inputIndex]), message };
+
+    if (!musig2.partialSigVerify(partialSigs[inputIndex], signerPubNonces[inputIndex], signerPubKey, session)) {
+      throw new Error(`The partial signature of input ${inputIndex} is invalid`);
+    }
+  });
+}
+
+/**
+ * Aggregate both parties' partial signatures into the key-path signature of every input
+ * @param {string} psbtBase64 - Base64-encoded key-path PSBT
+ * @param {Object} params
+ * @param {Object} params.htlc - Taproot HTLC the inputs spend
+ * @param {Buffer[]} params.publicKeys - 33-byte compressed public keys of both parties
+ * @param {Array<Buffer[]>} params.pubNonces - Per input, the public nonces of both parties
+ * @param {Array<Buffer[]>} params.partialSigs - Per input, the partial signatures of both parties
+ * @param {Object} params.network - Bitcoin network object
+ * @returns {string} Base64-encoded PSBT carrying the signatures, ready to finalize
+ */
+function aggregateClose(psbtBase64, params) {
+  const { htlc, publicKeys, pubNonces, partialSigs, network } = params;
+  const { psbt, keyAgg, messages } = readSessions(psbtBase64, htlc, publicKeys, network);
+
+  assertPerInput(pubNonces, messages.length, 'public nonces');
+  assertPerInput(partialSigs, messages.length, 'partial signatures');
+
+  messages.forEach((message, inputIndex) => {
+    const session = { keyAgg, aggNonce: musig2.nonceAgg(pubNonces[inputIndex]), message };
+    const signature = musig2.partialSigAgg(partialSigs[inputIndex], session);
+
+    if (!ecc.verifySchnorr(message, musig2.getXOnlyKey(keyAgg), signature)) {
+      throw new Error(`The aggregate signature of input ${inputIndex} does not verify`);
+    }
+
+    psbt.updateInput(inputIndex, { tapKeySig: signature });
+  });
+
+  return psbt.toBase64();
+}
+
+module.exports = {
+  createClosePsbt,
+  readClosePsbt,
+  createCloseNonces,
+  signClose,
+  verifyCloseSignatures,
+  aggregateClose
+};
@@ -0,0 +1,129 @@
+/**
+ * Fee Bumping
+ * This module helps a stuck claim or refund confirm. Claims and refunds signal replace-by-fee, so they
+ * can be rebuilt at a higher fee rate (the swap coordinator does that), or a child transaction can
+ * spend the claim output with a fee high enough to pay for both (child-pays-for-parent).
+ */
+
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+const { RpcError } = require('./rpc-client');
+const feeEstimator = require('./fee-estimator');
+const htlcScript = require('./htlc-script');
+
+const ECPair = ECPairFactory(ecc);
+
+// BIP125: a replacement must pay at least this much more per vbyte than the transactions it replaces,
+// and every transaction at least this much (Bitcoin Core's default -incrementalrelayfee and -minrelaytxfee)
+const INCREMENTAL_RELAY_FEE_RATE = 1;
+const MIN_RELAY_FEE_RATE = 1;
+
+/**
+ * Get the fee and size of a transaction waiting in the mempool
+ * @param {Object} rpcClient - RPC client for the chain
+ * @param {string} txId - Transaction ID
+ * @returns {Object|null} Fee in satoshis, virtual size, fee rate in sat/vB and the fee of the transaction
+ *   with all its descendants, or null if the transaction is not in the mempool (it has confirmed, been
+ *   replaced or been dropped)
+ */
+async function getMempoolFee(rpcClient, txId) {
+  let entry;
+
+  try {
+    entry = await rpcClient.call('getmempoolentry', txId);
+  } catch (error) {
+    if (error instanceof RpcError) {
+      return null;
+    }
+    throw error;
+  }
+
+  // Older nodes report the fees directly instead of under fees (descendantfees already in satoshis)
+  const fee = Math.round((entry.fees ? entry.fees.base : entry.fee) * 100000000);
+  const descendantFee = entry.fees ? Math.round(entry.fees.descendant * 100000000) : entry.descendantfees;
+
+  return {
+    fee,
+    vsize: entry.vsize,
+    feeRate: fee / entry.vsize,
+    descendantFee: descendantFee || fee
+  };
+}
+
+/**
+ * Create a child transaction spending a pending transaction's output, paying enough fee to bring the
+ * parent and child together up to a target fee rate
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Object} params
+ * @param {string} params.parentTxHex - Hex-encoded parent transaction
+ * @param {number} [params.vout=0] - Output of the parent to spend (P2PKH or P2WPKH)
+ * @param {string} params.privateKey - WIF private key controlling that output
+ * @param {string} params.destinationAddress - Address receiving the output value less the child's fee
+ * @param {number} params.feeRate - Target fee rate of the parent and child together, in sat/vB
+ * @param {number} params.parentFee - Fee paid by the parent, in satoshis
+ * @param {number} params.parentVsize - Virtual size of the parent
+ * @param {Object} params.network - Network object
+ * @returns {Object} Transaction details with the child's fee and the package fee rate
+ */
+function createChildTransaction(lib, params) {
+  const { parentTxHex, vout = 0, privateKey, destinationAddress, feeRate, parentFee, parentVsize, network } = params;
+
+  const parent = lib.Transaction.fromHex(parentTxHex);
+  const parentOutput = parent.outs[vout];
+
+  if (!parentOutput) {
+    throw new Error(`Transaction ${parent.getId()} has no output ${vout}`);
+  }
+
+  const keyPair = ECPair.fromWIF(privateKey, network);
+  const p2wpkh = lib.payments.p2wpkh({ pubkey: keyPair.publicKey, network });
+  const p2pkh = lib.payments.p2pkh({ pubkey: keyPair.publicKey, network });
+  const isWitness = parentOutput.script.equals(p2wpkh.output);
+
+  if (!isWitness && !parentOutput.script.equals(p2pkh.output)) {
+    throw new Error('The output to spend is not a P2PKH or P2WPKH output of the given key');
+  }
+
+  const outputScript = lib.address.toOutputScript(destinationAddress, network);
+  const vsize = feeEstimator.estimateKeySpendVsize(parentOutput.script, outputScript);
+
+  // The child covers whatever the parent is short of the target rate, plus its own size
+  const fee = Math.max(
+    feeEstimator.calculateFee(parentVsize + vsize, feeRate) - parentFee,
+    feeEstimator.calculateFee(vsize, MIN_RELAY_FEE_RATE)
+  );
+
+  htlcScript.assertNotDust(parentOutput.value - fee, outputScript);
+
+  const tx = new lib.Transaction();
+  tx.version = 2;
+  tx.addInput(parent.getHash(), vout, htlcScript.SEQUENCE_REPLACEABLE);
+  tx.addOutput(outputScript, parentOutput.value - fee);
+
+  const hashType = lib.Transaction.SIGHASH_ALL;
+
+  if (isWitness) {
+    const signatureHash = tx.hashForWitnessV0(0, p2pkh.output, parentOutput.value, hashType);
+    const signature = lib.script.signature.encode(keyPair.sign(signatureHash), hashType);
+    tx.setWitness(0, [signature, keyPair.publicKey]);
+  } else {
+    const signatureHash = tx.hashForSignature(0, parentOutput.script, hashType);
+    const signature = lib.script.signature.encode(keyPair.sign(signatureHash), hashType);
+    tx.setInputScript(0, lib.script.compile([signature, keyPair.publicKey]));
+  }
+
+  return {
+    txHex: tx.toHex(),
+    txId: tx.getId(),
+    fee,
+    vsize: tx.virtualSize(),
+    packageFeeRate: (parentFee + fee) / (parentVsize + tx.virtualSize())
+  };
+}
+
+module.exports = {
+  INCREMENTAL_RELAY_FEE_RATE,
+  MIN_RELAY_FEE_RATE,
+  getMempoolFee,
+  createChildTransaction
+};
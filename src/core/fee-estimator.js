@@ -0,0 +1,284 @@
+/**
+ * Fee Estimator
+ * This module sizes HTLC claims and refunds for their spend path and prices them from the node's
+ * estimatesmartfee rate, so fees follow the transaction's virtual size and the state of the mempool
+ * instead of a flat amount. It also applies the dust rule, so a spend never produces an output
+ * the network will not relay.
+ */
+
+const { RpcError } = require('./rpc-client');
+
+// Defaults used when the caller does not provide fee settings for a chain (rates in sat/vB)
+const DEFAULT_SETTINGS = {
+  bitcoin: {
+    feeTarget: 6, // Confirmation target in blocks passed to estimatesmartfee
+    minFeeRate: 1,
+    maxFeeRate: 200
+  },
+  marscoin: {
+    feeTarget: 6,
+    minFeeRate: 1,
+    maxFeeRate: 100
+  }
+};
+
+// Bitcoin Core's default -dustrelayfee in sat/vB
+const DUST_RELAY_FEE_RATE = 3;
+
+// Worst-case sizes of the items in an HTLC spend
+const ECDSA_SIGNATURE_SIZE = 73; // 72-byte DER signature plus the sighash byte
+const SCHNORR_SIGNATURE_SIZE = 64; // SIGHASH_DEFAULT adds no sighash byte
+const PUBKEY_SIZE = 33;
+const PREIMAGE_SIZE = 32;
+const CONTROL_BLOCK_SIZE = 65; // Internal key plus one sibling: the HTLC tree has two leaves
+
+/**
+ * Build fee settings from the application configuration
+ * @param {Object} cfg - Application configuration
+ * @returns {Object} Fee settings for both chains
+ */
+function getFeeSettings(cfg) {
+  // Only a missing setting takes the default: a configured 0 (no fee rate floor) is kept
+  const setting = (chain, name) => (cfg[chain][name] !== undefined && cfg[chain][name] !== null
+    ? cfg[chain][name]
+    : DEFAULT_SETTINGS[chain][name]);
+  const chainSettings = (chain) => ({
+    feeTarget: setting(chain, 'feeTarget'),
+    minFeeRate: setting(chain, 'minFeeRate'),
+    maxFeeRate: setting(chain, 'maxFeeRate')
+  });
+
+  return {
+    bitcoin: chainSettings('bitcoin'),
+    marscoin: chainSettings('marscoin')
+  };
+}
+
+/**
+ * Get a fee rate from the node, clamped to the configured floor and ceiling
+ * Nodes without enough data for an estimate, or without estimatesmartfee, get the floor
+ * @param {Object} rpcClient - RPC client for the chain
+ * @param {Object} [settings] - Fee settings of the chain (feeTarget, minFeeRate, maxFeeRate)
+ * @param {string} [chain='bitcoin'] - Chain whose defaults fill in missing settings
+ * @returns {number} Fee rate in sat/vB
+ */
+async function estimateFeeRate(rpcClient, settings = {}, chain = 'bitcoin') {
+  const { feeTarget, minFeeRate, maxFeeRate } = { ...DEFAULT_SETTINGS[chain], ...settings };
+  let feeRate = minFeeRate;
+
+  try {
+    const estimate = await rpcClient.call('estimatesmartfee', feeTarget);
+
+    if (estimate && estimate.feerate > 0) {
+      // estimatesmartfee answers in coins per kvB
+      feeRate = (estimate.feerate * 100000000) / 1000;
+    } else {
+      console.warn(`No fee estimate for a ${feeTarget}-block target; using ${minFeeRate} sat/vB`);
+    }
+  } catch (error) {
+    if (!(error instanceof RpcError)) {
+      throw error;
+    }
+    console.warn(`Fee estimation failed (${error.message}); using ${minFeeRate} sat/vB`);
+  }
+
+  return Math.min(Math.max(feeRate, minFeeRate), maxFeeRate);
+}
+
+/**
+ * Size of a Bitcoin CompactSize integer
+ * @param {number} value - Integer to encode
+ * @returns {number} Encoded size in bytes
+ */
+function varIntSize(value) {
+  if (value < 0xfd) return 1;
+  if (value <= 0xffff) return 3;
+  return 5;
+}
+
+/**
+ * Size of a data push in a legacy input script
+ * @param {number} length - Length of the pushed data
+ * @returns {number} Size in bytes, including the push opcode
+ */
+function pushSize(length) {
+  if (length < 76) return 1 + length;
+  if (length < 256) return 2 + length;
+  return 3 + length;
+}
+
+/**
+ * Size of a witness stack
+ * @param {number[]} itemLengths - Length of each stack item
+ * @returns {number} Serialized size in bytes
+ */
+function witnessSize(itemLengths) {
+  return itemLengths.reduce((total, length) => total + varIntSize(length) + length, varIntSize(itemLengths.length));
+}
+
+/**
+ * Estimate the virtual size of a claim or refund spending HTLC outputs to one destination
+ * @param {Object} params
+ * @param {string} params.path - 'claim', 'refund' or 'keypath' (cooperative Taproot close)
+ * @param {string} [params.scriptType='p2sh'] - Output type of the HTLC being spent
+ * @param {string|Buffer} [params.redeemScript] - HTLC redeem script (non-Taproot)
+ * @param {Object} [params.tapLeaves] - Hex-encoded claim and refund leaves (p2tr only)
+ * @param {number} [params.inputCount=1] - Number of HTLC outputs spent
+ * @param {Buffer} params.outputScript - Output script of the destination
+ * @returns {number} Virtual size in vbytes
+ */
+function estimateSpendVsize(params) {
+  const { path, scriptType = 'p2sh', redeemScript, tapLeaves, inputCount = 1, outputScript } = params;
+  const isClaim = path === 'claim';
+  let scriptSigLength = 0;
+  let inputWitnessSize = 0;
+
+  if (scriptType === 'p2tr') {
+    if (!tapLeaves) {
+      throw new Error('tapLeaves are required to size a p2tr HTLC spend');
+    }
+
+    // The key path needs only the aggregate signature
+    inputWitnessSize = path === 'keypath'
+      ? witnessSize([SCHNORR_SIGNATURE_SIZE])
+      : witnessSize([
+        SCHNORR_SIGNATURE_SIZE,
+        ...(isClaim ? [PREIMAGE_SIZE] : []),
+        Buffer.from(tapLeaves[path], 'hex').length,
+        CONTROL_BLOCK_SIZE
+      ]);
+  } else {
+    const scriptLength = Buffer.isBuffer(redeemScript) ? redeemScript.length : Buffer.from(redeemScript, 'hex').length;
+
+    if (scriptType === 'p2sh') {
+      // signature, pubkey, preimage and OP_TRUE (claim) or OP_FALSE (refund), redeem script
+      scriptSigLength = pushSize(ECDSA_SIGNATURE_SIZE) + pushSize(PUBKEY_SIZE) +
+        (isClaim ? pushSize(PREIMAGE_SIZE) + 1 : 1) + pushSize(scriptLength);
+    } else {
+      inputWitnessSize = witnessSize([
+        ECDSA_SIGNATURE_SIZE,
+        PUBKEY_SIZE,
+        ...(isClaim ? [PREIMAGE_SIZE, 1] : [0]),
+        scriptLength
+      ]);
+
+      // P2SH-wrapped SegWit pushes the 34-byte witness program in the input script
+      scriptSigLength = scriptType === 'p2sh-p2wsh' ? pushSize(34) : 0;
+    }
+  }
+
+  return transactionVsize({ inputCount, scriptSigLength, inputWitnessSize, outputScript });
+}
+
+/**
+ * Estimate the virtual size of a transaction spending one single-key output to one destination,
+ * such as a child paying for its parent
+ * @param {Buffer} prevOutputScript - Output script being spent (P2PKH or P2WPKH)
+ * @param {Buffer} outputScript - Output script of the destination
+ * @returns {number} Virtual size in vbytes
+ */
+function estimateKeySpendVsize(prevOutputScript, outputScript) {
+  const isWitness = prevOutputScript.length === 22 && prevOutputScript[0] === 0x00 && prevOutputScript[1] === 0x14;
+
+  return transactionVsize({
+    inputCount: 1,
+    scriptSigLength: isWitness ? 0 : pushSize(ECDSA_SIGNATURE_SIZE) + pushSize(PUBKEY_SIZE),
+    inputWitnessSize: isWitness ? witnessSize([ECDSA_SIGNATURE_SIZE, PUBKEY_SIZE]) : 0,
+    outputScript
+  });
+}
+
+/**
+ * Virtual size of a transaction whose inputs all have the same shape, paying one output
+ * @param {Object} params
+ * @param {number} params.inputCount - Number of inputs
+ * @param {number} params.scriptSigLength - Input script length of each input
+ * @param {number} params.inputWitnessSize - Witness size of each input (0 for legacy inputs)
+ * @param {Buffer} params.outputScript - Output script of the single output
+ * @returns {number} Virtual size in vbytes
+ */
+function transactionVsize({ inputCount, scriptSigLength, inputWitnessSize, outputScript }) {
+  const inputSize = 36 + varIntSize(scriptSigLength) + scriptSigLength + 4;
+  const outputSize = 8 + varIntSize(outputScript.length) + outputScript.length;
+  const baseSize = 4 + varIntSize(inputCount) + inputCount * inputSize + varIntSize(1) + outputSize + 4;
+
+  // SegWit adds the marker and flag bytes and one witness per input, at a quarter of the weight
+  const totalWitnessSize = inputWitnessSize > 0 ? 2 + inputCount * inputWitnessSize : 0;
+
+  return Math.ceil((baseSize * 4 + totalWitnessSize) / 4);
+}
+
+/**
+ * Fee for a transaction of a given size at a given rate
+ * @param {number} vsize - Virtual size in vbytes
+ * @param {number} feeRate - Fee rate in sat/vB
+ * @returns {number} Fee in satoshis
+ */
+function calculateFee(vsize, feeRate) {
+  return Math.ceil(vsize * feeRate);
+}
+
+/**
+ * Get the fee of an HTLC claim or refund: the fixed fee if one is given, otherwise its estimated
+ * virtual size priced at the fee rate
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Object} params - Spend parameters
+ * @param {string} params.path - 'claim', 'refund' or 'keypath'
+ * @param {number} [params.fee] - Fixed fee in satoshis
+ * @param {number} [params.feeRate] - Fee rate in sat/vB, used when no fixed fee is given
+ * @param {number} params.inputCount - Number of HTLC outputs spent
+ * @param {string} params.destinationAddress - Address receiving the funds
+ * @param {Object} params.network - Network object
+ * @returns {number} Fee in satoshis
+ */
+function getSpendFee(lib, params) {
+  const { fee, feeRate, destinationAddress, network } = params;
+
+  if (fee !== undefined && fee !== null) {
+    return fee;
+  }
+
+  if (!(feeRate > 0)) {
+    throw new Error('A fee or a fee rate is required to build an HTLC spend');
+  }
+
+  const vsize = estimateSpendVsize({
+    ...params,
+    outputScript: lib.address.toOutputScript(destinationAddress, network)
+  });
+
+  return calculateFee(vsize, feeRate);
+}
+
+/**
+ * Smallest value an output can carry without being dust, following Bitcoin Core's rule: an output is
+ * dust when spending it would cost more than its value at the dust relay fee rate
+ * @param {Buffer} outputScript - Output script
+ * @param {number} [dustRelayFeeRate=DUST_RELAY_FEE_RATE] - Dust relay fee rate in sat/vB
+ * @returns {number} Dust threshold in satoshis
+ */
+function getDustThreshold(outputScript, dustRelayFeeRate = DUST_RELAY_FEE_RATE) {
+  const version = outputScript[0];
+  const isWitnessProgram = outputScript.length >= 4 && outputScript.length <= 42 &&
+    (version === 0x00 || (version >= 0x51 && version <= 0x60)) &&
+    outputScript[1] === outputScript.length - 2;
+
+  const outputSize = 8 + varIntSize(outputScript.length) + outputScript.length;
+
+  // Size of the input that would later spend the output
+  const spendSize = isWitnessProgram ? 67 : 148;
+
+  return (outputSize + spendSize) * dustRelayFeeRate;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  DUST_RELAY_FEE_RATE,
+  getFeeSettings,
+  estimateFeeRate,
+  estimateSpendVsize,
+  estimateKeySpendVsize,
+  calculateFee,
+  getSpendFee,
+  getDustThreshold
+};
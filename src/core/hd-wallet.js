@@ -0,0 +1,350 @@
+/**
+ * HD Wallet
+ * This module derives the HTLC keys of swaps from a BIP39 mnemonic kept in the keystore, so swaps no longer
+ * need private keys pasted in. Every swap reserves the next unused index and gets a fresh key for each role
+ * it plays: a claim key on one chain and a refund key on the other. Indexes are handed out from a counter
+ * kept beside the keystore under a lock file, so concurrent swaps never share one. The index is also recorded
+ * on the swap record, so its keys can always be derived again from the seed, including after the mnemonic is
+ * restored into a new keystore.
+ * Bitcoin keys follow BIP84 (P2WPKH) and MarsCoin keys BIP44 (P2PKH, SLIP-44 coin type 107). Claims use the
+ * receive branch and refunds the change branch, so a standard wallet restored from the same mnemonic also
+ * finds the coins that claims and refunds pay out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const bip39 = require('bip39');
+const { BIP32Factory } = require('bip32');
+const { ECPairFactory } = require('ecpair');
+const marscoin = require('./marscoin-lib-wrapper');
+const { seedSecretName } = require('./keystore');
+const { writeFileAtomic, withFileLock } = require('./swap-repository');
+
+const bip32 = BIP32Factory(ecc);
+const ECPair = ECPairFactory(ecc);
+
+// SLIP-44 coin types; every Bitcoin test network shares coin type 1
+const BITCOIN_COIN_TYPE = 0;
+const TESTNET_COIN_TYPE = 1;
+const MARSCOIN_COIN_TYPE = 107;
+
+// Purpose of the derivation paths per chain, after the address type of the keys
+const PURPOSES = { bitcoin: 84, marscoin: 44 };
+
+// Claims pay out like receipts and refunds like change
+const CLAIM_BRANCH = 0;
+const REFUND_BRANCH = 1;
+
+// Chain and branch of each swap role's key
+const ROLE_DERIVATIONS = {
+  initiatorBtc: { chain: 'bitcoin', branch: CLAIM_BRANCH },
+  initiatorMarscoin: { chain: 'marscoin', branch: REFUND_BRANCH },
+  participantBtc: { chain: 'bitcoin', branch: REFUND_BRANCH },
+  participantMarscoin: { chain: 'marscoin', branch: CLAIM_BRANCH }
+};
+
+// Roles whose keys each party holds
+const PARTY_ROLES = {
+  initiator: ['initiatorBtc', 'initiatorMarscoin'],
+  participant: ['participantBtc', 'participantMarscoin']
+};
+
+// Counter of the next index per seed and account, in the keystore directory
+const INDEX_COUNTER_FILE = 'swap-indexes.json';
+
+// Mnemonic lengths BIP39 defines, in words
+const MNEMONIC_LENGTHS = [12, 15, 18, 21, 24];
+
+/**
+ * Generate a new BIP39 mnemonic
+ * @param {number} [words=24] - Number of words
+ * @returns {string} Mnemonic
+ */
+function generateMnemonic(words = 24) {
+  if (!MNEMONIC_LENGTHS.includes(words)) {
+    throw new Error(`A mnemonic has ${MNEMONIC_LENGTHS.join(', ')} words, not ${words}`);
+  }
+
+  return bip39.generateMnemonic((words / 3) * 32);
+}
+
+/**
+ * Normalize and check a BIP39 mnemonic
+ * @param {string} mnemonic - Mnemonic as typed
+ * @returns {string} Lower-case mnemonic with single spaces
+ */
+function normalizeMnemonic(mnemonic) {
+  const normalized = String(mnemonic || '').trim().toLowerCase().split(/\s+/).join(' ');
+
+  if (!bip39.validateMnemonic(normalized)) {
+    throw new Error('Invalid mnemonic: unknown words, wrong length or bad checksum');
+  }
+
+  return normalized;
+}
+
+/**
+ * Check whether the keystore holds a wallet seed (works while locked)
+ * @param {Object} keystore - Keystore
+ * @param {string} seedName - Seed name
+ * @returns {boolean} Whether the seed exists
+ */
+function hasWallet(keystore, seedName) {
+  return keystore.exists() && keystore.hasSecret(seedSecretName(seedName));
+}
+
+/**
+ * Store a wallet seed in the keystore, from a new mnemonic or one being restored
+ * Storing the mnemonic a seed already holds does nothing, so a restore can be repeated.
+ * @param {Object} keystore - Unlocked keystore
+ * @param {Object} params
+ * @param {string} params.seedName - Seed name
+ * @param {string} [params.mnemonic] - Mnemonic to restore (a new one is generated if not given)
+ * @param {number} [params.words=24] - Number of words of a generated mnemonic
+ * @returns {string} The seed's mnemonic
+ */
+function createWallet(keystore, params) {
+  const { seedName, words = 24 } = params;
+  const mnemonic = params.mnemonic ? normalizeMnemonic(params.mnemonic) : generateMnemonic(words);
+  const name = seedSecretName(seedName);
+  const existing = keystore.hasSecret(name) ? keystore.getSecret(name) : null;
+
+  if (existing && existing !== mnemonic) {
+    throw new Error(`The keystore already holds a different seed named ${seedName}`);
+  }
+
+  if (!existing) {
+    keystore.setSecret(name, mnemonic);
+  }
+
+  return mnemonic;
+}
+
+/**
+ * Get the root key of a wallet seed
+ * @param {Object} keystore - Unlocked keystore
+ * @param {string} seedName - Seed name
+ * @returns {Object} BIP32 root node
+ */
+function getRootNode(keystore, seedName) {
+  if (!keystore.isUnlocked()) {
+    throw new Error(`The keystore is locked; unlock it to derive keys from seed ${seedName}`);
+  }
+
+  const mnemonic = keystore.getSecret(seedSecretName(seedName));
+
+  if (!mnemonic) {
+    throw new Error(`The keystore holds no seed named ${seedName}; create or restore the HD wallet first`);
+  }
+
+  return bip32.fromSeed(bip39.mnemonicToSeedSync(mnemonic));
+}
+
+/**
+ * Get the SLIP-44 coin type of a chain
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {Object} network - Network object of the chain
+ * @returns {number} Coin type
+ */
+function getCoinType(chain, network) {
+  if (chain === 'marscoin') {
+    return MARSCOIN_COIN_TYPE;
+  }
+
+  return network.bech32 === bitcoin.networks.bitcoin.bech32 ? BITCOIN_COIN_TYPE : TESTNET_COIN_TYPE;
+}
+
+/**
+ * Get the derivation path of a swap role's key
+ * @param {string} role - 'initiatorBtc', 'initiatorMarscoin', 'participantBtc' or 'participantMarscoin'
+ * @param {Object} derivation - Account and index of the swap
+ * @param {Object} network - Network object of the role's chain
+ * @returns {string} Derivation path, e.g. "m/84'/0'/0'/0/7"
+ */
+function getDerivationPath(role, derivation, network) {
+  const roleDerivation = ROLE_DERIVATIONS[role];
+
+  if (!roleDerivation) {
+    throw new Error(`Unknown key role: ${role}`);
+  }
+
+  const { chain, branch } = roleDerivation;
+
+  return `m/${PURPOSES[chain]}'/${getCoinType(chain, network)}'/${derivation.account}'/${branch}/${derivation.index}`;
+}
+
+/**
+ * Derive the key of a swap role
+ * @param {Object} root - BIP32 root node
+ * @param {string} role - Swap role
+ * @param {Object} derivation - Account and index of the swap
+ * @param {Object} network - Network object of the role's chain
+ * @returns {Object} Derivation path, WIF private key, hex public key and the key's payout address
+ */
+function deriveRoleKey(root, role, derivation, network) {
+  const derivationPath = getDerivationPath(role, derivation, network);
+  const keyPair = ECPair.fromPrivateKey(root.derivePath(derivationPath).privateKey, { network });
+  const address = ROLE_DERIVATIONS[role].chain === 'bitcoin'
+    ? bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address
+    : marscoin.payments.p2pkh({ pubkey: keyPair.publicKey, network }).address;
+
+  return {
+    path: derivationPath,
+    privateKey: keyPair.toWIF(),
+    publicKey: keyPair.publicKey.toString('hex'),
+    address
+  };
+}
+
+/**
+ * Get the network object of a role's chain from a swap or its parameters
+ * @param {string} role - Swap role
+ * @param {Object} networks - Object with bitcoinNetwork and marscoinNetwork
+ * @returns {Object} Network object
+ */
+function getRoleNetwork(role, networks) {
+  return ROLE_DERIVATIONS[role].chain === 'bitcoin' ? networks.bitcoinNetwork : networks.marscoinNetwork;
+}
+
+/**
+ * Find the next index not recorded on any active or archived swap of a seed's account
+ * @param {Object} repository - Swap repository
+ * @param {string} seedName - Seed name
+ * @param {number} account - Account index
+ * @returns {number} Next index
+ */
+function nextSwapIndex(repository, seedName, account) {
+  const indexes = [...repository.listSwaps(), ...repository.listSwaps({ archived: true })]
+    .filter((swap) => swap.derivation && swap.derivation.seed === seedName && swap.derivation.account === account)
+    .map((swap) => swap.derivation.index);
+
+  return indexes.length > 0 ? Math.max(...indexes) + 1 : 0;
+}
+
+/**
+ * Reserve the next unused index of a seed's account
+ * The counter is read and advanced under its lock file, so two swaps started at once, in this process or
+ * another, get different indexes even before either is stored. An index is never handed out twice, even if
+ * its swap is never created. The swaps on record are checked too, for a counter that is missing (a keystore
+ * the mnemonic was restored into) or behind.
+ * @param {Object} keystore - Keystore, whose directory holds the counter
+ * @param {Object} repository - Swap repository
+ * @param {string} seedName - Seed name
+ * @param {number} account - Account index
+ * @returns {Promise<number>} Reserved index
+ */
+async function reserveSwapIndex(keystore, repository, seedName, account) {
+  const counterPath = path.join(keystore.directory, INDEX_COUNTER_FILE);
+  const key = `${seedName}/${account}`;
+
+  return withFileLock(`${counterPath}.lock`, () => {
+    const counters = fs.existsSync(counterPath) ? JSON.parse(fs.readFileSync(counterPath, 'utf8')) : {};
+    const index = Math.max(counters[key] || 0, nextSwapIndex(repository, seedName, account));
+
+    writeFileAtomic(counterPath, JSON.stringify({ ...counters, [key]: index + 1 }, null, 2));
+
+    return index;
+  });
+}
+
+/**
+ * Derive fresh keys and payout addresses for one party of a new swap
+ * @param {Object} keystore - Unlocked keystore
+ * @param {Object} repository - Swap repository, checked for indexes already in use
+ * @param {Object} params
+ * @param {string} params.party - 'initiator' or 'participant'
+ * @param {string} params.seedName - Seed name
+ * @param {number} [params.account=0] - Account index
+ * @param {Object} params.bitcoinNetwork - Bitcoin network object
+ * @param {Object} params.marscoinNetwork - MarsCoin network object
+ * @returns {Promise<Object>} Derivation to record on the swap, and the addresses and public keys of the party's roles
+ */
+async function deriveSwapKeys(keystore, repository, params) {
+  const { party, seedName, account = 0 } = params;
+  const roles = PARTY_ROLES[party];
+
+  if (!roles) {
+    throw new Error(`Unknown swap party: ${party}`);
+  }
+
+  const root = getRootNode(keystore, seedName);
+  const index = await reserveSwapIndex(keystore, repository, seedName, account);
+  const derivation = { seed: seedName, account, index, roles };
+  const addresses = {};
+  const pubKeys = {};
+
+  for (const role of roles) {
+    const key = deriveRoleKey(root, role, derivation, getRoleNetwork(role, params));
+    addresses[role] = key.address;
+    pubKeys[role] = key.publicKey;
+  }
+
+  return { derivation, addresses, pubKeys };
+}
+
+/**
+ * Derive the private key of a role in a swap whose keys come from the HD wallet
+ * @param {Object} keystore - Keystore
+ * @param {Object} swap - Swap object
+ * @param {string} role - Swap role
+ * @returns {string|null} WIF private key, or null if the swap's key for that role was not derived here or
+ *   the keystore is locked or lacks the seed
+ */
+function getSwapPrivateKey(keystore, swap, role) {
+  const { derivation } = swap;
+
+  if (!derivation || !derivation.roles.includes(role) || !keystore.isUnlocked() ||
+      !keystore.hasSecret(seedSecretName(derivation.seed))) {
+    return null;
+  }
+
+  return deriveRoleKey(getRootNode(keystore, derivation.seed), role, derivation, getRoleNetwork(role, swap)).privateKey;
+}
+
+/**
+ * Derive the keys of every swap recorded against a seed and check them against the swaps' HTLC keys
+ * Run after restoring a mnemonic, to confirm which swaps can be claimed or refunded again.
+ * @param {Object} keystore - Unlocked keystore holding the seed
+ * @param {Object} repository - Swap repository
+ * @param {string} seedName - Seed name
+ * @returns {Array<Object>} Per swap: ID, status, whether it is archived, index, paths and whether every key matched
+ */
+function restoreSwapKeys(keystore, repository, seedName) {
+  const root = getRootNode(keystore, seedName);
+  const swaps = [
+    ...repository.listSwaps().map((swap) => ({ swap, archived: false })),
+    ...repository.listSwaps({ archived: true }).map((swap) => ({ swap, archived: true }))
+  ].filter(({ swap }) => swap.derivation && swap.derivation.seed === seedName);
+
+  return swaps.map(({ swap, archived }) => {
+    const keys = swap.derivation.roles.map((role) => {
+      const key = deriveRoleKey(root, role, swap.derivation, getRoleNetwork(role, swap));
+      return { role, path: key.path, matches: Boolean(swap.pubKeys) && swap.pubKeys[role] === key.publicKey };
+    });
+
+    return {
+      id: swap.id,
+      status: swap.status,
+      archived,
+      index: swap.derivation.index,
+      keys,
+      restored: keys.every((key) => key.matches)
+    };
+  });
+}
+
+module.exports = {
+  MARSCOIN_COIN_TYPE,
+  PARTY_ROLES,
+  generateMnemonic,
+  normalizeMnemonic,
+  hasWallet,
+  createWallet,
+  getDerivationPath,
+  reserveSwapIndex,
+  deriveSwapKeys,
+  getSwapPrivateKey,
+  restoreSwapKeys
+};
@@ -0,0 +1,332 @@
+/**
+ * HTLC PSBT Workflow
+ * This module builds unsigned BIP174 PSBTs for HTLC claims and refunds so they can be signed
+ * externally (hardware wallet, air-gapped machine), and finalizes the signed PSBTs into the
+ * claim or refund input script. Taproot HTLCs also get key-path PSBTs, which both parties sign
+ * together for a cooperative close. Both chains use bitcoinjs-lib compatible libraries, so the
+ * library is passed in by the caller.
+ */
+
+const taproot = require('./taproot');
+const htlcScript = require('./htlc-script');
+const feeEstimator = require('./fee-estimator');
+
+// Proprietary keys (BIP174 type 0xfc) recording which HTLC branch the PSBT spends and,
+// for claims, the preimage the finalizer has to push
+const PROPRIETARY_IDENTIFIER = Buffer.from('btcmars');
+const PROPRIETARY_SUBTYPE_PATH = 0x00;
+const PROPRIETARY_SUBTYPE_PREIMAGE = 0x01;
+
+/**
+ * Build a proprietary PSBT key
+ * @param {number} subtype - Proprietary subtype
+ * @returns {Buffer} Proprietary key
+ */
+function proprietaryKey(subtype) {
+  return Buffer.concat([
+    Buffer.from([0xfc, PROPRIETARY_IDENTIFIER.length]),
+    PROPRIETARY_IDENTIFIER,
+    Buffer.from([subtype])
+  ]);
+}
+
+/**
+ * Create an unsigned PSBT spending an HTLC through the claim or refund branch, or a Taproot HTLC
+ * through the key path
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Object} params
+ * @param {string} params.path - 'claim', 'refund' or 'keypath' (cooperative Taproot close)
+ * @param {Array<Object>} [params.inputs] - HTLC outputs to spend ({ txid, vout, value in satoshis });
+ *   defaults to the single output htlcTxId:htlcVout worth amount
+ * @param {string} [params.htlcTxId] - Transaction ID of the HTLC funding transaction
+ * @param {number} [params.htlcVout] - Output index of the HTLC in the funding transaction
+ * @param {string} [params.fundingTxHex] - Full funding transaction, required for legacy P2SH HTLCs
+ * @param {Object} [params.fundingTxHexes] - Full funding transactions keyed by txid, when spending outputs of several
+ * @param {string} params.scriptType - HTLC output type
+ * @param {string} [params.redeemScript] - Hex-encoded redeem script (non-Taproot)
+ * @param {Object} [params.tapLeaves] - Hex-encoded claim and refund leaves (p2tr only)
+ * @param {string} [params.internalPubKey] - Hex-encoded internal key (p2tr only)
+ * @param {string} [params.preimage] - Hex-encoded preimage (claim only)
+ * @param {number} [params.locktime] - Absolute timelock value (refund of a cltv HTLC)
+ * @param {number} [params.sequence] - BIP68 sequence number (refund of a csv HTLC)
+ * @param {string} params.destinationAddress - Address to send the funds to
+ * @param {number} [params.amount] - Value of the HTLC output in satoshis
+ * @param {number} [params.fee] - Fixed transaction fee in satoshis (subtracted from the total value of the inputs)
+ * @param {number} [params.feeRate] - Fee rate in sat/vB, used to size the fee when no fixed fee is given
+ * @param {Object} params.network - Network object
+ * @returns {string} Base64-encoded PSBT
+ */
+function createHtlcPsbt(lib, params) {
+  const {
+    path,
+    fundingTxHex,
+    fundingTxHexes = {},
+    scriptType,
+    redeemScript,
+    tapLeaves,
+    internalPubKey,
+    preimage,
+    locktime,
+    sequence,
+    destinationAddress,
+    network
+  } = params;
+
+  if (path !== 'claim' && path !== 'refund' && path !== 'keypath') {
+    throw new Error(`Unknown HTLC spend path: ${path}`);
+  }
+
+  if (path === 'keypath' && scriptType !== 'p2tr') {
+    throw new Error('Only Taproot HTLCs can be spent through the key path');
+  }
+
+  if (path === 'claim' && !preimage) {
+    throw new Error('A preimage is required to build a claim PSBT');
+  }
+
+  const inputs = htlcScript.getSpendInputs(params);
+  const total = inputs.reduce((sum, input) => sum + input.value, 0);
+  const fee = feeEstimator.getSpendFee(lib, { ...params, inputCount: inputs.length });
+
+  if (total - fee <= 0) {
+    throw new Error(`Fee of ${fee} satoshis exceeds the ${total} satoshis held by the HTLC`);
+  }
+
+  htlcScript.assertNotDust(total - fee, lib.address.toOutputScript(destinationAddress, network));
+
+  const psbt = new lib.Psbt({ network });
+  // Claims and refunds signal replace-by-fee so they can be bumped
+  let inputSequence = htlcScript.SEQUENCE_REPLACEABLE;
+
+  if (path === 'refund' && sequence !== undefined && sequence !== null) {
+    // Relative timelock: BIP68 sequence locks only apply to version 2 transactions
+    psbt.setVersion(2);
+    inputSequence = sequence;
+  } else if (path === 'refund') {
+    psbt.setLocktime(locktime);
+  }
+
+  // Every input spends the same HTLC script, so only the outpoint and value differ
+  const spendData = {};
+
+  if (path === 'keypath') {
+    const leaves = {
+      claim: Buffer.from(tapLeaves.claim, 'hex'),
+      refund: Buffer.from(tapLeaves.refund, 'hex')
+    };
+    const payment = taproot.createTaprootPayment(leaves, Buffer.from(internalPubKey, 'hex'), network);
+
+    // The key path commits to the leaves only through the merkle root of the output key's tweak
+    spendData.outputScript = payment.output;
+    spendData.tapInternalKey = taproot.toXOnly(Buffer.from(internalPubKey, 'hex'));
+    spendData.tapMerkleRoot = payment.hash;
+  } else if (scriptType === 'p2tr') {
+    const leaves = {
+      claim: Buffer.from(tapLeaves.claim, 'hex'),
+      refund: Buffer.from(tapLeaves.refund, 'hex')
+    };
+    const leaf = leaves[path];
+    const payment = taproot.createTaprootPayment(leaves, Buffer.from(internalPubKey, 'hex'), network, leaf);
+
+    spendData.outputScript = payment.output;
+    spendData.tapInternalKey = taproot.toXOnly(Buffer.from(internalPubKey, 'hex'));
+    spendData.tapLeafScript = [{
+      leafVersion: taproot.LEAF_VERSION,
+      script: leaf,
+      controlBlock: payment.witness[payment.witness.length - 1]
+    }];
+  } else {
+    const redeemScriptBuffer = Buffer.from(redeemScript, 'hex');
+
+    if (scriptType === 'p2sh') {
+      spendData.redeemScript = redeemScriptBuffer;
+    } else {
+      const p2wsh = lib.payments.p2wsh({ redeem: { output: redeemScriptBuffer, network }, network });
+
+      spendData.outputScript = scriptType === 'p2wsh'
+        ? p2wsh.output
+        : lib.payments.p2sh({ redeem: p2wsh, network }).output;
+      spendData.witnessScript = redeemScriptBuffer;
+
+      if (scriptType === 'p2sh-p2wsh') {
+        spendData.redeemScript = p2wsh.output;
+      }
+    }
+  }
+
+  inputs.forEach((htlcInput) => {
+    const input = {
+      hash: htlcInput.txid,
+      index: htlcInput.vout,
+      sequence: inputSequence
+    };
+
+    if (scriptType === 'p2sh') {
+      const txHex = fundingTxHexes[htlcInput.txid] || fundingTxHex;
+
+      if (!txHex) {
+        throw new Error('The full funding transaction is required to build a PSBT for a P2SH HTLC');
+      }
+
+      input.nonWitnessUtxo = Buffer.from(txHex, 'hex');
+      input.redeemScript = spendData.redeemScript;
+    } else {
+      input.witnessUtxo = { script: spendData.outputScript, value: htlcInput.value };
+      ['tapInternalKey', 'tapMerkleRoot', 'tapLeafScript', 'witnessScript', 'redeemScript'].forEach((field) => {
+        if (spendData[field]) {
+          input[field] = spendData[field];
+        }
+      });
+    }
+
+    psbt.addInput(input);
+  });
+
+  psbt.addOutput({ address: destinationAddress, value: total - fee });
+
+  inputs.forEach((htlcInput, inputIndex) => {
+    psbt.addUnknownKeyValToInput(inputIndex, {
+      key: proprietaryKey(PROPRIETARY_SUBTYPE_PATH),
+      value: Buffer.from(path)
+    });
+
+    if (path === 'claim') {
+      psbt.addUnknownKeyValToInput(inputIndex, {
+        key: proprietaryKey(PROPRIETARY_SUBTYPE_PREIMAGE),
+        value: Buffer.from(preimage, 'hex')
+      });
+    }
+  });
+
+  return psbt.toBase64();
+}
+
+/**
+ * Read the spend path and preimage recorded on the HTLC input
+ * @param {Object} input - PSBT input
+ * @returns {Object} Spend path and preimage (null for refunds)
+ */
+function readHtlcMetadata(input) {
+  const keyVals = input.unknownKeyVals || [];
+  const pathEntry = keyVals.find(({ key }) => key.equals(proprietaryKey(PROPRIETARY_SUBTYPE_PATH)));
+  const preimageEntry = keyVals.find(({ key }) => key.equals(proprietaryKey(PROPRIETARY_SUBTYPE_PREIMAGE)));
+
+  if (!pathEntry) {
+    throw new Error('PSBT does not contain HTLC spend metadata');
+  }
+
+  return {
+    path: pathEntry.value.toString(),
+    preimage: preimageEntry ? preimageEntry.value : null
+  };
+}
+
+/**
+ * Finalize a signed HTLC PSBT and extract the transaction
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {string} psbtBase64 - Base64-encoded signed PSBT
+ * @param {Object} network - Network object
+ * @returns {Object} Transaction details
+ */
+function finalizeHtlcPsbt(lib, psbtBase64, network) {
+  const psbt = lib.Psbt.fromBase64(psbtBase64, { network });
+  const { path } = readHtlcMetadata(psbt.data.inputs[0]);
+
+  psbt.data.inputs.forEach((input, inputIndex) => {
+    finalizeHtlcInput(lib, psbt, inputIndex, path);
+  });
+
+  const tx = psbt.extractTransaction();
+
+  return {
+    txHex: tx.toHex(),
+    txId: tx.getId(),
+    path
+  };
+}
+
+/**
+ * Finalize one signed HTLC input of a PSBT
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Object} psbt - PSBT being finalized
+ * @param {number} inputIndex - Index of the HTLC input
+ * @param {string} expectedPath - Spend path of the PSBT; every input must use the same one
+ */
+function finalizeHtlcInput(lib, psbt, inputIndex, expectedPath) {
+  const input = psbt.data.inputs[inputIndex];
+  const { path, preimage } = readHtlcMetadata(input);
+
+  if (path !== expectedPath) {
+    throw new Error(`PSBT input ${inputIndex} is a ${path}, but input 0 is a ${expectedPath}`);
+  }
+
+  if (path === 'claim' && !preimage) {
+    throw new Error('Claim PSBT is missing the preimage');
+  }
+
+  if (path === 'keypath') {
+    if (!input.tapKeySig) {
+      throw new Error('PSBT has not been signed');
+    }
+
+    psbt.finalizeTaprootInput(inputIndex);
+    return;
+  }
+
+  if (input.tapLeafScript) {
+    psbt.finalizeTaprootInput(inputIndex, undefined, () => {
+      const signature = (input.tapScriptSig || [])[0];
+
+      if (!signature) {
+        throw new Error('PSBT has not been signed');
+      }
+
+      const leaf = input.tapLeafScript.find((candidate) =>
+        taproot.tapleafHash(candidate.script, candidate.leafVersion).equals(signature.leafHash));
+
+      return {
+        finalScriptWitness: htlcScript.serializeWitness([
+          signature.signature,
+          ...(path === 'claim' ? [preimage] : []),
+          leaf.script,
+          leaf.controlBlock
+        ])
+      };
+    });
+    return;
+  }
+
+  psbt.finalizeInput(inputIndex, (index, psbtInput, script, isSegwit, isP2SH) => {
+    const signature = (psbtInput.partialSig || [])[0];
+
+    if (!signature) {
+      throw new Error('PSBT has not been signed');
+    }
+
+    if (!isSegwit) {
+      return {
+        finalScriptSig: lib.script.compile([
+          signature.signature,
+          signature.pubkey,
+          ...(path === 'claim' ? [preimage, lib.opcodes.OP_TRUE] : [lib.opcodes.OP_FALSE]),
+          script
+        ])
+      };
+    }
+
+    return {
+      finalScriptSig: isP2SH ? lib.script.compile([psbtInput.redeemScript]) : undefined,
+      finalScriptWitness: htlcScript.serializeWitness([
+        signature.signature,
+        signature.pubkey,
+        ...(path === 'claim' ? [preimage, Buffer.from([0x01])] : [Buffer.alloc(0)]),
+        script
+      ])
+    };
+  });
+}
+
+module.exports = {
+  createHtlcPsbt,
+  finalizeHtlcPsbt
+};
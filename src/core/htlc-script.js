@@ -0,0 +1,425 @@
+/**
+ * HTLC Script Helpers
+ * This module provides the output and input script handling shared by the Bitcoin and MarsCoin HTLCs.
+ * Both chains use bitcoinjs-lib compatible libraries, so the library is passed in by the caller.
+ */
+
+const feeEstimator = require('./fee-estimator');
+
+// Supported ways of paying to an HTLC redeem script
+const SCRIPT_TYPES = ['p2sh', 'p2wsh', 'p2sh-p2wsh'];
+
+// Refund timelocks: absolute (OP_CHECKLOCKTIMEVERIFY) or relative to the funding confirmation (OP_CHECKSEQUENCEVERIFY)
+const TIMELOCK_TYPES = ['cltv', 'csv'];
+
+// BIP68 relative lock-time encoding in nSequence
+const SEQUENCE_LOCKTIME_TYPE_FLAG = 1 << 22;
+const SEQUENCE_LOCKTIME_MASK = 0x0000ffff;
+const SEQUENCE_LOCKTIME_GRANULARITY = 9; // Time-based locks count units of 512 seconds
+
+// BIP125: any input sequence below 0xfffffffe opts the transaction in to replace-by-fee. This value also
+// leaves nLockTime enforced, so claims and CLTV refunds can be fee-bumped by replacement
+const SEQUENCE_REPLACEABLE = 0xfffffffd;
+
+/**
+ * Check that a script type is supported
+ * @param {string} scriptType - Script type to check
+ */
+function assertScriptType(scriptType) {
+  if (!SCRIPT_TYPES.includes(scriptType)) {
+    throw new Error(`Unsupported HTLC script type: ${scriptType} (expected one of ${SCRIPT_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Check that a timelock type is supported
+ * @param {string} timelockType - Timelock type to check
+ */
+function assertTimelockType(timelockType) {
+  if (!TIMELOCK_TYPES.includes(timelockType)) {
+    throw new Error(`Unsupported HTLC timelock type: ${timelockType} (expected one of ${TIMELOCK_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Encode a relative timelock as a BIP68 sequence number
+ * @param {Object} relativeLock - Either { blocks } or { seconds } (rounded up to a multiple of 512)
+ * @returns {number} Sequence number for OP_CHECKSEQUENCEVERIFY and the spending input
+ */
+function encodeRelativeTimelock({ blocks, seconds }) {
+  if (blocks !== undefined && seconds !== undefined) {
+    throw new Error('A relative timelock is either a number of blocks or a number of seconds, not both');
+  }
+
+  const value = blocks !== undefined
+    ? blocks
+    : Math.ceil(seconds / (1 << SEQUENCE_LOCKTIME_GRANULARITY));
+
+  if (!Number.isInteger(value) || value < 1 || value > SEQUENCE_LOCKTIME_MASK) {
+    throw new Error(`Relative timelock out of range: ${blocks !== undefined ? `${blocks} blocks` : `${seconds} seconds`}`);
+  }
+
+  return blocks !== undefined ? value : (SEQUENCE_LOCKTIME_TYPE_FLAG | value);
+}
+
+/**
+ * Decode a BIP68 sequence number into a relative timelock
+ * @param {number} sequence - Sequence number
+ * @returns {Object} Either { blocks } or { seconds }
+ */
+function decodeRelativeTimelock(sequence) {
+  const value = sequence & SEQUENCE_LOCKTIME_MASK;
+
+  return sequence & SEQUENCE_LOCKTIME_TYPE_FLAG
+    ? { seconds: value << SEQUENCE_LOCKTIME_GRANULARITY }
+    : { blocks: value };
+}
+
+/**
+ * Build the script items that enforce the refund timelock
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {string} timelockType - One of TIMELOCK_TYPES
+ * @param {number} timelock - Absolute locktime (cltv) or BIP68 sequence number (csv)
+ * @returns {Array} Script items: the timelock followed by the matching check opcode
+ */
+function timelockOps(lib, timelockType, timelock) {
+  assertTimelockType(timelockType);
+
+  return [
+    lib.script.number.encode(timelock),
+    timelockType === 'csv' ? lib.opcodes.OP_CHECKSEQUENCEVERIFY : lib.opcodes.OP_CHECKLOCKTIMEVERIFY
+  ];
+}
+
+/**
+ * Decode a script number item, which compiles to OP_0/OP_1..OP_16 for small values
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Buffer|number} item - Decompiled script item
+ * @returns {number|null} Number, or null if the item is not a number push
+ */
+function decodeScriptNumber(lib, item) {
+  if (Buffer.isBuffer(item)) {
+    return lib.script.number.decode(item, 5);
+  }
+
+  if (item === lib.opcodes.OP_0) {
+    return 0;
+  }
+
+  if (item >= lib.opcodes.OP_1 && item <= lib.opcodes.OP_16) {
+    return item - lib.opcodes.OP_1 + 1;
+  }
+
+  return null;
+}
+
+/**
+ * Decode an HTLC redeem script built by the Bitcoin or MarsCoin HTLC module
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Buffer} redeemScript - HTLC redeem script
+ * @returns {Object} Hashlock, recipient and refund pubkey hashes, timelock type and timelock value
+ */
+function decodeHtlcScript(lib, redeemScript) {
+  const ops = lib.opcodes;
+  const chunks = lib.script.decompile(redeemScript);
+  const hash = { push: 32 };
+  const pubKeyHash = { push: 20 };
+  const any = null; // Timelock value and timelock check, validated below
+  const template = [
+    ops.OP_IF, ops.OP_SHA256, hash, ops.OP_EQUALVERIFY, ops.OP_DUP, ops.OP_HASH160, pubKeyHash, ops.OP_EQUALVERIFY,
+    ops.OP_CHECKSIG, ops.OP_ELSE, any, any, ops.OP_DROP, ops.OP_DUP, ops.OP_HASH160, pubKeyHash, ops.OP_EQUALVERIFY,
+    ops.OP_CHECKSIG, ops.OP_ENDIF
+  ];
+
+  if (!chunks || chunks.length !== template.length) {
+    throw new Error('Not an HTLC redeem script: unexpected length');
+  }
+
+  template.forEach((expected, index) => {
+    const chunk = chunks[index];
+    let matches = true;
+
+    if (expected && expected.push) {
+      matches = Buffer.isBuffer(chunk) && chunk.length === expected.push;
+    } else if (expected !== any) {
+      matches = chunk === expected;
+    }
+
+    if (!matches) {
+      throw new Error(`Not an HTLC redeem script: unexpected item at position ${index}`);
+    }
+  });
+
+  const timelockOp = chunks[11];
+
+  if (timelockOp !== ops.OP_CHECKLOCKTIMEVERIFY && timelockOp !== ops.OP_CHECKSEQUENCEVERIFY) {
+    throw new Error('Not an HTLC redeem script: refund branch has no timelock check');
+  }
+
+  const timelock = decodeScriptNumber(lib, chunks[10]);
+
+  if (timelock === null || timelock < 0) {
+    throw new Error('Not an HTLC redeem script: invalid timelock');
+  }
+
+  return {
+    hashLock: chunks[2],
+    recipientPubKeyHash: chunks[6],
+    refundPubKeyHash: chunks[15],
+    timelockType: timelockOp === ops.OP_CHECKSEQUENCEVERIFY ? 'csv' : 'cltv',
+    timelock
+  };
+}
+
+/**
+ * Create the payment (address and output script) for an HTLC redeem script
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Buffer} redeemScript - HTLC redeem script (the witness script for SegWit types)
+ * @param {string} scriptType - One of SCRIPT_TYPES
+ * @param {Object} network - Network object
+ * @returns {Object} Payment with address, output and, for P2SH types, the P2SH output
+ */
+function createHtlcPayment(lib, redeemScript, scriptType, network) {
+  assertScriptType(scriptType);
+
+  if (scriptType === 'p2sh') {
+    return lib.payments.p2sh({
+      redeem: { output: redeemScript, network },
+      network
+    });
+  }
+
+  const p2wsh = lib.payments.p2wsh({
+    redeem: { output: redeemScript, network },
+    network
+  });
+
+  if (scriptType === 'p2wsh') {
+    return p2wsh;
+  }
+
+  return lib.payments.p2sh({ redeem: p2wsh, network });
+}
+
+/**
+ * Get the HTLC outputs a claim or refund spends
+ * @param {Object} params - Spend parameters: inputs, or htlcTxId, htlcVout and amount for a single output
+ * @returns {Array<Object>} HTLC outputs with txid, vout and value in satoshis
+ */
+function getSpendInputs(params) {
+  const inputs = params.inputs || [{ txid: params.htlcTxId, vout: params.htlcVout, value: params.amount }];
+
+  if (inputs.length === 0) {
+    throw new Error('No HTLC outputs to spend');
+  }
+
+  inputs.forEach((input) => {
+    if (!input.txid || !Number.isInteger(input.vout) || !(input.value > 0)) {
+      throw new Error('Each HTLC output needs a txid, an output index and a value in satoshis');
+    }
+  });
+
+  return inputs;
+}
+
+/**
+ * Refuse to create an output the network would treat as dust
+ * @param {number} value - Output value in satoshis
+ * @param {Buffer} outputScript - Output script
+ */
+function assertNotDust(value, outputScript) {
+  const dustThreshold = feeEstimator.getDustThreshold(outputScript);
+
+  if (value < dustThreshold) {
+    throw new Error(`Output of ${value} satoshis after fees is below the dust threshold of ${dustThreshold} satoshis`);
+  }
+}
+
+/**
+ * Build an unsigned transaction spending every HTLC output to a single destination
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Object} params
+ * @param {Array<Object>} params.inputs - HTLC outputs with txid, vout and value in satoshis
+ * @param {string} params.destinationAddress - Address receiving the total value less the fee
+ * @param {number} params.fee - Transaction fee in satoshis
+ * @param {Object} params.network - Network object
+ * @param {boolean} [params.refund=false] - Whether this is a refund, which must satisfy the timelock
+ * @param {number} [params.locktime] - Absolute timelock value, for refunds of cltv HTLCs
+ * @param {number} [params.sequence] - BIP68 sequence number, for refunds of csv HTLCs
+ * @returns {Object} Transaction
+ */
+function createSpendTransaction(lib, params) {
+  const { inputs, destinationAddress, fee, network, refund = false, locktime, sequence } = params;
+  const total = inputs.reduce((sum, input) => sum + input.value, 0);
+
+  if (total - fee <= 0) {
+    throw new Error(`Fee of ${fee} satoshis exceeds the ${total} satoshis held by the HTLC`);
+  }
+
+  const outputScript = lib.address.toOutputScript(destinationAddress, network);
+  assertNotDust(total - fee, outputScript);
+
+  const tx = new lib.Transaction();
+  let inputSequence = SEQUENCE_REPLACEABLE;
+
+  if (refund && sequence !== undefined && sequence !== null) {
+    // Relative timelock: BIP68 sequence locks only apply to version 2 transactions. The lock value is
+    // always below 0xfffffffe, so the refund signals replace-by-fee as well
+    tx.version = 2;
+    inputSequence = sequence;
+  } else if (refund) {
+    // Absolute timelock: set the locktime; the non-final sequence enables it
+    tx.locktime = locktime;
+  }
+
+  for (const input of inputs) {
+    tx.addInput(Buffer.from(input.txid, 'hex').reverse(), input.vout, inputSequence);
+  }
+
+  tx.addOutput(outputScript, total - fee);
+
+  return tx;
+}
+
+/**
+ * Sign an HTLC input and set its input script and/or witness
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Object} tx - Transaction being built
+ * @param {Object} params
+ * @param {number} params.inputIndex - Index of the HTLC input
+ * @param {Buffer} params.redeemScript - HTLC redeem script
+ * @param {string} params.scriptType - One of SCRIPT_TYPES
+ * @param {number} params.amount - Value of the HTLC output being spent, in satoshis (committed to by BIP143)
+ * @param {Object} params.keyPair - Key pair used to sign
+ * @param {Array} params.unlock - Items selecting the script branch, e.g. [preimage, true] or [false]
+ * @param {Object} params.network - Network object
+ */
+function signHtlcInput(lib, tx, params) {
+  const { inputIndex, redeemScript, scriptType, amount, keyPair, unlock, network } = params;
+  const hashType = lib.Transaction.SIGHASH_ALL;
+
+  assertScriptType(scriptType);
+
+  if (scriptType === 'p2sh') {
+    const signatureHash = tx.hashForSignature(inputIndex, redeemScript, hashType);
+    const signature = lib.script.signature.encode(keyPair.sign(signatureHash), hashType);
+
+    // Branch selectors are pushed as OP_TRUE/OP_FALSE in the legacy input script
+    tx.setInputScript(inputIndex, lib.script.compile([
+      signature,
+      keyPair.publicKey,
+      ...unlock.map((item) => {
+        if (item === true) return lib.opcodes.OP_TRUE;
+        if (item === false) return lib.opcodes.OP_FALSE;
+        return item;
+      }),
+      redeemScript
+    ]));
+    return;
+  }
+
+  // BIP143 signature hash commits to the value of the output being spent
+  const signatureHash = tx.hashForWitnessV0(inputIndex, redeemScript, amount, hashType);
+  const signature = lib.script.signature.encode(keyPair.sign(signatureHash), hashType);
+
+  // MINIMALIF requires the OP_IF argument to be exactly 0x01 or empty
+  tx.setWitness(inputIndex, [
+    signature,
+    keyPair.publicKey,
+    ...unlock.map((item) => {
+      if (item === true) return Buffer.from([0x01]);
+      if (item === false) return Buffer.alloc(0);
+      return item;
+    }),
+    redeemScript
+  ]);
+
+  if (scriptType === 'p2sh-p2wsh') {
+    const p2wsh = lib.payments.p2wsh({ redeem: { output: redeemScript, network }, network });
+    tx.setInputScript(inputIndex, lib.script.compile([p2wsh.output]));
+  }
+}
+
+/**
+ * Encode a length as a Bitcoin CompactSize (varint) prefix
+ * @param {number} value - Length to encode
+ * @returns {Buffer} 1, 3, 5 or 9 byte prefix
+ */
+function encodeCompactSize(value) {
+  if (value < 0xfd) {
+    return Buffer.from([value]);
+  }
+
+  if (value <= 0xffff) {
+    const buffer = Buffer.alloc(3);
+    buffer[0] = 0xfd;
+    buffer.writeUInt16LE(value, 1);
+    return buffer;
+  }
+
+  if (value <= 0xffffffff) {
+    const buffer = Buffer.alloc(5);
+    buffer[0] = 0xfe;
+    buffer.writeUInt32LE(value, 1);
+    return buffer;
+  }
+
+  const buffer = Buffer.alloc(9);
+  buffer[0] = 0xff;
+  buffer.writeBigUInt64LE(BigInt(value), 1);
+  return buffer;
+}
+
+/**
+ * Serialize a witness stack as a PSBT final script witness: the item count followed by each
+ * length-prefixed item
+ * @param {Buffer[]} items - Witness stack items
+ * @returns {Buffer} Serialized witness
+ */
+function serializeWitness(items) {
+  return Buffer.concat([
+    encodeCompactSize(items.length),
+    ...items.flatMap((item) => [encodeCompactSize(item.length), item])
+  ]);
+}
+
+/**
+ * Find a preimage for the expected hash among an input's script and witness items
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Object} input - Transaction input
+ * @param {Buffer} expectedHash - Expected SHA256 hash of the preimage
+ * @returns {Buffer|null} Preimage if found
+ */
+function findPreimageInInput(lib, input, expectedHash) {
+  const items = [
+    ...(input.script.length > 0 ? lib.script.decompile(input.script) || [] : []),
+    ...(input.witness || [])
+  ];
+
+  for (const item of items) {
+    if (Buffer.isBuffer(item) && item.length === 32 && lib.crypto.sha256(item).equals(expectedHash)) {
+      return item;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  SCRIPT_TYPES,
+  TIMELOCK_TYPES,
+  SEQUENCE_REPLACEABLE,
+  encodeRelativeTimelock,
+  decodeRelativeTimelock,
+  timelockOps,
+  decodeScriptNumber,
+  decodeHtlcScript,
+  createHtlcPayment,
+  getSpendInputs,
+  assertNotDust,
+  createSpendTransaction,
+  signHtlcInput,
+  encodeCompactSize,
+  serializeWitness,
+  findPreimageInInput
+};
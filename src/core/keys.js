@@ -0,0 +1,135 @@
+/**
+ * Key Helpers
+ * This module resolves and validates the public keys used in HTLC scripts on both chains
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+
+bitcoin.initEccLib(ecc);
+
+const bip32 = BIP32Factory(ecc);
+
+/**
+ * HASH160 (RIPEMD160 of SHA256), as used by OP_HASH160
+ * @param {Buffer} data - Data to hash
+ * @returns {Buffer} 20-byte hash
+ */
+function hash160(data) {
+  return bitcoin.crypto.hash160(data);
+}
+
+/**
+ * Parse and validate a compressed public key
+ * @param {string|Buffer} publicKey - Hex-encoded or raw public key
+ * @param {string} [label='public key'] - Name used in error messages
+ * @returns {Buffer} 33-byte compressed public key
+ */
+function parsePublicKey(publicKey, label = 'public key') {
+  if (!publicKey) {
+    throw new Error(`Missing ${label}`);
+  }
+
+  let buffer = publicKey;
+
+  if (!Buffer.isBuffer(buffer)) {
+    if (typeof publicKey !== 'string' || !/^[0-9a-fA-F]+$/.test(publicKey)) {
+      throw new Error(`Invalid ${label}: expected a hex-encoded public key`);
+    }
+    buffer = Buffer.from(publicKey, 'hex');
+  }
+
+  if (buffer.length !== 33 || !ecc.isPoint(buffer)) {
+    throw new Error(`Invalid ${label}: expected a 33-byte compressed secp256k1 public key`);
+  }
+
+  return buffer;
+}
+
+/**
+ * Resolve a public key given either directly or as an extended public key and derivation path
+ * @param {string|Buffer|Object} key - Public key, or { xpub, path } where path is relative to the xpub (e.g. "0/5")
+ * @param {Object} network - Network object (its bip32 versions are used to decode the xpub)
+ * @param {string} [label='public key'] - Name used in error messages
+ * @returns {Buffer} 33-byte compressed public key
+ */
+function resolvePublicKey(key, network, label = 'public key') {
+  if (key && typeof key === 'object' && !Buffer.isBuffer(key)) {
+    const { xpub, path } = key;
+    let node;
+
+    try {
+      node = bip32.fromBase58(xpub, network);
+    } catch (error) {
+      throw new Error(`Invalid ${label}: cannot decode extended public key (${error.message})`);
+    }
+
+    if (path && !/^(\d+\/)*\d+$/.test(path)) {
+      throw new Error(`Invalid ${label}: derivation path "${path}" must be relative and unhardened, e.g. "0/5"`);
+    }
+
+    return path ? node.derivePath(path).publicKey : node.publicKey;
+  }
+
+  return parsePublicKey(key, label);
+}
+
+/**
+ * Check that a public key controls an address
+ * P2PKH, P2WPKH, P2SH-P2WPKH and (for networks that support it) key-path-only P2TR addresses are recognised
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {Buffer} publicKey - Compressed public key
+ * @param {string} address - Payout address
+ * @param {Object} network - Network object
+ * @returns {boolean} Whether the address belongs to the public key
+ */
+function publicKeyMatchesAddress(lib, publicKey, address, network) {
+  const candidates = [
+    () => lib.payments.p2pkh({ pubkey: publicKey, network }).address,
+    () => lib.payments.p2wpkh({ pubkey: publicKey, network }).address,
+    () => lib.payments.p2sh({ redeem: lib.payments.p2wpkh({ pubkey: publicKey, network }), network }).address,
+    () => lib.payments.p2tr && lib.payments.p2tr({ internalPubkey: publicKey.slice(1, 33), network }).address
+  ];
+
+  return candidates.some((candidate) => {
+    try {
+      return candidate() === address;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Resolve a party's public key and check it matches their payout address
+ * @param {Object} lib - bitcoinjs-lib compatible library
+ * @param {string|Buffer|Object} key - Public key or { xpub, path }
+ * @param {string} address - Payout address
+ * @param {Object} network - Network object
+ * @param {string} label - Name used in error messages, e.g. "initiator Bitcoin public key"
+ * @returns {Buffer} 33-byte compressed public key
+ */
+function resolveAndVerifyPublicKey(lib, key, address, network, label) {
+  const publicKey = resolvePublicKey(key, network, label);
+
+  try {
+    lib.address.toOutputScript(address, network);
+  } catch (error) {
+    throw new Error(`Invalid address for ${label}: ${address} (${error.message})`);
+  }
+
+  if (!publicKeyMatchesAddress(lib, publicKey, address, network)) {
+    throw new Error(`The ${label} ${publicKey.toString('hex')} does not match address ${address}`);
+  }
+
+  return publicKey;
+}
+
+module.exports = {
+  hash160,
+  parsePublicKey,
+  resolvePublicKey,
+  publicKeyMatchesAddress,
+  resolveAndVerifyPublicKey
+};
@@ -0,0 +1,552 @@
+/**
+ * Keystore
+ * This module keeps the secrets of the platform (swap preimages, HTLC private keys and derivation seeds)
+ * encrypted on disk, apart from the swap records. Each secret is its own file, encrypted with AES-256-GCM
+ * under a random master key. The master key is itself encrypted under a key derived from the passphrase
+ * with scrypt, so a copy of the data directory reveals nothing without the passphrase, and changing the
+ * passphrase rewrites one file. The master key is held in memory only while the keystore is unlocked, and
+ * an unlock can expire after a timeout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./swap-repository');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Version of the keystore files this code writes
+const KEYSTORE_VERSION = 1;
+
+// scrypt parameters of new keystores: N (CPU/memory cost), r (block size) and p (parallelism)
+const DEFAULT_SCRYPT_COST = 32768;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELISM = 1;
+
+// Seconds an unlock lasts unless the caller asks otherwise (0 keeps the keystore unlocked until locked)
+const DEFAULT_UNLOCK_TIMEOUT = 300;
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+// Swap roles whose HTLC private keys the keystore can hold
+const KEY_ROLES = ['initiatorBtc', 'initiatorMarscoin', 'participantBtc', 'participantMarscoin'];
+
+// Secret names become file names, so they are restricted to safe characters
+const SECRET_NAME_PATTERN = /^[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+
+/**
+ * Name of the secret holding a swap's preimage
+ * @param {string} swapId - Swap ID
+ * @returns {string} Secret name
+ */
+function preimageSecretName(swapId) {
+  return `swap.${swapId}.preimage`;
+}
+
+/**
+ * Name of the secret holding the initiator's nonces of a pending cooperative close
+ * @param {string} swapId - Swap ID
+ * @returns {string} Secret name
+ */
+function closeNonceSecretName(swapId) {
+  return `swap.${swapId}.close-nonces`;
+}
+
+/**
+ * Name of the secret holding the private key of a swap role
+ * @param {string} role - 'initiatorBtc', 'initiatorMarscoin', 'participantBtc' or 'participantMarscoin'
+ * @param {string} [swapId] - Swap ID, for a key used by one swap only
+ * @returns {string} Secret name
+ */
+function keySecretName(role, swapId) {
+  if (!KEY_ROLES.includes(role)) {
+    throw new Error(`Unknown key role: ${role}`);
+  }
+
+  return swapId ? `swap.${swapId}.key.${role}` : `key.${role}`;
+}
+
+/**
+ * Name of the secret holding a derivation seed
+ * @param {string} name - Seed name
+ * @returns {string} Secret name
+ */
+function seedSecretName(name) {
+  return `seed.${name}`;
+}
+
+/**
+ * Check a secret name before using it as a file name
+ * @param {string} name - Secret name
+ */
+function assertSecretName(name) {
+  if (typeof name !== 'string' || name.length > 200 || !SECRET_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid secret name: ${name}`);
+  }
+}
+
+/**
+ * Derive the encryption key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdf - scrypt parameters stored in the keystore header ({ salt, N, r, p })
+ * @returns {Promise<Buffer>} Derived key
+ */
+async function deriveKey(passphrase, kdf) {
+  if (typeof passphrase !== 'string' || passphrase.length === 0) {
+    throw new Error('A passphrase is required');
+  }
+
+  return scrypt(passphrase, Buffer.from(kdf.salt, 'hex'), KEY_LENGTH, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    // scrypt needs 128 * N * r bytes; Node's default ceiling is 32 MiB
+    maxmem: 256 * kdf.N * kdf.r
+  });
+}
+
+/**
+ * Encrypt a value
+ * @param {Buffer} key - Encryption key
+ * @param {string} value - Plaintext
+ * @param {string} name - Name bound to the ciphertext, so an entry cannot be passed off as another
+ * @returns {Object} { iv, tag, data } in hex
+ */
+function encrypt(key, value, name) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(name, 'utf8'));
+
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: data.toString('hex')
+  };
+}
+
+/**
+ * Decrypt a value
+ * @param {Buffer} key - Encryption key
+ * @param {Object} entry - { iv, tag, data } in hex
+ * @param {string} name - Name the value was encrypted under
+ * @returns {string} Plaintext
+ */
+function decrypt(key, entry, name) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(entry.iv, 'hex'));
+  decipher.setAAD(Buffer.from(name, 'utf8'));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'hex'));
+
+  return Buffer.concat([decipher.update(Buffer.from(entry.data, 'hex')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Build a keystore header holding the master key encrypted under a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} masterKey - Master key
+ * @param {number} scryptCost - scrypt N
+ * @returns {Promise<Object>} Header
+ */
+async function createHeader(passphrase, masterKey, scryptCost) {
+  const kdf = {
+    name: 'scrypt',
+    salt: crypto.randomBytes(16).toString('hex'),
+    N: scryptCost,
+    r: SCRYPT_BLOCK_SIZE,
+    p: SCRYPT_PARALLELISM
+  };
+  const derivedKey = await deriveKey(passphrase, kdf);
+
+  try {
+    return {
+      version: KEYSTORE_VERSION,
+      kdf,
+      cipher: CIPHER,
+      masterKey: encrypt(derivedKey, masterKey.toString('hex'), 'master-key')
+    };
+  } finally {
+    derivedKey.fill(0);
+  }
+}
+
+/**
+ * Create a keystore
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding keystore.json and one file per secret under secrets/
+ * @param {number} [options.unlockTimeout=DEFAULT_UNLOCK_TIMEOUT] - Seconds an unlock lasts (0 for no limit)
+ * @param {number} [options.scryptCost=DEFAULT_SCRYPT_COST] - scrypt N of a new keystore (a power of two)
+ * @returns {Object} Keystore with create, unlock, lock, getSecret, setSecret, deleteSecret and listSecrets
+ */
+function createKeystore(options) {
+  const {
+    directory,
+    unlockTimeout = DEFAULT_UNLOCK_TIMEOUT,
+    scryptCost = DEFAULT_SCRYPT_COST
+  } = options;
+  const headerPath = path.join(directory, 'keystore.json');
+  const secretsDirectory = path.join(directory, 'secrets');
+
+  let key = null;
+  let expiresAt = null;
+  let lockTimer = null;
+
+  const secretPath = (name) => path.join(secretsDirectory, `${name}.json`);
+
+  /**
+   * Read the keystore header
+   * @returns {Object} Header with the KDF parameters and the encrypted master key
+   */
+  function readHeader() {
+    if (!exists()) {
+      throw new Error(`No keystore in ${directory}; create one first`);
+    }
+
+    const header = JSON.parse(fs.readFileSync(headerPath, 'utf8'));
+
+    if (header.version > KEYSTORE_VERSION) {
+      throw new Error(`${headerPath} was written by a newer version (keystore version ${header.version})`);
+    }
+
+    return header;
+  }
+
+  /**
+   * Get the master key, failing if the keystore is locked
+   * @returns {Buffer} Master key
+   */
+  function requireKey() {
+    if (!key) {
+      throw new Error('The keystore is locked; unlock it first');
+    }
+
+    return key;
+  }
+
+  /**
+   * Hold the master key in memory, for timeout seconds if given
+   * @param {Buffer} masterKey - Master key
+   * @param {number} timeout - Seconds until the keystore locks itself (0 for no limit)
+   */
+  function holdKey(masterKey, timeout) {
+    lock();
+    key = masterKey;
+
+    if (timeout > 0) {
+      expiresAt = Math.floor(Date.now() / 1000) + timeout;
+      lockTimer = setTimeout(lock, timeout * 1000);
+      // An unlocked keystore must not keep the process alive
+      lockTimer.unref();
+    }
+  }
+
+  /**
+   * Check whether the keystore has been created
+   * @returns {boolean} Whether keystore.json exists
+   */
+  function exists() {
+    return fs.existsSync(headerPath);
+  }
+
+  /**
+   * Create an empty keystore protected by a passphrase, and leave it unlocked
+   * @param {string} passphrase - Passphrase
+   * @param {Object} [createOptions]
+   * @param {number} [createOptions.timeout] - Seconds the new keystore stays unlocked
+   * @returns {Promise<void>}
+   */
+  async function create(passphrase, createOptions = {}) {
+    if (exists()) {
+      throw new Error(`A keystore already exists in ${directory}`);
+    }
+
+    const masterKey = crypto.randomBytes(KEY_LENGTH);
+    const header = await createHeader(passphrase, masterKey, scryptCost);
+
+    fs.mkdirSync(secretsDirectory, { recursive: true, mode: 0o700 });
+    writeFileAtomic(headerPath, JSON.stringify(header, null, 2));
+
+    holdKey(masterKey, createOptions.timeout !== undefined ? createOptions.timeout : unlockTimeout);
+  }
+
+  /**
+   * Unlock the keystore
+   * @param {string} passphrase - Passphrase
+   * @param {Object} [unlockOptions]
+   * @param {number} [unlockOptions.timeout] - Seconds until the keystore locks itself (0 for no limit)
+   * @returns {Promise<void>}
+   */
+  async function unlock(passphrase, unlockOptions = {}) {
+    const header = readHeader();
+    const derivedKey = await deriveKey(passphrase, header.kdf);
+    let masterKey;
+
+    // GCM authentication fails on a key derived from the wrong passphrase
+    try {
+      masterKey = Buffer.from(decrypt(derivedKey, header.masterKey, 'master-key'), 'hex');
+    } catch (error) {
+      throw new Error('Wrong keystore passphrase');
+    } finally {
+      derivedKey.fill(0);
+    }
+
+    holdKey(masterKey, unlockOptions.timeout !== undefined ? unlockOptions.timeout : unlockTimeout);
+  }
+
+  /**
+   * Lock the keystore, wiping the key from memory
+   */
+  function lock() {
+    if (lockTimer) {
+      clearTimeout(lockTimer);
+      lockTimer = null;
+    }
+
+    if (key) {
+      key.fill(0);
+      key = null;
+    }
+
+    expiresAt = null;
+  }
+
+  /**
+   * Check whether the keystore is unlocked
+   * @returns {boolean} Whether secrets can be read and written
+   */
+  function isUnlocked() {
+    return key !== null;
+  }
+
+  /**
+   * Get the state of the keystore
+   * @returns {Object} { exists, unlocked, expiresAt } (expiresAt in seconds, null without a timeout)
+   */
+  function getStatus() {
+    return { exists: exists(), unlocked: isUnlocked(), expiresAt };
+  }
+
+  /**
+   * Check whether a secret is stored (works while locked)
+   * @param {string} name - Secret name
+   * @returns {boolean} Whether the secret exists
+   */
+  function hasSecret(name) {
+    assertSecretName(name);
+    return fs.existsSync(secretPath(name));
+  }
+
+  /**
+   * List the names of the stored secrets (works while locked)
+   * @returns {Array<string>} Secret names
+   */
+  function listSecrets() {
+    if (!fs.existsSync(secretsDirectory)) {
+      return [];
+    }
+
+    return fs.readdirSync(secretsDirectory)
+      .filter((fileName) => fileName.endsWith('.json') && SECRET_NAME_PATTERN.test(fileName.slice(0, -5)))
+      .map((fileName) => fileName.slice(0, -5))
+      .sort();
+  }
+
+  /**
+   * Read a secret
+   * @param {string} name - Secret name
+   * @returns {string|null} The secret, or null if there is none under that name
+   */
+  function getSecret(name) {
+    assertSecretName(name);
+    const masterKey = requireKey();
+    let entry;
+
+    try {
+      entry = JSON.parse(fs.readFileSync(secretPath(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return decrypt(masterKey, entry, name);
+    } catch (error) {
+      throw new Error(`Secret ${name} cannot be decrypted; it was tampered with or written by another keystore`);
+    }
+  }
+
+  /**
+   * Store a secret, replacing any secret of the same name
+   * @param {string} name - Secret name
+   * @param {string} value - Secret value
+   */
+  function setSecret(name, value) {
+    assertSecretName(name);
+
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new Error(`Secret ${name} must be a non-empty string`);
+    }
+
+    const masterKey = requireKey();
+
+    writeFileAtomic(secretPath(name), JSON.stringify({
+      version: KEYSTORE_VERSION,
+      ...encrypt(masterKey, value, name)
+    }, null, 2));
+  }
+
+  /**
+   * Remove a secret
+   * @param {string} name - Secret name
+   * @returns {boolean} Whether there was a secret to remove
+   */
+  function deleteSecret(name) {
+    assertSecretName(name);
+    requireKey();
+
+    if (!fs.existsSync(secretPath(name))) {
+      return false;
+    }
+
+    fs.rmSync(secretPath(name));
+    return true;
+  }
+
+  /**
+   * Protect the keystore with a new passphrase
+   * Only the encrypted master key changes, so the secrets are not rewritten.
+   * @param {string} oldPassphrase - Current passphrase
+   * @param {string} newPassphrase - New passphrase
+   * @returns {Promise<void>}
+   */
+  async function changePassphrase(oldPassphrase, newPassphrase) {
+    await unlock(oldPassphrase);
+
+    const header = await createHeader(newPassphrase, requireKey(), scryptCost);
+    writeFileAtomic(headerPath, JSON.stringify(header, null, 2));
+  }
+
+  return {
+    directory,
+    exists,
+    create,
+    unlock,
+    lock,
+    isUnlocked,
+    getStatus,
+    hasSecret,
+    listSecrets,
+    getSecret,
+    setSecret,
+    deleteSecret,
+    changePassphrase
+  };
+}
+
+// Keystores by directory, so every part of a process shares one unlock
+const keystores = new Map();
+
+/**
+ * Get the keystore of the configured data directory
+ * @param {Object} cfg - Application configuration
+ * @returns {Object} Keystore
+ */
+function getKeystore(cfg) {
+  const directory = path.join(cfg.app.dataDir, cfg.keystore.directory);
+
+  if (!keystores.has(directory)) {
+    keystores.set(directory, createKeystore({
+      directory,
+      unlockTimeout: cfg.keystore.unlockTimeout,
+      scryptCost: cfg.keystore.scryptCost
+    }));
+  }
+
+  return keystores.get(directory);
+}
+
+/**
+ * Store the preimage of a swap
+ * @param {Object} keystore - Unlocked keystore
+ * @param {string} swapId - Swap ID
+ * @param {string} preimage - Hex-encoded preimage
+ */
+function storeSwapPreimage(keystore, swapId, preimage) {
+  if (!keystore) {
+    throw new Error('A keystore is required to hold the swap secret');
+  }
+
+  keystore.setSecret(preimageSecretName(swapId), preimage);
+}
+
+/**
+ * Read the preimage of a swap
+ * @param {Object} keystore - Unlocked keystore
+ * @param {Object} swap - Swap object
+ * @returns {string} Hex-encoded preimage
+ */
+function getSwapPreimage(keystore, swap) {
+  if (!keystore) {
+    throw new Error(`A keystore is required to read the secret of swap ${swap.id}`);
+  }
+
+  if (!keystore.isUnlocked()) {
+    throw new Error(`The keystore is locked; unlock it to use the secret of swap ${swap.id}`);
+  }
+
+  const preimage = keystore.getSecret(preimageSecretName(swap.id));
+
+  if (!preimage) {
+    throw new Error(`The keystore holds no secret for swap ${swap.id}`);
+  }
+
+  return preimage;
+}
+
+/**
+ * Move preimages still stored in plaintext in swap records (written by older versions) into the keystore
+ * @param {Object} repository - Swap repository
+ * @param {Object} keystore - Unlocked keystore
+ * @returns {Promise<number>} Number of preimages moved
+ */
+async function sealSwapPreimages(repository, keystore) {
+  const swaps = [...repository.listSwaps(), ...repository.listSwaps({ archived: true })]
+    .filter((swap) => swap.preimage);
+  let sealed = 0;
+
+  for (const { id } of swaps) {
+    await repository.updateSwap(id, (swap) => {
+      if (!swap.preimage) {
+        return;
+      }
+
+      if (!keystore.hasSecret(preimageSecretName(id))) {
+        storeSwapPreimage(keystore, id, swap.preimage);
+      }
+
+      delete swap.preimage;
+      sealed += 1;
+    });
+  }
+
+  return sealed;
+}
+
+module.exports = {
+  DEFAULT_UNLOCK_TIMEOUT,
+  KEY_ROLES,
+  preimageSecretName,
+  closeNonceSecretName,
+  keySecretName,
+  seedSecretName,
+  createKeystore,
+  getKeystore,
+  storeSwapPreimage,
+  getSwapPreimage,
+  sealSwapPreimages
+};
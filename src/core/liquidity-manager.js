@@ -0,0 +1,598 @@
+/**
+ * Liquidity Manager
+ * This module tracks the provider's capital across open swaps. The leg a swap's own side funds (the MarsCoin
+ * HTLC for the initiator, the Bitcoin HTLC for a participant) reserves its amount from the wallet until it is
+ * funded, then keeps it locked in the HTLC until it is claimed or refunded. New swaps are checked against the
+ * configured exposure limits and against the wallet balance not yet reserved; a swap over a limit is refused,
+ * or queued and started in order once finishing swaps free enough capital. The exposure report groups the
+ * capital tied up in open swaps by how soon each HTLC's refund timelock opens.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const marscoin = require('./marscoin-lib-wrapper');
+const timelockPlanner = require('./timelock-planner');
+const { TERMINAL_STATES } = require('./swap-state');
+const { RpcError, RpcTransportError } = require('./rpc-client');
+const { writeFileAtomic } = require('./swap-repository');
+
+// What happens to a swap over a limit
+const OVER_LIMIT_POLICIES = ['refuse', 'queue'];
+
+// Queued request statuses: waiting, then started, expired, cancelled or failed
+const QUEUE_STATUSES = ['queued', 'started', 'expired', 'cancelled', 'failed'];
+
+// Queued request IDs: 32 hex characters, the first 12 the queueing time in milliseconds so IDs sort in order
+const REQUEST_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Swap-repository lock held while a swap is admitted, so two processes cannot both fit into the same capacity
+const ADMISSION_LOCK = 'liquidity-admission';
+
+const SATOSHIS_PER_COIN = 100000000;
+
+/**
+ * Error raised when a swap is refused for exceeding a liquidity limit
+ * violations lists each limit exceeded ({ limit, message, permanent }).
+ */
+class LiquidityError extends Error {
+  constructor(message, violations) {
+    super(message);
+    this.name = 'LiquidityError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Get the chain whose leg a swap's own side funds
+ * @param {Object} swap - Swap object
+ * @returns {string} 'marscoin' for the initiator (and swaps created without the protocol), 'bitcoin' for a participant
+ */
+function getFundedChain(swap) {
+  return swap.role === 'participant' ? 'bitcoin' : 'marscoin';
+}
+
+/**
+ * Format an amount in satoshis in its chain's unit
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {number} value - Amount in satoshis
+ * @returns {string} e.g. "100000 satoshis" or "12.5 MRS"
+ */
+function formatAmount(chain, value) {
+  return chain === 'bitcoin' ? `${value} satoshis` : `${marscoin.fromSatoshis(value)} MRS`;
+}
+
+/**
+ * Get the capital a swap ties up on the chain its own side funds
+ * A leg reserves its agreed amount until it is funded, then locks what its deposits hold until it is claimed
+ * or refunded. Finished swaps tie up nothing.
+ * @param {Object} swap - Swap object
+ * @returns {Object|null} { chain, state: 'reserved' or 'locked', value } in satoshis, or null
+ */
+function getLegExposure(swap) {
+  const chain = getFundedChain(swap);
+
+  if (TERMINAL_STATES.includes(swap.status) || swap[`${chain}ClaimTxId`] || swap[`${chain}RefundTxId`]) {
+    return null;
+  }
+
+  const agreed = chain === 'bitcoin' ? swap.amounts.btc : marscoin.toSatoshis(swap.amounts.marscoin);
+  const outputs = (swap.fundingOutputs || {})[chain] || [];
+
+  if (outputs.length > 0) {
+    return { chain, state: 'locked', value: outputs.reduce((total, output) => total + output.value, 0) };
+  }
+
+  // A funding transaction the swap knows about but that has not confirmed yet has left the wallet too
+  if ((swap.fundingTxIds || {})[chain]) {
+    return { chain, state: 'locked', value: agreed };
+  }
+
+  return { chain, state: 'reserved', value: agreed };
+}
+
+/**
+ * Estimate how long until the refund timelock of a swap's leg opens
+ * @param {Object} swap - Swap object
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {Object} chainState - Tip of the chain ({ height, medianTime })
+ * @returns {number|null} Estimated seconds (0 once expired), or null if the timelock has not started: the HTLCs
+ *   are not agreed yet, or a relative timelock waits for its funding to confirm
+ */
+function estimateSecondsToRefund(swap, chain, chainState) {
+  const timeout = (swap.timeouts || {})[chain];
+
+  if (timeout === undefined || timeout === null) {
+    return null;
+  }
+
+  const plan = (swap.timelockPlan || {})[chain];
+  const blockInterval = plan ? plan.blockInterval : timelockPlanner.DEFAULT_SETTINGS[chain].blockInterval;
+
+  if (swap.timelockType === 'csv') {
+    // The delay counts from the most recent deposit's confirmation
+    const outputs = (swap.fundingOutputs || {})[chain] || [];
+    const latest = outputs[outputs.length - 1];
+
+    if (!latest || !latest.height) {
+      return null;
+    }
+
+    const confirmations = chainState.height - latest.height + 1;
+    return Math.max(timelockPlanner.relativeDelaySeconds(timeout, blockInterval) - confirmations * blockInterval, 0);
+  }
+
+  return timelockPlanner.estimateSecondsRemaining(timeout, chainState, blockInterval);
+}
+
+/**
+ * Format a bucket bound
+ * @param {number} seconds - Seconds
+ * @returns {string} e.g. "6h" or "1d"
+ */
+function formatDuration(seconds) {
+  if (seconds % 86400 === 0) return `${seconds / 86400}d`;
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+  if (seconds % 60 === 0) return `${seconds / 60}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Create the empty expiry buckets of a report
+ * @param {Array<number>} bounds - Upper bounds in seconds, ascending
+ * @returns {Array<Object>} Buckets with label, minSeconds and maxSeconds (null when open-ended)
+ */
+function createBuckets(bounds) {
+  const empty = () => ({
+    bitcoin: { swaps: 0, reserved: 0, locked: 0 },
+    marscoin: { swaps: 0, reserved: 0, locked: 0 }
+  });
+
+  return [
+    { label: 'expired', minSeconds: 0, maxSeconds: 0, ...empty() },
+    ...bounds.map((bound, index) => ({
+      label: index === 0 ? `within ${formatDuration(bound)}` : `${formatDuration(bounds[index - 1])} to ${formatDuration(bound)}`,
+      minSeconds: index === 0 ? 0 : bounds[index - 1],
+      maxSeconds: bound,
+      ...empty()
+    })),
+    { label: `after ${formatDuration(bounds[bounds.length - 1])}`, minSeconds: bounds[bounds.length - 1], maxSeconds: null, ...empty() },
+    { label: 'not started', minSeconds: null, maxSeconds: null, ...empty() }
+  ];
+}
+
+/**
+ * Create a liquidity manager
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding the queue of swap requests
+ * @param {Object} options.repository - Swap repository
+ * @param {Object} options.btcClient - Bitcoin RPC client (wallet balance and chain tip)
+ * @param {Object} options.marscoinClient - MarsCoin RPC client (wallet balance and chain tip)
+ * @param {Object} [options.limits]
+ * @param {number} [options.limits.maxOpenSwaps=0] - Most swaps open at once (0 for no limit)
+ * @param {Object} [options.limits.maxLocked] - Most satoshis reserved or locked per chain (0 for no limit)
+ * @param {Object} [options.limits.reserve] - Satoshis per chain kept in the wallet, never committed to swaps
+ * @param {boolean} [options.limits.checkBalance=true] - Refuse swaps the wallet balance not yet reserved cannot fund
+ * @param {string} [options.overLimit='refuse'] - 'refuse' or 'queue' a swap over a limit
+ * @param {number} [options.queueTimeout=3600] - Seconds a queued request waits before it expires
+ * @param {Array<number>} [options.expiryBuckets] - Upper bounds in seconds of the report's expiry buckets
+ * @returns {Object} Liquidity manager with getExposure, checkSwap, admitSwap, processQueue, listQueue,
+ *   getQueued, cancelQueued and getReport
+ */
+function createLiquidityManager(options) {
+  const {
+    directory,
+    repository,
+    btcClient,
+    marscoinClient,
+    limits = {},
+    overLimit = 'refuse',
+    queueTimeout = 3600,
+    expiryBuckets = [3600, 21600, 86400]
+  } = options;
+  const { maxOpenSwaps = 0, maxLocked = {}, reserve = {}, checkBalance = true } = limits;
+  const clients = { bitcoin: btcClient, marscoin: marscoinClient };
+
+  if (!OVER_LIMIT_POLICIES.includes(overLimit)) {
+    throw new Error(`Unknown liquidity.overLimit: ${overLimit} (expected ${OVER_LIMIT_POLICIES.join(' or ')})`);
+  }
+
+  if (expiryBuckets.length === 0 || expiryBuckets.some((bound, index) => !(bound > 0) || bound <= (expiryBuckets[index - 1] || 0))) {
+    throw new Error('liquidity.expiryBuckets must list positive seconds in ascending order');
+  }
+
+  const requestPath = (requestId) => path.join(directory, `${requestId}.json`);
+
+  /**
+   * Get the capital tied up by the open swaps
+   * @returns {Object} { openSwaps, chains: { bitcoin, marscoin } } with reserved and locked satoshis and the
+   *   exposure of each swap
+   */
+  function getExposure() {
+    const swaps = repository.listSwaps().filter((swap) => !TERMINAL_STATES.includes(swap.status));
+    const chains = {
+      bitcoin: { reserved: 0, locked: 0 },
+      marscoin: { reserved: 0, locked: 0 }
+    };
+    const legs = [];
+
+    for (const swap of swaps) {
+      const leg = getLegExposure(swap);
+
+      if (leg) {
+        chains[leg.chain][leg.state] += leg.value;
+        legs.push({ swap, ...leg });
+      }
+    }
+
+    return { openSwaps: swaps.length, chains, legs };
+  }
+
+  /**
+   * Get the wallet balance of a chain
+   * @param {string} chain - 'bitcoin' or 'marscoin'
+   * @returns {Promise<number>} Balance in satoshis
+   */
+  async function getBalance(chain) {
+    return Math.round(await clients[chain].getBalance() * SATOSHIS_PER_COIN);
+  }
+
+  /**
+   * Check whether a new swap fits within the limits
+   * @param {Object} params
+   * @param {string} params.chain - Chain the swap's own leg is funded on
+   * @param {number} params.value - Amount of that leg in satoshis
+   * @returns {Promise<Array<Object>>} Limits exceeded ({ limit, message, permanent }); permanent ones cannot
+   *   be met by waiting, since the swap alone exceeds them
+   */
+  async function checkSwap({ chain, value }) {
+    const exposure = getExposure();
+    const { reserved, locked } = exposure.chains[chain];
+    const violations = [];
+
+    if (maxOpenSwaps > 0 && exposure.openSwaps >= maxOpenSwaps) {
+      violations.push({
+        limit: 'maxOpenSwaps',
+        message: `${exposure.openSwaps} swaps are open, the most allowed`,
+        permanent: false
+      });
+    }
+
+    if (maxLocked[chain] > 0 && reserved + locked + value > maxLocked[chain]) {
+      violations.push({
+        limit: 'maxLocked',
+        message: `${formatAmount(chain, value)} on top of the ${formatAmount(chain, reserved + locked)} reserved ` +
+          `or locked exceeds the ${chain} limit of ${formatAmount(chain, maxLocked[chain])}`,
+        permanent: value > maxLocked[chain]
+      });
+    }
+
+    if (checkBalance) {
+      const balance = await getBalance(chain);
+      const available = balance - reserved - (reserve[chain] || 0);
+
+      if (value > available) {
+        violations.push({
+          limit: 'balance',
+          message: `${formatAmount(chain, value)} exceeds the ${formatAmount(chain, Math.max(available, 0))} of the ` +
+            `${chain} wallet not reserved for other swaps`,
+          permanent: false
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Read the queued requests
+   * @returns {Array<Object>} Requests, oldest first
+   */
+  function readQueue() {
+    let names;
+
+    try {
+      names = fs.readdirSync(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return names
+      .filter((name) => name.endsWith('.json') && REQUEST_ID_PATTERN.test(name.slice(0, -5)))
+      .map((name) => JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8')))
+      .sort((a, b) => (a.id < b.id ? -1 : 1));
+  }
+
+  /**
+   * Write a queued request
+   * @param {Object} entry - Queued request
+   */
+  function writeEntry(entry) {
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+    writeFileAtomic(requestPath(entry.id), JSON.stringify(entry, null, 2));
+  }
+
+  /**
+   * Close a queued request
+   * @param {Object} entry - Queued request
+   * @param {string} status - 'started', 'expired', 'cancelled' or 'failed'
+   * @param {Object} [details] - { swapId } or { error }
+   * @returns {Object} The closed request
+   */
+  function closeEntry(entry, status, details = {}) {
+    const closed = { ...entry, status, closedAt: Math.floor(Date.now() / 1000), ...details };
+    writeEntry(closed);
+    return closed;
+  }
+
+  /**
+   * List queued requests
+   * @param {Object} [listOptions]
+   * @param {string} [listOptions.status] - Only requests with this status
+   * @returns {Array<Object>} Requests, oldest first
+   */
+  function listQueue(listOptions = {}) {
+    return readQueue().filter((entry) => !listOptions.status || entry.status === listOptions.status);
+  }
+
+  /**
+   * Get a queued request
+   * @param {string} requestId - Request ID
+   * @returns {Object|null} The request, or null if there is none
+   */
+  function getQueued(requestId) {
+    if (!REQUEST_ID_PATTERN.test(requestId)) {
+      throw new Error(`Invalid request ID: ${requestId}`);
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(requestPath(requestId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Admit a new swap: start it if it fits within the limits, otherwise refuse or queue it
+   * With the 'queue' policy a swap also waits while earlier requests do, so requests start in order.
+   * @param {Object} params
+   * @param {string} params.chain - Chain the swap's own leg is funded on
+   * @param {number} params.value - Amount of that leg in satoshis
+   * @param {Object} params.request - Swap request, kept with a queued request to start it later
+   * @param {number} [params.expiresAt] - Unix time after which a queued request may no longer start (capped
+   *   at the queue timeout)
+   * @param {Function} start - async () => swap, creating the swap
+   * @returns {Promise<Object>} { swap } once started, or { queued } with the queued request
+   */
+  async function admitSwap({ chain, value, request, expiresAt }, start) {
+    return repository.withSwapLock(ADMISSION_LOCK, async () => {
+      const violations = await checkSwap({ chain, value });
+      const waiting = overLimit === 'queue' && listQueue({ status: 'queued' })
+        .some((entry) => entry.expiresAt > Math.floor(Date.now() / 1000));
+
+      if (violations.length === 0 && !waiting) {
+        return { swap: await start() };
+      }
+
+      if (overLimit === 'refuse' || violations.some((violation) => violation.permanent)) {
+        throw new LiquidityError(`The swap exceeds the liquidity limits: ${violations.map((violation) => violation.message).join('; ')}`,
+          violations);
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const entry = {
+        id: Date.now().toString(16).padStart(12, '0') + crypto.randomBytes(10).toString('hex'),
+        createdAt: now,
+        expiresAt: Math.min(now + queueTimeout, expiresAt || Infinity),
+        status: 'queued',
+        chain,
+        value,
+        request,
+        violations: violations.length > 0
+          ? violations
+          : [{ limit: 'queue', message: 'Earlier requests are still queued', permanent: false }],
+        swapId: null
+      };
+
+      writeEntry(entry);
+      return { queued: entry };
+    });
+  }
+
+  /**
+   * Start queued requests, oldest first, while they fit within the limits
+   * A request that does not fit yet holds back every later one. Requests past their expiry are closed as
+   * expired. A request that fails to start is closed as failed, unless a node could not be reached, in which
+   * case it stays queued for the next attempt.
+   * @param {Function} start - async (request) => swap, creating the swap of a request
+   * @returns {Promise<Object>} Counts of started, expired, failed and waiting requests, and in requests the ones
+   *   this pass closed or could not start (with the error), for the caller to log
+   */
+  async function processQueue(start) {
+    const queued = listQueue({ status: 'queued' });
+    const counts = { started: 0, expired: 0, failed: 0, waiting: 0, requests: [] };
+
+    if (queued.length === 0) {
+      return counts;
+    }
+
+    return repository.withSwapLock(ADMISSION_LOCK, async () => {
+      let blocked = false;
+
+      // Read again under the lock, in case a request was cancelled since
+      for (const entry of listQueue({ status: 'queued' })) {
+        if (entry.expiresAt <= Math.floor(Date.now() / 1000)) {
+          counts.requests.push(closeEntry(entry, 'expired'));
+          counts.expired += 1;
+          continue;
+        }
+
+        if (blocked) {
+          counts.waiting += 1;
+          continue;
+        }
+
+        const violations = await checkSwap(entry);
+
+        if (violations.length > 0) {
+          writeEntry({ ...entry, violations });
+          blocked = true;
+          counts.waiting += 1;
+          continue;
+        }
+
+        try {
+          const swap = await start(entry.request);
+          counts.requests.push(closeEntry(entry, 'started', { swapId: swap.id }));
+          counts.started += 1;
+        } catch (error) {
+          if (error instanceof RpcError || error instanceof RpcTransportError) {
+            counts.requests.push({ ...entry, error: error.message });
+            blocked = true;
+            counts.waiting += 1;
+            continue;
+          }
+
+          counts.requests.push(closeEntry(entry, 'failed', { error: error.message }));
+          counts.failed += 1;
+        }
+      }
+
+      return counts;
+    });
+  }
+
+  /**
+   * Cancel a queued request
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object>} The cancelled request
+   */
+  async function cancelQueued(requestId) {
+    return repository.withSwapLock(ADMISSION_LOCK, async () => {
+      const entry = getQueued(requestId);
+
+      if (!entry) {
+        throw new Error(`Swap request ${requestId} not found`);
+      }
+
+      if (entry.status !== 'queued') {
+        throw new Error(`Swap request ${requestId} is ${entry.status}, not queued`);
+      }
+
+      return closeEntry(entry, 'cancelled');
+    });
+  }
+
+  /**
+   * Report the capital tied up in open swaps
+   * Amounts are in satoshis on Bitcoin and in MRS on MarsCoin, like swap amounts.
+   * @returns {Promise<Object>} Open swaps, per-chain wallet balance, reserved, locked and available funds with
+   *   the limits, the expiry buckets and the number of queued requests
+   */
+  async function getReport() {
+    const exposure = getExposure();
+    const display = (chain, value) => (chain === 'bitcoin' ? value : marscoin.fromSatoshis(value));
+    const chains = {};
+    const chainStates = {};
+
+    for (const chain of ['bitcoin', 'marscoin']) {
+      const balance = await getBalance(chain);
+      const { reserved, locked } = exposure.chains[chain];
+
+      chainStates[chain] = await timelockPlanner.getChainState(clients[chain]);
+      chains[chain] = {
+        balance: display(chain, balance),
+        reserved: display(chain, reserved),
+        locked: display(chain, locked),
+        available: display(chain, Math.max(balance - reserved - (reserve[chain] || 0), 0)),
+        reserve: display(chain, reserve[chain] || 0),
+        maxLocked: maxLocked[chain] > 0 ? display(chain, maxLocked[chain]) : null
+      };
+    }
+
+    const buckets = createBuckets(expiryBuckets);
+
+    for (const { swap, chain, state, value } of exposure.legs) {
+      const seconds = estimateSecondsToRefund(swap, chain, chainStates[chain]);
+      const bucket = seconds === null
+        ? buckets[buckets.length - 1]
+        : buckets.find((candidate) => candidate.maxSeconds === null || seconds <= candidate.maxSeconds);
+
+      bucket[chain].swaps += 1;
+      bucket[chain][state] += value;
+    }
+
+    for (const bucket of buckets) {
+      for (const chain of ['bitcoin', 'marscoin']) {
+        bucket[chain].reserved = display(chain, bucket[chain].reserved);
+        bucket[chain].locked = display(chain, bucket[chain].locked);
+      }
+    }
+
+    return {
+      generatedAt: Math.floor(Date.now() / 1000),
+      openSwaps: exposure.openSwaps,
+      maxOpenSwaps: maxOpenSwaps > 0 ? maxOpenSwaps : null,
+      chains,
+      buckets,
+      queued: listQueue({ status: 'queued' }).length
+    };
+  }
+
+  return {
+    directory,
+    getExposure,
+    checkSwap,
+    admitSwap,
+    processQueue,
+    listQueue,
+    getQueued,
+    cancelQueued,
+    getReport
+  };
+}
+
+/**
+ * Create the liquidity manager of the configuration
+ * @param {Object} cfg - Application configuration
+ * @param {Object} repository - Swap repository
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @returns {Object} Liquidity manager
+ */
+function getLiquidityManager(cfg, repository, btcClient, marscoinClient) {
+  const settings = cfg.liquidity;
+
+  return createLiquidityManager({
+    directory: path.join(cfg.app.dataDir, settings.directory),
+    repository,
+    btcClient,
+    marscoinClient,
+    limits: {
+      maxOpenSwaps: settings.maxOpenSwaps,
+      maxLocked: { bitcoin: settings.maxBtcLocked, marscoin: marscoin.toSatoshis(settings.maxMarscoinLocked) },
+      reserve: { bitcoin: settings.btcReserve, marscoin: marscoin.toSatoshis(settings.marscoinReserve) },
+      checkBalance: settings.checkBalance
+    },
+    overLimit: settings.overLimit,
+    queueTimeout: settings.queueTimeout,
+    expiryBuckets: settings.expiryBuckets
+  });
+}
+
+module.exports = {
+  OVER_LIMIT_POLICIES,
+  QUEUE_STATUSES,
+  LiquidityError,
+  getFundedChain,
+  getLegExposure,
+  estimateSecondsToRefund,
+  createLiquidityManager,
+  getLiquidityManager
+};
@@ -3,56 +3,30 @@
  * This module provides functionality to create and interact with HTLCs on the MarsCoin blockchain
  */
 
-const crypto = require('crypto');
-
-// Marscoin module will be loaded dynamically or mocked
-let marscoin;
-try {
-  marscoin = require('./marscoin-lib-wrapper');
-} catch (error) {
-  console.warn('MarsCoin library not available, using mock implementation');
-  marscoin = {
-    networks: { marscoin: {} },
-    address: {
-      fromBase58Check: () => ({ hash: Buffer.alloc(0) }),
-      toOutputScript: () => Buffer.alloc(0)
-    },
-    script: {
-      compile: () => Buffer.alloc(0),
-      number: { encode: () => Buffer.alloc(0) }
-    },
-    opcodes: {
-      OP_IF: 0, OP_ELSE: 0, OP_ENDIF: 0,
-      OP_SHA256: 0, OP_EQUALVERIFY: 0, OP_CHECKSIG: 0,
-      OP_CHECKLOCKTIMEVERIFY: 0, OP_DROP: 0, OP_TRUE: 0, OP_FALSE: 0,
-      OP_DUP: 0, OP_HASH160: 0
-    },
-    payments: { p2sh: () => ({ address: 'dummy_address', output: Buffer.alloc(0) }) },
-    Transaction: class { constructor() {} }
-  };
-}
+const marscoin = require('./marscoin-lib-wrapper');
+const htlcScript = require('./htlc-script');
+const feeEstimator = require('./fee-estimator');
+const htlcPsbt = require('./htlc-psbt');
+const keys = require('./keys');
 
 /**
  * Create a MarsCoin HTLC transaction
  * @param {Object} params
  * @param {Buffer} params.hashLock - The SHA256 hash to use as hashlock
- * @param {number} params.timelock - Absolute timelock (Unix timestamp)
- * @param {string} params.recipientPubKey - Recipient's public key
- * @param {string} params.refundPubKey - Refund public key
+ * @param {number} params.timelock - Absolute locktime (cltv) or BIP68 sequence number from htlcScript.encodeRelativeTimelock (csv)
+ * @param {string|Buffer} params.recipientPubKey - Recipient's compressed public key
+ * @param {string|Buffer} params.refundPubKey - Refund compressed public key
  * @param {Object} params.network - MarsCoin network object
+ * @param {string} [params.scriptType='p2sh'] - Output type: 'p2sh', 'p2wsh' or 'p2sh-p2wsh'
+ * @param {string} [params.timelockType='cltv'] - 'cltv' for an absolute refund timelock, 'csv' for one relative to the funding confirmation
  * @returns {Object} HTLC details including address
  */
 async function createHtlc(params) {
-  const { hashLock, timelock, recipientPubKey, refundPubKey, network } = params;
+  const { hashLock, timelock, recipientPubKey, refundPubKey, network, scriptType = 'p2sh', timelockType = 'cltv' } = params;
   
-  // Convert public keys to Buffer if they're strings
-  const recipientPubKeyBuffer = Buffer.isBuffer(recipientPubKey) 
-    ? recipientPubKey 
-    : Buffer.from(recipientPubKey, 'hex');
-    
-  const refundPubKeyBuffer = Buffer.isBuffer(refundPubKey)
-    ? refundPubKey
-    : Buffer.from(refundPubKey, 'hex');
+  // Parse and validate the public keys
+  const recipientPubKeyBuffer = keys.parsePublicKey(recipientPubKey, 'recipient public key');
+  const refundPubKeyBuffer = keys.parsePublicKey(refundPubKey, 'refund public key');
   
   // Create the redeem script for HTLC
   // MarsCoin uses similar script to Bitcoin
@@ -63,162 +37,199 @@ async function createHtlc(params) {
     marscoin.opcodes.OP_EQUALVERIFY,
     marscoin.opcodes.OP_DUP,
     marscoin.opcodes.OP_HASH160,
-    crypto.createHash('ripemd160').update(recipientPubKeyBuffer).digest(),
+    keys.hash160(recipientPubKeyBuffer),
     marscoin.opcodes.OP_EQUALVERIFY,
     marscoin.opcodes.OP_CHECKSIG,
     marscoin.opcodes.OP_ELSE,
-    marscoin.script.number.encode(timelock),
-    marscoin.opcodes.OP_CHECKLOCKTIMEVERIFY,
+    ...htlcScript.timelockOps(marscoin, timelockType, timelock),
     marscoin.opcodes.OP_DROP,
     marscoin.opcodes.OP_DUP,
     marscoin.opcodes.OP_HASH160,
-    crypto.createHash('ripemd160').update(refundPubKeyBuffer).digest(),
+    keys.hash160(refundPubKeyBuffer),
     marscoin.opcodes.OP_EQUALVERIFY,
     marscoin.opcodes.OP_CHECKSIG,
     marscoin.opcodes.OP_ENDIF
   ]);
 
-  // Create P2SH address from redeem script
-  const p2sh = marscoin.payments.p2sh({
-    redeem: { output: redeemScript, network },
-    network
-  });
+  // Create the HTLC address from the redeem script
+  const payment = htlcScript.createHtlcPayment(marscoin, redeemScript, scriptType, network);
 
   return {
-    address: p2sh.address,
+    address: payment.address,
+    scriptType,
     redeemScript: redeemScript.toString('hex'),
-    p2shOutput: p2sh.output.toString('hex'),
-    locktime: timelock
+    outputScript: payment.output.toString('hex'),
+    p2shOutput: scriptType === 'p2wsh' ? null : payment.output.toString('hex'),
+    timelockType,
+    locktime: timelockType === 'cltv' ? timelock : null,
+    sequence: timelockType === 'csv' ? timelock : null
   };
 }
 
 /**
  * Create a transaction to claim funds from an HTLC using the preimage
  * @param {Object} params
- * @param {string} params.htlcTxId - Transaction ID of the HTLC funding transaction
- * @param {number} params.htlcVout - Output index of the HTLC in the funding transaction
+ * @param {Array<Object>} [params.inputs] - HTLC outputs to spend ({ txid, vout, value in satoshis });
+ *   defaults to the single output htlcTxId:htlcVout worth amount
+ * @param {string} [params.htlcTxId] - Transaction ID of the HTLC funding transaction
+ * @param {number} [params.htlcVout] - Output index of the HTLC in the funding transaction
  * @param {string} params.redeemScript - Hex-encoded redeem script
  * @param {string} params.preimage - Hex-encoded preimage that hashes to the hashlock
  * @param {string} params.privateKey - WIF private key to sign the transaction
  * @param {string} params.destinationAddress - Address to send the claimed funds to
- * @param {number} params.amount - Amount to claim (minus fee)
- * @param {number} params.fee - Transaction fee
+ * @param {number} [params.amount] - Value of the HTLC output in satoshis
+ * @param {number} [params.fee] - Fixed transaction fee in satoshis (subtracted from the total value of the inputs)
+ * @param {number} [params.feeRate] - Fee rate in sat/vB, used to size the fee when no fixed fee is given
  * @param {Object} params.network - MarsCoin network object
+ * @param {string} [params.scriptType='p2sh'] - Output type of the HTLC being spent
  * @returns {Object} Transaction details
  */
 async function claimHtlcWithPreimage(params) {
   const {
-    htlcTxId,
-    htlcVout,
     redeemScript,
     preimage,
     privateKey,
     destinationAddress,
-    amount,
-    fee,
-    network
+    network,
+    scriptType = 'p2sh'
   } = params;
 
-  // Create transaction
-  const tx = new marscoin.Transaction();
-  
-  // Add input from HTLC
-  tx.addInput(Buffer.from(htlcTxId, 'hex').reverse(), htlcVout);
-  
-  // Add output to destination address
-  const outputScript = marscoin.address.toOutputScript(destinationAddress, network);
-  tx.addOutput(outputScript, amount - fee);
+  // Spend every HTLC output to the destination address
+  const inputs = htlcScript.getSpendInputs(params);
+  const fee = feeEstimator.getSpendFee(marscoin, { ...params, path: 'claim', inputCount: inputs.length });
+  const tx = htlcScript.createSpendTransaction(marscoin, { inputs, destinationAddress, fee, network });
 
-  // Sign the transaction
+  // Sign the transaction, revealing the preimage in the claim branch
   const keyPair = marscoin.ECPair.fromWIF(privateKey, network);
-  const redeemScriptBuffer = Buffer.from(redeemScript, 'hex');
-  const preimageBuffer = Buffer.from(preimage, 'hex');
-  
-  // Create the witness stack for spending the HTLC
-  const hashType = 0x01; // SIGHASH_ALL
-  const signatureHash = tx.hashForSignature(0, redeemScriptBuffer, hashType);
-  const signature = keyPair.sign(signatureHash);
-  
-  // Set the input script with the preimage and signature
-  const inputScript = marscoin.script.compile([
-    Buffer.concat([signature.toDER(), Buffer.from([hashType])]),
-    keyPair.publicKey,
-    preimageBuffer,
-    marscoin.opcodes.OP_TRUE,
-    redeemScriptBuffer
-  ]);
-  
-  tx.setInputScript(0, inputScript);
+  inputs.forEach((input, inputIndex) => {
+    htlcScript.signHtlcInput(marscoin, tx, {
+      inputIndex,
+      redeemScript: Buffer.from(redeemScript, 'hex'),
+      scriptType,
+      amount: input.value,
+      keyPair,
+      unlock: [Buffer.from(preimage, 'hex'), true],
+      network
+    });
+  });
   
   return {
     txHex: tx.toHex(),
-    txId: tx.getId()
+    txId: tx.getId(),
+    fee
   };
 }
 
 /**
  * Create a transaction to refund funds from an HTLC after timeout
  * @param {Object} params
- * @param {string} params.htlcTxId - Transaction ID of the HTLC funding transaction
- * @param {number} params.htlcVout - Output index of the HTLC in the funding transaction
+ * @param {Array<Object>} [params.inputs] - HTLC outputs to spend ({ txid, vout, value in satoshis });
+ *   defaults to the single output htlcTxId:htlcVout worth amount
+ * @param {string} [params.htlcTxId] - Transaction ID of the HTLC funding transaction
+ * @param {number} [params.htlcVout] - Output index of the HTLC in the funding transaction
  * @param {string} params.redeemScript - Hex-encoded redeem script
  * @param {string} params.privateKey - WIF private key to sign the transaction
  * @param {string} params.refundAddress - Address to refund the funds to
- * @param {number} params.amount - Amount to refund (minus fee)
- * @param {number} params.fee - Transaction fee
- * @param {number} params.locktime - Timelock value (must be expired)
+ * @param {number} [params.amount] - Value of the HTLC output in satoshis
+ * @param {number} [params.fee] - Fixed transaction fee in satoshis (subtracted from the total value of the inputs)
+ * @param {number} [params.feeRate] - Fee rate in sat/vB, used to size the fee when no fixed fee is given
+ * @param {number} [params.locktime] - Absolute timelock value (must be expired), for cltv HTLCs
+ * @param {number} [params.sequence] - BIP68 sequence number of the relative timelock, for csv HTLCs
  * @param {Object} params.network - MarsCoin network object
+ * @param {string} [params.scriptType='p2sh'] - Output type of the HTLC being spent
  * @returns {Object} Transaction details
  */
 async function refundHtlcAfterTimeout(params) {
   const {
-    htlcTxId,
-    htlcVout,
     redeemScript,
     privateKey,
     refundAddress,
-    amount,
-    fee,
     locktime,
-    network
+    sequence,
+    network,
+    scriptType = 'p2sh'
   } = params;
 
-  // Create transaction with locktime set
-  const tx = new marscoin.Transaction();
-  tx.locktime = locktime;
-  
-  // Add input from HTLC with sequence set to enable locktime
-  tx.addInput(Buffer.from(htlcTxId, 'hex').reverse(), htlcVout, 0xfffffffe);
-  
-  // Add output to refund address
-  const outputScript = marscoin.address.toOutputScript(refundAddress, network);
-  tx.addOutput(outputScript, amount - fee);
+  // Spend every HTLC output back to the refund address once the timelock allows it
+  const inputs = htlcScript.getSpendInputs(params);
+  const fee = feeEstimator.getSpendFee(marscoin, {
+    ...params,
+    path: 'refund',
+    destinationAddress: refundAddress,
+    inputCount: inputs.length
+  });
+  const tx = htlcScript.createSpendTransaction(marscoin, {
+    inputs,
+    destinationAddress: refundAddress,
+    fee,
+    network,
+    refund: true,
+    locktime,
+    sequence
+  });
 
-  // Sign the transaction
+  // Sign the transaction for the refund branch
   const keyPair = marscoin.ECPair.fromWIF(privateKey, network);
-  const redeemScriptBuffer = Buffer.from(redeemScript, 'hex');
-  
-  // Create the witness stack for spending the HTLC after timeout
-  const hashType = 0x01; // SIGHASH_ALL
-  const signatureHash = tx.hashForSignature(0, redeemScriptBuffer, hashType);
-  const signature = keyPair.sign(signatureHash);
-  
-  // Set the input script for refund path
-  const inputScript = marscoin.script.compile([
-    Buffer.concat([signature.toDER(), Buffer.from([hashType])]),
-    keyPair.publicKey,
-    marscoin.opcodes.OP_FALSE,
-    redeemScriptBuffer
-  ]);
-  
-  tx.setInputScript(0, inputScript);
+  inputs.forEach((input, inputIndex) => {
+    htlcScript.signHtlcInput(marscoin, tx, {
+      inputIndex,
+      redeemScript: Buffer.from(redeemScript, 'hex'),
+      scriptType,
+      amount: input.value,
+      keyPair,
+      unlock: [false],
+      network
+    });
+  });
   
   return {
     txHex: tx.toHex(),
-    txId: tx.getId()
+    txId: tx.getId(),
+    fee
   };
 }
 
+/**
+ * Create an unsigned PSBT claiming an HTLC with the preimage, for signing outside this process
+ * @param {Object} params - Same as claimHtlcWithPreimage, without privateKey
+ * @param {string} [params.fundingTxHex] - Full funding transaction, required for P2SH HTLCs
+ * @param {Object} [params.fundingTxHexes] - Full funding transactions keyed by txid, when P2SH inputs come from several
+ * @returns {string} Base64-encoded PSBT carrying the redeem script and preimage
+ */
+async function createClaimPsbt(params) {
+  return htlcPsbt.createHtlcPsbt(marscoin, {
+    scriptType: 'p2sh',
+    ...params,
+    path: 'claim'
+  });
+}
+
+/**
+ * Create an unsigned PSBT refunding an HTLC after timeout, for signing outside this process
+ * @param {Object} params - Same as refundHtlcAfterTimeout, without privateKey
+ * @param {string} [params.fundingTxHex] - Full funding transaction, required for P2SH HTLCs
+ * @param {Object} [params.fundingTxHexes] - Full funding transactions keyed by txid, when P2SH inputs come from several
+ * @returns {string} Base64-encoded PSBT carrying the redeem script and locktime
+ */
+async function createRefundPsbt(params) {
+  return htlcPsbt.createHtlcPsbt(marscoin, {
+    scriptType: 'p2sh',
+    ...params,
+    destinationAddress: params.refundAddress,
+    path: 'refund'
+  });
+}
+
+/**
+ * Finalize an externally signed claim or refund PSBT
+ * @param {string} psbtBase64 - Base64-encoded signed PSBT
+ * @param {Object} network - MarsCoin network object
+ * @returns {Object} Transaction details
+ */
+async function finalizeHtlcPsbt(psbtBase64, network) {
+  return htlcPsbt.finalizeHtlcPsbt(marscoin, psbtBase64, network);
+}
+
 /**
  * Verify a MarsCoin transaction has enough confirmations
  * @param {string} txId - Transaction ID to check
@@ -249,22 +260,12 @@ async function extractPreimageFromMarscoinTx(txId, expectedHash, rpcClient) {
     const txHex = await rpcClient.getRawTransaction(txId);
     const tx = marscoin.Transaction.fromHex(txHex);
     
-    // Examine each input for a potential preimage
+    // Examine each input script and witness for a potential preimage
     for (const input of tx.ins) {
-      // Parse the input script
-      const inputScript = marscoin.script.decompile(input.script);
+      const preimage = htlcScript.findPreimageInInput(marscoin, input, expectedHash);
       
-      // Look for a 32-byte value that could be the preimage
-      for (const item of inputScript) {
-        if (Buffer.isBuffer(item) && item.length === 32) {
-          // Hash the potential preimage
-          const hash = crypto.createHash('sha256').update(item).digest();
-          
-          // Compare to expected hash
-          if (hash.equals(expectedHash)) {
-            return item.toString('hex');
-          }
-        }
+      if (preimage) {
+        return preimage.toString('hex');
       }
     }
     
@@ -279,24 +280,34 @@ async function extractPreimageFromMarscoinTx(txId, expectedHash, rpcClient) {
  * Redeem MarsCoin using a preimage
  * @param {string} txId - Transaction ID containing the HTLC
  * @param {string} preimage - The preimage to reveal
- * @param {Object} params - Additional parameters for redemption
+ * @param {Object} params - Claim parameters (privateKey, destinationAddress, amount and fee in satoshis or
+ *   feeRate in sat/vB, redeemScript, vout, network, scriptType, and inputs to spend several HTLC outputs
+ *   instead of txId:vout; vout is required unless inputs are given)
  * @param {Object} rpcClient - MarsCoin RPC client
  * @returns {Object} Result of the redemption
  */
 async function redeemMarscoinWithPreimage(txId, preimage, params, rpcClient) {
-  const { privateKey, destinationAddress, amount, fee, redeemScript, vout, network } = params;
+  const { privateKey, destinationAddress, amount, fee, feeRate, redeemScript, vout, network, scriptType, inputs } = params;
+
+  // The HTLC is not always output 0 of its funding transaction (see swapCoordinator.findHtlcFunding)
+  if (!inputs && !Number.isInteger(vout)) {
+    throw new Error('The HTLC output index (vout) is required unless the inputs to spend are given');
+  }
   
   // Create claim transaction using the preimage
   const claimResult = await claimHtlcWithPreimage({
+    inputs,
     htlcTxId: txId,
-    htlcVout: vout || 0,
+    htlcVout: vout,
     redeemScript,
     preimage,
     privateKey,
     destinationAddress,
     amount,
     fee,
-    network
+    feeRate,
+    network,
+    scriptType
   });
   
   // Submit the transaction to the network
@@ -320,6 +331,9 @@ module.exports = {
   createHtlc,
   claimHtlcWithPreimage,
   refundHtlcAfterTimeout,
+  createClaimPsbt,
+  createRefundPsbt,
+  finalizeHtlcPsbt,
   verifyMarscoinConfirmations,
   redeemMarscoinWithPreimage,
   extractPreimageFromMarscoinTx
@@ -1,95 +1,114 @@
 /**
  * MarsCoin Library Wrapper
- * This module provides a wrapper around the MarsCoin library for Node.js compatibility
+ * This module provides MarsCoin network parameters on top of bitcoinjs-lib.
+ * MarsCoin shares Bitcoin's script language and transaction serialization, so
+ * scripts, payments and transactions are handled by bitcoinjs-lib and only the
+ * network parameters (address versions, WIF prefix, bech32 prefix) differ.
  */
 
-// Define a mock MarsCoin library implementation
-const marscoin = {
-  networks: {
-    marscoin: {
-      messagePrefix: '\x19MarsCoin Signed Message:\n',
-      bech32: 'm',
-      bip32: {
-        public: 0x0488b21e,
-        private: 0x0488ade4
-      },
-      pubKeyHash: 0x32,
-      scriptHash: 0x05,
-      wif: 0xb2
-    }
-  },
-  script: {
-    compile: (scriptItems) => Buffer.from('mock_compiled_script'),
-    number: { encode: (n) => Buffer.from([n & 0xff]) }
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+
+// Number of base units (satoshis) in one MRS
+const COIN = 100000000;
+
+const networks = {
+  marscoin: {
+    messagePrefix: '\x19MarsCoin Signed Message:\n',
+    bech32: 'm',
+    bip32: {
+      public: 0x0488b21e,
+      private: 0x0488ade4
+    },
+    pubKeyHash: 0x32,
+    scriptHash: 0x05,
+    wif: 0xb2
   },
+  testnet: {
+    messagePrefix: '\x19MarsCoin Signed Message:\n',
+    bech32: 'tm',
+    bip32: {
+      public: 0x043587cf,
+      private: 0x04358394
+    },
+    pubKeyHash: 0x6f,
+    scriptHash: 0xc4,
+    wif: 0xef
+  }
+};
+
+const ECPair = ECPairFactory(ecc);
+
+/**
+ * Get the MarsCoin network object for a configured network name
+ * @param {string} name - 'mainnet' or 'testnet'
+ * @returns {Object} MarsCoin network object
+ */
+function getNetwork(name) {
+  if (name === 'mainnet' || name === 'marscoin') {
+    return networks.marscoin;
+  }
+
+  if (name === 'testnet' || name === 'regtest') {
+    return networks.testnet;
+  }
+
+  throw new Error(`Unknown MarsCoin network: ${name}`);
+}
+
+/**
+ * Convert an MRS amount to base units
+ * @param {number} amount - Amount in MRS
+ * @returns {number} Amount in satoshis
+ */
+function toSatoshis(amount) {
+  return Math.round(amount * COIN);
+}
+
+/**
+ * Convert base units to an MRS amount
+ * @param {number} satoshis - Amount in satoshis
+ * @returns {number} Amount in MRS
+ */
+function fromSatoshis(satoshis) {
+  return satoshis / COIN;
+}
+
+/**
+ * Default a payment to the MarsCoin mainnet when no network is given
+ * @param {Object} payment - bitcoinjs-lib payment object
+ * @returns {Object} Payment with network set
+ */
+function withNetwork(payment) {
+  return { ...payment, network: payment.network || networks.marscoin };
+}
+
+const marscoin = {
+  COIN,
+  networks,
+  getNetwork,
+  toSatoshis,
+  fromSatoshis,
+  script: bitcoin.script,
+  crypto: bitcoin.crypto,
+  opcodes: bitcoin.opcodes,
   address: {
-    fromBase58Check: (address) => ({ hash: Buffer.from('mock_pubkey_hash'), version: 0x32 }),
-    toOutputScript: (address) => Buffer.from('mock_output_script')
-  },
-  opcodes: {
-    OP_IF: 0x63,
-    OP_ELSE: 0x67,
-    OP_ENDIF: 0x68,
-    OP_SHA256: 0xa8,
-    OP_EQUALVERIFY: 0x88,
-    OP_HASH160: 0xa9,
-    OP_DUP: 0x76,
-    OP_CHECKSIG: 0xac,
-    OP_CHECKLOCKTIMEVERIFY: 0xb1,
-    OP_DROP: 0x75,
-    OP_TRUE: 0x51,
-    OP_FALSE: 0x00
+    fromBase58Check: bitcoin.address.fromBase58Check,
+    fromBech32: bitcoin.address.fromBech32,
+    toBase58Check: bitcoin.address.toBase58Check,
+    fromOutputScript: (output, network = networks.marscoin) => bitcoin.address.fromOutputScript(output, network),
+    toOutputScript: (address, network = networks.marscoin) => bitcoin.address.toOutputScript(address, network)
   },
   payments: {
-    p2sh: ({ redeem, network }) => ({
-      address: 'mock_p2sh_address',
-      output: Buffer.from('mock_p2sh_output'),
-      redeem: redeem
-    })
-  },
-  Transaction: class {
-    constructor() {
-      this.inputs = [];
-      this.outputs = [];
-      this.locktime = 0;
-    }
-    
-    addInput(txid, vout, sequence) {
-      this.inputs.push({ txid, vout, sequence });
-      return this.inputs.length - 1;
-    }
-    
-    addOutput(scriptPubKey, value) {
-      this.outputs.push({ scriptPubKey, value });
-      return this.outputs.length - 1;
-    }
-    
-    setInputScript(index, script) {
-      if (this.inputs[index]) {
-        this.inputs[index].script = script;
-      }
-    }
-    
-    hashForSignature(inputIndex, prevOutScript, hashType) {
-      return Buffer.from('mock_signature_hash');
-    }
-    
-    toHex() {
-      return 'mock_transaction_hex';
-    }
-    
-    getId() {
-      return 'mock_transaction_id';
-    }
+    p2pkh: (payment, opts) => bitcoin.payments.p2pkh(withNetwork(payment), opts),
+    p2sh: (payment, opts) => bitcoin.payments.p2sh(withNetwork(payment), opts),
+    p2wpkh: (payment, opts) => bitcoin.payments.p2wpkh(withNetwork(payment), opts),
+    p2wsh: (payment, opts) => bitcoin.payments.p2wsh(withNetwork(payment), opts)
   },
-  ECPair: {
-    fromWIF: (wif, network) => ({
-      publicKey: Buffer.from('mock_public_key'),
-      sign: (hash) => ({
-        toDER: () => Buffer.from('mock_signature')
-      })
-    })
-  }
+  Transaction: bitcoin.Transaction,
+  Psbt: bitcoin.Psbt,
+  ECPair
 };
 
-module.exports = marscoin;
\ No newline at end of file
+module.exports = marscoin;
@@ -0,0 +1,372 @@
+/**
+ * MuSig2 Multi-Signatures
+ * This module implements the parts of BIP327 the cooperative Taproot close needs: key aggregation with
+ * an x-only tweak, nonce generation and aggregation, and partial signing, verification and aggregation.
+ * The result is an ordinary BIP340 Schnorr signature for the aggregate key, so neither party ever
+ * learns the other's private key.
+ */
+
+const crypto = require('crypto');
+const ecc = require('tiny-secp256k1');
+
+// Order of the secp256k1 group
+const CURVE_ORDER = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+// Generator of the secp256k1 group, compressed
+const GENERATOR = Buffer.from('0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex');
+
+/**
+ * Read a 32-byte big-endian integer
+ * @param {Buffer} bytes - 32 bytes
+ * @returns {bigint} Integer
+ */
+function toScalar(bytes) {
+  return BigInt(`0x${Buffer.from(bytes).toString('hex')}`);
+}
+
+/**
+ * Write an integer reduced modulo the curve order as 32 big-endian bytes
+ * @param {bigint} scalar - Integer
+ * @returns {Buffer} 32 bytes
+ */
+function fromScalar(scalar) {
+  return Buffer.from((((scalar % CURVE_ORDER) + CURVE_ORDER) % CURVE_ORDER).toString(16).padStart(64, '0'), 'hex');
+}
+
+/**
+ * BIP340 tagged hash (bitcoinjs-lib only knows the tags it uses itself)
+ * @param {string} tag - Hash tag
+ * @param {Buffer} data - Data to hash
+ * @returns {Buffer} 32-byte hash
+ */
+function taggedHash(tag, data) {
+  const tagHash = crypto.createHash('sha256').update(tag).digest();
+
+  return crypto.createHash('sha256').update(Buffer.concat([tagHash, tagHash, data])).digest();
+}
+
+/**
+ * Hash bytes with a BIP340 tagged hash, as an integer modulo the curve order
+ * @param {string} tag - Hash tag
+ * @param {Buffer} data - Data to hash
+ * @returns {bigint} Hash modulo the curve order
+ */
+function hashToScalar(tag, data) {
+  return toScalar(taggedHash(tag, data)) % CURVE_ORDER;
+}
+
+/**
+ * Whether a compressed point has an even y coordinate
+ * @param {Buffer} point - 33-byte compressed point
+ * @returns {boolean} Whether y is even
+ */
+function hasEvenY(point) {
+  return point[0] === 0x02;
+}
+
+/**
+ * Negate a compressed point
+ * @param {Buffer} point - 33-byte compressed point
+ * @returns {Buffer} The point with the opposite y coordinate
+ */
+function negatePoint(point) {
+  return Buffer.concat([Buffer.from([hasEvenY(point) ? 0x03 : 0x02]), point.slice(1)]);
+}
+
+/**
+ * Multiply a point by a scalar, or the generator when no point is given
+ * @param {Buffer|null} point - 33-byte compressed point
+ * @param {bigint} scalar - Scalar
+ * @returns {Buffer|null} Compressed product, null for the point at infinity
+ */
+function multiply(point, scalar) {
+  const reduced = ((scalar % CURVE_ORDER) + CURVE_ORDER) % CURVE_ORDER;
+
+  if (reduced === BigInt(0)) {
+    return null;
+  }
+
+  const product = point ? ecc.pointMultiply(point, fromScalar(reduced), true) : ecc.pointFromScalar(fromScalar(reduced), true);
+
+  return product ? Buffer.from(product) : null;
+}
+
+/**
+ * Add two points, either of which may be the point at infinity (null)
+ * @param {Buffer|null} a - 33-byte compressed point
+ * @param {Buffer|null} b - 33-byte compressed point
+ * @returns {Buffer|null} Compressed sum, null for the point at infinity
+ */
+function add(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+
+  const sum = ecc.pointAdd(a, b, true);
+
+  return sum ? Buffer.from(sum) : null;
+}
+
+/**
+ * Parse a compressed point, refusing anything that is not on the curve
+ * @param {Buffer} bytes - 33-byte compressed point
+ * @param {string} label - Description for error messages
+ * @returns {Buffer} The point
+ */
+function parsePoint(bytes, label) {
+  if (!Buffer.isBuffer(bytes) || bytes.length !== 33 || !ecc.isPoint(bytes)) {
+    throw new Error(`Invalid ${label}: expected a 33-byte compressed point`);
+  }
+
+  return bytes;
+}
+
+/**
+ * Coefficient of a public key in the aggregate of a key list (BIP327 KeyAggCoeff)
+ * Every key is weighted by a coefficient committing to the whole key list, except the first key that
+ * differs from the first in the list, whose coefficient is 1
+ * @param {Buffer[]} publicKeys - 33-byte compressed public keys, in aggregation order
+ * @param {Buffer} publicKey - Key of the list
+ * @returns {bigint} Coefficient
+ */
+function keyAggCoefficient(publicKeys, publicKey) {
+  const secondKey = publicKeys.find((candidate) => !candidate.equals(publicKeys[0]));
+
+  if (secondKey && publicKey.equals(secondKey)) {
+    return BigInt(1);
+  }
+
+  const keyListHash = taggedHash('KeyAgg list', Buffer.concat(publicKeys));
+
+  return hashToScalar('KeyAgg coefficient', Buffer.concat([keyListHash, publicKey]));
+}
+
+/**
+ * Aggregate public keys in the order given (BIP327 KeyAgg)
+ * @param {Buffer[]} publicKeys - 33-byte compressed public keys
+ * @returns {Object} Key aggregation context: the keys, the aggregate point Q and the accumulated
+ *   sign (gacc) and tweak (tacc)
+ */
+function keyAggContext(publicKeys) {
+  for (const publicKey of publicKeys) {
+    if (!Buffer.isBuffer(publicKey) || publicKey.length !== 33 || !ecc.isPoint(publicKey)) {
+      throw new Error('Key aggregation requires 33-byte compressed public keys');
+    }
+  }
+
+  const aggregate = publicKeys.reduce(
+    (sum, publicKey) => add(sum, multiply(publicKey, keyAggCoefficient(publicKeys, publicKey))), null);
+
+  if (!aggregate) {
+    throw new Error('Public keys aggregate to the point at infinity');
+  }
+
+  return { publicKeys, Q: aggregate, gacc: BigInt(1), tacc: BigInt(0) };
+}
+
+/**
+ * Apply an x-only tweak to an aggregate key, as a Taproot output key does (BIP327 ApplyTweak)
+ * @param {Object} context - Key aggregation context
+ * @param {Buffer} tweak - 32-byte tweak
+ * @returns {Object} Tweaked key aggregation context
+ */
+function applyXOnlyTweak(context, tweak) {
+  const t = toScalar(tweak);
+
+  if (t >= CURVE_ORDER) {
+    throw new Error('Tweak exceeds the curve order');
+  }
+
+  const g = hasEvenY(context.Q) ? BigInt(1) : CURVE_ORDER - BigInt(1);
+  const tweaked = add(hasEvenY(context.Q) ? context.Q : negatePoint(context.Q), multiply(null, t));
+
+  if (!tweaked) {
+    throw new Error('Tweaked key is the point at infinity');
+  }
+
+  return {
+    publicKeys: context.publicKeys,
+    Q: tweaked,
+    gacc: (g * context.gacc) % CURVE_ORDER,
+    tacc: (t + g * context.tacc) % CURVE_ORDER
+  };
+}
+
+/**
+ * x-only form of the aggregate key of a context
+ * @param {Object} context - Key aggregation context
+ * @returns {Buffer} 32-byte x-only key
+ */
+function getXOnlyKey(context) {
+  return context.Q.slice(1);
+}
+
+/**
+ * Generate a nonce pair for one signing session (BIP327 NonceGen)
+ * The secret nonce must be used for one signature only and never stored where it could be reused
+ * @param {Object} params
+ * @param {Buffer} params.publicKey - Signer's 33-byte compressed public key
+ * @param {Buffer} [params.secretKey] - Signer's private key, mixed into the randomness
+ * @param {Buffer} [params.aggregateKey] - 32-byte x-only aggregate key
+ * @param {Buffer} [params.message] - Message to be signed
+ * @returns {Object} 97-byte secNonce and 66-byte pubNonce
+ */
+function nonceGen({ publicKey, secretKey, aggregateKey, message }) {
+  let rand = crypto.randomBytes(32);
+
+  if (secretKey) {
+    const mask = taggedHash('MuSig/aux', rand);
+    rand = Buffer.from(secretKey.map((byte, index) => byte ^ mask[index]));
+  }
+
+  const aggregate = aggregateKey || Buffer.alloc(0);
+  const messagePrefixed = message
+    ? Buffer.concat([Buffer.from([1]), Buffer.from(BigInt(message.length).toString(16).padStart(16, '0'), 'hex'), message])
+    : Buffer.from([0]);
+  const k = [0, 1].map((index) => hashToScalar('MuSig/nonce', Buffer.concat([
+    rand,
+    Buffer.from([publicKey.length]), publicKey,
+    Buffer.from([aggregate.length]), aggregate,
+    messagePrefixed,
+    Buffer.alloc(4),
+    Buffer.from([index])
+  ])));
+
+  if (k[0] === BigInt(0) || k[1] === BigInt(0)) {
+    throw new Error('Nonce generation failed, try again');
+  }
+
+  return {
+    secNonce: Buffer.concat([fromScalar(k[0]), fromScalar(k[1]), publicKey]),
+    pubNonce: Buffer.concat([multiply(null, k[0]), multiply(null, k[1])])
+  };
+}
+
+/**
+ * Aggregate the public nonces of all signers (BIP327 NonceAgg)
+ * @param {Buffer[]} pubNonces - 66-byte public nonces
+ * @returns {Buffer} 66-byte aggregate nonce (33 zero bytes stand for the point at infinity)
+ */
+function nonceAgg(pubNonces) {
+  const halves = [0, 1].map((half) => pubNonces.reduce(
+    (sum, pubNonce) => add(sum, parsePoint(pubNonce.slice(33 * half, 33 * (half + 1)), 'public nonce')), null));
+
+  return Buffer.concat(halves.map((point) => point || Buffer.alloc(33)));
+}
+
+/**
+ * Values shared by every signer of a session (BIP327 GetSessionValues)
+ * @param {Object} session - { keyAgg: tweaked key aggregation context, aggNonce, message }
+ * @returns {Object} Nonce coefficient b, final nonce R and challenge e
+ */
+function getSessionValues({ keyAgg, aggNonce, message }) {
+  const b = hashToScalar('MuSig/noncecoef', Buffer.concat([aggNonce, getXOnlyKey(keyAgg), message]));
+  const nonces = [0, 1].map((half) => {
+    const bytes = aggNonce.slice(33 * half, 33 * (half + 1));
+    return bytes.equals(Buffer.alloc(33)) ? null : parsePoint(bytes, 'aggregate nonce');
+  });
+  const R = add(nonces[0], nonces[1] && multiply(nonces[1], b)) || GENERATOR;
+  const e = hashToScalar('BIP0340/challenge', Buffer.concat([R.slice(1), getXOnlyKey(keyAgg), message]));
+
+  return { b, R, e };
+}
+
+/**
+ * Sign as one signer of a session (BIP327 Sign)
+ * The secret nonce is wiped before signing, so it cannot sign a second time
+ * @param {Buffer} secNonce - 97-byte secret nonce from nonceGen
+ * @param {Buffer} secretKey - Signer's 32-byte private key
+ * @param {Object} session - { keyAgg: tweaked key aggregation context, aggNonce, message }
+ * @returns {Buffer} 32-byte partial signature
+ */
+function partialSign(secNonce, secretKey, session) {
+  const k1 = toScalar(secNonce.slice(0, 32));
+  const k2 = toScalar(secNonce.slice(32, 64));
+  const noncePublicKey = Buffer.from(secNonce.slice(64));
+
+  secNonce.fill(0);
+
+  if (k1 === BigInt(0) || k2 === BigInt(0) || k1 >= CURVE_ORDER || k2 >= CURVE_ORDER) {
+    throw new Error('Secret nonce is invalid or has already been used');
+  }
+
+  const d0 = toScalar(secretKey);
+  const publicKey = multiply(null, d0);
+
+  if (!publicKey || !publicKey.equals(noncePublicKey)) {
+    throw new Error('Secret nonce was generated for another key');
+  }
+
+  if (!session.keyAgg.publicKeys.some((candidate) => candidate.equals(publicKey))) {
+    throw new Error('Signing key is not one of the aggregated keys');
+  }
+
+  const { b, R, e } = getSessionValues(session);
+  const a = keyAggCoefficient(session.keyAgg.publicKeys, publicKey);
+  const g = hasEvenY(session.keyAgg.Q) ? BigInt(1) : CURVE_ORDER - BigInt(1);
+  const d = (g * session.keyAgg.gacc * d0) % CURVE_ORDER;
+  const k = hasEvenY(R) ? [k1, k2] : [CURVE_ORDER - k1, CURVE_ORDER - k2];
+
+  return fromScalar(k[0] + b * k[1] + e * a * d);
+}
+
+/**
+ * Check one signer's partial signature (BIP327 PartialSigVerify)
+ * @param {Buffer} partialSig - 32-byte partial signature
+ * @param {Buffer} pubNonce - Signer's 66-byte public nonce
+ * @param {Buffer} publicKey - Signer's 33-byte compressed public key
+ * @param {Object} session - { keyAgg: tweaked key aggregation context, aggNonce, message }
+ * @returns {boolean} Whether the partial signature is valid
+ */
+function partialSigVerify(partialSig, pubNonce, publicKey, session) {
+  if (!Buffer.isBuffer(partialSig) || partialSig.length !== 32 || toScalar(partialSig) >= CURVE_ORDER ||
+    !session.keyAgg.publicKeys.some((candidate) => candidate.equals(publicKey))) {
+    return false;
+  }
+
+  const { b, R, e } = getSessionValues(session);
+  const signerNonce = add(
+    parsePoint(pubNonce.slice(0, 33), 'public nonce'),
+    multiply(parsePoint(pubNonce.slice(33, 66), 'public nonce'), b)
+  );
+  const effectiveNonce = signerNonce && !hasEvenY(R) ? negatePoint(signerNonce) : signerNonce;
+  const g = hasEvenY(session.keyAgg.Q) ? BigInt(1) : CURVE_ORDER - BigInt(1);
+  const a = keyAggCoefficient(session.keyAgg.publicKeys, publicKey);
+  const expected = add(effectiveNonce, multiply(publicKey, e * a * g * session.keyAgg.gacc));
+  const actual = multiply(null, toScalar(partialSig));
+
+  return !!expected && !!actual && expected.equals(actual);
+}
+
+/**
+ * Aggregate the partial signatures of all signers into a BIP340 signature (BIP327 PartialSigAgg)
+ * @param {Buffer[]} partialSigs - 32-byte partial signatures
+ * @param {Object} session - { keyAgg: tweaked key aggregation context, aggNonce, message }
+ * @returns {Buffer} 64-byte Schnorr signature for the aggregate key
+ */
+function partialSigAgg(partialSigs, session) {
+  const { R, e } = getSessionValues(session);
+  const g = hasEvenY(session.keyAgg.Q) ? BigInt(1) : CURVE_ORDER - BigInt(1);
+  const s = partialSigs.reduce((sum, partialSig) => {
+    const value = toScalar(partialSig);
+
+    if (value >= CURVE_ORDER) {
+      throw new Error('Partial signature exceeds the curve order');
+    }
+    return sum + value;
+  }, e * g * session.keyAgg.tacc);
+
+  return Buffer.concat([R.slice(1), fromScalar(s)]);
+}
+
+module.exports = {
+  keyAggCoefficient,
+  keyAggContext,
+  applyXOnlyTweak,
+  getXOnlyKey,
+  nonceGen,
+  nonceAgg,
+  partialSign,
+  partialSigVerify,
+  partialSigAgg
+};
@@ -0,0 +1,434 @@
+/**
+ * Quote Engine
+ * This module prices swaps for a provider selling MarsCoin for Bitcoin. A quote takes the mid rate from the
+ * configured rate source (a static rate, a rate file kept current by another process, or a feed module),
+ * keeps the provider's spread, checks the swap size against the configured limits and, with fee pass-through,
+ * deducts the provider's estimated on-chain costs (claiming the Bitcoin HTLC and funding the MarsCoin HTLC)
+ * from the MarsCoin the customer receives. Quotes are stored under the data directory with an expiry, and a
+ * quote can be accepted by exactly one swap before it expires; the swap record keeps the quote it came from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinHtlc = require('./bitcoin-htlc');
+const feeEstimator = require('./fee-estimator');
+const marscoin = require('./marscoin-lib-wrapper');
+const { writeFileAtomic } = require('./swap-repository');
+
+// Rate sources: where the mid rate (MRS per BTC) comes from
+const RATE_SOURCES = ['static', 'file', 'feed'];
+
+// Quote IDs: 32 hex characters
+const QUOTE_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Public keys of private keys 1 and 2, used to build an HTLC of the configured type for sizing its claim
+const SAMPLE_PUBKEYS = [
+  '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798',
+  '02c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5'
+];
+
+// Largest timelock a sample HTLC script encodes, so the claim is never sized too small
+const SAMPLE_TIMELOCK = 0x7fffffff;
+
+// Size of the destination output of a sized claim: as large as a P2WSH or P2TR output
+const SAMPLE_OUTPUT_SCRIPT_SIZE = 34;
+
+// Virtual size of a wallet payment funding the MarsCoin HTLC: one P2PKH input, the HTLC output and change
+const MARSCOIN_FUNDING_VSIZE = 226;
+
+/**
+ * Error raised when a quote cannot be made or accepted
+ * code is 'rate_unavailable', 'out_of_range', 'not_found', 'expired' or 'used'.
+ */
+class QuoteError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'QuoteError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check a quote ID before using it as a file name
+ * @param {string} quoteId - Quote ID
+ */
+function assertQuoteId(quoteId) {
+  if (typeof quoteId !== 'string' || !QUOTE_ID_PATTERN.test(quoteId)) {
+    throw new Error(`Invalid quote ID: ${quoteId}`);
+  }
+}
+
+/**
+ * Create a local stand-in for an exchange rate feed, serving a fixed rate as if it had just been fetched
+ * A feed module replacing it exports the same getRate.
+ * @param {number} rate - Mid rate in MRS per BTC
+ * @returns {Object} Feed with getRate() => Promise<{ rate, updatedAt }>
+ */
+function createLocalRateFeed(rate) {
+  return {
+    getRate: async () => ({ rate, updatedAt: Math.floor(Date.now() / 1000) })
+  };
+}
+
+/**
+ * Create the configured rate source
+ * The file and feed sources are read on every quote, so a rate file can be rewritten and a feed can
+ * follow the market while the process runs.
+ * @param {Object} cfg - Application configuration
+ * @param {Object} [feed] - Feed to use for the 'feed' source instead of quotes.feedModule
+ * @returns {Object} Rate source with name and getRate() => Promise<{ rate, updatedAt }>
+ */
+function createRateSource(cfg, feed) {
+  const { rateSource, rate, rateFile, feedModule } = cfg.quotes;
+
+  if (rateSource === 'static') {
+    // A configured rate is not stale however old the configuration is
+    return { name: 'static', getRate: async () => ({ rate, updatedAt: null }) };
+  }
+
+  if (rateSource === 'file') {
+    const filePath = path.resolve(cfg.app.dataDir, rateFile);
+
+    return {
+      name: 'file',
+      getRate: async () => JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    };
+  }
+
+  if (rateSource === 'feed') {
+    return {
+      name: 'feed',
+      getRate: async () => {
+        const source = feed || (feedModule
+          ? require(path.resolve(cfg.app.dataDir, feedModule))
+          : createLocalRateFeed(rate));
+
+        return source.getRate(cfg);
+      }
+    };
+  }
+
+  throw new Error(`Unknown quotes.rateSource: ${rateSource} (expected ${RATE_SOURCES.join(', ')})`);
+}
+
+/**
+ * Estimate the virtual size of the provider's claim of the Bitcoin HTLC, for an HTLC of the configured type
+ * @param {Object} params
+ * @param {string} params.scriptType - Bitcoin HTLC output type
+ * @param {string} params.timelockType - 'cltv' or 'csv'
+ * @param {Object} params.network - Bitcoin network object
+ * @returns {Promise<number>} Virtual size in vbytes
+ */
+async function estimateClaimVsize({ scriptType, timelockType, network }) {
+  const htlc = await bitcoinHtlc.createHtlc({
+    hashLock: Buffer.alloc(32),
+    timelock: SAMPLE_TIMELOCK,
+    recipientPubKey: SAMPLE_PUBKEYS[0],
+    refundPubKey: SAMPLE_PUBKEYS[1],
+    network,
+    scriptType,
+    timelockType
+  });
+
+  return feeEstimator.estimateSpendVsize({
+    path: 'claim',
+    scriptType,
+    redeemScript: htlc.redeemScript,
+    tapLeaves: htlc.tapLeaves,
+    outputScript: Buffer.alloc(SAMPLE_OUTPUT_SCRIPT_SIZE)
+  });
+}
+
+/**
+ * Create a fee estimate of the provider's costs in a swap, for fee pass-through
+ * @param {Object} cfg - Application configuration
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @returns {Function} async () => { bitcoinClaim, marscoinFunding }, both in satoshis of their chain
+ */
+function createFeeEstimate(cfg, btcClient, marscoinClient) {
+  const feeSettings = feeEstimator.getFeeSettings(cfg);
+  const network = bitcoin.networks[cfg.bitcoin.network === 'mainnet' ? 'bitcoin' : cfg.bitcoin.network];
+
+  return async () => {
+    // A configured flat fee is what the claim will pay
+    const bitcoinClaim = cfg.bitcoin.fee !== undefined && cfg.bitcoin.fee !== null
+      ? cfg.bitcoin.fee
+      : feeEstimator.calculateFee(
+        await estimateClaimVsize({ scriptType: cfg.bitcoin.scriptType, timelockType: cfg.swap.timelockType, network }),
+        await feeEstimator.estimateFeeRate(btcClient, feeSettings.bitcoin, 'bitcoin'));
+    const marscoinFunding = feeEstimator.calculateFee(MARSCOIN_FUNDING_VSIZE,
+      await feeEstimator.estimateFeeRate(marscoinClient, feeSettings.marscoin, 'marscoin'));
+
+    return { bitcoinClaim, marscoinFunding };
+  };
+}
+
+/**
+ * Create a quote engine
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding issued quotes
+ * @param {Object} options.rateSource - Rate source from createRateSource
+ * @param {number} options.spread - Fraction of the mid rate kept by the provider (0.02 for 2%)
+ * @param {number} options.minBtcAmount - Smallest swap quoted, in satoshis
+ * @param {number} options.maxBtcAmount - Largest swap quoted, in satoshis
+ * @param {number} options.maxRateAge - Seconds after which a timestamped rate is too old to quote from
+ * @param {number} options.ttl - Seconds a quote can be accepted for
+ * @param {Function} [options.estimateFees] - Fee estimate from createFeeEstimate, or null for no fee pass-through
+ * @returns {Object} Quote engine with createQuote, getQuote, checkQuote, bindQuote and releaseQuote
+ */
+function createQuoteEngine(options) {
+  const { directory, rateSource, spread, minBtcAmount, maxBtcAmount, maxRateAge, ttl, estimateFees = null } = options;
+
+  if (!(spread >= 0 && spread < 1)) {
+    throw new Error(`The quote spread must be at least 0 and below 1, got ${spread}`);
+  }
+
+  if (!(minBtcAmount > 0 && maxBtcAmount >= minBtcAmount)) {
+    throw new Error(`Invalid quote limits: ${minBtcAmount} to ${maxBtcAmount} satoshis`);
+  }
+
+  const quotePath = (quoteId) => path.join(directory, `${quoteId}.json`);
+  const bindingPath = (quoteId) => path.join(directory, `${quoteId}.swap`);
+
+  /**
+   * Get the current mid rate, refusing rates that are missing, invalid or too old
+   * @returns {Promise<Object>} { source, mid, updatedAt }
+   */
+  async function getRate() {
+    let result;
+
+    try {
+      result = await rateSource.getRate();
+    } catch (error) {
+      throw new QuoteError(`The ${rateSource.name} rate source failed: ${error.message}`, 'rate_unavailable');
+    }
+
+    const { rate, updatedAt = null } = result || {};
+
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      throw new QuoteError(`The ${rateSource.name} rate source has no valid rate (got ${rate})`, 'rate_unavailable');
+    }
+
+    if (updatedAt !== null) {
+      const age = Math.floor(Date.now() / 1000) - updatedAt;
+
+      if (!Number.isFinite(age) || age > maxRateAge) {
+        throw new QuoteError(`The ${rateSource.name} rate is ${age} seconds old; quotes need one at most ` +
+          `${maxRateAge} seconds old`, 'rate_unavailable');
+      }
+    }
+
+    return { source: rateSource.name, mid: rate, updatedAt };
+  }
+
+  /**
+   * Price a swap and store the quote
+   * Exactly one amount is given: the Bitcoin the customer pays, or the MarsCoin they want to receive.
+   * The other is worked out at the mid rate less the spread, with the passed-through fees (converted
+   * at the mid rate) taken off the MarsCoin.
+   * @param {Object} params
+   * @param {number} [params.btcAmount] - Bitcoin the customer pays, in satoshis
+   * @param {number} [params.marscoinAmount] - MarsCoin the customer receives, in MRS
+   * @returns {Promise<Object>} The quote
+   */
+  async function createQuote({ btcAmount, marscoinAmount }) {
+    if ((btcAmount === undefined) === (marscoinAmount === undefined)) {
+      throw new Error('A quote needs either a Bitcoin amount or a MarsCoin amount');
+    }
+
+    const rate = await getRate();
+    const quotedRate = rate.mid * (1 - spread);
+    const estimate = estimateFees ? await estimateFees() : null;
+    // Satoshis of Bitcoin times MRS per BTC are satoshis of MarsCoin
+    const deducted = estimate ? Math.ceil(estimate.bitcoinClaim * rate.mid) + estimate.marscoinFunding : 0;
+    let btcSatoshis;
+    let marscoinSatoshis;
+
+    if (btcAmount !== undefined) {
+      btcSatoshis = btcAmount;
+      marscoinSatoshis = Math.floor(btcAmount * quotedRate) - deducted;
+    } else {
+      marscoinSatoshis = marscoin.toSatoshis(marscoinAmount);
+      btcSatoshis = Math.ceil((marscoinSatoshis + deducted) / quotedRate);
+    }
+
+    if (btcSatoshis < minBtcAmount || btcSatoshis > maxBtcAmount) {
+      throw new QuoteError(`Swaps are quoted from ${minBtcAmount} to ${maxBtcAmount} satoshis; this one is ` +
+        `${btcSatoshis} satoshis`, 'out_of_range');
+    }
+
+    if (marscoinSatoshis <= 0) {
+      throw new QuoteError(`${btcSatoshis} satoshis do not cover the fees passed through`, 'out_of_range');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const quote = {
+      id: crypto.randomBytes(16).toString('hex'),
+      createdAt: now,
+      expiresAt: now + ttl,
+      btcAmount: btcSatoshis,
+      marscoinAmount: marscoin.fromSatoshis(marscoinSatoshis),
+      rate: { ...rate, quoted: quotedRate },
+      spread,
+      fees: estimate && {
+        bitcoinClaim: estimate.bitcoinClaim,
+        marscoinFunding: marscoin.fromSatoshis(estimate.marscoinFunding),
+        deducted: marscoin.fromSatoshis(deducted)
+      },
+      swapId: null,
+      boundAt: null
+    };
+
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+    writeFileAtomic(quotePath(quote.id), JSON.stringify(quote, null, 2));
+
+    return quote;
+  }
+
+  /**
+   * Get a quote
+   * @param {string} quoteId - Quote ID
+   * @returns {Object|null} The quote, or null if there is none
+   */
+  function getQuote(quoteId) {
+    assertQuoteId(quoteId);
+
+    let quote;
+
+    try {
+      quote = JSON.parse(fs.readFileSync(quotePath(quoteId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    // A crash between taking the quote and recording it leaves only the binding file
+    if (!quote.swapId && fs.existsSync(bindingPath(quoteId))) {
+      quote.swapId = fs.readFileSync(bindingPath(quoteId), 'utf8');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Get a quote that can still be accepted
+   * @param {string} quoteId - Quote ID
+   * @returns {Object} The quote
+   */
+  function checkQuote(quoteId) {
+    const quote = getQuote(quoteId);
+
+    if (!quote) {
+      throw new QuoteError(`Quote ${quoteId} not found`, 'not_found');
+    }
+
+    if (quote.swapId) {
+      throw new QuoteError(`Quote ${quoteId} was already accepted by swap ${quote.swapId}`, 'used');
+    }
+
+    if (quote.expiresAt <= Math.floor(Date.now() / 1000)) {
+      throw new QuoteError(`Quote ${quoteId} expired at ${new Date(quote.expiresAt * 1000).toISOString()}`, 'expired');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Accept a quote for a swap
+   * The binding file is created exclusively, so of two swaps accepting the same quote at once only one
+   * gets it.
+   * @param {string} quoteId - Quote ID
+   * @param {string} swapId - ID of the swap accepting it
+   * @returns {Object} The quote, bound to the swap
+   */
+  function bindQuote(quoteId, swapId) {
+    const quote = checkQuote(quoteId);
+
+    try {
+      fs.writeFileSync(bindingPath(quoteId), swapId, { flag: 'wx', mode: 0o600 });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new QuoteError(`Quote ${quoteId} was already accepted by swap ${getQuote(quoteId).swapId}`, 'used');
+      }
+      throw error;
+    }
+
+    const bound = { ...quote, swapId, boundAt: Math.floor(Date.now() / 1000) };
+    writeFileAtomic(quotePath(quoteId), JSON.stringify(bound, null, 2));
+
+    return bound;
+  }
+
+  /**
+   * Give back a quote taken by a swap that could not be stored, so it can be accepted again
+   * The quote is cleared before the binding file is removed, so a crash in between leaves it taken.
+   * @param {string} quoteId - Quote ID
+   * @param {string} swapId - ID of the swap that took it; a quote taken by another swap is left alone
+   */
+  function releaseQuote(quoteId, swapId) {
+    const quote = getQuote(quoteId);
+
+    if (!quote || quote.swapId !== swapId) {
+      return;
+    }
+
+    writeFileAtomic(quotePath(quoteId), JSON.stringify({ ...quote, swapId: null, boundAt: null }, null, 2));
+    fs.rmSync(bindingPath(quoteId), { force: true });
+  }
+
+  return {
+    directory,
+    getRate,
+    createQuote,
+    getQuote,
+    checkQuote,
+    bindQuote,
+    releaseQuote
+  };
+}
+
+/**
+ * Describe a quote as recorded with the swap that accepted it
+ * @param {Object} quote - Quote
+ * @returns {Object} ID, times, rate, spread and fees
+ */
+function summarizeQuote(quote) {
+  const { id, createdAt, expiresAt, rate, spread, fees } = quote;
+  return { id, createdAt, expiresAt, rate, spread, fees };
+}
+
+/**
+ * Create the quote engine of the configuration
+ * @param {Object} cfg - Application configuration
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @returns {Object} Quote engine
+ */
+function getQuoteEngine(cfg, btcClient, marscoinClient) {
+  return createQuoteEngine({
+    directory: path.join(cfg.app.dataDir, cfg.quotes.directory),
+    rateSource: createRateSource(cfg),
+    spread: cfg.quotes.spread,
+    minBtcAmount: cfg.quotes.minBtcAmount,
+    maxBtcAmount: cfg.quotes.maxBtcAmount,
+    maxRateAge: cfg.quotes.maxRateAge,
+    ttl: cfg.quotes.ttl,
+    estimateFees: cfg.quotes.feePassThrough ? createFeeEstimate(cfg, btcClient, marscoinClient) : null
+  });
+}
+
+module.exports = {
+  RATE_SOURCES,
+  QuoteError,
+  createLocalRateFeed,
+  createRateSource,
+  createFeeEstimate,
+  createQuoteEngine,
+  summarizeQuote,
+  getQuoteEngine
+};
@@ -0,0 +1,276 @@
+/**
+ * JSON-RPC Client
+ * This module provides a minimal JSON-RPC client for bitcoind and marscoind
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+const SATOSHIS_PER_COIN = 100000000;
+
+/**
+ * Error returned by the node for a JSON-RPC call
+ */
+class RpcError extends Error {
+  constructor(message, code, method) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.method = method;
+  }
+}
+
+/**
+ * Error raised when the node cannot be reached or returns a non JSON-RPC response
+ */
+class RpcTransportError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'RpcTransportError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Error raised when the node rejects our credentials
+ */
+class RpcAuthError extends RpcTransportError {
+  constructor(message) {
+    super(message, 401);
+    this.name = 'RpcAuthError';
+  }
+}
+
+/**
+ * Error raised when a request does not complete within the configured timeout
+ */
+class RpcTimeoutError extends RpcTransportError {
+  constructor(message) {
+    super(message);
+    this.name = 'RpcTimeoutError';
+  }
+}
+
+/**
+ * Resolve the credentials to use for a request
+ * The cookie file is re-read on every call since the node rotates it on restart
+ * @param {Object} rpcConfig - RPC configuration
+ * @returns {string|null} "username:password" or null if no credentials are configured
+ */
+function resolveCredentials(rpcConfig) {
+  if (rpcConfig.username) {
+    return `${rpcConfig.username}:${rpcConfig.password || ''}`;
+  }
+
+  if (rpcConfig.cookieFile) {
+    try {
+      return fs.readFileSync(rpcConfig.cookieFile, 'utf8').trim();
+    } catch (error) {
+      throw new RpcAuthError(`Unable to read RPC cookie file ${rpcConfig.cookieFile}: ${error.message}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a JSON-RPC client for a bitcoind-compatible node
+ * @param {Object} rpcConfig - RPC configuration (config.bitcoin.rpc or config.marscoin.rpc)
+ * @param {string} rpcConfig.host - Node host
+ * @param {number} rpcConfig.port - Node RPC port
+ * @param {string} [rpcConfig.username] - RPC username
+ * @param {string} [rpcConfig.password] - RPC password
+ * @param {string} [rpcConfig.cookieFile] - Path to the node's .cookie file, used when no username is set
+ * @param {string} [rpcConfig.wallet] - Wallet name for wallet RPCs
+ * @param {number} [rpcConfig.timeout] - Request timeout in milliseconds
+ * @returns {Object} RPC client
+ */
+function createRpcClient(rpcConfig) {
+  let requestId = 0;
+
+  /**
+   * Send a JSON-RPC payload (single request or batch) to the node
+   * @param {Object|Array} payload - JSON-RPC request body
+   * @returns {Promise<Object|Array>} Parsed response body
+   */
+  function post(payload) {
+    const body = JSON.stringify(payload);
+    const credentials = resolveCredentials(rpcConfig);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    };
+
+    if (credentials) {
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const requestPath = rpcConfig.wallet ? `/wallet/${encodeURIComponent(rpcConfig.wallet)}` : '/';
+
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: rpcConfig.host,
+        port: rpcConfig.port,
+        path: requestPath,
+        method: 'POST',
+        headers,
+        timeout: rpcConfig.timeout || 30000
+      }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.statusCode === 401 || res.statusCode === 403) {
+            reject(new RpcAuthError(`RPC authentication failed for ${rpcConfig.host}:${rpcConfig.port}`));
+            return;
+          }
+
+          // bitcoind answers RPC errors with HTTP 500 and a JSON body, so only
+          // treat the status as fatal when the body cannot be parsed
+          try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+          } catch (error) {
+            reject(new RpcTransportError(`Invalid RPC response (HTTP ${res.statusCode})`, res.statusCode));
+          }
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new RpcTimeoutError(`RPC request to ${rpcConfig.host}:${rpcConfig.port} timed out`));
+      });
+
+      req.on('error', (error) => {
+        reject(error instanceof RpcTransportError
+          ? error
+          : new RpcTransportError(`RPC connection error: ${error.message}`));
+      });
+
+      req.end(body);
+    });
+  }
+
+  /**
+   * Call a single RPC method
+   * @param {string} method - RPC method name
+   * @param {...*} params - Positional parameters
+   * @returns {Promise<*>} Method result
+   */
+  async function call(method, ...params) {
+    const response = await post({ jsonrpc: '1.0', id: ++requestId, method, params });
+
+    if (response.error) {
+      throw new RpcError(response.error.message, response.error.code, method);
+    }
+
+    return response.result;
+  }
+
+  /**
+   * Call several RPC methods in one HTTP request
+   * @param {Array<{method: string, params: Array}>} calls - Calls to make
+   * @returns {Promise<Array>} Results in the same order as the calls
+   */
+  async function batch(calls) {
+    if (calls.length === 0) {
+      return [];
+    }
+
+    const firstId = requestId + 1;
+    const payload = calls.map(({ method, params }) => ({
+      jsonrpc: '1.0',
+      id: ++requestId,
+      method,
+      params: params || []
+    }));
+
+    const responses = await post(payload);
+
+    if (!Array.isArray(responses)) {
+      throw new RpcTransportError('Node did not return a batch response');
+    }
+
+    // Responses are not guaranteed to come back in request order
+    const byId = new Map(responses.map((response) => [response.id, response]));
+
+    return calls.map(({ method }, index) => {
+      const response = byId.get(firstId + index);
+
+      if (!response) {
+        throw new RpcTransportError(`Missing batch response for ${method}`);
+      }
+
+      if (response.error) {
+        throw new RpcError(response.error.message, response.error.code, method);
+      }
+
+      return response.result;
+    });
+  }
+
+  /**
+   * Get unspent outputs paying to an address from the node's UTXO set
+   * @param {string} address - Address to scan for
+   * @returns {Promise<Array>} UTXOs with txid, vout, amount (coins), value (satoshis) and confirmations
+   */
+  async function getAddressUtxos(address) {
+    const scan = await call('scantxoutset', 'start', [`addr(${address})`]);
+
+    return scan.unspents.map((utxo) => ({
+      txid: utxo.txid,
+      vout: utxo.vout,
+      scriptPubKey: utxo.scriptPubKey,
+      amount: utxo.amount,
+      value: Math.round(utxo.amount * SATOSHIS_PER_COIN),
+      height: utxo.height,
+      confirmations: utxo.height > 0 ? scan.height - utxo.height + 1 : 0
+    }));
+  }
+
+  /**
+   * Get a decoded transaction, including its confirmation count
+   * Requires txindex on the node unless the transaction is in the mempool or wallet
+   * @param {string} txId - Transaction ID
+   * @returns {Promise<Object>} Decoded transaction
+   */
+  async function getTransaction(txId) {
+    const tx = await call('getrawtransaction', txId, true);
+    return { ...tx, confirmations: tx.confirmations || 0 };
+  }
+
+  /**
+   * Get a raw transaction
+   * @param {string} txId - Transaction ID
+   * @returns {Promise<string>} Hex-encoded transaction
+   */
+  async function getRawTransaction(txId) {
+    return call('getrawtransaction', txId, false);
+  }
+
+  /**
+   * Broadcast a raw transaction
+   * @param {string} txHex - Hex-encoded transaction
+   * @returns {Promise<string>} Transaction ID
+   */
+  async function sendRawTransaction(txHex) {
+    return call('sendrawtransaction', txHex);
+  }
+
+  return {
+    call,
+    batch,
+    getAddressUtxos,
+    getTransaction,
+    getRawTransaction,
+    sendRawTransaction,
+    getBlockchainInfo: () => call('getblockchaininfo'),
+    getBlockCount: () => call('getblockcount'),
+    getBalance: () => call('getbalance')
+  };
+}
+
+module.exports = {
+  createRpcClient,
+  RpcError,
+  RpcTransportError,
+  RpcAuthError,
+  RpcTimeoutError
+};
@@ -0,0 +1,112 @@
+/**
+ * Spend Finder
+ * This module finds the transaction spending a given outpoint, looking in the mempool first and then
+ * scanning blocks, so a revealed HTLC preimage can be picked up as soon as the claim is broadcast.
+ */
+
+const { RpcError } = require('./rpc-client');
+
+// JSON-RPC "method not found" error code
+const RPC_METHOD_NOT_FOUND = -32601;
+
+/**
+ * Look for a mempool transaction spending an outpoint
+ * Uses gettxspendingprevout (Bitcoin Core 24+); nodes without it report no mempool spend
+ * @param {Object} rpcClient - RPC client for the chain
+ * @param {string} txid - Transaction ID of the outpoint
+ * @param {number} vout - Output index of the outpoint
+ * @returns {Object|null} Spending transaction ID and hex
+ */
+async function findMempoolSpend(rpcClient, txid, vout) {
+  let entries;
+
+  try {
+    entries = await rpcClient.call('gettxspendingprevout', [{ txid, vout }]);
+  } catch (error) {
+    if (error instanceof RpcError && error.code === RPC_METHOD_NOT_FOUND) {
+      return null;
+    }
+    throw error;
+  }
+
+  const entry = entries && entries[0];
+
+  if (!entry || !entry.spendingtxid) {
+    return null;
+  }
+
+  return {
+    txid: entry.spendingtxid,
+    txHex: await rpcClient.getRawTransaction(entry.spendingtxid),
+    blockHeight: null
+  };
+}
+
+/**
+ * Find the transaction spending an outpoint
+ * When several outpoints are given (an HTLC funded by more than one deposit), the first spend of any of them
+ * is returned; a claim or refund spends all of them in one transaction
+ * @param {Object} rpcClient - RPC client for the chain
+ * @param {Object|Array<Object>} outpoints - Outpoint or outpoints to watch
+ * @param {string} outpoints.txid - Transaction ID
+ * @param {number} outpoints.vout - Output index
+ * @param {Object} options
+ * @param {number} options.startHeight - First block height to scan (normally the funding block)
+ * @param {number} [options.scannedHeight] - Last block height already scanned by a previous call
+ * @returns {Object} The spend (txid, txHex and blockHeight, null while in the mempool) if found, and
+ *   the last block height scanned, to pass back in as scannedHeight on the next call
+ */
+async function findOutpointSpend(rpcClient, outpoints, options) {
+  const watched = Array.isArray(outpoints) ? outpoints : [outpoints];
+  const { startHeight } = options;
+  const scannedHeight = options.scannedHeight !== undefined && options.scannedHeight !== null
+    ? options.scannedHeight
+    : startHeight - 1;
+
+  const tipHeight = await rpcClient.getBlockCount();
+  const spentOutpoints = [];
+
+  // gettxout also sees mempool spends, so unspent outputs mean there is nothing to find up to the tip
+  for (const outpoint of watched) {
+    const txOut = await rpcClient.call('gettxout', outpoint.txid, outpoint.vout, true);
+
+    if (!txOut) {
+      spentOutpoints.push(outpoint);
+    }
+  }
+
+  if (spentOutpoints.length === 0) {
+    return { spend: null, scannedHeight: tipHeight };
+  }
+
+  for (const outpoint of spentOutpoints) {
+    const mempoolSpend = await findMempoolSpend(rpcClient, outpoint.txid, outpoint.vout);
+
+    if (mempoolSpend) {
+      return { spend: mempoolSpend, scannedHeight };
+    }
+  }
+
+  const spends = (input) => spentOutpoints.some((outpoint) =>
+    input.txid === outpoint.txid && input.vout === outpoint.vout);
+
+  for (let height = scannedHeight + 1; height <= tipHeight; height += 1) {
+    const blockHash = await rpcClient.call('getblockhash', height);
+    const block = await rpcClient.call('getblock', blockHash, 2);
+
+    for (const tx of block.tx) {
+      if (tx.vin.some(spends)) {
+        return {
+          spend: { txid: tx.txid, txHex: tx.hex, blockHeight: height },
+          scannedHeight: height
+        };
+      }
+    }
+  }
+
+  return { spend: null, scannedHeight: tipHeight };
+}
+
+module.exports = {
+  findOutpointSpend
+};
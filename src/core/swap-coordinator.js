@@ -4,8 +4,19 @@
  */
 
 const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
 const bitcoinHtlc = require('./bitcoin-htlc');
 const marscoinHtlc = require('./marscoin-htlc');
+const marscoin = require('./marscoin-lib-wrapper');
+const keys = require('./keys');
+const timelockPlanner = require('./timelock-planner');
+const spendFinder = require('./spend-finder');
+const feeEstimator = require('./fee-estimator');
+const { storeSwapPreimage, getSwapPreimage } = require('./keystore');
+const feeBump = require('./fee-bump');
+const swapState = require('./swap-state');
+const swapEvents = require('./swap-events');
+const { RpcError } = require('./rpc-client');
 
 /**
  * Generate a secure random preimage and its corresponding hash
@@ -24,6 +35,99 @@ function generateHashLock() {
   };
 }
 
+/**
+ * Plan the timelocks of both legs of a swap
+ * @param {Object} params
+ * @param {number} params.timeoutDuration - Lifetime in seconds of the Bitcoin HTLC
+ * @param {number} [params.marscoinTimeoutDuration] - Minimum lifetime in seconds of the MarsCoin HTLC
+ * @param {Object} [params.timelockSettings] - Timelock modes, block intervals, confirmations and safety margin
+ * @param {string} [params.timelockType='cltv'] - 'cltv' or 'csv'
+ * @param {Object} btcClient - Bitcoin RPC client, used to read the chain tip
+ * @param {Object} marscoinClient - MarsCoin RPC client, used to read the chain tip
+ * @returns {Object} Timelock plan and the timelock value (locktime or sequence) of each leg
+ */
+async function planSwapTimelocks(params, btcClient, marscoinClient) {
+  const { timeoutDuration, marscoinTimeoutDuration, timelockSettings, timelockType = 'cltv' } = params;
+  let timelockPlan;
+  
+  if (timelockType === 'csv') {
+    // Relative delays don't depend on the current tip
+    timelockPlan = timelockPlanner.planRelativeTimelocks({
+      timeoutDuration,
+      marscoinTimeoutDuration,
+      settings: timelockSettings
+    });
+  } else {
+    timelockPlan = timelockPlanner.planTimelocks(
+      {
+        bitcoin: await timelockPlanner.getChainState(btcClient),
+        marscoin: await timelockPlanner.getChainState(marscoinClient)
+      },
+      { timeoutDuration, marscoinTimeoutDuration, settings: timelockSettings }
+    );
+  }
+  
+  const timelockField = timelockType === 'csv' ? 'sequence' : 'locktime';
+  
+  return {
+    timelockPlan,
+    timeouts: {
+      marscoin: timelockPlan.marscoin[timelockField],
+      bitcoin: timelockPlan.bitcoin[timelockField]
+    }
+  };
+}
+
+/**
+ * Create the Bitcoin and MarsCoin HTLCs of a swap
+ * @param {Object} params
+ * @param {Buffer} params.hash - SHA256 hashlock
+ * @param {Object} params.pubKeys - Public keys (Buffer or hex) of initiatorBtc, initiatorMarscoin, participantBtc and participantMarscoin
+ * @param {Object} params.timeouts - Timelock value (locktime or sequence) per chain
+ * @param {string} [params.timelockType='cltv'] - 'cltv' or 'csv'
+ * @param {Object} [params.scriptTypes] - HTLC output types per chain
+ * @param {Object} params.bitcoinNetwork - Bitcoin network object
+ * @param {Object} params.marscoinNetwork - MarsCoin network object
+ * @returns {Object} Bitcoin and MarsCoin HTLC details
+ */
+async function createSwapHtlcs(params) {
+  const { hash, pubKeys, timeouts, timelockType = 'cltv', scriptTypes = {}, bitcoinNetwork, marscoinNetwork } = params;
+  
+  // Taproot is only available on the Bitcoin leg
+  if (scriptTypes.marscoin === 'p2tr') {
+    throw new Error('Taproot HTLCs are not supported on MarsCoin');
+  }
+  
+  // Create Bitcoin HTLC
+  // Participant locks BTC, Initiator can claim with preimage
+  const btcHtlc = await bitcoinHtlc.createHtlc({
+    hashLock: hash,
+    timelock: timeouts.bitcoin,
+    recipientPubKey: pubKeys.initiatorBtc, // Initiator can claim BTC with preimage
+    refundPubKey: pubKeys.participantBtc, // Participant can refund after timeout
+    network: bitcoinNetwork,
+    scriptType: scriptTypes.bitcoin || 'p2sh',
+    timelockType
+  });
+  
+  // Create MarsCoin HTLC
+  // Initiator locks MarsCoin, Participant can claim with preimage
+  const mrsHtlc = await marscoinHtlc.createHtlc({
+    hashLock: hash,
+    timelock: timeouts.marscoin,
+    recipientPubKey: pubKeys.participantMarscoin, // Participant can claim MRS with preimage
+    refundPubKey: pubKeys.initiatorMarscoin, // Initiator can refund after timeout
+    network: marscoinNetwork,
+    scriptType: scriptTypes.marscoin || 'p2sh',
+    timelockType
+  });
+  
+  return {
+    btcHtlc,
+    marscoinHtlc: mrsHtlc
+  };
+}
+
 /**
  * Initialize a new swap between Bitcoin and MarsCoin
  * @param {Object} params - Swap parameters
@@ -31,164 +135,282 @@ function generateHashLock() {
  * @param {string} params.initiatorMarscoinAddress - Initiator's MarsCoin address
  * @param {string} params.participantBtcAddress - Participant's Bitcoin address
  * @param {string} params.participantMarscoinAddress - Participant's MarsCoin address
+ * @param {string|Object} params.initiatorBtcPubKey - Initiator's Bitcoin public key, or { xpub, path }
+ * @param {string|Object} params.initiatorMarscoinPubKey - Initiator's MarsCoin public key, or { xpub, path }
+ * @param {string|Object} params.participantBtcPubKey - Participant's Bitcoin public key, or { xpub, path }
+ * @param {string|Object} params.participantMarscoinPubKey - Participant's MarsCoin public key, or { xpub, path }
  * @param {number} params.btcAmount - Bitcoin amount in satoshis
- * @param {number} params.marscoinAmount - MarsCoin amount
- * @param {number} params.timeoutDuration - Duration in seconds for timelock
+ * @param {number} params.marscoinAmount - MarsCoin amount in MRS
+ * @param {number} params.timeoutDuration - Lifetime in seconds of the Bitcoin HTLC (funded by the participant)
+ * @param {number} [params.marscoinTimeoutDuration] - Minimum lifetime in seconds of the MarsCoin HTLC (funded by the initiator)
+ * @param {Object} [params.timelockSettings] - Timelock modes, block intervals, confirmations and safety margin
+ * @param {string} [params.timelockType='cltv'] - 'cltv' for absolute refund timelocks, 'csv' for delays counted from each funding confirmation
  * @param {Object} params.bitcoinNetwork - Bitcoin network object
  * @param {Object} params.marscoinNetwork - MarsCoin network object
+ * @param {Object} [params.scriptTypes] - HTLC output types per chain, e.g. { bitcoin: 'p2tr', marscoin: 'p2wsh' }
+ * @param {Object} params.keystore - Unlocked keystore, which receives the preimage
+ * @param {Object} [params.derivation] - HD wallet seed, account, index and roles the initiator's keys were derived with
+ * @param {Object} [params.quote] - Quote the amounts were priced by, from quoteEngine.summarizeQuote
+ * @param {Object} btcClient - Bitcoin RPC client, used to read the chain tip
+ * @param {Object} marscoinClient - MarsCoin RPC client, used to read the chain tip
  * @returns {Object} Swap details
  */
-async function initiateSwap(params) {
+async function initiateSwap(params, btcClient, marscoinClient) {
   const {
     initiatorBtcAddress,
     initiatorMarscoinAddress,
     participantBtcAddress,
     participantMarscoinAddress,
+    initiatorBtcPubKey,
+    initiatorMarscoinPubKey,
+    participantBtcPubKey,
+    participantMarscoinPubKey,
     btcAmount,
     marscoinAmount,
     timeoutDuration,
+    marscoinTimeoutDuration,
+    timelockSettings,
+    timelockType = 'cltv',
     bitcoinNetwork,
-    marscoinNetwork
+    marscoinNetwork,
+    scriptTypes = {},
+    keystore,
+    derivation,
+    quote
   } = params;
 
+  // Resolve each party's public key and check it belongs to their payout address
+  const pubKeys = {
+    initiatorBtc: keys.resolveAndVerifyPublicKey(
+      bitcoin, initiatorBtcPubKey, initiatorBtcAddress, bitcoinNetwork, 'initiator Bitcoin public key'),
+    initiatorMarscoin: keys.resolveAndVerifyPublicKey(
+      marscoin, initiatorMarscoinPubKey, initiatorMarscoinAddress, marscoinNetwork, 'initiator MarsCoin public key'),
+    participantBtc: keys.resolveAndVerifyPublicKey(
+      bitcoin, participantBtcPubKey, participantBtcAddress, bitcoinNetwork, 'participant Bitcoin public key'),
+    participantMarscoin: keys.resolveAndVerifyPublicKey(
+      marscoin, participantMarscoinPubKey, participantMarscoinAddress, marscoinNetwork, 'participant MarsCoin public key')
+  };
+
   // Generate a random preimage and its hash
   const { preimage, hash } = generateHashLock();
   
-  // Calculate timeouts - MarsCoin timelock is shorter than Bitcoin timelock
+  // Plan timelocks - the MarsCoin timelock must outlive the Bitcoin timelock,
+  // since the initiator reveals the secret when claiming the Bitcoin
   const now = Math.floor(Date.now() / 1000);
-  const marscoinTimelock = now + timeoutDuration;
-  const bitcoinTimelock = now + (timeoutDuration * 2); // Bitcoin timelock is double
+  const { timelockPlan, timeouts } = await planSwapTimelocks(
+    { timeoutDuration, marscoinTimeoutDuration, timelockSettings, timelockType },
+    btcClient,
+    marscoinClient
+  );
   
-  // Create Bitcoin HTLC
-  // Participant locks BTC, Initiator can claim with preimage
-  const btcHtlc = await bitcoinHtlc.createHtlc({
-    hashLock: Buffer.from(hash.hash), // The hash from generateHashLock
-    timelock: bitcoinTimelock,
-    recipientPubKey: initiatorBtcAddress, // Initiator can claim BTC with preimage
-    refundPubKey: participantBtcAddress, // Participant can refund after timeout
-    network: bitcoinNetwork
+  // Create both HTLCs
+  const { btcHtlc, marscoinHtlc: mrsHtlc } = await createSwapHtlcs({
+    hash,
+    pubKeys,
+    timeouts,
+    timelockType,
+    scriptTypes,
+    bitcoinNetwork,
+    marscoinNetwork
   });
   
-  // Create MarsCoin HTLC
-  // Initiator locks MarsCoin, Participant can claim with preimage
-  const mrsHtlc = await marscoinHtlc.createHtlc({
-    hashLock: Buffer.from(hash.hash), // The hash from generateHashLock
-    timelock: marscoinTimelock,
-    recipientPubKey: participantMarscoinAddress, // Participant can claim MRS with preimage
-    refundPubKey: initiatorMarscoinAddress, // Initiator can refund after timeout
-    network: marscoinNetwork
-  });
+  // The preimage goes to the keystore, never into the swap record
+  const id = crypto.randomBytes(16).toString('hex');
+  storeSwapPreimage(keystore, id, preimage);
   
   // Create and return swap record
-  return {
-    id: crypto.randomBytes(16).toString('hex'),
-    preimage: preimage,
-    hash: hash.hash.toString('hex'),
+  return swapState.startHistory({
+    id: id,
+    hash: hash.toString('hex'),
     addresses: {
       initiatorBtc: initiatorBtcAddress,
       initiatorMarscoin: initiatorMarscoinAddress,
       participantBtc: participantBtcAddress,
       participantMarscoin: participantMarscoinAddress
     },
+    pubKeys: {
+      initiatorBtc: pubKeys.initiatorBtc.toString('hex'),
+      initiatorMarscoin: pubKeys.initiatorMarscoin.toString('hex'),
+      participantBtc: pubKeys.participantBtc.toString('hex'),
+      participantMarscoin: pubKeys.participantMarscoin.toString('hex')
+    },
     btcHtlc: btcHtlc,
     marscoinHtlc: mrsHtlc,
-    timeouts: { 
-      marscoin: marscoinTimelock, 
-      bitcoin: bitcoinTimelock 
-    },
+    timeouts: timeouts,
+    timelockType: timelockType,
+    timelockPlan: timelockPlan,
     amounts: { 
       btc: btcAmount, 
       marscoin: marscoinAmount 
     },
-    status: 'initialized',
+    bitcoinNetwork: bitcoinNetwork,
+    marscoinNetwork: marscoinNetwork,
+    ...(derivation && { derivation }),
+    ...(quote && { quote }),
     createdAt: now
+  }, 'initialized');
+}
+
+/**
+ * Find every confirmed output paying an HTLC address and compare their total with the agreed amount
+ * @param {Object} rpcClient - RPC client for the chain
+ * @param {string} address - HTLC address
+ * @param {number} amount - Agreed amount in satoshis
+ * @param {number} requiredConfirmations - Confirmations each output needs to count
+ * @returns {Object} Confirmed outputs, their total value, shortfall and excess, whether the leg is funded, and
+ *   every deposit seen, confirmed or not
+ */
+async function findHtlcFunding(rpcClient, address, amount, requiredConfirmations) {
+  const utxos = await rpcClient.getAddressUtxos(address);
+  const outputs = utxos
+    .filter((utxo) => utxo.confirmations >= requiredConfirmations)
+    .sort((a, b) => a.height - b.height)
+    .map((utxo) => ({ txid: utxo.txid, vout: utxo.vout, value: utxo.value, height: utxo.height }));
+  const value = outputs.reduce((total, output) => total + output.value, 0);
+
+  return {
+    funded: outputs.length > 0 && value >= amount,
+    outputs,
+    value,
+    shortfall: Math.max(amount - value, 0),
+    excess: Math.max(value - amount, 0),
+    // The leg is only as confirmed as its most recent deposit
+    confirmations: utxos.length > 0 ? Math.min(...utxos.map((utxo) => utxo.confirmations)) : 0,
+    deposits: utxos.map((utxo) => ({ txid: utxo.txid, vout: utxo.vout, value: utxo.value, confirmations: utxo.confirmations }))
   };
 }
 
 /**
  * Verify that both sides of a swap are properly funded
+ * Every confirmed output paying an HTLC counts towards its leg, so a leg may be funded by several deposits.
+ * The outputs are recorded in swap.fundingOutputs and later spent together by the claim or refund. An
+ * underpaid leg is not funded (but its outputs are recorded so they can be refunded), and an overpaid leg
+ * is funded with the excess going to whoever spends it.
  * @param {Object} swap - Swap object
  * @param {Object} btcClient - Bitcoin RPC client
  * @param {Object} marscoinClient - MarsCoin RPC client
  * @param {number} requiredBtcConfirmations - Required confirmations for Bitcoin
  * @param {number} requiredMarscoinConfirmations - Required confirmations for MarsCoin
- * @returns {Object} Funding status
+ * @returns {Object} Funding status, with the outputs found for each leg in bitcoin and marscoin
  */
 async function verifySwapFunding(swap, btcClient, marscoinClient, requiredBtcConfirmations = 1, requiredMarscoinConfirmations = 1) {
-  // Check Bitcoin HTLC funding
-  let btcFunded = false;
-  let btcConfirmations = 0;
-  let btcFundingTxId = null;
-  
-  try {
-    // In a real implementation, we would query the Bitcoin blockchain
-    // to find transactions that pay to the HTLC address and check confirmations
-    const btcUtxos = await btcClient.getAddressUtxos(swap.btcHtlc.address);
-    
-    // Check if there are UTXOs with sufficient value
-    for (const utxo of btcUtxos) {
-      if (utxo.amount >= swap.amounts.btc) {
-        btcFunded = true;
-        btcConfirmations = utxo.confirmations;
-        btcFundingTxId = utxo.txid;
-        break;
-      }
+  const legs = [
+    ['bitcoin', btcClient, swap.btcHtlc.address, swap.amounts.btc, requiredBtcConfirmations],
+    ['marscoin', marscoinClient, swap.marscoinHtlc.address, marscoin.toSatoshis(swap.amounts.marscoin), requiredMarscoinConfirmations]
+  ];
+  const funding = {};
+
+  swap.fundingOutputs = { ...swap.fundingOutputs };
+  swap.fundingTxIds = { ...swap.fundingTxIds };
+
+  for (const [chain, client, address, amount, requiredConfirmations] of legs) {
+    try {
+      funding[chain] = await findHtlcFunding(client, address, amount, requiredConfirmations);
+    } catch (error) {
+      console.error(`Error checking ${chain} funding: ${error.message}`);
+      funding[chain] = { funded: false, outputs: [], value: 0, shortfall: amount, excess: 0, confirmations: 0 };
+      continue;
     }
-  } catch (error) {
-    console.error(`Error checking Bitcoin funding: ${error.message}`);
-  }
-  
-  // Check MarsCoin HTLC funding
-  let marscoinFunded = false;
-  let marscoinConfirmations = 0;
-  let marscoinFundingTxId = null;
-  
-  try {
-    // Similar to Bitcoin, query the MarsCoin blockchain
-    const mrsUtxos = await marscoinClient.getAddressUtxos(swap.marscoinHtlc.address);
-    
-    // Check if there are UTXOs with sufficient value
-    for (const utxo of mrsUtxos) {
-      if (utxo.amount >= swap.amounts.marscoin) {
-        marscoinFunded = true;
-        marscoinConfirmations = utxo.confirmations;
-        marscoinFundingTxId = utxo.txid;
-        break;
+
+    const leg = funding[chain];
+
+    // Outputs disappear from the UTXO set once spent, so keep the last ones seen
+    if (leg.outputs.length > 0) {
+      swap.fundingOutputs[chain] = leg.outputs;
+    }
+
+    if (leg.funded) {
+      swap.fundingTxIds[chain] = leg.outputs[0].txid;
+      swapState.recordFunding(swap, chain, leg.outputs[0].txid);
+
+      if (leg.excess > 0) {
+        console.warn(`The ${chain} HTLC of swap ${swap.id} is overpaid by ${leg.excess} satoshis`);
       }
+    } else if (leg.outputs.length > 0) {
+      console.warn(`The ${chain} HTLC of swap ${swap.id} is underpaid by ${leg.shortfall} satoshis ` +
+        `(${leg.outputs.length} deposit(s) totalling ${leg.value})`);
     }
-  } catch (error) {
-    console.error(`Error checking MarsCoin funding: ${error.message}`);
-  }
-  
-  const btcConfirmed = btcConfirmations >= requiredBtcConfirmations;
-  const marscoinConfirmed = marscoinConfirmations >= requiredMarscoinConfirmations;
-  
-  // Update swap status if both sides are confirmed
-  if (btcFunded && marscoinFunded && btcConfirmed && marscoinConfirmed) {
-    swap.status = 'funded';
-    swap.fundingTxIds = {
-      bitcoin: btcFundingTxId,
-      marscoin: marscoinFundingTxId
-    };
+    
+    swapEvents.recordFundingProgress(swap, chain, leg.deposits, requiredConfirmations);
   }
-  
+
+  const funded = funding.bitcoin.funded && funding.marscoin.funded;
+
   return {
-    funded: btcFunded && marscoinFunded && btcConfirmed && marscoinConfirmed,
-    btcFunded: btcFunded && btcConfirmed,
-    marscoinFunded: marscoinFunded && marscoinConfirmed,
-    btcConfirmations,
-    marscoinConfirmations,
-    btcFundingTxId,
-    marscoinFundingTxId
+    funded,
+    btcFunded: funding.bitcoin.funded,
+    marscoinFunded: funding.marscoin.funded,
+    btcConfirmations: funding.bitcoin.confirmations,
+    marscoinConfirmations: funding.marscoin.confirmations,
+    btcFundingTxId: swap.fundingTxIds.bitcoin || null,
+    marscoinFundingTxId: swap.fundingTxIds.marscoin || null,
+    bitcoin: funding.bitcoin,
+    marscoin: funding.marscoin
   };
 }
 
+/**
+ * Get the recorded HTLC outputs of one leg of a swap, as spend inputs
+ * @param {Object} swap - Swap object
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @returns {Array<Object>} Outputs to spend ({ txid, vout, value in satoshis })
+ */
+function getHtlcInputs(swap, chain) {
+  const outputs = (swap.fundingOutputs || {})[chain];
+
+  if (!outputs || outputs.length === 0) {
+    throw new Error(`Funding of the ${chain} HTLC has not been detected yet`);
+  }
+
+  return outputs.map(({ txid, vout, value }) => ({ txid, vout, value }));
+}
+
+/**
+ * Decide how a claim or refund on one chain is priced: a fixed fee when one is given, otherwise the
+ * given fee rate or one estimated from the node
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {Object} rpcClient - RPC client for the chain
+ * @param {Object} feeParams
+ * @param {number} [feeParams.fee] - Fixed fee in satoshis
+ * @param {number} [feeParams.feeRate] - Fee rate in sat/vB
+ * @param {Object} [feeParams.feeSettings] - Fee settings for both chains (confirmation target, floor and ceiling)
+ * @returns {Object} Either { fee } or { feeRate }, to merge into the spend parameters
+ */
+async function resolveFee(chain, rpcClient, { fee, feeRate, feeSettings }) {
+  if (fee !== undefined && fee !== null) {
+    return { fee };
+  }
+
+  if (feeRate) {
+    return { feeRate };
+  }
+
+  return { feeRate: await feeEstimator.estimateFeeRate(rpcClient, (feeSettings || {})[chain], chain) };
+}
+
+/**
+ * Convert an optional MarsCoin fee to satoshis
+ * @param {number} [fee] - Fee in MarsCoin
+ * @returns {number|undefined} Fee in satoshis, or undefined when none is given
+ */
+function marscoinFeeToSatoshis(fee) {
+  return fee !== undefined && fee !== null ? marscoin.toSatoshis(fee) : undefined;
+}
+
 /**
  * Complete a swap by revealing the preimage
  * @param {Object} swap - Swap object
  * @param {Object} btcClient - Bitcoin RPC client
  * @param {Object} marscoinClient - MarsCoin RPC client
  * @param {Object} claimParams - Parameters for claiming
+ * @param {string} [claimParams.initiatorBtcPrivateKey] - WIF key for the Bitcoin claim
+ * @param {string} [claimParams.participantMarscoinPrivateKey] - WIF key for the MarsCoin claim
+ * @param {number} [claimParams.btcFee] - Fixed Bitcoin fee in satoshis (estimated from the node if omitted)
+ * @param {number} [claimParams.btcFeeRate] - Bitcoin fee rate in sat/vB
+ * @param {number} [claimParams.marscoinFee] - Fixed MarsCoin fee in MarsCoin (estimated from the node if omitted)
+ * @param {number} [claimParams.marscoinFeeRate] - MarsCoin fee rate in sat/vB
+ * @param {Object} [claimParams.feeSettings] - Fee settings for both chains, used for estimates
+ * @param {Object} [claimParams.keystore] - Unlocked keystore holding the preimage (Bitcoin claim)
  * @returns {Object} Claim result
  */
 async function completeSwap(swap, btcClient, marscoinClient, claimParams) {
@@ -196,18 +418,26 @@ async function completeSwap(swap, btcClient, marscoinClient, claimParams) {
     initiatorBtcPrivateKey,
     participantMarscoinPrivateKey,
     btcFee,
-    marscoinFee
+    btcFeeRate,
+    marscoinFee,
+    marscoinFeeRate,
+    feeSettings,
+    keystore
   } = claimParams;
   
-  // Verify the swap is funded first
-  const fundingStatus = await verifySwapFunding(swap, btcClient, marscoinClient);
-  
-  if (!fundingStatus.funded) {
-    return {
-      success: false,
-      error: 'Swap is not fully funded and confirmed',
-      fundingStatus
-    };
+  // Verify the swap is funded first; once the Bitcoin is claimed its HTLC no longer holds the funding
+  if (swap.status !== 'secret-revealed') {
+    const fundingStatus = await verifySwapFunding(swap, btcClient, marscoinClient);
+    
+    if (swap.status !== 'funded') {
+      return {
+        success: false,
+        error: fundingStatus.funded
+          ? `Swap is ${swap.status} and can no longer be claimed`
+          : 'Swap is not fully funded and confirmed',
+        fundingStatus
+      };
+    }
   }
   
   let bitcoinClaimTxId = null;
@@ -216,70 +446,226 @@ async function completeSwap(swap, btcClient, marscoinClient, claimParams) {
   // As the initiator, claim Bitcoin using the preimage
   if (initiatorBtcPrivateKey) {
     try {
-      const btcClaimResult = await bitcoinHtlc.claimHtlcWithPreimage({
-        htlcTxId: swap.fundingTxIds.bitcoin,
-        htlcVout: 0, // Assume the first output is the HTLC
-        redeemScript: swap.btcHtlc.redeemScript,
-        preimage: swap.preimage,
+      swapState.assertTransition(swap, 'claimed', { chain: 'bitcoin' });
+      
+      const btcClaimResult = await buildSwapSpend(swap, 'bitcoin', 'claim', {
         privateKey: initiatorBtcPrivateKey,
-        destinationAddress: swap.addresses.initiatorBtc,
-        amount: swap.amounts.btc,
-        fee: btcFee || 1000, // Default fee in satoshis
-        network: swap.bitcoinNetwork
+        keystore,
+        ...(await resolveFee('bitcoin', btcClient, { fee: btcFee, feeRate: btcFeeRate, feeSettings }))
       });
       
       // Broadcast the transaction
       bitcoinClaimTxId = await btcClient.sendRawTransaction(btcClaimResult.txHex);
+      recordSpend(swap, 'bitcoin', 'claim', btcClaimResult, bitcoinClaimTxId);
+      applySpend(swap, 'bitcoin', 'claim', bitcoinClaimTxId);
     } catch (error) {
       console.error(`Error claiming Bitcoin: ${error.message}`);
     }
   }
   
-  // As the participant, claim MarsCoin using the preimage (which is now public)
+  // As the participant, claim MarsCoin with the preimage revealed on chain by the Bitcoin claim,
+  // rather than a copy of the secret handed over by the initiator
   if (participantMarscoinPrivateKey) {
     try {
-      const mrsClaimResult = await marscoinHtlc.claimHtlcWithPreimage({
-        htlcTxId: swap.fundingTxIds.marscoin,
-        htlcVout: 0, // Assume the first output is the HTLC
-        redeemScript: swap.marscoinHtlc.redeemScript,
-        preimage: swap.preimage,
-        privateKey: participantMarscoinPrivateKey,
-        destinationAddress: swap.addresses.participantMarscoin,
-        amount: swap.amounts.marscoin,
-        fee: marscoinFee || 0.001, // Default fee in MarsCoin
-        network: swap.marscoinNetwork
+      const redeemResult = await redeemWithRevealedPreimage(swap, btcClient, marscoinClient, {
+        participantMarscoinPrivateKey,
+        marscoinFee,
+        marscoinFeeRate,
+        feeSettings
       });
       
-      // Broadcast the transaction
-      marscoinClaimTxId = await marscoinClient.sendRawTransaction(mrsClaimResult.txHex);
+      marscoinClaimTxId = redeemResult.marscoinClaimTxId || null;
     } catch (error) {
       console.error(`Error claiming MarsCoin: ${error.message}`);
     }
   }
   
-  // Update swap status
-  const completedAt = Math.floor(Date.now() / 1000);
-  swap.status = (bitcoinClaimTxId || marscoinClaimTxId) ? 'completed' : swap.status;
-  swap.completedAt = completedAt;
-  
-  if (bitcoinClaimTxId) swap.bitcoinClaimTxId = bitcoinClaimTxId;
-  if (marscoinClaimTxId) swap.marscoinClaimTxId = marscoinClaimTxId;
-  
   return {
     success: !!(bitcoinClaimTxId || marscoinClaimTxId),
+    status: swap.status,
     marscoinClaimTxId,
     bitcoinClaimTxId,
-    preimage: swap.preimage,
-    completedAt
+    // The Bitcoin claim has made the preimage public
+    preimage: bitcoinClaimTxId ? getSwapPreimage(keystore, swap) : null,
+    completedAt: swap.completedAt || null
   };
 }
 
+/**
+ * Watch the Bitcoin HTLC for the initiator's claim and, once it reveals the preimage, claim the MarsCoin
+ * This is the participant's side of the swap: the preimage is read from the claim transaction (in the
+ * mempool or a block), never from the swap record, so the participant does not have to trust the initiator
+ * with the secret. Call it repeatedly; block scanning resumes where the previous call stopped.
+ * @param {Object} swap - Swap object
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @param {Object} redeemParams
+ * @param {string} redeemParams.participantMarscoinPrivateKey - WIF key for the MarsCoin claim
+ * @param {number} [redeemParams.marscoinFee] - Fixed claim fee in MarsCoin (estimated from the node if omitted)
+ * @param {number} [redeemParams.marscoinFeeRate] - Claim fee rate in sat/vB
+ * @param {Object} [redeemParams.feeSettings] - Fee settings for both chains, used for estimates
+ * @returns {Object} Redeem result
+ */
+async function redeemWithRevealedPreimage(swap, btcClient, marscoinClient, redeemParams) {
+  const { participantMarscoinPrivateKey, marscoinFee, marscoinFeeRate, feeSettings } = redeemParams;
+  const fundingTxIds = swap.fundingTxIds || {};
+  const fundingOutputs = swap.fundingOutputs || {};
+  
+  if (!fundingTxIds.bitcoin || !fundingTxIds.marscoin || !fundingOutputs.bitcoin || !fundingOutputs.marscoin) {
+    return {
+      redeemed: false,
+      message: 'Both HTLCs must be funded before the MarsCoin can be redeemed'
+    };
+  }
+  
+  if (!swap.revealedPreimage) {
+    const preimageScan = swap.preimageScan || {};
+    let startHeight = preimageScan.startHeight;
+    
+    // Start scanning at the block that confirmed the first Bitcoin deposit
+    if (startHeight === undefined) {
+      const fundingTx = await btcClient.getTransaction(fundingTxIds.bitcoin);
+      startHeight = (await btcClient.getBlockCount()) - fundingTx.confirmations + 1;
+    }
+    
+    const { spend, scannedHeight } = await spendFinder.findOutpointSpend(
+      btcClient,
+      getHtlcInputs(swap, 'bitcoin'),
+      { startHeight, scannedHeight: preimageScan.scannedHeight }
+    );
+    swap.preimageScan = { startHeight, scannedHeight };
+    
+    if (!spend) {
+      return {
+        redeemed: false,
+        message: 'The Bitcoin HTLC has not been claimed yet'
+      };
+    }
+    
+    const preimage = bitcoinHtlc.extractPreimageFromTransaction(spend.txHex, Buffer.from(swap.hash, 'hex'));
+    
+    // A refund spends the HTLC without revealing anything
+    if (!preimage) {
+      return {
+        redeemed: false,
+        message: `The Bitcoin HTLC was spent by ${spend.txid} without revealing the preimage`
+      };
+    }
+    
+    swap.revealedPreimage = preimage;
+    swap.bitcoinClaimTxId = swap.bitcoinClaimTxId || spend.txid;
+  }
+  
+  // The preimage may have been handed over, or this side may be redeeming someone else's record
+  if (swap.bitcoinClaimTxId && swapState.canTransition(swap, 'claimed', { chain: 'bitcoin' })) {
+    swapState.transition(swap, 'claimed', { chain: 'bitcoin', txid: swap.bitcoinClaimTxId });
+    swapEvents.recordPreimageRevealed(swap, swap.bitcoinClaimTxId);
+  }
+  
+  swapState.assertTransition(swap, 'claimed', { chain: 'marscoin' });
+  
+  const timelockStatus = await getTimelockStatus(swap, btcClient, marscoinClient);
+  
+  if (timelockStatus.marscoin.expired) {
+    console.warn(`MarsCoin timelock of swap ${swap.id} has expired; claiming anyway, but the initiator can now refund`);
+  }
+  
+  const claimResult = await buildSwapSpend(swap, 'marscoin', 'claim', {
+    privateKey: participantMarscoinPrivateKey,
+    ...(await resolveFee('marscoin', marscoinClient, {
+      fee: marscoinFeeToSatoshis(marscoinFee),
+      feeRate: marscoinFeeRate,
+      feeSettings
+    }))
+  });
+  let marscoinClaimTxId;
+  
+  try {
+    marscoinClaimTxId = await marscoinClient.sendRawTransaction(claimResult.txHex);
+  } catch (error) {
+    console.error(`Error redeeming MarsCoin with preimage: ${error.message}`);
+    return {
+      redeemed: false,
+      message: error.message,
+      preimage: swap.revealedPreimage
+    };
+  }
+  
+  recordSpend(swap, 'marscoin', 'claim', claimResult, marscoinClaimTxId);
+  applySpend(swap, 'marscoin', 'claim', marscoinClaimTxId);
+  
+  return {
+    redeemed: true,
+    preimage: swap.revealedPreimage,
+    bitcoinClaimTxId: swap.bitcoinClaimTxId,
+    marscoinClaimTxId
+  };
+}
+
+/**
+ * Get the timelock status of both legs of a swap from each chain's tip height and median-time-past
+ * @param {Object} swap - Swap object
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @returns {Object} Per-chain locktime (or sequence for csv swaps), expiry and estimated seconds remaining
+ */
+async function getTimelockStatus(swap, btcClient, marscoinClient) {
+  const plan = swap.timelockPlan || {};
+  const status = {};
+
+  for (const [chain, client] of [['bitcoin', btcClient], ['marscoin', marscoinClient]]) {
+    const timeout = swap.timeouts[chain];
+    const blockInterval = plan[chain]
+      ? plan[chain].blockInterval
+      : timelockPlanner.DEFAULT_SETTINGS[chain].blockInterval;
+
+    if (swap.timelockType === 'csv') {
+      // Relative timelocks count from the funding confirmation; with several deposits the most recent
+      // one is the last to become refundable
+      const outputs = (swap.fundingOutputs || {})[chain] || [];
+      const latestOutput = outputs[outputs.length - 1];
+      const relative = await timelockPlanner.getRelativeTimelockStatus(
+        client, latestOutput ? latestOutput.txid : null, timeout, blockInterval);
+
+      status[chain] = {
+        sequence: timeout,
+        mode: 'relative',
+        height: relative.height,
+        medianTime: relative.medianTime,
+        expired: relative.expired,
+        secondsRemaining: relative.secondsRemaining
+      };
+      continue;
+    }
+
+    const chainState = await timelockPlanner.getChainState(client);
+
+    status[chain] = {
+      locktime: timeout,
+      mode: timeout < timelockPlanner.LOCKTIME_THRESHOLD ? 'height' : 'time',
+      height: chainState.height,
+      medianTime: chainState.medianTime,
+      expired: timelockPlanner.isTimelockExpired(timeout, chainState),
+      secondsRemaining: timelockPlanner.estimateSecondsRemaining(timeout, chainState, blockInterval)
+    };
+  }
+
+  return status;
+}
+
 /**
  * Check if a swap timelock has expired and handle refunds if needed
  * @param {Object} swap - Swap object
  * @param {Object} btcClient - Bitcoin RPC client
  * @param {Object} marscoinClient - MarsCoin RPC client
  * @param {Object} refundParams - Parameters for refund
+ * @param {string} [refundParams.participantBtcPrivateKey] - WIF key for the Bitcoin refund
+ * @param {string} [refundParams.initiatorMarscoinPrivateKey] - WIF key for the MarsCoin refund
+ * @param {number} [refundParams.btcFee] - Fixed Bitcoin fee in satoshis (estimated from the node if omitted)
+ * @param {number} [refundParams.btcFeeRate] - Bitcoin fee rate in sat/vB
+ * @param {number} [refundParams.marscoinFee] - Fixed MarsCoin fee in MarsCoin (estimated from the node if omitted)
+ * @param {number} [refundParams.marscoinFeeRate] - MarsCoin fee rate in sat/vB
+ * @param {Object} [refundParams.feeSettings] - Fee settings for both chains, used for estimates
  * @returns {Object} Refund result
  */
 async function handleSwapTimeout(swap, btcClient, marscoinClient, refundParams) {
@@ -287,43 +673,68 @@ async function handleSwapTimeout(swap, btcClient, marscoinClient, refundParams)
     participantBtcPrivateKey,
     initiatorMarscoinPrivateKey,
     btcFee,
-    marscoinFee
+    btcFeeRate,
+    marscoinFee,
+    marscoinFeeRate,
+    feeSettings
   } = refundParams;
   
-  const now = Math.floor(Date.now() / 1000);
-  const marscoinExpired = now > swap.timeouts.marscoin;
-  const bitcoinExpired = now > swap.timeouts.bitcoin;
+  // Refundability is decided by each chain's tip, not the local clock
+  const timelockStatus = await getTimelockStatus(swap, btcClient, marscoinClient);
+  const marscoinExpired = timelockStatus.marscoin.expired;
+  const bitcoinExpired = timelockStatus.bitcoin.expired;
   
   // If nothing has expired, return early
   if (!marscoinExpired && !bitcoinExpired) {
     return {
       refunded: false,
       message: 'Timelocks have not expired yet',
-      marscoinExpiry: swap.timeouts.marscoin - now,
-      bitcoinExpiry: swap.timeouts.bitcoin - now
+      marscoinExpiry: timelockStatus.marscoin.secondsRemaining,
+      bitcoinExpiry: timelockStatus.bitcoin.secondsRemaining
     };
   }
   
+  const fundingOutputs = swap.fundingOutputs || {};
+  
+  // A swap nobody deposited to by the time both timelocks expired has nothing left to refund
+  if (marscoinExpired && bitcoinExpired && !fundingOutputs.bitcoin && !fundingOutputs.marscoin &&
+      swapState.canTransition(swap, 'expired')) {
+    swapState.transition(swap, 'expired');
+    
+    return {
+      refunded: false,
+      expired: true,
+      message: 'Both timelocks expired before either HTLC was funded; the swap has failed',
+      marscoinExpired,
+      bitcoinExpired
+    };
+  }
+  
+  // Announce each leg that has become refundable, once
+  for (const [chain, expired] of [['bitcoin', bitcoinExpired], ['marscoin', marscoinExpired]]) {
+    if (expired && fundingOutputs[chain] && !swap[`${chain}RefundTxId`] &&
+        swapState.canTransition(swap, 'refunded', { chain }) && !swapEvents.findLastEvent(swap, 'refund-window-open', chain)) {
+      swapEvents.recordEvent(swap, 'refund-window-open', { chain, timeout: swap.timeouts[chain] });
+    }
+  }
+  
   let bitcoinRefundTxId = null;
   let marscoinRefundTxId = null;
   
   // If Bitcoin timelock has expired, participant can refund
   if (bitcoinExpired && participantBtcPrivateKey) {
     try {
-      const btcRefundResult = await bitcoinHtlc.refundHtlcAfterTimeout({
-        htlcTxId: swap.fundingTxIds.bitcoin,
-        htlcVout: 0, // Assume the first output is the HTLC
-        redeemScript: swap.btcHtlc.redeemScript,
+      swapState.assertTransition(swap, 'refunded', { chain: 'bitcoin' });
+      
+      const btcRefundResult = await buildSwapSpend(swap, 'bitcoin', 'refund', {
         privateKey: participantBtcPrivateKey,
-        refundAddress: swap.addresses.participantBtc,
-        amount: swap.amounts.btc,
-        fee: btcFee || 1000, // Default fee in satoshis
-        locktime: swap.timeouts.bitcoin,
-        network: swap.bitcoinNetwork
+        ...(await resolveFee('bitcoin', btcClient, { fee: btcFee, feeRate: btcFeeRate, feeSettings }))
       });
       
       // Broadcast the transaction
       bitcoinRefundTxId = await btcClient.sendRawTransaction(btcRefundResult.txHex);
+      recordSpend(swap, 'bitcoin', 'refund', btcRefundResult, bitcoinRefundTxId);
+      applySpend(swap, 'bitcoin', 'refund', bitcoinRefundTxId);
     } catch (error) {
       console.error(`Error refunding Bitcoin: ${error.message}`);
     }
@@ -332,33 +743,26 @@ async function handleSwapTimeout(swap, btcClient, marscoinClient, refundParams)
   // If MarsCoin timelock has expired, initiator can refund
   if (marscoinExpired && initiatorMarscoinPrivateKey) {
     try {
-      const mrsRefundResult = await marscoinHtlc.refundHtlcAfterTimeout({
-        htlcTxId: swap.fundingTxIds.marscoin,
-        htlcVout: 0, // Assume the first output is the HTLC
-        redeemScript: swap.marscoinHtlc.redeemScript,
+      swapState.assertTransition(swap, 'refunded', { chain: 'marscoin' });
+      
+      const mrsRefundResult = await buildSwapSpend(swap, 'marscoin', 'refund', {
         privateKey: initiatorMarscoinPrivateKey,
-        refundAddress: swap.addresses.initiatorMarscoin,
-        amount: swap.amounts.marscoin,
-        fee: marscoinFee || 0.001, // Default fee in MarsCoin
-        locktime: swap.timeouts.marscoin,
-        network: swap.marscoinNetwork
+        ...(await resolveFee('marscoin', marscoinClient, {
+          fee: marscoinFeeToSatoshis(marscoinFee),
+          feeRate: marscoinFeeRate,
+          feeSettings
+        }))
       });
       
       // Broadcast the transaction
       marscoinRefundTxId = await marscoinClient.sendRawTransaction(mrsRefundResult.txHex);
+      recordSpend(swap, 'marscoin', 'refund', mrsRefundResult, marscoinRefundTxId);
+      applySpend(swap, 'marscoin', 'refund', marscoinRefundTxId);
     } catch (error) {
       console.error(`Error refunding MarsCoin: ${error.message}`);
     }
   }
   
-  // Update swap status
-  const refundedAt = Math.floor(Date.now() / 1000);
-  swap.status = (bitcoinRefundTxId || marscoinRefundTxId) ? 'refunded' : swap.status;
-  swap.refundedAt = refundedAt;
-  
-  if (bitcoinRefundTxId) swap.bitcoinRefundTxId = bitcoinRefundTxId;
-  if (marscoinRefundTxId) swap.marscoinRefundTxId = marscoinRefundTxId;
-  
   return {
     refunded: !!(bitcoinRefundTxId || marscoinRefundTxId),
     message: (bitcoinRefundTxId || marscoinRefundTxId) 
@@ -366,16 +770,469 @@ async function handleSwapTimeout(swap, btcClient, marscoinClient, refundParams)
       : 'No refund transactions were submitted',
     marscoinExpired,
     bitcoinExpired,
+    status: swap.status,
     marscoinRefundTxId,
     bitcoinRefundTxId,
-    refundedAt
+    refundedAt: swap.refundedAt || null
+  };
+}
+
+/**
+ * Get the HTLC module, HTLC details and default destination for one leg of a swap
+ * @param {Object} swap - Swap object
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {string} path - 'claim' or 'refund'
+ * @returns {Object} Leg details
+ */
+function getSwapLeg(swap, chain, path) {
+  if (chain === 'bitcoin') {
+    return {
+      htlcModule: bitcoinHtlc,
+      lib: bitcoin,
+      htlc: swap.btcHtlc,
+      network: swap.bitcoinNetwork,
+      // Initiator claims BTC, participant refunds it
+      destinationAddress: path === 'claim' ? swap.addresses.initiatorBtc : swap.addresses.participantBtc
+    };
+  }
+
+  if (chain === 'marscoin') {
+    return {
+      htlcModule: marscoinHtlc,
+      lib: marscoin,
+      htlc: swap.marscoinHtlc,
+      network: swap.marscoinNetwork,
+      // Participant claims MRS, initiator refunds it
+      destinationAddress: path === 'claim' ? swap.addresses.participantMarscoin : swap.addresses.initiatorMarscoin
+    };
+  }
+
+  throw new Error(`Unknown chain: ${chain}`);
+}
+
+/**
+ * Name under which a claim or refund is recorded on the swap: its transaction ID is kept in
+ * swap[`${name}TxId`] and its fee details in swap.spends[name]
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {string} path - 'claim' or 'refund'
+ * @returns {string} e.g. 'bitcoinClaim'
+ */
+function getSpendName(chain, path) {
+  return `${chain}${path === 'claim' ? 'Claim' : 'Refund'}`;
+}
+
+/**
+ * Build and sign a claim or refund of one leg of a swap, spending every recorded HTLC output
+ * The Bitcoin claim uses the swap's own preimage; the MarsCoin claim only ever uses the preimage revealed
+ * on chain by the Bitcoin claim
+ * @param {Object} swap - Swap object
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {string} path - 'claim' or 'refund'
+ * @param {Object} spendParams
+ * @param {string} spendParams.privateKey - WIF key for the claim or refund branch
+ * @param {number} [spendParams.fee] - Fixed fee in satoshis
+ * @param {number} [spendParams.feeRate] - Fee rate in sat/vB
+ * @param {Object} [spendParams.keystore] - Unlocked keystore holding the preimage (Bitcoin claim)
+ * @returns {Object} Transaction details with its fee and virtual size
+ */
+async function buildSwapSpend(swap, chain, path, spendParams) {
+  const leg = getSwapLeg(swap, chain, path);
+  const params = {
+    inputs: getHtlcInputs(swap, chain),
+    redeemScript: leg.htlc.redeemScript,
+    scriptType: leg.htlc.scriptType,
+    tapLeaves: leg.htlc.tapLeaves,
+    internalPubKey: leg.htlc.internalPubKey,
+    privateKey: spendParams.privateKey,
+    fee: spendParams.fee,
+    feeRate: spendParams.feeRate,
+    network: leg.network
+  };
+
+  const result = path === 'claim'
+    ? await leg.htlcModule.claimHtlcWithPreimage({
+      ...params,
+      preimage: chain === 'bitcoin' ? getSwapPreimage(spendParams.keystore, swap) : swap.revealedPreimage,
+      destinationAddress: leg.destinationAddress
+    })
+    : await leg.htlcModule.refundHtlcAfterTimeout({
+      ...params,
+      locktime: leg.htlc.locktime,
+      sequence: leg.htlc.sequence,
+      refundAddress: leg.destinationAddress
+    });
+
+  return {
+    ...result,
+    vsize: leg.lib.Transaction.fromHex(result.txHex).virtualSize()
+  };
+}
+
+/**
+ * Record the fee details of a broadcast claim or refund, for fee bumping
+ * @param {Object} swap - Swap object
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {string} path - 'claim' or 'refund'
+ * @param {Object} spend - Transaction details with fee and vsize
+ * @param {string} txId - Transaction ID returned by the node
+ */
+function recordSpend(swap, chain, path, spend, txId) {
+  const name = getSpendName(chain, path);
+  const previous = (swap.spends || {})[name];
+
+  swap.spends = {
+    ...swap.spends,
+    [name]: {
+      txId,
+      fee: spend.fee,
+      vsize: spend.vsize,
+      feeRate: spend.fee / spend.vsize,
+      // Kept so the transaction can be broadcast again if it leaves the mempool unconfirmed
+      txHex: spend.txHex,
+      broadcastAt: Math.floor(Date.now() / 1000),
+      // Earlier versions this transaction replaced by fee
+      replacedTxIds: previous && previous.txId !== txId ? [...previous.replacedTxIds, previous.txId] : [],
+      cpfpTxIds: []
+    }
+  };
+}
+
+/**
+ * Record a broadcast claim or refund's transaction ID, move the swap to its next state and record the event
+ * Check the transition with swapState.assertTransition before broadcasting, so a claim or refund the swap's
+ * state does not allow is never sent.
+ * @param {Object} swap - Swap object
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {string} path - 'claim' or 'refund'
+ * @param {string} txId - Transaction ID returned by the node
+ */
+function applySpend(swap, chain, path, txId) {
+  swap[`${getSpendName(chain, path)}TxId`] = txId;
+  swap[path === 'claim' ? 'completedAt' : 'refundedAt'] = Math.floor(Date.now() / 1000);
+  swapState.transition(swap, path === 'claim' ? 'claimed' : 'refunded', { chain, txid: txId });
+  
+  if (chain === 'bitcoin' && path === 'claim') {
+    swapEvents.recordPreimageRevealed(swap, txId);
+  }
+  
+  swapEvents.recordEvent(swap, path === 'claim' ? 'claimed' : 'refunded', { chain, txid: txId });
+}
+
+/**
+ * Replace a pending claim or refund with one paying a higher fee rate (BIP125 replace-by-fee)
+ * The replacement spends the same HTLC outputs to the same destination, so it conflicts with the pending
+ * transaction and whichever pays more wins
+ * @param {Object} swap - Swap object
+ * @param {Object} params
+ * @param {string} params.chain - 'bitcoin' or 'marscoin'
+ * @param {string} params.path - 'claim' or 'refund'
+ * @param {string} params.privateKey - WIF key for the claim or refund branch
+ * @param {number} [params.feeRate] - New fee rate in sat/vB (defaults to the node's estimate, raised to the
+ *   minimum a replacement must pay)
+ * @param {Object} [params.feeSettings] - Fee settings for both chains, used for the estimate
+ * @param {Object} [params.keystore] - Unlocked keystore holding the preimage (Bitcoin claim)
+ * @param {Object} rpcClient - RPC client for the chain
+ * @returns {Object} The replacement's transaction ID, fee and fee rate, and the replaced transaction ID
+ */
+async function bumpSwapSpend(swap, params, rpcClient) {
+  const { chain, path, privateKey, feeSettings, keystore } = params;
+  const name = getSpendName(chain, path);
+  const pendingTxId = swap[`${name}TxId`];
+
+  if (!pendingTxId) {
+    throw new Error(`No ${chain} ${path} has been broadcast for swap ${swap.id}`);
+  }
+
+  const pending = await feeBump.getMempoolFee(rpcClient, pendingTxId);
+
+  if (!pending) {
+    throw new Error(`The ${chain} ${path} ${pendingTxId} is not in the mempool; it has confirmed or been dropped`);
+  }
+
+  const minFeeRate = pending.feeRate + feeBump.INCREMENTAL_RELAY_FEE_RATE;
+  const feeRate = params.feeRate ||
+    Math.max(await feeEstimator.estimateFeeRate(rpcClient, (feeSettings || {})[chain], chain), minFeeRate);
+
+  if (feeRate < minFeeRate) {
+    throw new Error(`A replacement must pay at least ${minFeeRate.toFixed(2)} sat/vB ` +
+      `(the pending ${path} pays ${pending.feeRate.toFixed(2)} sat/vB)`);
+  }
+
+  const replacement = await buildSwapSpend(swap, chain, path, { privateKey, feeRate, keystore });
+  const minFee = pending.descendantFee + feeEstimator.calculateFee(replacement.vsize, feeBump.INCREMENTAL_RELAY_FEE_RATE);
+
+  // The replacement also evicts any child paying for the pending transaction, so it has to outbid both
+  if (replacement.fee < minFee) {
+    throw new Error(`A replacement must pay at least ${minFee} satoshis, including the fee of the ` +
+      `transactions spending the pending ${path}; use a higher fee rate`);
+  }
+
+  const txId = await rpcClient.sendRawTransaction(replacement.txHex);
+
+  recordSpend(swap, chain, path, replacement, txId);
+  swap[`${name}TxId`] = txId;
+  swapState.transition(swap, 'fee-bumped', { chain, path, txid: txId, replacedTxId: pendingTxId });
+
+  return {
+    txId,
+    replacedTxId: pendingTxId,
+    fee: replacement.fee,
+    feeRate: replacement.fee / replacement.vsize
+  };
+}
+
+/**
+ * Check whether a claim or refund that is no longer in the mempool has confirmed
+ * Nodes without -txindex cannot look up confirmed transactions outside their wallet, so when the node does not
+ * find the transaction the HTLC outputs are checked instead: once all of them are spent in the chain, the spend
+ * has confirmed (or a conflicting one has, which no rebroadcast can undo)
+ * @param {Object} swap - Swap object
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {string} path - 'claim' or 'refund'
+ * @param {Object} rpcClient - RPC client for the chain
+ * @returns {Promise<boolean>} Whether the spend is settled on chain
+ */
+async function isSpendConfirmed(swap, chain, path, rpcClient) {
+  const txId = swap[`${getSpendName(chain, path)}TxId`];
+
+  try {
+    const tx = await rpcClient.getTransaction(txId);
+    return tx.confirmations > 0;
+  } catch (error) {
+    if (!(error instanceof RpcError)) {
+      throw error;
+    }
+  }
+
+  // Leave the mempool out: only a spend in a block settles the outputs
+  const outputs = await Promise.all(getHtlcInputs(swap, chain).map((input) =>
+    rpcClient.call('gettxout', input.txid, input.vout, false)));
+
+  return outputs.every((output) => output === null);
+}
+
+/**
+ * Broadcast a claim or refund again after it left the mempool without confirming (evicted from a full
+ * mempool, or lost when the node restarted)
+ * The recorded transaction is sent as it was; if there is none or the node refuses it, for example because it
+ * now pays less than the mempool minimum, the spend is rebuilt at the given fee rate and replaces the record
+ * @param {Object} swap - Swap object
+ * @param {Object} params
+ * @param {string} params.chain - 'bitcoin' or 'marscoin'
+ * @param {string} params.path - 'claim' or 'refund'
+ * @param {string} [params.privateKey] - WIF key for the claim or refund branch, needed to rebuild the spend
+ * @param {number} [params.feeRate] - Fee rate in sat/vB of a rebuilt spend
+ * @param {Object} [params.keystore] - Unlocked keystore holding the preimage (Bitcoin claim)
+ * @param {Object} rpcClient - RPC client for the chain
+ * @returns {Object} The transaction ID broadcast, whether the spend was rebuilt, and the transaction it replaced
+ */
+async function rebroadcastSwapSpend(swap, params, rpcClient) {
+  const { chain, path, privateKey, feeRate, keystore } = params;
+  const name = getSpendName(chain, path);
+  const previousTxId = swap[`${name}TxId`];
+  const spend = (swap.spends || {})[name];
+
+  if (!previousTxId) {
+    throw new Error(`No ${chain} ${path} has been broadcast for swap ${swap.id}`);
+  }
+
+  if (spend && spend.txHex) {
+    try {
+      await rpcClient.sendRawTransaction(spend.txHex);
+      spend.broadcastAt = Math.floor(Date.now() / 1000);
+      return { txId: previousTxId, rebuilt: false, replacedTxId: null };
+    } catch (error) {
+      if (!(error instanceof RpcError)) {
+        throw error;
+      }
+      console.warn(`Re-broadcast of ${chain} ${path} ${previousTxId} refused (${error.message}); rebuilding it`);
+    }
+  }
+
+  if (!privateKey) {
+    throw new Error(`The ${chain} ${path} ${previousTxId} has left the mempool and needs its key to be rebuilt`);
+  }
+
+  const rebuilt = await buildSwapSpend(swap, chain, path, { privateKey, feeRate, keystore });
+  const txId = await rpcClient.sendRawTransaction(rebuilt.txHex);
+
+  recordSpend(swap, chain, path, rebuilt, txId);
+  swap[`${name}TxId`] = txId;
+
+  if (txId !== previousTxId) {
+    swapState.transition(swap, 'fee-bumped', { chain, path, txid: txId, replacedTxId: previousTxId });
+  }
+
+  return { txId, rebuilt: true, replacedTxId: txId !== previousTxId ? previousTxId : null };
+}
+
+/**
+ * Speed up a pending claim or refund with a child transaction spending its output (child-pays-for-parent)
+ * Unlike a replacement this needs the key of the destination address rather than the HTLC key, and works
+ * for transactions that were signed externally
+ * @param {Object} swap - Swap object
+ * @param {Object} params
+ * @param {string} params.chain - 'bitcoin' or 'marscoin'
+ * @param {string} [params.path='claim'] - 'claim' or 'refund'
+ * @param {string} params.privateKey - WIF key of the claim or refund destination (P2PKH or P2WPKH)
+ * @param {number} [params.feeRate] - Target fee rate of parent and child together, in sat/vB (defaults to
+ *   the node's estimate)
+ * @param {Object} [params.feeSettings] - Fee settings for both chains, used for the estimate
+ * @param {string} [params.destinationAddress] - Where the child sends the funds (defaults to the same address)
+ * @param {Object} rpcClient - RPC client for the chain
+ * @returns {Object} The child's transaction ID and fee, and the fee rate of parent and child together
+ */
+async function cpfpSwapSpend(swap, params, rpcClient) {
+  const { chain, path = 'claim', privateKey, feeSettings } = params;
+  const name = getSpendName(chain, path);
+  const leg = getSwapLeg(swap, chain, path);
+  const parentTxId = swap[`${name}TxId`];
+
+  if (!parentTxId) {
+    throw new Error(`No ${chain} ${path} has been broadcast for swap ${swap.id}`);
+  }
+
+  const parent = await feeBump.getMempoolFee(rpcClient, parentTxId);
+
+  if (!parent) {
+    throw new Error(`The ${chain} ${path} ${parentTxId} is not in the mempool; it has confirmed or been dropped`);
+  }
+
+  const feeRate = params.feeRate || await feeEstimator.estimateFeeRate(rpcClient, (feeSettings || {})[chain], chain);
+
+  if (feeRate <= parent.feeRate) {
+    throw new Error(`The pending ${path} already pays ${parent.feeRate.toFixed(2)} sat/vB`);
+  }
+
+  const child = feeBump.createChildTransaction(leg.lib, {
+    parentTxHex: await rpcClient.getRawTransaction(parentTxId),
+    vout: 0,
+    privateKey,
+    destinationAddress: params.destinationAddress || leg.destinationAddress,
+    feeRate,
+    parentFee: parent.fee,
+    parentVsize: parent.vsize,
+    network: leg.network
+  });
+  const txId = await rpcClient.sendRawTransaction(child.txHex);
+
+  if (swap.spends && swap.spends[name]) {
+    swap.spends[name].cpfpTxIds.push(txId);
+  }
+  
+  swapState.transition(swap, 'fee-bumped', { chain, path, txid: txId, parentTxId });
+
+  return {
+    txId,
+    parentTxId,
+    fee: child.fee,
+    packageFeeRate: child.packageFeeRate
+  };
+}
+
+/**
+ * Create an unsigned claim or refund PSBT for one leg of a swap, for signing outside this process
+ * @param {Object} swap - Swap object
+ * @param {Object} params
+ * @param {string} params.chain - 'bitcoin' or 'marscoin'
+ * @param {string} params.path - 'claim' or 'refund'
+ * @param {number} [params.fee] - Fixed transaction fee in satoshis (estimated from the node if omitted)
+ * @param {number} [params.feeRate] - Fee rate in sat/vB
+ * @param {Object} [params.feeSettings] - Fee settings for both chains, used for estimates
+ * @param {string} [params.destinationAddress] - Override the default destination for the leg
+ * @param {Object} [params.keystore] - Unlocked keystore holding the preimage (claims)
+ * @param {Object} rpcClient - RPC client for the chain
+ * @returns {string} Base64-encoded PSBT
+ */
+async function createSwapPsbt(swap, params, rpcClient) {
+  const { chain, path } = params;
+  const leg = getSwapLeg(swap, chain, path);
+  const inputs = getHtlcInputs(swap, chain);
+  const fundingTxHexes = {};
+
+  // Legacy P2SH inputs need the full previous transactions in the PSBT
+  if (leg.htlc.scriptType === 'p2sh') {
+    for (const input of inputs) {
+      fundingTxHexes[input.txid] = fundingTxHexes[input.txid] || await rpcClient.getRawTransaction(input.txid);
+    }
+  }
+
+  const psbtParams = {
+    inputs,
+    fundingTxHexes,
+    redeemScript: leg.htlc.redeemScript,
+    scriptType: leg.htlc.scriptType,
+    tapLeaves: leg.htlc.tapLeaves,
+    internalPubKey: leg.htlc.internalPubKey,
+    ...(await resolveFee(chain, rpcClient, params)),
+    network: leg.network
+  };
+
+  if (path === 'claim') {
+    return leg.htlcModule.createClaimPsbt({
+      ...psbtParams,
+      preimage: getSwapPreimage(params.keystore, swap),
+      destinationAddress: params.destinationAddress || leg.destinationAddress
+    });
+  }
+
+  return leg.htlcModule.createRefundPsbt({
+    ...psbtParams,
+    locktime: leg.htlc.locktime,
+    sequence: leg.htlc.sequence,
+    refundAddress: params.destinationAddress || leg.destinationAddress
+  });
+}
+
+/**
+ * Finalize an externally signed claim or refund PSBT for one leg of a swap and broadcast it
+ * A key-path PSBT from a cooperative close is recorded as the Bitcoin claim
+ * @param {Object} swap - Swap object
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {string} psbtBase64 - Base64-encoded signed PSBT
+ * @param {Object} rpcClient - RPC client for the chain
+ * @returns {Object} Broadcast result
+ */
+async function finalizeSwapPsbt(swap, chain, psbtBase64, rpcClient) {
+  const leg = getSwapLeg(swap, chain, 'claim');
+  const finalized = await leg.htlcModule.finalizeHtlcPsbt(psbtBase64, leg.network);
+  const path = finalized.path === 'refund' ? 'refund' : 'claim';
+  
+  swapState.assertTransition(swap, path === 'claim' ? 'claimed' : 'refunded', { chain });
+  
+  const txId = await rpcClient.sendRawTransaction(finalized.txHex);
+
+  // The PSBT carries the input values, but the recorded HTLC outputs are simpler to total
+  const tx = leg.lib.Transaction.fromHex(finalized.txHex);
+  const inputValue = getHtlcInputs(swap, chain).reduce((total, input) => total + input.value, 0);
+  const outputValue = tx.outs.reduce((total, output) => total + output.value, 0);
+  recordSpend(swap, chain, path, {
+    txHex: finalized.txHex,
+    fee: inputValue - outputValue,
+    vsize: tx.virtualSize()
+  }, txId);
+  applySpend(swap, chain, path, txId);
+
+  return {
+    txId,
+    path
   };
 }
 
 module.exports = {
   generateHashLock,
+  planSwapTimelocks,
+  createSwapHtlcs,
   initiateSwap,
   verifySwapFunding,
   completeSwap,
-  handleSwapTimeout
+  redeemWithRevealedPreimage,
+  getTimelockStatus,
+  handleSwapTimeout,
+  bumpSwapSpend,
+  isSpendConfirmed,
+  rebroadcastSwapSpend,
+  cpfpSwapSpend,
+  createSwapPsbt,
+  finalizeSwapPsbt
 };
\ No newline at end of file
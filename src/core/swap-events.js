@@ -0,0 +1,284 @@
+/**
+ * Swap Events
+ * This module records what happens to a swap as lifecycle events: its state changes and, on chain, deposits
+ * seen, confirmations, the preimage revealed, claims, refund windows opening and refunds. The state machine
+ * and the coordinator append them to the swap's events as they move it on, and the repository copies each
+ * new event to an append-only journal shared by every process using the data directory. The journal is what
+ * the API streams and webhooks deliver from; a reader resumes from the cursor of the last event it saw.
+ */
+
+const fs = require('fs');
+
+// Event types
+const EVENT_TYPES = {
+  'status-changed': 'The swap moved to another state',
+  'funding-seen': 'A deposit to an HTLC was seen, confirmed or not',
+  confirmations: 'The confirmations of an HTLC\'s deposits went up, until they reach the required number',
+  'preimage-revealed': 'The Bitcoin claim made the preimage public',
+  claimed: 'An HTLC was claimed',
+  'refund-window-open': 'An HTLC\'s timelock expired while it still holds deposits, so it can be refunded',
+  refunded: 'An HTLC was refunded'
+};
+
+// Most journal bytes read at once
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Append an event to a swap's events
+ * @param {Object} swap - Swap object (updated in place)
+ * @param {string} type - Event type
+ * @param {Object} [details] - Event details, e.g. { chain, txid }
+ * @returns {Object} The event
+ */
+function recordEvent(swap, type, details = {}) {
+  if (!EVENT_TYPES[type]) {
+    throw new Error(`Unknown swap event type: ${type}`);
+  }
+
+  const events = swap.events || [];
+  const event = {
+    seq: events.length,
+    type,
+    at: Math.floor(Date.now() / 1000),
+    status: swap.status,
+    ...details
+  };
+
+  swap.events = [...events, event];
+
+  return event;
+}
+
+/**
+ * Find the last event of a type, optionally on one chain
+ * @param {Object} swap - Swap object
+ * @param {string} type - Event type
+ * @param {string} [chain] - 'bitcoin' or 'marscoin'
+ * @returns {Object|null} The event, or null if there is none
+ */
+function findLastEvent(swap, type, chain) {
+  const events = swap.events || [];
+
+  for (let index = events.length - 1; index >= 0; index -= 1) {
+    if (events[index].type === type && (!chain || events[index].chain === chain)) {
+      return events[index];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record the deposits and confirmations of one leg found by a funding check
+ * Funding checks run repeatedly, so only deposits not seen before and confirmation counts above the last
+ * one recorded are new; confirmations stop being recorded once they reach the required number.
+ * @param {Object} swap - Swap object (updated in place)
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {Array<Object>} deposits - Every output paying the HTLC ({ txid, vout, value, confirmations })
+ * @param {number} requiredConfirmations - Confirmations the leg needs
+ */
+function recordFundingProgress(swap, chain, deposits, requiredConfirmations) {
+  const seen = new Set((swap.events || [])
+    .filter((event) => event.type === 'funding-seen' && event.chain === chain)
+    .map((event) => `${event.txid}:${event.vout}`));
+
+  for (const { txid, vout, value, confirmations } of deposits) {
+    if (!seen.has(`${txid}:${vout}`)) {
+      recordEvent(swap, 'funding-seen', { chain, txid, vout, value, confirmations });
+    }
+  }
+
+  if (deposits.length === 0) {
+    return;
+  }
+
+  // The leg is only as confirmed as its most recent deposit
+  const confirmations = Math.min(...deposits.map((deposit) => deposit.confirmations));
+  const last = findLastEvent(swap, 'confirmations', chain);
+  const lastConfirmations = last ? last.confirmations : 0;
+
+  if (confirmations > lastConfirmations && lastConfirmations < requiredConfirmations) {
+    recordEvent(swap, 'confirmations', { chain, confirmations, required: requiredConfirmations });
+  }
+}
+
+/**
+ * Record that the preimage is public, unless that is already recorded
+ * @param {Object} swap - Swap object (updated in place)
+ * @param {string} txid - Bitcoin claim that revealed it
+ */
+function recordPreimageRevealed(swap, txid) {
+  if (!findLastEvent(swap, 'preimage-revealed')) {
+    recordEvent(swap, 'preimage-revealed', { chain: 'bitcoin', txid });
+  }
+}
+
+/**
+ * Create a reader and writer of an event journal
+ * The journal is a file of JSON lines, only ever appended to. Each append is a single write to a file
+ * opened for appending, so processes sharing the journal do not interleave their lines. An event's cursor
+ * is the byte offset just past its line: reading from it returns every later event.
+ * @param {Object} options
+ * @param {string} options.file - Journal path
+ * @returns {Object} Journal with append, read and end
+ */
+function createEventJournal(options) {
+  const { file } = options;
+
+  /**
+   * Append the new events of a swap
+   * @param {string} swapId - Swap ID
+   * @param {Array<Object>} events - Events to append
+   */
+  function append(swapId, events) {
+    if (events.length === 0) {
+      return;
+    }
+
+    const lines = events.map((event) => `${JSON.stringify({ swapId, ...event })}\n`).join('');
+    const fd = fs.openSync(file, 'a', 0o600);
+
+    try {
+      fs.writeSync(fd, lines);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Read the events after a cursor
+   * @param {number} [cursor=0] - Cursor of the last event seen (0 reads from the start)
+   * @param {Object} [readOptions]
+   * @param {string} [readOptions.swapId] - Only return the events of this swap
+   * @param {number} [readOptions.limit] - Most events to return
+   * @returns {Object} { events, cursor }: each event carries its own cursor, and cursor is where to read
+   *   from next
+   */
+  function read(cursor = 0, readOptions = {}) {
+    const { swapId, limit = Infinity } = readOptions;
+
+    if (!Number.isSafeInteger(cursor) || cursor < 0) {
+      throw new Error(`Invalid event cursor: ${cursor}`);
+    }
+
+    let fd;
+
+    try {
+      fd = fs.openSync(file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT' && cursor === 0) {
+        return { events: [], cursor };
+      }
+      throw error.code === 'ENOENT' ? new Error(`Invalid event cursor: ${cursor}`) : error;
+    }
+
+    try {
+      const { size } = fs.fstatSync(fd);
+      const events = [];
+      let position = cursor;
+
+      if (cursor > size) {
+        throw new Error(`Invalid event cursor: ${cursor}`);
+      }
+
+      // A cursor always follows a line break
+      if (cursor > 0) {
+        const previous = Buffer.alloc(1);
+        fs.readSync(fd, previous, 0, 1, cursor - 1);
+
+        if (previous[0] !== 0x0a) {
+          throw new Error(`Invalid event cursor: ${cursor}`);
+        }
+      }
+
+      let chunkSize = READ_CHUNK_SIZE;
+
+      while (position < size && events.length < limit) {
+        const chunk = Buffer.alloc(Math.min(chunkSize, size - position));
+        const length = fs.readSync(fd, chunk, 0, chunk.length, position);
+        const lastBreak = chunk.lastIndexOf(0x0a, length - 1);
+
+        if (lastBreak === -1) {
+          // The last line is still being written
+          if (position + length >= size) {
+            break;
+          }
+
+          // A line longer than the chunk: read more at once until its end is in the chunk
+          chunkSize *= 2;
+          continue;
+        }
+
+        let lineStart = 0;
+
+        while (lineStart <= lastBreak && events.length < limit) {
+          const lineEnd = chunk.indexOf(0x0a, lineStart);
+          const event = JSON.parse(chunk.toString('utf8', lineStart, lineEnd));
+
+          lineStart = lineEnd + 1;
+
+          if (!swapId || event.swapId === swapId) {
+            events.push({ cursor: position + lineStart, ...event });
+          }
+        }
+
+        position += lineStart;
+      }
+
+      return { events, cursor: position };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Get the cursor after the last complete event, to read only events appended from now on
+   * @returns {number} Cursor
+   */
+  function end() {
+    let fd;
+
+    try {
+      fd = fs.openSync(file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    try {
+      const { size } = fs.fstatSync(fd);
+
+      // Read back further from the end until a line break is found, or the whole journal is one line
+      for (let tailSize = READ_CHUNK_SIZE; ; tailSize *= 2) {
+        const tail = Buffer.alloc(Math.min(tailSize, size));
+        const length = fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+        const lastBreak = tail.lastIndexOf(0x0a, length - 1);
+
+        if (lastBreak !== -1 || length === size) {
+          return size - length + lastBreak + 1;
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  return {
+    file,
+    append,
+    read,
+    end
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  findLastEvent,
+  recordFundingProgress,
+  recordPreimageRevealed,
+  createEventJournal
+};
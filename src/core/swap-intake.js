@@ -0,0 +1,168 @@
+/**
+ * Swap Intake
+ * This module creates the swaps the provider starts as the initiator, for the CLI, the API and the watcher's
+ * queue alike: it takes the amounts from an accepted quote, derives the initiator's keys from the HD wallet
+ * when asked, admits the swap through the liquidity manager and stores it. A request the liquidity manager
+ * queues is kept as given and started by the watcher once it fits.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const swapCoordinator = require('./swap-coordinator');
+const marscoin = require('./marscoin-lib-wrapper');
+const timelockPlanner = require('./timelock-planner');
+const hdWallet = require('./hd-wallet');
+const quoteEngine = require('./quote-engine');
+const liquidityManager = require('./liquidity-manager');
+const { RpcError, RpcTransportError } = require('./rpc-client');
+
+/**
+ * Error raised when the swap coordinator refuses a request's keys, addresses or amounts
+ */
+class SwapRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SwapRequestError';
+  }
+}
+
+/**
+ * Create a swap intake
+ * @param {Object} options
+ * @param {Object} options.cfg - Application configuration
+ * @param {Object} options.repository - Swap repository
+ * @param {Object} options.keystore - Keystore, unlocked before a swap is started
+ * @param {Object} options.btcClient - Bitcoin RPC client
+ * @param {Object} options.marscoinClient - MarsCoin RPC client
+ * @param {Object} [options.quotes] - Quote engine (defaults to the configured one, created when a request
+ *   first gives a quote)
+ * @param {Object} [options.liquidity] - Liquidity manager (defaults to the configured one)
+ * @returns {Object} Swap intake with submitSwap, startSwap and processQueue
+ */
+function createSwapIntake(options) {
+  const { cfg, repository, keystore, btcClient, marscoinClient } = options;
+  const liquidity = options.liquidity || liquidityManager.getLiquidityManager(cfg, repository, btcClient, marscoinClient);
+  const bitcoinNetwork = bitcoin.networks[cfg.bitcoin.network === 'mainnet' ? 'bitcoin' : cfg.bitcoin.network];
+  const marscoinNetwork = marscoin.getNetwork(cfg.marscoin.network);
+  let quotes = options.quotes || null;
+
+  /**
+   * Get the quote engine, creating the configured one on first use
+   * @returns {Object} Quote engine
+   */
+  function getQuotes() {
+    if (!quotes) {
+      quotes = quoteEngine.getQuoteEngine(cfg, btcClient, marscoinClient);
+    }
+    return quotes;
+  }
+
+  /**
+   * Create and store a swap, without checking the liquidity limits
+   * @param {Object} request - Swap request: the parties' addresses and public keys (the initiator's omitted with
+   *   deriveKeys), and btcAmount and marscoinAmount or quoteId
+   * @returns {Promise<Object>} The stored swap
+   */
+  async function startSwap(request) {
+    // Check the quote before a key index is used up on a swap that cannot be created
+    const quote = request.quoteId !== undefined ? getQuotes().checkQuote(request.quoteId) : null;
+    const derived = request.deriveKeys
+      ? await hdWallet.deriveSwapKeys(keystore, repository, {
+        party: 'initiator',
+        seedName: cfg.wallet.seedName,
+        account: cfg.wallet.account,
+        bitcoinNetwork,
+        marscoinNetwork
+      })
+      : null;
+    let swap;
+
+    try {
+      swap = await swapCoordinator.initiateSwap({
+        initiatorBtcAddress: derived ? derived.addresses.initiatorBtc : request.initiatorBtcAddress,
+        initiatorMarscoinAddress: derived ? derived.addresses.initiatorMarscoin : request.initiatorMarscoinAddress,
+        participantBtcAddress: request.participantBtcAddress,
+        participantMarscoinAddress: request.participantMarscoinAddress,
+        initiatorBtcPubKey: derived ? derived.pubKeys.initiatorBtc : request.initiatorBtcPubKey,
+        initiatorMarscoinPubKey: derived ? derived.pubKeys.initiatorMarscoin : request.initiatorMarscoinPubKey,
+        participantBtcPubKey: request.participantBtcPubKey,
+        participantMarscoinPubKey: request.participantMarscoinPubKey,
+        btcAmount: quote ? quote.btcAmount : request.btcAmount,
+        marscoinAmount: quote ? quote.marscoinAmount : request.marscoinAmount,
+        timeoutDuration: cfg.bitcoin.timeoutDuration,
+        marscoinTimeoutDuration: cfg.marscoin.timeoutDuration,
+        timelockSettings: timelockPlanner.getTimelockSettings(cfg),
+        timelockType: cfg.swap.timelockType,
+        bitcoinNetwork,
+        marscoinNetwork,
+        scriptTypes: {
+          bitcoin: cfg.bitcoin.scriptType,
+          marscoin: cfg.marscoin.scriptType
+        },
+        keystore,
+        derivation: derived ? derived.derivation : undefined,
+        quote: quote ? quoteEngine.summarizeQuote(quote) : undefined
+      }, btcClient, marscoinClient);
+    } catch (error) {
+      // Anything but a node failure is a key, address or amount the coordinator refused
+      if (error instanceof RpcError || error instanceof RpcTransportError) {
+        throw error;
+      }
+      throw new SwapRequestError(error.message);
+    }
+
+    // The quote is taken before the swap is stored, so no two swaps are created from it, and given back
+    // if the swap cannot be stored
+    if (quote) {
+      getQuotes().bindQuote(quote.id, swap.id);
+    }
+
+    try {
+      await repository.createSwap(swap);
+    } catch (error) {
+      if (quote) {
+        getQuotes().releaseQuote(quote.id, swap.id);
+      }
+      throw error;
+    }
+
+    return swap;
+  }
+
+  /**
+   * Create a swap if it fits within the liquidity limits, otherwise refuse or queue it
+   * @param {Object} request - Swap request, as for startSwap
+   * @returns {Promise<Object>} { swap } once created, or { queued } with the queued request
+   */
+  async function submitSwap(request) {
+    const quote = request.quoteId !== undefined ? getQuotes().checkQuote(request.quoteId) : null;
+    const marscoinAmount = quote ? quote.marscoinAmount : request.marscoinAmount;
+
+    // The initiator funds the MarsCoin leg; a queued request cannot outlive its quote
+    return liquidity.admitSwap({
+      chain: 'marscoin',
+      value: marscoin.toSatoshis(marscoinAmount),
+      request,
+      expiresAt: quote ? quote.expiresAt : undefined
+    }, () => startSwap(request));
+  }
+
+  /**
+   * Start the queued requests that now fit within the liquidity limits
+   * @returns {Promise<Object>} Counts of started, expired, failed and waiting requests, and the requests handled
+   */
+  async function processQueue() {
+    return liquidity.processQueue(startSwap);
+  }
+
+  return {
+    liquidity,
+    submitSwap,
+    startSwap,
+    processQueue
+  };
+}
+
+module.exports = {
+  SwapRequestError,
+  createSwapIntake
+};
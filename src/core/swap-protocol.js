@@ -0,0 +1,952 @@
+/**
+ * Swap Negotiation Protocol
+ * This module lets the initiator and the participant of a swap each run their own instance and agree on a
+ * swap by exchanging messages: offer, accept, htlc-params, funding and secret-reveal, and for Taproot
+ * HTLCs close-request and close-sign. The preimage never leaves the initiator's keystore until it has
+ * already been revealed on chain by the Bitcoin claim, or is handed over in a close-request while the
+ * initiator can still claim through the leaf, and each side rebuilds and checks the other's HTLC (script,
+ * amount and timelock) before it funds its own leg.
+ *
+ * Flow:
+ *   initiator   --offer-->          participant   (terms, hashlock, initiator keys)
+ *   initiator   <--accept--         participant   (participant keys)
+ *   initiator   --htlc-params-->    participant   (timelocks and both HTLCs)
+ *   initiator   --funding-->        participant   (MarsCoin HTLC funded, verified before the participant funds)
+ *   initiator   <--funding--        participant   (Bitcoin HTLC funded)
+ *   initiator   --secret-reveal-->  participant   (after the Bitcoin claim, as a shortcut to scanning the chain)
+ *
+ * Cooperative close of a Taproot Bitcoin HTLC, instead of the claim leaf:
+ *   initiator   --close-request-->  participant   (preimage, key-path PSBT and the initiator's MuSig2 nonces)
+ *   initiator   <--close-sign--     participant   (the participant's nonces and partial signatures)
+ */
+
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const marscoin = require('./marscoin-lib-wrapper');
+const keys = require('./keys');
+const { storeSwapPreimage, getSwapPreimage, closeNonceSecretName } = require('./keystore');
+const cooperativeClose = require('./cooperative-close');
+const swapCoordinator = require('./swap-coordinator');
+const timelockPlanner = require('./timelock-planner');
+const swapState = require('./swap-state');
+const swapEvents = require('./swap-events');
+
+const PROTOCOL = 'btc-mars-swap';
+const PROTOCOL_VERSION = 1;
+
+const MESSAGE_TYPES = ['offer', 'accept', 'htlc-params', 'funding', 'secret-reveal', 'close-request', 'close-sign'];
+
+// Slack in seconds allowed between the agreed Bitcoin timeout and the timelock the initiator proposes,
+// to cover blocks found while the messages were in flight
+const DEFAULT_TIMELOCK_TOLERANCE = 1800;
+
+// The leg each role funds
+const FUNDED_CHAIN = {
+  initiator: 'marscoin',
+  participant: 'bitcoin'
+};
+
+/**
+ * Create a protocol message
+ * @param {string} type - Message type
+ * @param {string} swapId - Swap ID
+ * @param {Object} payload - Message payload
+ * @returns {Object} Message
+ */
+function createMessage(type, swapId, payload) {
+  if (!MESSAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown message type: ${type}`);
+  }
+
+  return {
+    protocol: PROTOCOL,
+    version: PROTOCOL_VERSION,
+    type,
+    swapId,
+    payload,
+    createdAt: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Parse and validate the envelope of a protocol message
+ * @param {string|Object} input - JSON-encoded or decoded message
+ * @returns {Object} Message
+ */
+function parseMessage(input) {
+  let message = input;
+
+  if (typeof input === 'string') {
+    try {
+      message = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid message: ${error.message}`);
+    }
+  }
+
+  if (!message || typeof message !== 'object') {
+    throw new Error('Invalid message: expected a JSON object');
+  }
+
+  if (message.protocol !== PROTOCOL) {
+    throw new Error(`Invalid message: unknown protocol ${message.protocol}`);
+  }
+
+  if (message.version !== PROTOCOL_VERSION) {
+    throw new Error(`Unsupported protocol version ${message.version} (expected ${PROTOCOL_VERSION})`);
+  }
+
+  if (!MESSAGE_TYPES.includes(message.type)) {
+    throw new Error(`Invalid message: unknown type ${message.type}`);
+  }
+
+  if (typeof message.swapId !== 'string' || !/^[0-9a-f]{32}$/.test(message.swapId)) {
+    throw new Error('Invalid message: malformed swap ID');
+  }
+
+  if (!message.payload || typeof message.payload !== 'object') {
+    throw new Error('Invalid message: missing payload');
+  }
+
+  return message;
+}
+
+/**
+ * Check that a message applies to a swap in the state the handler expects
+ * @param {Object} swap - Swap object
+ * @param {Object} message - Message
+ * @param {string} type - Expected message type
+ * @param {string} role - Role that must hold the swap
+ * @param {Array<string>} statuses - Swap statuses in which the message is accepted
+ */
+function expectMessage(swap, message, type, role, statuses) {
+  if (message.type !== type) {
+    throw new Error(`Expected a ${type} message, got ${message.type}`);
+  }
+
+  if (message.swapId !== swap.id) {
+    throw new Error(`Message is for swap ${message.swapId}, not ${swap.id}`);
+  }
+
+  if (swap.role !== role) {
+    throw new Error(`Only the ${role} handles ${type} messages`);
+  }
+
+  if (!statuses.includes(swap.status)) {
+    throw new Error(`Cannot handle a ${type} message for a swap in status ${swap.status}`);
+  }
+}
+
+/**
+ * Check that a party's public keys match their payout addresses on both chains
+ * @param {string} party - 'initiator' or 'participant'
+ * @param {Object} addresses - Payout addresses { btc, marscoin }
+ * @param {Object} pubKeys - Public keys { btc, marscoin }
+ * @param {Object} networks - Network objects { bitcoin, marscoin }
+ * @returns {Object} Hex-encoded public keys { btc, marscoin }
+ */
+function verifyPartyKeys(party, addresses, pubKeys, networks) {
+  return {
+    btc: keys.resolveAndVerifyPublicKey(
+      bitcoin, pubKeys.btc, addresses.btc, networks.bitcoin, `${party} Bitcoin public key`).toString('hex'),
+    marscoin: keys.resolveAndVerifyPublicKey(
+      marscoin, pubKeys.marscoin, addresses.marscoin, networks.marscoin, `${party} MarsCoin public key`).toString('hex')
+  };
+}
+
+/**
+ * Create a swap offer as the initiator
+ * The preimage is generated here and kept only in the initiator's keystore
+ * @param {Object} params
+ * @param {string} params.initiatorBtcAddress - Initiator's Bitcoin address (receives the BTC)
+ * @param {string} params.initiatorMarscoinAddress - Initiator's MarsCoin address (receives MRS refunds)
+ * @param {string|Object} params.initiatorBtcPubKey - Public key (hex or { xpub, path }) of initiatorBtcAddress
+ * @param {string|Object} params.initiatorMarscoinPubKey - Public key (hex or { xpub, path }) of initiatorMarscoinAddress
+ * @param {number} params.btcAmount - Amount of BTC in satoshis
+ * @param {number} params.marscoinAmount - Amount of MarsCoin
+ * @param {number} params.timeoutDuration - Lifetime in seconds of the Bitcoin HTLC
+ * @param {number} [params.marscoinTimeoutDuration] - Minimum lifetime in seconds of the MarsCoin HTLC
+ * @param {string} [params.timelockType='cltv'] - 'cltv' or 'csv'
+ * @param {Object} [params.scriptTypes] - HTLC output types per chain
+ * @param {Object} params.networkNames - Configured network names { bitcoin, marscoin }
+ * @param {Object} params.bitcoinNetwork - Bitcoin network object
+ * @param {Object} params.marscoinNetwork - MarsCoin network object
+ * @param {Object} params.keystore - Unlocked keystore, which receives the preimage
+ * @param {Object} [params.derivation] - HD wallet seed, account, index and roles the initiator's keys were derived with
+ * @returns {Object} The initiator's swap record and the offer message
+ */
+function createOffer(params) {
+  const {
+    initiatorBtcAddress,
+    initiatorMarscoinAddress,
+    initiatorBtcPubKey,
+    initiatorMarscoinPubKey,
+    btcAmount,
+    marscoinAmount,
+    timeoutDuration,
+    marscoinTimeoutDuration = 0,
+    timelockType = 'cltv',
+    scriptTypes = {},
+    networkNames,
+    bitcoinNetwork,
+    marscoinNetwork,
+    keystore,
+    derivation
+  } = params;
+
+  if (!(btcAmount > 0) || !(marscoinAmount > 0)) {
+    throw new Error('Swap amounts must be positive');
+  }
+
+  if (!(timeoutDuration > 0)) {
+    throw new Error('Timeout duration must be a positive number of seconds');
+  }
+
+  if (scriptTypes.marscoin === 'p2tr') {
+    throw new Error('Taproot HTLCs are not supported on MarsCoin');
+  }
+
+  const initiatorKeys = verifyPartyKeys(
+    'initiator',
+    { btc: initiatorBtcAddress, marscoin: initiatorMarscoinAddress },
+    { btc: initiatorBtcPubKey, marscoin: initiatorMarscoinPubKey },
+    { bitcoin: bitcoinNetwork, marscoin: marscoinNetwork }
+  );
+
+  const { preimage, hash } = swapCoordinator.generateHashLock();
+
+  const terms = {
+    btcAmount,
+    marscoinAmount,
+    timeoutDuration,
+    marscoinTimeoutDuration,
+    timelockType,
+    scriptTypes: {
+      bitcoin: scriptTypes.bitcoin || 'p2sh',
+      marscoin: scriptTypes.marscoin || 'p2sh'
+    },
+    networks: {
+      bitcoin: networkNames.bitcoin,
+      marscoin: networkNames.marscoin
+    }
+  };
+
+  const swap = {
+    id: crypto.randomBytes(16).toString('hex'),
+    role: 'initiator',
+    hash: hash.toString('hex'),
+    terms: terms,
+    addresses: {
+      initiatorBtc: initiatorBtcAddress,
+      initiatorMarscoin: initiatorMarscoinAddress
+    },
+    pubKeys: {
+      initiatorBtc: initiatorKeys.btc,
+      initiatorMarscoin: initiatorKeys.marscoin
+    },
+    timelockType: timelockType,
+    amounts: {
+      btc: btcAmount,
+      marscoin: marscoinAmount
+    },
+    bitcoinNetwork: bitcoinNetwork,
+    marscoinNetwork: marscoinNetwork,
+    ...(derivation && { derivation }),
+    createdAt: Math.floor(Date.now() / 1000)
+  };
+
+  swapState.startHistory(swap, 'offered');
+
+  storeSwapPreimage(keystore, swap.id, preimage);
+
+  const message = createMessage('offer', swap.id, {
+    hash: swap.hash,
+    terms,
+    addresses: { btc: initiatorBtcAddress, marscoin: initiatorMarscoinAddress },
+    pubKeys: initiatorKeys
+  });
+
+  return { swap, message };
+}
+
+/**
+ * Accept an offer as the participant
+ * @param {Object} offer - Offer message
+ * @param {Object} params
+ * @param {string} params.participantBtcAddress - Participant's Bitcoin address (receives BTC refunds)
+ * @param {string} params.participantMarscoinAddress - Participant's MarsCoin address (receives the MRS)
+ * @param {string|Object} params.participantBtcPubKey - Public key (hex or { xpub, path }) of participantBtcAddress
+ * @param {string|Object} params.participantMarscoinPubKey - Public key (hex or { xpub, path }) of participantMarscoinAddress
+ * @param {Object} params.networkNames - Configured network names { bitcoin, marscoin }
+ * @param {Object} params.bitcoinNetwork - Bitcoin network object
+ * @param {Object} params.marscoinNetwork - MarsCoin network object
+ * @param {Object} [params.derivation] - HD wallet seed, account, index and roles the participant's keys were derived with
+ * @returns {Object} The participant's swap record and the accept message
+ */
+function acceptOffer(offer, params) {
+  const {
+    participantBtcAddress,
+    participantMarscoinAddress,
+    participantBtcPubKey,
+    participantMarscoinPubKey,
+    networkNames,
+    bitcoinNetwork,
+    marscoinNetwork,
+    derivation
+  } = params;
+
+  const message = parseMessage(offer);
+
+  if (message.type !== 'offer') {
+    throw new Error(`Expected an offer message, got ${message.type}`);
+  }
+
+  const { hash, terms, addresses, pubKeys } = message.payload;
+
+  if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) {
+    throw new Error('Invalid offer: hashlock must be a hex-encoded SHA256 hash');
+  }
+
+  if (!terms || !addresses || !pubKeys) {
+    throw new Error('Invalid offer: missing terms, addresses or public keys');
+  }
+
+  if (!terms.scriptTypes || !terms.networks) {
+    throw new Error('Invalid offer: missing script types or networks');
+  }
+
+  if (!(terms.btcAmount > 0) || !(terms.marscoinAmount > 0) || !(terms.timeoutDuration > 0)) {
+    throw new Error('Invalid offer: amounts and timeout duration must be positive');
+  }
+
+  if (!['cltv', 'csv'].includes(terms.timelockType)) {
+    throw new Error(`Invalid offer: unknown timelock type ${terms.timelockType}`);
+  }
+
+  if (terms.scriptTypes.marscoin === 'p2tr') {
+    throw new Error('Invalid offer: Taproot HTLCs are not supported on MarsCoin');
+  }
+
+  for (const chain of ['bitcoin', 'marscoin']) {
+    if (terms.networks[chain] !== networkNames[chain]) {
+      throw new Error(`Offer is for ${chain} ${terms.networks[chain]}, but this instance uses ${networkNames[chain]}`);
+    }
+  }
+
+  const networks = { bitcoin: bitcoinNetwork, marscoin: marscoinNetwork };
+  const initiatorKeys = verifyPartyKeys('initiator', addresses, pubKeys, networks);
+  const participantKeys = verifyPartyKeys(
+    'participant',
+    { btc: participantBtcAddress, marscoin: participantMarscoinAddress },
+    { btc: participantBtcPubKey, marscoin: participantMarscoinPubKey },
+    networks
+  );
+
+  const swap = {
+    id: message.swapId,
+    role: 'participant',
+    hash: hash,
+    terms: terms,
+    addresses: {
+      initiatorBtc: addresses.btc,
+      initiatorMarscoin: addresses.marscoin,
+      participantBtc: participantBtcAddress,
+      participantMarscoin: participantMarscoinAddress
+    },
+    pubKeys: {
+      initiatorBtc: initiatorKeys.btc,
+      initiatorMarscoin: initiatorKeys.marscoin,
+      participantBtc: participantKeys.btc,
+      participantMarscoin: participantKeys.marscoin
+    },
+    timelockType: terms.timelockType,
+    amounts: {
+      btc: terms.btcAmount,
+      marscoin: terms.marscoinAmount
+    },
+    bitcoinNetwork: bitcoinNetwork,
+    marscoinNetwork: marscoinNetwork,
+    ...(derivation && { derivation }),
+    createdAt: Math.floor(Date.now() / 1000)
+  };
+
+  swapState.startHistory(swap, 'accepted');
+
+  const reply = createMessage('accept', swap.id, {
+    addresses: { btc: participantBtcAddress, marscoin: participantMarscoinAddress },
+    pubKeys: participantKeys
+  });
+
+  return { swap, message: reply };
+}
+
+/**
+ * Handle the participant's acceptance as the initiator: plan the timelocks and build both HTLCs
+ * @param {Object} swap - Initiator's swap record (updated in place)
+ * @param {Object} acceptMessage - Accept message
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @param {Object} [options]
+ * @param {Object} [options.timelockSettings] - Timelock modes, block intervals, confirmations and safety margin
+ * @returns {Object} The htlc-params message
+ */
+async function handleAccept(swap, acceptMessage, btcClient, marscoinClient, options = {}) {
+  const message = parseMessage(acceptMessage);
+  expectMessage(swap, message, 'accept', 'initiator', ['offered']);
+
+  const { addresses, pubKeys } = message.payload;
+
+  if (!addresses || !pubKeys) {
+    throw new Error('Invalid accept message: missing addresses or public keys');
+  }
+
+  const participantKeys = verifyPartyKeys('participant', addresses, pubKeys, {
+    bitcoin: swap.bitcoinNetwork,
+    marscoin: swap.marscoinNetwork
+  });
+
+  swap.addresses.participantBtc = addresses.btc;
+  swap.addresses.participantMarscoin = addresses.marscoin;
+  swap.pubKeys.participantBtc = participantKeys.btc;
+  swap.pubKeys.participantMarscoin = participantKeys.marscoin;
+
+  const { timelockPlan, timeouts } = await swapCoordinator.planSwapTimelocks(
+    {
+      timeoutDuration: swap.terms.timeoutDuration,
+      marscoinTimeoutDuration: swap.terms.marscoinTimeoutDuration,
+      timelockSettings: options.timelockSettings,
+      timelockType: swap.timelockType
+    },
+    btcClient,
+    marscoinClient
+  );
+
+  const { btcHtlc, marscoinHtlc } = await swapCoordinator.createSwapHtlcs({
+    hash: Buffer.from(swap.hash, 'hex'),
+    pubKeys: swap.pubKeys,
+    timeouts,
+    timelockType: swap.timelockType,
+    scriptTypes: swap.terms.scriptTypes,
+    bitcoinNetwork: swap.bitcoinNetwork,
+    marscoinNetwork: swap.marscoinNetwork
+  });
+
+  swap.btcHtlc = btcHtlc;
+  swap.marscoinHtlc = marscoinHtlc;
+  swap.timeouts = timeouts;
+  swap.timelockPlan = timelockPlan;
+  swapState.transition(swap, 'htlcs-agreed');
+
+  return createMessage('htlc-params', swap.id, {
+    timeouts,
+    btcHtlc: { address: btcHtlc.address, outputScript: btcHtlc.outputScript },
+    marscoinHtlc: { address: marscoinHtlc.address, outputScript: marscoinHtlc.outputScript }
+  });
+}
+
+/**
+ * Check that the timelocks of a swap protect the participant
+ * The Bitcoin leg must not lock the participant's funds for longer than agreed, and the MarsCoin leg must
+ * outlive it by the participant's own required margin
+ * @param {Object} swap - Swap object with timeouts and timelockType
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @param {Object} [options]
+ * @param {Object} [options.timelockSettings] - The participant's timelock settings
+ * @param {number} [options.tolerance] - Seconds the Bitcoin leg may exceed the agreed timeout by
+ * @param {string} [options.marscoinFundingTxId] - MarsCoin funding transaction, for relative timelocks that have started
+ * @returns {Object} Timelock plan as seen by the participant
+ */
+async function verifyTimelockTerms(swap, btcClient, marscoinClient, options = {}) {
+  const settings = options.timelockSettings || {};
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TIMELOCK_TOLERANCE;
+  const requiredMargin = timelockPlanner.getRequiredMargin(settings);
+  const blockInterval = (chain) => (settings[chain] && settings[chain].blockInterval) ||
+    timelockPlanner.DEFAULT_SETTINGS[chain].blockInterval;
+  const plan = {
+    requiredMargin,
+    bitcoin: { blockInterval: blockInterval('bitcoin') },
+    marscoin: { blockInterval: blockInterval('marscoin') }
+  };
+  let bitcoinSeconds;
+  let marscoinSeconds;
+
+  if (swap.timelockType === 'csv') {
+    plan.bitcoin.sequence = swap.timeouts.bitcoin;
+    plan.marscoin.sequence = swap.timeouts.marscoin;
+    bitcoinSeconds = timelockPlanner.relativeDelaySeconds(swap.timeouts.bitcoin, plan.bitcoin.blockInterval);
+    marscoinSeconds = timelockPlanner.relativeDelaySeconds(swap.timeouts.marscoin, plan.marscoin.blockInterval);
+
+    // Once the MarsCoin HTLC has confirmed its delay is already running
+    if (options.marscoinFundingTxId) {
+      const status = await timelockPlanner.getRelativeTimelockStatus(
+        marscoinClient, options.marscoinFundingTxId, swap.timeouts.marscoin, plan.marscoin.blockInterval);
+
+      if (status.secondsRemaining !== null) {
+        marscoinSeconds = status.secondsRemaining;
+      }
+    }
+  } else {
+    const chainStates = {
+      bitcoin: await timelockPlanner.getChainState(btcClient),
+      marscoin: await timelockPlanner.getChainState(marscoinClient)
+    };
+
+    for (const chain of ['bitcoin', 'marscoin']) {
+      plan[chain].locktime = swap.timeouts[chain];
+      plan[chain].mode = swap.timeouts[chain] < timelockPlanner.LOCKTIME_THRESHOLD ? 'height' : 'time';
+    }
+
+    bitcoinSeconds = timelockPlanner.estimateSecondsRemaining(
+      swap.timeouts.bitcoin, chainStates.bitcoin, plan.bitcoin.blockInterval);
+    marscoinSeconds = timelockPlanner.estimateSecondsRemaining(
+      swap.timeouts.marscoin, chainStates.marscoin, plan.marscoin.blockInterval);
+  }
+
+  if (bitcoinSeconds > swap.terms.timeoutDuration + tolerance) {
+    throw new Error(
+      `The Bitcoin HTLC would lock funds for ${bitcoinSeconds}s, ` +
+      `but the agreed timeout is ${swap.terms.timeoutDuration}s`
+    );
+  }
+
+  if (marscoinSeconds - bitcoinSeconds < requiredMargin) {
+    throw new Error(
+      `Unsafe timelocks: the MarsCoin HTLC expires ${marscoinSeconds - bitcoinSeconds}s after the Bitcoin HTLC, ` +
+      `but at least ${requiredMargin}s is required`
+    );
+  }
+
+  return plan;
+}
+
+/**
+ * Handle the HTLC parameters as the participant: rebuild both HTLCs from the agreed terms and check them
+ * @param {Object} swap - Participant's swap record (updated in place)
+ * @param {Object} htlcParamsMessage - htlc-params message
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @param {Object} [options]
+ * @param {Object} [options.timelockSettings] - The participant's timelock settings
+ * @param {number} [options.tolerance] - Seconds the Bitcoin leg may exceed the agreed timeout by
+ */
+async function handleHtlcParams(swap, htlcParamsMessage, btcClient, marscoinClient, options = {}) {
+  const message = parseMessage(htlcParamsMessage);
+  expectMessage(swap, message, 'htlc-params', 'participant', ['accepted']);
+
+  const { timeouts, btcHtlc, marscoinHtlc } = message.payload;
+
+  if (!timeouts || !Number.isInteger(timeouts.bitcoin) || !Number.isInteger(timeouts.marscoin)) {
+    throw new Error('Invalid htlc-params message: missing timelocks');
+  }
+
+  if (!btcHtlc || !marscoinHtlc) {
+    throw new Error('Invalid htlc-params message: missing HTLCs');
+  }
+
+  // Build the HTLCs ourselves, so nothing but the timelocks is taken from the initiator
+  const expected = await swapCoordinator.createSwapHtlcs({
+    hash: Buffer.from(swap.hash, 'hex'),
+    pubKeys: swap.pubKeys,
+    timeouts,
+    timelockType: swap.timelockType,
+    scriptTypes: swap.terms.scriptTypes,
+    bitcoinNetwork: swap.bitcoinNetwork,
+    marscoinNetwork: swap.marscoinNetwork
+  });
+
+  const legs = [['Bitcoin', btcHtlc, expected.btcHtlc], ['MarsCoin', marscoinHtlc, expected.marscoinHtlc]];
+
+  for (const [label, received, built] of legs) {
+    if (received.address !== built.address || received.outputScript !== built.outputScript) {
+      throw new Error(
+        `The ${label} HTLC ${received.address} does not match the agreed terms (expected ${built.address})`
+      );
+    }
+  }
+
+  const timelockPlan = await verifyTimelockTerms({ ...swap, timeouts }, btcClient, marscoinClient, options);
+
+  swap.btcHtlc = expected.btcHtlc;
+  swap.marscoinHtlc = expected.marscoinHtlc;
+  swap.timeouts = timeouts;
+  swap.timelockPlan = timelockPlan;
+  swapState.transition(swap, 'htlcs-agreed');
+}
+
+/**
+ * Create a funding notice for the leg this side has funded
+ * The participant may only fund once the initiator's MarsCoin HTLC has been verified
+ * @param {Object} swap - Swap object
+ * @param {string} txid - Transaction ID funding this side's HTLC
+ * @returns {Object} The funding message
+ */
+function createFundingNotice(swap, txid) {
+  const chain = FUNDED_CHAIN[swap.role];
+
+  if (!chain) {
+    throw new Error(`Swap ${swap.id} was not negotiated with the swap protocol`);
+  }
+
+  if (!swap.btcHtlc || !swap.marscoinHtlc) {
+    throw new Error('The HTLC parameters have not been agreed yet');
+  }
+
+  if (swap.role === 'participant' && !(swap.fundingTxIds && swap.fundingTxIds.marscoin)) {
+    throw new Error('Do not fund the Bitcoin HTLC before the initiator\'s MarsCoin HTLC is verified');
+  }
+
+  if (typeof txid !== 'string' || !/^[0-9a-fA-F]{64}$/.test(txid)) {
+    throw new Error('Invalid funding transaction ID');
+  }
+
+  return createMessage('funding', swap.id, { chain, txid: txid.toLowerCase() });
+}
+
+/**
+ * Handle a funding notice: check on chain that the counterparty's transaction pays their HTLC in full
+ * @param {Object} swap - Swap object (updated in place)
+ * @param {Object} fundingMessage - funding message
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @param {Object} [options]
+ * @param {number} [options.btcConfirmations=1] - Required confirmations for Bitcoin
+ * @param {number} [options.marscoinConfirmations=1] - Required confirmations for MarsCoin
+ * @param {Object} [options.timelockSettings] - Timelock settings, re-checked by the participant
+ * @returns {Object} Whether the funding is verified, with its confirmations
+ */
+async function handleFundingNotice(swap, fundingMessage, btcClient, marscoinClient, options = {}) {
+  const message = parseMessage(fundingMessage);
+  const counterparty = swap.role === 'initiator' ? 'participant' : 'initiator';
+  expectMessage(swap, message, 'funding', swap.role, ['initialized', 'initiator-funded', 'participant-funded', 'funded']);
+
+  const { chain, txid } = message.payload;
+
+  if (chain !== FUNDED_CHAIN[counterparty]) {
+    throw new Error(`The ${counterparty} funds the ${FUNDED_CHAIN[counterparty]} leg, not ${chain}`);
+  }
+
+  const isBitcoin = chain === 'bitcoin';
+  const client = isBitcoin ? btcClient : marscoinClient;
+  const htlc = isBitcoin ? swap.btcHtlc : swap.marscoinHtlc;
+  const requiredValue = isBitcoin ? swap.amounts.btc : marscoin.toSatoshis(swap.amounts.marscoin);
+  const requiredConfirmations = (isBitcoin ? options.btcConfirmations : options.marscoinConfirmations) || 1;
+
+  const tx = await client.getTransaction(txid);
+  const outputs = tx.vout
+    .filter((output) => output.scriptPubKey && output.scriptPubKey.hex === htlc.outputScript)
+    .map((output) => ({ txid, vout: output.n, value: Math.round(output.value * 100000000), height: null }));
+  const paid = outputs.reduce((total, output) => total + output.value, 0);
+
+  if (paid === 0) {
+    throw new Error(`Transaction ${txid} does not pay the ${chain} HTLC ${htlc.address}`);
+  }
+
+  if (paid < requiredValue) {
+    throw new Error(`Transaction ${txid} pays ${paid} to the ${chain} HTLC, but ${requiredValue} was agreed`);
+  }
+
+  if (tx.confirmations < requiredConfirmations) {
+    return { verified: false, chain, txid, confirmations: tx.confirmations, requiredConfirmations };
+  }
+
+  // Time has passed since the HTLC parameters were checked; make sure the margin still holds before funding
+  if (swap.role === 'participant') {
+    await verifyTimelockTerms(swap, btcClient, marscoinClient, {
+      timelockSettings: options.timelockSettings,
+      tolerance: Infinity,
+      marscoinFundingTxId: txid
+    });
+  }
+
+  swap.fundingTxIds = { ...swap.fundingTxIds, [chain]: txid };
+  swap.fundingOutputs = { ...swap.fundingOutputs, [chain]: outputs };
+  swapState.recordFunding(swap, chain, txid);
+
+  return { verified: true, chain, txid, confirmations: tx.confirmations, requiredConfirmations };
+}
+
+/**
+ * Create a secret reveal as the initiator
+ * Only allowed once the Bitcoin claim has been broadcast, which makes the preimage public anyway
+ * @param {Object} swap - Initiator's swap record
+ * @param {Object} keystore - Unlocked keystore holding the preimage
+ * @returns {Object} The secret-reveal message
+ */
+function createSecretReveal(swap, keystore) {
+  if (swap.role !== 'initiator') {
+    throw new Error('Only the initiator holds the secret');
+  }
+
+  if (!swap.bitcoinClaimTxId) {
+    throw new Error('Claim the Bitcoin HTLC before revealing the secret');
+  }
+
+  return createMessage('secret-reveal', swap.id, {
+    preimage: getSwapPreimage(keystore, swap),
+    bitcoinClaimTxId: swap.bitcoinClaimTxId
+  });
+}
+
+/**
+ * Handle a secret reveal as the participant
+ * @param {Object} swap - Participant's swap record (updated in place)
+ * @param {Object} revealMessage - secret-reveal message
+ * @returns {string} The verified preimage
+ */
+function handleSecretReveal(swap, revealMessage) {
+  const message = parseMessage(revealMessage);
+  expectMessage(swap, message, 'secret-reveal', 'participant',
+    ['initialized', 'initiator-funded', 'participant-funded', 'funded', 'secret-revealed', 'claimed']);
+
+  const { preimage, bitcoinClaimTxId } = message.payload;
+
+  if (typeof preimage !== 'string' || !/^[0-9a-fA-F]{64}$/.test(preimage)) {
+    throw new Error('Invalid secret-reveal message: malformed preimage');
+  }
+
+  const hash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+
+  if (hash !== swap.hash) {
+    throw new Error('The revealed secret does not match the hashlock');
+  }
+
+  swap.revealedPreimage = preimage.toLowerCase();
+  swap.bitcoinClaimTxId = swap.bitcoinClaimTxId || bitcoinClaimTxId;
+
+  // Before both legs are seen funded the claim is only recorded; redeeming moves the swap on
+  if (swap.bitcoinClaimTxId && swapState.canTransition(swap, 'claimed', { chain: 'bitcoin' })) {
+    swapState.transition(swap, 'claimed', { chain: 'bitcoin', txid: swap.bitcoinClaimTxId });
+    swapEvents.recordPreimageRevealed(swap, swap.bitcoinClaimTxId);
+  }
+
+  return swap.revealedPreimage;
+}
+
+/**
+ * Both parties' Bitcoin public keys, which aggregate to the internal key of a Taproot HTLC
+ * @param {Object} swap - Swap object
+ * @returns {Buffer[]} 33-byte compressed public keys
+ */
+function getBitcoinPubKeys(swap) {
+  return [swap.pubKeys.initiatorBtc, swap.pubKeys.participantBtc].map((pubKey) => Buffer.from(pubKey, 'hex'));
+}
+
+/**
+ * Decode a list of hex-encoded values of a fixed length from a message
+ * @param {Array<string>} values - Hex-encoded values
+ * @param {number} count - Number of values expected
+ * @param {number} length - Length in bytes of each value
+ * @param {string} label - Description for error messages
+ * @returns {Buffer[]} Decoded values
+ */
+function decodeHexList(values, count, length, label) {
+  const pattern = new RegExp(`^[0-9a-fA-F]{${length * 2}}$`);
+
+  if (!Array.isArray(values) || values.length !== count || values.some((value) => typeof value !== 'string' || !pattern.test(value))) {
+    throw new Error(`Invalid ${label}: expected ${count} hex-encoded ${length}-byte values`);
+  }
+
+  return values.map((value) => Buffer.from(value, 'hex'));
+}
+
+/**
+ * Ask the participant to close a funded Taproot Bitcoin HTLC through the key path, as the initiator
+ * The request hands over the preimage, so the participant can claim the MarsCoin at once; until the close
+ * is signed the initiator can still claim through the leaf before the Bitcoin timelock expires. The
+ * initiator's secret nonces are kept in the keystore until the participant's close-sign arrives.
+ * @param {Object} swap - Initiator's swap record
+ * @param {Object} keystore - Unlocked keystore holding the preimage
+ * @param {Object} params
+ * @param {string} params.privateKey - Initiator's Bitcoin WIF private key
+ * @param {number} [params.fee] - Fixed transaction fee in satoshis
+ * @param {number} [params.feeRate] - Fee rate in sat/vB, used to size the fee when no fixed fee is given
+ * @returns {Object} The close-request message
+ */
+function createCloseRequest(swap, keystore, params) {
+  if (swap.role !== 'initiator') {
+    throw new Error('Only the initiator requests a cooperative close');
+  }
+
+  if (swap.status !== 'funded') {
+    throw new Error(`Cannot close a swap in status ${swap.status}; both HTLCs must be funded`);
+  }
+
+  if (!swap.btcHtlc || swap.btcHtlc.scriptType !== 'p2tr') {
+    throw new Error('Only a Taproot Bitcoin HTLC can be closed cooperatively');
+  }
+
+  const preimage = getSwapPreimage(keystore, swap);
+  const psbt = cooperativeClose.createClosePsbt(swap.btcHtlc, {
+    inputs: swap.fundingOutputs.bitcoin,
+    destinationAddress: swap.addresses.initiatorBtc,
+    fee: params.fee,
+    feeRate: params.feeRate,
+    network: swap.bitcoinNetwork
+  });
+  const nonces = cooperativeClose.createCloseNonces(psbt, {
+    htlc: swap.btcHtlc,
+    publicKeys: getBitcoinPubKeys(swap),
+    privateKey: params.privateKey,
+    network: swap.bitcoinNetwork
+  });
+
+  // A later request replaces these, so no nonce is ever used for two different PSBTs
+  keystore.setSecret(closeNonceSecretName(swap.id), JSON.stringify({
+    psbt,
+    secNonces: nonces.secNonces.map((nonce) => nonce.toString('hex')),
+    pubNonces: nonces.pubNonces.map((nonce) => nonce.toString('hex'))
+  }));
+
+  return createMessage('close-request', swap.id, {
+    preimage,
+    psbt,
+    nonces: nonces.pubNonces.map((nonce) => nonce.toString('hex'))
+  });
+}
+
+/**
+ * Handle a cooperative close request as the participant: check the preimage, that the PSBT only spends
+ * the Bitcoin HTLC and that the MarsCoin can still be claimed in time, then sign
+ * Signing gives up the Bitcoin refund, so the swap is treated as if the Bitcoin claim had been broadcast.
+ * @param {Object} swap - Participant's swap record (updated in place)
+ * @param {Object} requestMessage - close-request message
+ * @param {Object} btcClient - Bitcoin RPC client
+ * @param {Object} marscoinClient - MarsCoin RPC client
+ * @param {Object} params
+ * @param {string} params.privateKey - Participant's Bitcoin WIF private key
+ * @param {Object} [params.timelockSettings] - The participant's timelock settings
+ * @returns {Object} The close-sign message
+ */
+async function handleCloseRequest(swap, requestMessage, btcClient, marscoinClient, params) {
+  const message = parseMessage(requestMessage);
+  expectMessage(swap, message, 'close-request', 'participant', ['funded']);
+
+  if (!swap.btcHtlc || swap.btcHtlc.scriptType !== 'p2tr') {
+    throw new Error('Only a Taproot Bitcoin HTLC can be closed cooperatively');
+  }
+
+  const { preimage, psbt, nonces } = message.payload;
+
+  if (typeof preimage !== 'string' || !/^[0-9a-fA-F]{64}$/.test(preimage)) {
+    throw new Error('Invalid close-request message: malformed preimage');
+  }
+
+  if (crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex') !== swap.hash) {
+    throw new Error('The secret in the close request does not match the hashlock');
+  }
+
+  if (typeof psbt !== 'string') {
+    throw new Error('Invalid close-request message: missing PSBT');
+  }
+
+  const close = cooperativeClose.readClosePsbt(psbt, swap.btcHtlc, swap.bitcoinNetwork);
+  const funded = ((swap.fundingOutputs || {}).bitcoin || []).map((output) => `${output.txid}:${output.vout}`);
+  const spent = close.inputs.map((input) => `${input.txid}:${input.vout}`);
+
+  if (spent.some((outpoint) => !funded.includes(outpoint)) || new Set(spent).size !== spent.length) {
+    throw new Error('The close request spends outputs other than the Bitcoin HTLC deposits');
+  }
+
+  // Once signed, the participant's only way out is claiming the MarsCoin with the preimage
+  const requiredMargin = timelockPlanner.getRequiredMargin(params.timelockSettings || {});
+  const timelocks = await swapCoordinator.getTimelockStatus(swap, btcClient, marscoinClient);
+
+  if (timelocks.marscoin.expired || !(timelocks.marscoin.secondsRemaining >= requiredMargin)) {
+    throw new Error(
+      `The MarsCoin HTLC expires in ${timelocks.marscoin.secondsRemaining}s, ` +
+      `too soon to claim it after closing (at least ${requiredMargin}s is required)`
+    );
+  }
+
+  const initiatorNonces = decodeHexList(nonces, close.inputs.length, 66, 'close-request nonces');
+  const session = { htlc: swap.btcHtlc, publicKeys: getBitcoinPubKeys(swap), network: swap.bitcoinNetwork };
+  const own = cooperativeClose.createCloseNonces(psbt, { ...session, privateKey: params.privateKey });
+  const partialSigs = cooperativeClose.signClose(psbt, {
+    ...session,
+    privateKey: params.privateKey,
+    secNonces: own.secNonces,
+    pubNonces: initiatorNonces.map((nonce, inputIndex) => [nonce, own.pubNonces[inputIndex]])
+  });
+
+  swap.revealedPreimage = preimage.toLowerCase();
+  swap.bitcoinClaimTxId = close.txId;
+  swapState.transition(swap, 'claimed', { chain: 'bitcoin', txid: close.txId });
+  swapEvents.recordPreimageRevealed(swap, close.txId);
+
+  return createMessage('close-sign', swap.id, {
+    nonces: own.pubNonces.map((nonce) => nonce.toString('hex')),
+    partialSignatures: partialSigs.map((partialSig) => partialSig.toString('hex'))
+  });
+}
+
+/**
+ * Handle the participant's partial signatures as the initiator and complete the cooperative close
+ * The pending nonces are removed from the keystore before signing, so they are never used twice.
+ * @param {Object} swap - Initiator's swap record
+ * @param {Object} signMessage - close-sign message
+ * @param {Object} keystore - Unlocked keystore holding the pending nonces
+ * @param {Object} params
+ * @param {string} params.privateKey - Initiator's Bitcoin WIF private key
+ * @returns {string} Base64-encoded signed PSBT, to finalize and broadcast with finalizeSwapPsbt
+ */
+function handleCloseSign(swap, signMessage, keystore, params) {
+  const message = parseMessage(signMessage);
+  expectMessage(swap, message, 'close-sign', 'initiator', ['funded']);
+
+  const stored = keystore.getSecret(closeNonceSecretName(swap.id));
+
+  if (!stored) {
+    throw new Error(`No cooperative close of swap ${swap.id} is waiting for signatures`);
+  }
+
+  keystore.deleteSecret(closeNonceSecretName(swap.id));
+
+  const { psbt, secNonces, pubNonces } = JSON.parse(stored);
+  const inputCount = secNonces.length;
+  const participantNonces = decodeHexList(message.payload.nonces, inputCount, 66, 'close-sign nonces');
+  const participantSigs = decodeHexList(message.payload.partialSignatures, inputCount, 32, 'close-sign signatures');
+  const session = {
+    htlc: swap.btcHtlc,
+    publicKeys: getBitcoinPubKeys(swap),
+    pubNonces: pubNonces.map((nonce, inputIndex) => [Buffer.from(nonce, 'hex'), participantNonces[inputIndex]]),
+    network: swap.bitcoinNetwork
+  };
+
+  cooperativeClose.verifyCloseSignatures(psbt, {
+    ...session,
+    signerPubKey: Buffer.from(swap.pubKeys.participantBtc, 'hex'),
+    signerPubNonces: participantNonces,
+    partialSigs: participantSigs
+  });
+
+  const ownSigs = cooperativeClose.signClose(psbt, {
+    ...session,
+    privateKey: params.privateKey,
+    secNonces: secNonces.map((nonce) => Buffer.from(nonce, 'hex'))
+  });
+
+  return cooperativeClose.aggregateClose(psbt, {
+    ...session,
+    partialSigs: ownSigs.map((partialSig, inputIndex) => [partialSig, participantSigs[inputIndex]])
+  });
+}
+
+module.exports = {
+  PROTOCOL,
+  PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  createMessage,
+  parseMessage,
+  createOffer,
+  acceptOffer,
+  handleAccept,
+  handleHtlcParams,
+  createFundingNotice,
+  handleFundingNotice,
+  createSecretReveal,
+  handleSecretReveal,
+  createCloseRequest,
+  handleCloseRequest,
+  handleCloseSign
+};
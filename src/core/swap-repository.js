@@ -0,0 +1,651 @@
+/**
+ * Swap Repository
+ * This module persists swap records shared by the CLI and the watcher. Each swap lives in its own file,
+ * written atomically (temporary file, fsync, rename), so a crash mid-write leaves the previous version
+ * intact. Records carry a schema version and are migrated when read. Changes go through a per-swap lock
+ * file, so two processes never overwrite each other's updates. Finished swaps are moved to an archive
+ * directory, out of the active set. The lifecycle events each change adds to a swap are copied to an
+ * event journal (events.log) shared by every swap.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { assertHistoryAppended } = require('./swap-state');
+const { createEventJournal } = require('./swap-events');
+
+// Version of the records this code writes
+const SCHEMA_VERSION = 3;
+
+/**
+ * Map the status of a record written before the swap state machine to its state
+ * 'completed' and 'refunded' were set after any one claim or refund, so the recorded transactions tell
+ * how far the swap actually got.
+ * @param {Object} swap - Swap object
+ * @returns {string} State
+ */
+function migrateStatus(swap) {
+  const fundingTxIds = swap.fundingTxIds || {};
+  const fundingOutputs = swap.fundingOutputs || {};
+
+  if (swap.status === 'initialized' && (fundingTxIds.bitcoin || fundingTxIds.marscoin)) {
+    return fundingTxIds.marscoin ? 'initiator-funded' : 'participant-funded';
+  }
+
+  if (swap.status === 'completed') {
+    return swap.marscoinClaimTxId ? 'claimed' : 'secret-revealed';
+  }
+
+  if (swap.status === 'refunded') {
+    if (swap.bitcoinClaimTxId) {
+      return 'failed';
+    }
+
+    const refunded = ['bitcoin', 'marscoin']
+      .filter((chain) => (fundingOutputs[chain] || []).length > 0)
+      .every((chain) => swap[`${chain}RefundTxId`]);
+
+    return refunded ? 'refunded' : 'partially-refunded';
+  }
+
+  return swap.status;
+}
+
+// Migrations from each version to the next, applied in order to records read from disk
+const MIGRATIONS = [
+  {
+    // Version 1: entries of the single-file swap database, which had no version
+    version: 2,
+    migrate: (swap) => ({
+      ...swap,
+      timelockType: swap.timelockType || 'cltv',
+      fundingTxIds: swap.fundingTxIds || {},
+      fundingOutputs: swap.fundingOutputs || {},
+      spends: swap.spends || {}
+    })
+  },
+  {
+    // Version 2: free-form statuses and no history
+    version: 3,
+    migrate: (swap) => {
+      const status = migrateStatus(swap);
+
+      return {
+        ...swap,
+        status,
+        history: [{
+          event: 'migrated',
+          from: swap.status,
+          to: status,
+          at: swap.completedAt || swap.refundedAt || swap.createdAt
+        }]
+      };
+    }
+  }
+];
+
+// Defaults for lock handling, in milliseconds
+const DEFAULT_LOCK_TIMEOUT = 60000; // How long to wait for another process to release a swap
+const DEFAULT_STALE_LOCK_AGE = 300000; // Locks not refreshed for this long are from a crashed process
+const LOCK_RETRY_INTERVAL = 100;
+
+// Swap IDs become file names, so they are restricted to safe characters
+const SWAP_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Tail of the lock queue of each lock file, so operations within one process wait their turn
+// instead of polling a lock this process holds
+const lockQueues = new Map();
+
+/**
+ * Check a swap ID before using it as a file name
+ * @param {string} swapId - Swap ID
+ */
+function assertSwapId(swapId) {
+  if (typeof swapId !== 'string' || !SWAP_ID_PATTERN.test(swapId)) {
+    throw new Error(`Invalid swap ID: ${swapId}`);
+  }
+}
+
+/**
+ * Write a file so that readers see either the old or the new content, never a partial write
+ * @param {string} filePath - Destination path
+ * @param {string} data - File content
+ */
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+  try {
+    const fd = fs.openSync(tempPath, 'w', 0o600);
+
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  // Make the rename itself durable
+  const dirFd = fs.openSync(path.dirname(filePath), 'r');
+
+  try {
+    fs.fsyncSync(dirFd);
+  } finally {
+    fs.closeSync(dirFd);
+  }
+}
+
+/**
+ * Bring a stored record up to the current schema
+ * @param {Object} record - Stored record ({ schemaVersion, swap })
+ * @param {string} filePath - Path the record was read from, for error messages
+ * @returns {Object} Swap object
+ */
+function migrateRecord(record, filePath) {
+  const version = record.schemaVersion || 1;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`${filePath} was written by a newer version (schema ${version}, this version reads up to ${SCHEMA_VERSION})`);
+  }
+
+  return MIGRATIONS
+    .filter((migration) => migration.version > version)
+    .reduce((swap, migration) => migration.migrate(swap), record.swap);
+}
+
+/**
+ * Check that a changed swap only added events, since the journal already holds the earlier ones
+ * @param {Object} before - Swap as stored
+ * @param {Object} after - Swap about to be stored
+ */
+function assertEventsAppended(before, after) {
+  const previous = before.events || [];
+  const current = after.events || [];
+
+  if (JSON.stringify(current.slice(0, previous.length)) !== JSON.stringify(previous)) {
+    throw new Error(`The events of swap ${after.id} are append-only`);
+  }
+}
+
+/**
+ * Check whether the process that wrote a lock file is gone
+ * A holder on this machine is checked by its PID, however long it has held the lock. The age only decides for
+ * holders on another machine and for lock files that cannot be parsed.
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleLockAge - Age in milliseconds after which a lock that cannot be checked counts as abandoned
+ * @returns {boolean} Whether the lock can be broken
+ */
+function isStaleLock(lockPath, staleLockAge) {
+  let stat;
+  let holder;
+
+  try {
+    stat = fs.statSync(lockPath);
+    holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    if (!(error instanceof SyntaxError)) {
+      throw error;
+    }
+    // A lock file that cannot be parsed is still being written, unless it has been like that for long
+    return Date.now() - stat.mtimeMs > staleLockAge;
+  }
+
+  if (holder.hostname !== os.hostname() || !Number.isInteger(holder.pid)) {
+    return Date.now() - stat.mtimeMs > staleLockAge;
+  }
+
+  if (holder.pid === process.pid) {
+    return false;
+  }
+
+  try {
+    // Signal 0 tests for the process without touching it
+    process.kill(holder.pid, 0);
+    return false;
+  } catch (error) {
+    // ESRCH: the holder has exited. EPERM: it is alive but owned by another user.
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Break a stale lock file
+ * The file is first renamed to a name of its own, so that of two processes breaking the same lock only one gets
+ * it, and neither removes a lock another process has taken in the meantime. The renamed file is checked again:
+ * if a live holder took the lock between the check and the rename, it is put back.
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleLockAge - Milliseconds without a refresh after which a lock that cannot be checked is broken
+ */
+function breakStaleLock(lockPath, staleLockAge) {
+  const tombstone = `${lockPath}.stale-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+  try {
+    fs.renameSync(lockPath, tombstone);
+  } catch (error) {
+    // Another process broke or released it first
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  if (isStaleLock(tombstone, staleLockAge)) {
+    console.warn(`Breaking stale lock ${lockPath}`);
+  } else {
+    try {
+      // A link never replaces a lock someone has taken since
+      fs.linkSync(tombstone, lockPath);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+
+  fs.rmSync(tombstone, { force: true });
+}
+
+/**
+ * Take a lock file, waiting while another process holds it
+ * @param {string} lockPath - Lock file path
+ * @param {number} lockTimeout - Milliseconds to wait for another process to release it
+ * @param {number} staleLockAge - Milliseconds without a refresh after which a lock that cannot be checked is broken
+ * @returns {Promise<string>} Contents of the lock file written, which name this holder
+ */
+async function acquireLock(lockPath, lockTimeout, staleLockAge) {
+  const deadline = Date.now() + lockTimeout;
+
+  for (;;) {
+    const owner = JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname(),
+      acquiredAt: Date.now()
+    });
+
+    try {
+      fs.writeFileSync(lockPath, owner, { flag: 'wx', mode: 0o600 });
+      return owner;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (isStaleLock(lockPath, staleLockAge)) {
+      breakStaleLock(lockPath, staleLockAge);
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${lockPath}; another process holds it`);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+  }
+}
+
+/**
+ * Remove a lock file, unless it no longer names this holder
+ * A lock broken as stale and taken by another process is left to that process.
+ * @param {string} lockPath - Lock file path
+ * @param {string} owner - Contents written when the lock was taken
+ */
+function releaseLock(lockPath, owner) {
+  try {
+    if (fs.readFileSync(lockPath, 'utf8') !== owner) {
+      console.warn(`Lock ${lockPath} was taken over by another process; leaving it in place`);
+      return;
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return;
+    }
+    throw error;
+  }
+
+  fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * Run a function while holding a lock file, shared with other processes through the file and with this
+ * process through a queue
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Function to run (may be async)
+ * @param {Object} [options]
+ * @param {number} [options.lockTimeout] - Milliseconds to wait for a lock held by another process
+ * @param {number} [options.staleLockAge] - Milliseconds without a refresh after which a lock held on another
+ *   machine is considered abandoned
+ * @returns {Promise<*>} The function's result
+ */
+async function withFileLock(lockPath, fn, options = {}) {
+  const { lockTimeout = DEFAULT_LOCK_TIMEOUT, staleLockAge = DEFAULT_STALE_LOCK_AGE } = options;
+  const previous = lockQueues.get(lockPath) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => { release = resolve; });
+  const tail = previous.then(() => current);
+
+  lockQueues.set(lockPath, tail);
+  await previous;
+
+  try {
+    const owner = await acquireLock(lockPath, lockTimeout, staleLockAge);
+
+    // Keep the lock file fresh while fn runs, so a holder on another machine is not taken for a crashed one
+    const heartbeat = setInterval(() => {
+      const now = new Date();
+      fs.utimes(lockPath, now, now, () => {});
+    }, Math.max(LOCK_RETRY_INTERVAL, Math.floor(staleLockAge / 3)));
+    heartbeat.unref();
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+      releaseLock(lockPath, owner);
+    }
+  } finally {
+    release();
+
+    if (lockQueues.get(lockPath) === tail) {
+      lockQueues.delete(lockPath);
+    }
+  }
+}
+
+/**
+ * Create a repository of swap records
+ * @param {Object} options
+ * @param {string} options.directory - Directory holding one file per active swap (archive/ holds finished swaps)
+ * @param {string} [options.legacyDatabasePath] - Single-file swap database to import on first use
+ * @param {number} [options.lockTimeout] - Milliseconds to wait for a lock held by another process
+ * @param {number} [options.staleLockAge] - Milliseconds without a refresh after which a lock held on another
+ *   machine is considered abandoned
+ * @returns {Object} Repository with getSwap, listSwaps, createSwap, updateSwap, archiveSwap, withSwapLock,
+ *   readEvents and getEventsEnd
+ */
+function createSwapRepository(options) {
+  const {
+    directory,
+    legacyDatabasePath = null,
+    lockTimeout = DEFAULT_LOCK_TIMEOUT,
+    staleLockAge = DEFAULT_STALE_LOCK_AGE
+  } = options;
+  const archiveDirectory = path.join(directory, 'archive');
+  const journal = createEventJournal({ file: path.join(directory, 'events.log') });
+
+  let initialized = false;
+
+  const activePath = (swapId) => path.join(directory, `${swapId}.json`);
+  const archivePath = (swapId) => path.join(archiveDirectory, `${swapId}.json`);
+
+  /**
+   * Create the directories and import the legacy database, once per repository
+   */
+  function initialize() {
+    if (initialized) {
+      return;
+    }
+
+    fs.mkdirSync(archiveDirectory, { recursive: true, mode: 0o700 });
+    initialized = true;
+
+    if (legacyDatabasePath && fs.existsSync(legacyDatabasePath)) {
+      importLegacyDatabase();
+    }
+  }
+
+  /**
+   * Move the swaps of the single-file database into the repository and rename the file out of the way
+   * Importing is idempotent, so two processes importing at once write the same records.
+   */
+  function importLegacyDatabase() {
+    const swaps = JSON.parse(fs.readFileSync(legacyDatabasePath, 'utf8'));
+    let imported = 0;
+
+    for (const [swapId, swap] of Object.entries(swaps)) {
+      if (!SWAP_ID_PATTERN.test(swapId)) {
+        console.warn(`Skipping swap with invalid ID ${JSON.stringify(swapId)} in ${legacyDatabasePath}`);
+        continue;
+      }
+
+      if (!fs.existsSync(activePath(swapId)) && !fs.existsSync(archivePath(swapId))) {
+        writeRecord(activePath(swapId), migrateRecord({ schemaVersion: 1, swap }, legacyDatabasePath));
+        imported += 1;
+      }
+    }
+
+    try {
+      fs.renameSync(legacyDatabasePath, `${legacyDatabasePath}.imported`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    console.log(`Imported ${imported} swap(s) from ${legacyDatabasePath} into ${directory}`);
+  }
+
+  /**
+   * Write a swap record at the current schema version
+   * @param {string} filePath - Record path
+   * @param {Object} swap - Swap object
+   */
+  function writeRecord(filePath, swap) {
+    writeFileAtomic(filePath, JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      updatedAt: Math.floor(Date.now() / 1000),
+      swap
+    }, null, 2));
+  }
+
+  /**
+   * Read a swap record, migrated to the current schema
+   * @param {string} filePath - Record path
+   * @returns {Object|null} Swap object, or null if there is no such record
+   */
+  function readRecord(filePath) {
+    let data;
+
+    try {
+      data = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    return migrateRecord(JSON.parse(data), filePath);
+  }
+
+  /**
+   * Find the record of a swap, active or archived
+   * @param {string} swapId - Swap ID
+   * @returns {string|null} Record path
+   */
+  function findRecord(swapId) {
+    assertSwapId(swapId);
+    initialize();
+
+    return [activePath(swapId), archivePath(swapId)].find((filePath) => fs.existsSync(filePath)) || null;
+  }
+
+  /**
+   * Run a function while holding a swap's lock
+   * @param {string} swapId - Swap ID
+   * @param {Function} fn - Function to run (may be async)
+   * @returns {Promise<*>} The function's result
+   */
+  async function withSwapLock(swapId, fn) {
+    assertSwapId(swapId);
+    initialize();
+
+    return withFileLock(path.join(directory, `${swapId}.lock`), fn, { lockTimeout, staleLockAge });
+  }
+
+  /**
+   * Get a swap
+   * @param {string} swapId - Swap ID
+   * @returns {Object|null} Swap object, or null if there is no such swap
+   */
+  function getSwap(swapId) {
+    const filePath = findRecord(swapId);
+    return filePath ? readRecord(filePath) : null;
+  }
+
+  /**
+   * Check whether a swap has been archived
+   * @param {string} swapId - Swap ID
+   * @returns {boolean} Whether the swap is in the archive
+   */
+  function isArchived(swapId) {
+    return findRecord(swapId) === archivePath(swapId);
+  }
+
+  /**
+   * List swaps
+   * @param {Object} [listOptions]
+   * @param {boolean} [listOptions.archived=false] - List archived swaps instead of active ones
+   * @returns {Array<Object>} Swap objects, oldest first
+   */
+  function listSwaps(listOptions = {}) {
+    initialize();
+
+    const listDirectory = listOptions.archived ? archiveDirectory : directory;
+
+    // One unreadable record should not hide every other swap
+    return fs.readdirSync(listDirectory)
+      .filter((name) => name.endsWith('.json') && SWAP_ID_PATTERN.test(name.slice(0, -5)))
+      .map((name) => {
+        try {
+          return readRecord(path.join(listDirectory, name));
+        } catch (error) {
+          console.warn(`Skipping swap record ${name}: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  /**
+   * Store a new swap
+   * @param {Object} swap - Swap object with an ID not used by any other swap
+   * @returns {Promise<Object>} The stored swap
+   */
+  async function createSwap(swap) {
+    return withSwapLock(swap.id, () => {
+      if (findRecord(swap.id)) {
+        throw new Error(`Swap ${swap.id} already exists`);
+      }
+
+      journal.append(swap.id, swap.events || []);
+      writeRecord(activePath(swap.id), swap);
+      return swap;
+    });
+  }
+
+  /**
+   * Change a swap under its lock: the latest stored version is loaded, passed to the function to modify
+   * in place, and written back if it changed. Nothing is written if the function throws, or if it rewrote
+   * the swap's history or changed its status other than through a state transition.
+   * @param {string} swapId - Swap ID
+   * @param {Function} fn - Function (swap) => result, may be async
+   * @returns {Promise<*>} The function's result
+   */
+  async function updateSwap(swapId, fn) {
+    return withSwapLock(swapId, async () => {
+      const filePath = findRecord(swapId);
+
+      if (!filePath) {
+        throw new Error(`Swap ${swapId} not found`);
+      }
+
+      const swap = readRecord(filePath);
+      const before = JSON.stringify(swap);
+      const result = await fn(swap);
+
+      if (JSON.stringify(swap) !== before) {
+        const previous = JSON.parse(before);
+
+        assertHistoryAppended(previous, swap);
+        assertEventsAppended(previous, swap);
+        // Journal first: after a crash in between, the change is made again and its events journaled again
+        // with the same seq, so readers can drop the duplicates instead of missing events
+        journal.append(swapId, (swap.events || []).slice((previous.events || []).length));
+        writeRecord(filePath, swap);
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Move a swap out of the active set
+   * @param {string} swapId - Swap ID
+   * @returns {Promise<boolean>} Whether the swap was moved (false if it was already archived)
+   */
+  async function archiveSwap(swapId) {
+    return withSwapLock(swapId, () => {
+      const swap = readRecord(activePath(swapId));
+
+      if (!swap) {
+        if (!fs.existsSync(archivePath(swapId))) {
+          throw new Error(`Swap ${swapId} not found`);
+        }
+        return false;
+      }
+
+      swap.archivedAt = Math.floor(Date.now() / 1000);
+
+      // Copy first: a crash in between leaves the swap active, and archiving again finishes the move
+      writeRecord(archivePath(swapId), swap);
+      fs.rmSync(activePath(swapId));
+
+      return true;
+    });
+  }
+
+  return {
+    directory,
+    getSwap,
+    isArchived,
+    listSwaps,
+    createSwap,
+    updateSwap,
+    archiveSwap,
+    withSwapLock,
+    readEvents: journal.read,
+    getEventsEnd: journal.end
+  };
+}
+
+/**
+ * Create the repository of the configured data directory
+ * @param {Object} cfg - Application configuration
+ * @returns {Object} Swap repository
+ */
+function getSwapRepository(cfg) {
+  return createSwapRepository({
+    directory: path.join(cfg.app.dataDir, cfg.app.swapDirectory),
+    legacyDatabasePath: path.join(cfg.app.dataDir, cfg.app.swapDatabase)
+  });
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  writeFileAtomic,
+  withFileLock,
+  createSwapRepository,
+  getSwapRepository
+};
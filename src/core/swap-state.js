@@ -0,0 +1,234 @@
+/**
+ * Swap State Machine
+ * This module defines the states a swap moves through and the events that move it. Every change of
+ * status goes through transition(), which rejects events the current state does not allow and appends
+ * the event to the swap's history with its time, chain and transaction ID. The history is never
+ * rewritten, so it records how the swap got where it is. Each change of state is also recorded as a
+ * status-changed lifecycle event, for the event stream and webhooks.
+ */
+
+const { recordEvent } = require('./swap-events');
+
+// States, in the order a successful swap passes through them
+const STATES = {
+  offered: 'Offer sent; waiting for the participant to accept',
+  accepted: 'Offer accepted; waiting for the initiator\'s HTLC parameters',
+  initialized: 'HTLCs agreed; waiting for funding',
+  'initiator-funded': 'The initiator\'s MarsCoin HTLC is funded',
+  'participant-funded': 'The participant\'s Bitcoin HTLC is funded',
+  funded: 'Both HTLCs are funded',
+  'secret-revealed': 'The Bitcoin claim has revealed the secret; the MarsCoin is not claimed yet',
+  claimed: 'Both HTLCs are claimed',
+  'partially-refunded': 'One HTLC is refunded; the other still holds funds',
+  refunded: 'Every funded HTLC is refunded',
+  failed: 'The swap ended without completing: it expired unfunded, or the MarsCoin was refunded after the secret was revealed'
+};
+
+// States with nothing left to do
+const TERMINAL_STATES = ['claimed', 'refunded', 'failed'];
+
+// States in which the HTLC deposits can still be refunded, before the secret is out
+const REFUNDABLE_STATES = ['initialized', 'initiator-funded', 'participant-funded', 'funded', 'partially-refunded'];
+
+// Leg each party funds
+const FUNDING_PARTY = { bitcoin: 'participant', marscoin: 'initiator' };
+
+// Every state, to itself: events that record something without changing the state
+const ANY_STATE = Object.fromEntries(Object.keys(STATES).map((state) => [state, state]));
+
+/**
+ * Get the state after refunding one leg of a swap that was never fully funded
+ * The other leg may still hold a deposit (an underpayment, or one whose timelock opens later), and the
+ * swap is only refunded once every leg with recorded funding outputs has a refund.
+ * @param {Object} details - Event details ({ chain, ... })
+ * @param {Object} swap - Swap object, with the refund's transaction ID already recorded
+ * @returns {string} 'refunded' or 'partially-refunded'
+ */
+function refundUnfundedLeg({ chain }, swap) {
+  const fundingOutputs = swap.fundingOutputs || {};
+  const otherChain = chain === 'bitcoin' ? 'marscoin' : 'bitcoin';
+  const otherLegHeld = (fundingOutputs[otherChain] || []).length > 0 && !swap[`${otherChain}RefundTxId`];
+
+  return otherLegHeld ? 'partially-refunded' : 'refunded';
+}
+
+/**
+ * Allowed transitions: per event, the next state from each state it is allowed in. A function gets the
+ * event details ({ chain, ... }) and the swap, and returns the next state, or null if the event is not allowed.
+ */
+const TRANSITIONS = {
+  'htlcs-agreed': {
+    offered: 'initialized',
+    accepted: 'initialized'
+  },
+  funded: {
+    initialized: ({ chain }) => `${FUNDING_PARTY[chain]}-funded`,
+    'initiator-funded': ({ chain }) => (chain === 'bitcoin' ? 'funded' : null),
+    'participant-funded': ({ chain }) => (chain === 'marscoin' ? 'funded' : null)
+  },
+  claimed: {
+    // The Bitcoin claim comes first: it is what reveals the secret the MarsCoin claim needs
+    funded: ({ chain }) => (chain === 'bitcoin' ? 'secret-revealed' : null),
+    'secret-revealed': ({ chain }) => (chain === 'marscoin' ? 'claimed' : null)
+  },
+  refunded: {
+    // Deposits to a swap that was never fully funded (including underpayments) are refunded in full, leg by leg
+    initialized: refundUnfundedLeg,
+    'initiator-funded': refundUnfundedLeg,
+    'participant-funded': refundUnfundedLeg,
+    funded: 'partially-refunded',
+    'partially-refunded': 'refunded',
+    // The participant missed the MarsCoin claim and the initiator took it back
+    'secret-revealed': ({ chain }) => (chain === 'marscoin' ? 'failed' : null),
+    // A second leg holding only an underpayment can be refunded after the swap is
+    refunded: 'refunded',
+    // So can a deposit that arrives after the swap failed
+    failed: 'failed'
+  },
+  expired: {
+    initialized: 'failed'
+  },
+  'fee-bumped': ANY_STATE
+};
+
+/**
+ * Get the state an event would move a swap to
+ * @param {Object} swap - Swap object
+ * @param {string} event - Event name
+ * @param {Object} [details] - Event details, e.g. { chain, txid }
+ * @returns {string|null} Next state, or null if the event is not allowed in the swap's state
+ */
+function nextState(swap, event, details = {}) {
+  const transitions = TRANSITIONS[event];
+
+  if (!transitions) {
+    throw new Error(`Unknown swap event: ${event}`);
+  }
+
+  const next = transitions[swap.status];
+
+  return (typeof next === 'function' ? next(details, swap) : next) || null;
+}
+
+/**
+ * Check whether an event is allowed in a swap's state
+ * @param {Object} swap - Swap object
+ * @param {string} event - Event name
+ * @param {Object} [details] - Event details
+ * @returns {boolean} Whether transition() would accept the event
+ */
+function canTransition(swap, event, details = {}) {
+  return nextState(swap, event, details) !== null;
+}
+
+/**
+ * Reject an event the swap's state does not allow, before acting on it (e.g. broadcasting)
+ * @param {Object} swap - Swap object
+ * @param {string} event - Event name
+ * @param {Object} [details] - Event details
+ */
+function assertTransition(swap, event, details = {}) {
+  if (!canTransition(swap, event, details)) {
+    const chain = details.chain ? ` (${details.chain})` : '';
+    throw new Error(`Swap ${swap.id} is ${swap.status}; it cannot be ${event}${chain}`);
+  }
+}
+
+/**
+ * Apply an event to a swap: move it to the next state, append the event to its history and, if the state
+ * changed, record a status-changed event
+ * @param {Object} swap - Swap object (updated in place)
+ * @param {string} event - Event name
+ * @param {Object} [details] - Event details recorded in the history, e.g. { chain, txid }
+ * @returns {string} The new state
+ */
+function transition(swap, event, details = {}) {
+  assertTransition(swap, event, details);
+
+  const to = nextState(swap, event, details);
+
+  swap.history = [...(swap.history || []), {
+    event,
+    from: swap.status,
+    to,
+    at: Math.floor(Date.now() / 1000),
+    ...details
+  }];
+
+  const from = swap.status;
+
+  swap.status = to;
+
+  if (to !== from) {
+    recordEvent(swap, 'status-changed', { event, from, to, ...details });
+  }
+
+  return to;
+}
+
+/**
+ * Set the first state of a new swap and start its history
+ * @param {Object} swap - New swap object (updated in place)
+ * @param {string} state - 'offered', 'accepted' or 'initialized'
+ * @returns {Object} The swap
+ */
+function startHistory(swap, state) {
+  if (!['offered', 'accepted', 'initialized'].includes(state)) {
+    throw new Error(`A swap cannot start in state ${state}`);
+  }
+
+  swap.status = state;
+  swap.history = [{ event: 'created', from: null, to: state, at: swap.createdAt || Math.floor(Date.now() / 1000) }];
+
+  return swap;
+}
+
+/**
+ * Move a swap on once one of its legs is funded, unless its state already counts that leg as funded
+ * Funding checks run repeatedly, so this is safe to call every time a leg is seen funded.
+ * @param {Object} swap - Swap object (updated in place)
+ * @param {string} chain - 'bitcoin' or 'marscoin'
+ * @param {string} txid - First funding transaction of the leg
+ * @returns {boolean} Whether the swap changed state
+ */
+function recordFunding(swap, chain, txid) {
+  if (!canTransition(swap, 'funded', { chain })) {
+    return false;
+  }
+
+  transition(swap, 'funded', { chain, txid });
+  return true;
+}
+
+/**
+ * Check that a changed swap kept its history and only changed status through transition()
+ * @param {Object} before - Swap as stored
+ * @param {Object} after - Swap about to be stored
+ */
+function assertHistoryAppended(before, after) {
+  const previous = before.history || [];
+  const current = after.history || [];
+
+  if (current.length < previous.length ||
+      JSON.stringify(current.slice(0, previous.length)) !== JSON.stringify(previous)) {
+    throw new Error(`The history of swap ${after.id} is append-only`);
+  }
+
+  if (after.status !== before.status &&
+      (current.length === previous.length || current[current.length - 1].to !== after.status)) {
+    throw new Error(`Swap ${after.id} cannot change from ${before.status} to ${after.status} without a transition`);
+  }
+}
+
+module.exports = {
+  STATES,
+  TERMINAL_STATES,
+  REFUNDABLE_STATES,
+  TRANSITIONS,
+  canTransition,
+  assertTransition,
+  transition,
+  startHistory,
+  recordFunding,
+  assertHistoryAppended
+};
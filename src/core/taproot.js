@@ -0,0 +1,194 @@
+/**
+ * Taproot HTLC Helpers
+ * This module builds P2TR HTLC outputs where the claim and refund branches are tapscript leaves
+ * and the internal key is an aggregate of both parties' keys, so only both parties together can spend through
+ * the key path, with a MuSig2 signature (see cooperative-close.js).
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const htlcScript = require('./htlc-script');
+const musig2 = require('./musig2');
+
+bitcoin.initEccLib(ecc);
+
+// Tapscript leaf version (BIP342)
+const LEAF_VERSION = 0xc0;
+
+/**
+ * Convert a compressed public key to its x-only form
+ * @param {Buffer} publicKey - 33-byte compressed public key (32-byte keys are returned as is)
+ * @returns {Buffer} 32-byte x-only public key
+ */
+function toXOnly(publicKey) {
+  return publicKey.length === 32 ? publicKey : publicKey.slice(1, 33);
+}
+
+/**
+ * Sort public keys lexicographically (BIP327 KeySort)
+ * @param {Buffer[]} publicKeys - 33-byte compressed public keys
+ * @returns {Buffer[]} Sorted copy of the keys
+ */
+function keySort(publicKeys) {
+  return [...publicKeys].sort(Buffer.compare);
+}
+
+/**
+ * Aggregate public keys in the order given (BIP327 KeyAgg)
+ * @param {Buffer[]} publicKeys - 33-byte compressed public keys
+ * @returns {Buffer} 32-byte x-only aggregate key
+ */
+function keyAgg(publicKeys) {
+  return musig2.getXOnlyKey(musig2.keyAggContext(publicKeys));
+}
+
+/**
+ * Aggregate both parties' public keys into the internal key, independent of their order
+ * This is BIP327 KeySort followed by KeyAgg, so the parties can spend through the key path with MuSig2
+ * @param {Buffer[]} publicKeys - 33-byte compressed public keys of both parties
+ * @returns {Buffer} 32-byte x-only aggregate key
+ */
+function aggregatePublicKeys(publicKeys) {
+  return keyAgg(keySort(publicKeys));
+}
+
+/**
+ * Build the claim and refund tapscript leaves
+ * @param {Object} params
+ * @param {Buffer} params.hashLock - SHA256 hashlock
+ * @param {number} params.timelock - Absolute locktime (cltv) or BIP68 sequence number (csv)
+ * @param {string} [params.timelockType='cltv'] - 'cltv' or 'csv'
+ * @param {Buffer} params.recipientPubKey - Recipient's public key
+ * @param {Buffer} params.refundPubKey - Refund public key
+ * @returns {Object} Claim and refund leaf scripts
+ */
+function buildLeaves({ hashLock, timelock, timelockType = 'cltv', recipientPubKey, refundPubKey }) {
+  const claim = bitcoin.script.compile([
+    bitcoin.opcodes.OP_SHA256,
+    hashLock,
+    bitcoin.opcodes.OP_EQUALVERIFY,
+    toXOnly(recipientPubKey),
+    bitcoin.opcodes.OP_CHECKSIG
+  ]);
+
+  const refund = bitcoin.script.compile([
+    ...htlcScript.timelockOps(bitcoin, timelockType, timelock),
+    bitcoin.opcodes.OP_DROP,
+    toXOnly(refundPubKey),
+    bitcoin.opcodes.OP_CHECKSIG
+  ]);
+
+  return { claim, refund };
+}
+
+/**
+ * Decode claim and refund leaves built by buildLeaves
+ * @param {Object} tapLeaves - Claim and refund leaf scripts
+ * @returns {Object} Hashlock, x-only recipient and refund keys, timelock type and timelock value
+ */
+function decodeLeaves(tapLeaves) {
+  const claim = bitcoin.script.decompile(tapLeaves.claim) || [];
+  const refund = bitcoin.script.decompile(tapLeaves.refund) || [];
+  const timelockOp = refund[1];
+  const decoded = {
+    hashLock: claim[1],
+    recipientPubKey: claim[3],
+    refundPubKey: refund[3],
+    timelockType: timelockOp === bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY ? 'csv' : 'cltv',
+    timelock: htlcScript.decodeScriptNumber(bitcoin, refund[0])
+  };
+
+  if (claim.length !== 5 || refund.length !== 5 ||
+    !Buffer.isBuffer(decoded.hashLock) || decoded.hashLock.length !== 32 ||
+    !Buffer.isBuffer(decoded.recipientPubKey) || decoded.recipientPubKey.length !== 32 ||
+    !Buffer.isBuffer(decoded.refundPubKey) || decoded.refundPubKey.length !== 32 ||
+    (timelockOp !== bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY && timelockOp !== bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY) ||
+    decoded.timelock === null || decoded.timelock < 0) {
+    throw new Error('Not an HTLC tapscript: unexpected leaf layout');
+  }
+
+  // Anything but the exact scripts buildLeaves produces (extra opcodes, non-minimal pushes) is refused
+  const rebuilt = buildLeaves(decoded);
+
+  if (!rebuilt.claim.equals(tapLeaves.claim) || !rebuilt.refund.equals(tapLeaves.refund)) {
+    throw new Error('Not an HTLC tapscript: leaves differ from the standard claim and refund scripts');
+  }
+
+  return decoded;
+}
+
+/**
+ * Compute the BIP341 tapleaf hash of a leaf script
+ * @param {Buffer} leaf - Leaf script
+ * @param {number} [leafVersion=LEAF_VERSION] - Leaf version
+ * @returns {Buffer} 32-byte leaf hash
+ */
+function tapleafHash(leaf, leafVersion = LEAF_VERSION) {
+  return bitcoin.crypto.taggedHash('TapLeaf', Buffer.concat([
+    Buffer.from([leafVersion]),
+    htlcScript.encodeCompactSize(leaf.length),
+    leaf
+  ]));
+}
+
+/**
+ * Create the P2TR payment for an HTLC
+ * @param {Object} tapLeaves - Claim and refund leaf scripts
+ * @param {Buffer} internalPubKey - x-only internal key
+ * @param {Object} network - Bitcoin network object
+ * @param {Buffer} [spendLeaf] - Leaf being spent, to get its control block
+ * @returns {Object} bitcoinjs-lib p2tr payment
+ */
+function createTaprootPayment(tapLeaves, internalPubKey, network, spendLeaf) {
+  return bitcoin.payments.p2tr({
+    internalPubkey: toXOnly(internalPubKey),
+    scriptTree: [{ output: tapLeaves.claim }, { output: tapLeaves.refund }],
+    redeem: spendLeaf ? { output: spendLeaf, redeemVersion: LEAF_VERSION } : undefined,
+    network
+  });
+}
+
+/**
+ * Sign a tapscript leaf spend of input and set its witness
+ * @param {Object} tx - Transaction being built
+ * @param {Object} params
+ * @param {number} params.inputIndex - Index of the HTLC input
+ * @param {Object} params.tapLeaves - Claim and refund leaf scripts
+ * @param {Buffer} params.internalPubKey - x-only internal key
+ * @param {Buffer} params.leaf - Leaf being spent
+ * @param {number[]} params.amounts - Values in satoshis of every input of the transaction, all HTLC outputs
+ * @param {Object} params.keyPair - Key pair used to sign
+ * @param {Buffer[]} params.unlock - Extra stack items for the leaf, e.g. [preimage]
+ * @param {Object} params.network - Bitcoin network object
+ */
+function signScriptPath(tx, params) {
+  const { inputIndex, tapLeaves, internalPubKey, leaf, amounts, keyPair, unlock, network } = params;
+  const payment = createTaprootPayment(tapLeaves, internalPubKey, network, leaf);
+  const leafHash = tapleafHash(leaf);
+
+  // BIP341 signatures commit to the scripts and values of all inputs
+  const signatureHash = tx.hashForWitnessV1(
+    inputIndex,
+    amounts.map(() => payment.output),
+    amounts,
+    bitcoin.Transaction.SIGHASH_DEFAULT,
+    leafHash
+  );
+  const signature = Buffer.from(keyPair.signSchnorr(signatureHash));
+
+  // payment.witness is [leaf script, control block]
+  tx.setWitness(inputIndex, [signature, ...unlock, ...payment.witness]);
+}
+
+module.exports = {
+  LEAF_VERSION,
+  toXOnly,
+  keySort,
+  keyAgg,
+  aggregatePublicKeys,
+  buildLeaves,
+  decodeLeaves,
+  tapleafHash,
+  createTaprootPayment,
+  signScriptPath
+};
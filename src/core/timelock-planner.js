@@ -0,0 +1,339 @@
+/**
+ * Timelock Planner
+ * This module chooses the CLTV timelocks for both legs of a swap from each chain's tip height and
+ * median-time-past, and decides whether a timelock has expired from chain state rather than the
+ * local clock.
+ *
+ * The participant funds the Bitcoin HTLC and the initiator, who holds the secret, funds the MarsCoin
+ * HTLC. The initiator reveals the secret by claiming the Bitcoin leg, so the MarsCoin leg has to stay
+ * locked long enough after the Bitcoin leg expires for the participant to see that claim and get a
+ * MarsCoin claim confirmed. Otherwise the initiator could claim the Bitcoin at the last moment and
+ * refund the MarsCoin before the participant can use the secret.
+ *
+ * Relative (CSV) timelocks count from each HTLC's funding confirmation instead. The same margin is
+ * kept between the two delays, which holds as long as the MarsCoin HTLC is funded no earlier than
+ * the Bitcoin HTLC.
+ */
+
+const htlcScript = require('./htlc-script');
+
+// nLockTime values below this are block heights, values at or above it are UNIX timestamps
+const LOCKTIME_THRESHOLD = 500000000;
+
+// Timelock modes: 'height' locks to a block height, 'time' locks to a median-time-past timestamp
+const TIMELOCK_MODES = ['height', 'time'];
+
+// Defaults used when the caller does not provide settings for a chain
+const DEFAULT_SETTINGS = {
+  bitcoin: {
+    timelockMode: 'height',
+    blockInterval: 600, // Target block interval in seconds
+    confirmations: 1
+  },
+  marscoin: {
+    timelockMode: 'height',
+    blockInterval: 123, // Target block interval in seconds
+    confirmations: 1
+  },
+  safetyMargin: 3600 // Minimum extra time in seconds between the two legs' expiries
+};
+
+/**
+ * Get the tip height and median-time-past of a chain
+ * @param {Object} rpcClient - RPC client for the chain
+ * @returns {Object} Chain state with height and medianTime
+ */
+async function getChainState(rpcClient) {
+  const info = await rpcClient.getBlockchainInfo();
+
+  return {
+    height: info.blocks,
+    medianTime: info.mediantime
+  };
+}
+
+/**
+ * Build timelock settings from the application configuration
+ * @param {Object} cfg - Application configuration
+ * @returns {Object} Timelock settings for both chains
+ */
+function getTimelockSettings(cfg) {
+  const chainSettings = (chain) => ({
+    timelockMode: cfg[chain].timelockMode || DEFAULT_SETTINGS[chain].timelockMode,
+    blockInterval: cfg[chain].blockInterval || DEFAULT_SETTINGS[chain].blockInterval,
+    confirmations: cfg[chain].confirmations || DEFAULT_SETTINGS[chain].confirmations
+  });
+
+  return {
+    bitcoin: chainSettings('bitcoin'),
+    marscoin: chainSettings('marscoin'),
+    safetyMargin: cfg.swap && cfg.swap.safetyMargin !== undefined
+      ? cfg.swap.safetyMargin
+      : DEFAULT_SETTINGS.safetyMargin
+  };
+}
+
+/**
+ * Fill in missing timelock settings with the defaults
+ * @param {Object} [settings] - Partial timelock settings
+ * @returns {Object} Complete timelock settings
+ */
+function withDefaults(settings = {}) {
+  return {
+    bitcoin: { ...DEFAULT_SETTINGS.bitcoin, ...settings.bitcoin },
+    marscoin: { ...DEFAULT_SETTINGS.marscoin, ...settings.marscoin },
+    safetyMargin: settings.safetyMargin !== undefined ? settings.safetyMargin : DEFAULT_SETTINGS.safetyMargin
+  };
+}
+
+/**
+ * Minimum time in seconds the MarsCoin leg must outlive the Bitcoin leg
+ * Covers the Bitcoin claim confirming, the participant's MarsCoin claim confirming and the configured margin
+ * @param {Object} settings - Timelock settings
+ * @returns {number} Required margin in seconds
+ */
+function getRequiredMargin(settings) {
+  const { bitcoin, marscoin, safetyMargin } = withDefaults(settings);
+
+  return safetyMargin +
+    bitcoin.confirmations * bitcoin.blockInterval +
+    marscoin.confirmations * marscoin.blockInterval;
+}
+
+/**
+ * Compute the locktime for a leg that should expire after a duration
+ * @param {Object} chainState - Chain state with height and medianTime
+ * @param {string} mode - 'height' or 'time'
+ * @param {number} duration - Duration in seconds
+ * @param {number} blockInterval - Block interval of the chain in seconds
+ * @returns {number} Locktime value
+ */
+function computeLocktime(chainState, mode, duration, blockInterval) {
+  if (!TIMELOCK_MODES.includes(mode)) {
+    throw new Error(`Unknown timelock mode: ${mode} (expected one of ${TIMELOCK_MODES.join(', ')})`);
+  }
+
+  if (mode === 'height') {
+    const locktime = chainState.height + Math.ceil(duration / blockInterval);
+
+    if (locktime >= LOCKTIME_THRESHOLD) {
+      throw new Error(`Height timelock ${locktime} is out of range`);
+    }
+
+    return locktime;
+  }
+
+  // Time locks are compared against the median-time-past, which lags the wall clock,
+  // so they are measured from the chain's median-time-past rather than from now
+  return chainState.medianTime + duration;
+}
+
+/**
+ * Check whether a timelock has expired, i.e. a refund spending it would be accepted in the next block
+ * @param {number} locktime - Locktime value (block height or timestamp)
+ * @param {Object} chainState - Chain state with height and medianTime
+ * @returns {boolean} Whether the timelock has expired
+ */
+function isTimelockExpired(locktime, chainState) {
+  if (locktime < LOCKTIME_THRESHOLD) {
+    // The next block has height tip + 1 and nLockTime must be below it
+    return chainState.height >= locktime;
+  }
+
+  // BIP113: time locks are checked against the median-time-past of the tip
+  return chainState.medianTime > locktime;
+}
+
+/**
+ * Estimate the seconds left until a timelock expires
+ * @param {number} locktime - Locktime value (block height or timestamp)
+ * @param {Object} chainState - Chain state with height and medianTime
+ * @param {number} blockInterval - Block interval of the chain in seconds
+ * @returns {number} Estimated seconds remaining (0 when expired)
+ */
+function estimateSecondsRemaining(locktime, chainState, blockInterval) {
+  if (isTimelockExpired(locktime, chainState)) {
+    return 0;
+  }
+
+  if (locktime < LOCKTIME_THRESHOLD) {
+    return (locktime - chainState.height) * blockInterval;
+  }
+
+  return locktime - chainState.medianTime;
+}
+
+/**
+ * Plan the timelocks for both legs of a swap
+ * The Bitcoin leg (funded by the participant) expires after timeoutDuration; the MarsCoin leg (funded by the
+ * initiator) expires after marscoinTimeoutDuration or later if that is needed to keep the safety margin
+ * @param {Object} chainStates - Chain state for 'bitcoin' and 'marscoin'
+ * @param {Object} params
+ * @param {number} params.timeoutDuration - Lifetime of the Bitcoin leg in seconds
+ * @param {number} [params.marscoinTimeoutDuration] - Minimum lifetime of the MarsCoin leg in seconds
+ * @param {Object} [params.settings] - Timelock settings (modes, block intervals, confirmations, safety margin)
+ * @returns {Object} Timelock plan
+ */
+function planTimelocks(chainStates, params) {
+  const { timeoutDuration, marscoinTimeoutDuration = 0 } = params;
+  const settings = withDefaults(params.settings);
+  const requiredMargin = getRequiredMargin(settings);
+
+  if (!(timeoutDuration > 0)) {
+    throw new Error('Timeout duration must be a positive number of seconds');
+  }
+
+  const plan = { requiredMargin };
+  const planLeg = (chain, duration) => {
+    const { timelockMode, blockInterval } = settings[chain];
+    const chainState = chainStates[chain];
+
+    plan[chain] = {
+      mode: timelockMode,
+      locktime: computeLocktime(chainState, timelockMode, duration, blockInterval),
+      blockInterval,
+      startHeight: chainState.height,
+      startMedianTime: chainState.medianTime
+    };
+  };
+
+  planLeg('bitcoin', timeoutDuration);
+
+  // Measure the margin from when the Bitcoin leg actually expires, since height locks round up to whole blocks
+  const bitcoinDuration = estimateSecondsRemaining(plan.bitcoin.locktime, chainStates.bitcoin, plan.bitcoin.blockInterval);
+  planLeg('marscoin', Math.max(marscoinTimeoutDuration, bitcoinDuration + requiredMargin));
+
+  assertSafetyMargin(plan, chainStates);
+
+  return plan;
+}
+
+/**
+ * Plan relative (CSV) timelocks for both legs of a swap
+ * The delays count from each HTLC's funding confirmation, so HTLC addresses can be generated before
+ * anyone knows when they will be funded
+ * @param {Object} params
+ * @param {number} params.timeoutDuration - Refund delay of the Bitcoin leg in seconds
+ * @param {number} [params.marscoinTimeoutDuration] - Minimum refund delay of the MarsCoin leg in seconds
+ * @param {Object} [params.settings] - Timelock settings (modes, block intervals, confirmations, safety margin)
+ * @returns {Object} Timelock plan with a BIP68 sequence number per leg
+ */
+function planRelativeTimelocks(params) {
+  const { timeoutDuration, marscoinTimeoutDuration = 0 } = params;
+  const settings = withDefaults(params.settings);
+  const requiredMargin = getRequiredMargin(settings);
+
+  if (!(timeoutDuration > 0)) {
+    throw new Error('Timeout duration must be a positive number of seconds');
+  }
+
+  const plan = { requiredMargin };
+  const planLeg = (chain, duration) => {
+    const { timelockMode, blockInterval } = settings[chain];
+
+    if (!TIMELOCK_MODES.includes(timelockMode)) {
+      throw new Error(`Unknown timelock mode: ${timelockMode} (expected one of ${TIMELOCK_MODES.join(', ')})`);
+    }
+
+    const sequence = htlcScript.encodeRelativeTimelock(timelockMode === 'height'
+      ? { blocks: Math.ceil(duration / blockInterval) }
+      : { seconds: duration });
+
+    plan[chain] = { mode: timelockMode, sequence, blockInterval };
+  };
+
+  planLeg('bitcoin', timeoutDuration);
+  planLeg('marscoin', Math.max(
+    marscoinTimeoutDuration,
+    relativeDelaySeconds(plan.bitcoin.sequence, plan.bitcoin.blockInterval) + requiredMargin
+  ));
+
+  return plan;
+}
+
+/**
+ * Estimate the length of a relative timelock in seconds
+ * @param {number} sequence - BIP68 sequence number
+ * @param {number} blockInterval - Block interval of the chain in seconds
+ * @returns {number} Estimated delay in seconds
+ */
+function relativeDelaySeconds(sequence, blockInterval) {
+  const { blocks, seconds } = htlcScript.decodeRelativeTimelock(sequence);
+  return blocks !== undefined ? blocks * blockInterval : seconds;
+}
+
+/**
+ * Check whether a relative (CSV) timelock has expired, counting from the funding confirmation
+ * @param {Object} rpcClient - RPC client for the chain
+ * @param {string|null} fundingTxId - Transaction ID funding the HTLC, if known
+ * @param {number} sequence - BIP68 sequence number
+ * @param {number} blockInterval - Block interval of the chain in seconds
+ * @returns {Object} Chain state, whether the timelock has expired and estimated seconds remaining
+ *   (null while the funding transaction is unconfirmed)
+ */
+async function getRelativeTimelockStatus(rpcClient, fundingTxId, sequence, blockInterval) {
+  const chainState = await getChainState(rpcClient);
+  const unconfirmed = { ...chainState, expired: false, secondsRemaining: null };
+
+  if (!fundingTxId) {
+    return unconfirmed;
+  }
+
+  const fundingTx = await rpcClient.getTransaction(fundingTxId);
+
+  if (!fundingTx.confirmations) {
+    return unconfirmed;
+  }
+
+  const { blocks, seconds } = htlcScript.decodeRelativeTimelock(sequence);
+
+  if (blocks !== undefined) {
+    // BIP68: spendable in a block at least `blocks` above the funding block
+    const remainingBlocks = Math.max(blocks - fundingTx.confirmations, 0);
+    return { ...chainState, expired: remainingBlocks === 0, secondsRemaining: remainingBlocks * blockInterval };
+  }
+
+  // BIP68: time locks count from the median-time-past of the block before the funding block
+  const fundingHeader = await rpcClient.call('getblockheader', fundingTx.blockhash);
+  const previousHeader = await rpcClient.call('getblockheader', fundingHeader.previousblockhash);
+  const remainingSeconds = Math.max(previousHeader.mediantime + seconds - chainState.medianTime, 0);
+
+  return { ...chainState, expired: remainingSeconds === 0, secondsRemaining: remainingSeconds };
+}
+
+/**
+ * Check that the MarsCoin leg outlives the Bitcoin leg by at least the required margin
+ * @param {Object} plan - Timelock plan (or an object with the same bitcoin/marscoin/requiredMargin shape)
+ * @param {Object} chainStates - Chain state for 'bitcoin' and 'marscoin'
+ * @returns {number} Estimated margin in seconds
+ */
+function assertSafetyMargin(plan, chainStates) {
+  const bitcoinRemaining = estimateSecondsRemaining(plan.bitcoin.locktime, chainStates.bitcoin, plan.bitcoin.blockInterval);
+  const marscoinRemaining = estimateSecondsRemaining(plan.marscoin.locktime, chainStates.marscoin, plan.marscoin.blockInterval);
+  const margin = marscoinRemaining - bitcoinRemaining;
+
+  if (margin < plan.requiredMargin) {
+    throw new Error(
+      `Unsafe timelocks: the MarsCoin HTLC expires ${margin}s after the Bitcoin HTLC, ` +
+      `but at least ${plan.requiredMargin}s is required`
+    );
+  }
+
+  return margin;
+}
+
+module.exports = {
+  LOCKTIME_THRESHOLD,
+  TIMELOCK_MODES,
+  DEFAULT_SETTINGS,
+  getChainState,
+  getTimelockSettings,
+  getRequiredMargin,
+  isTimelockExpired,
+  estimateSecondsRemaining,
+  planTimelocks,
+  planRelativeTimelocks,
+  relativeDelaySeconds,
+  getRelativeTimelockStatus,
+  assertSafetyMargin
+};
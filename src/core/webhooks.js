@@ -0,0 +1,506 @@
+/**
+ * Webhooks
+ * This module delivers swap lifecycle events to HTTP endpoints, so an order system learns that a swap was
+ * funded, claimed or refunded without polling. It reads new events from the repository's event journal and
+ * queues one delivery per event and endpoint. Each delivery is a JSON POST signed with an HMAC of the
+ * endpoint's secret. Failed deliveries are retried with exponential backoff. A pass over the due deliveries
+ * is bounded: an endpoint that fails is left alone for the rest of the pass, and a pass makes a limited
+ * number of attempts. Every delivery and each of its attempts is kept in a delivery log under the data
+ * directory, and any delivery can be replayed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { EVENT_TYPES } = require('./swap-events');
+const { writeFileAtomic } = require('./swap-repository');
+
+// Request headers of a delivery
+const SIGNATURE_HEADER = 'X-BtcMars-Signature';
+const TIMESTAMP_HEADER = 'X-BtcMars-Timestamp';
+const DELIVERY_HEADER = 'X-BtcMars-Delivery';
+const EVENT_HEADER = 'X-BtcMars-Event';
+
+// Most events read from the journal at once
+const EVENTS_PAGE_LIMIT = 500;
+
+// Delivery IDs: 32 hex characters
+const DELIVERY_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Sign a delivery
+ * The signature covers the timestamp as well as the body, so a receiver that rejects old timestamps cannot
+ * be fed a captured delivery again later.
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix time of the attempt, sent in the timestamp header
+ * @param {string} body - Request body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check the signature of a delivery, as a receiver would
+ * @param {string} secret - Endpoint secret
+ * @param {number|string} timestamp - Timestamp header value
+ * @param {string} body - Raw request body
+ * @param {string} signature - Signature header value
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Check the configured endpoints
+ * @param {Array<Object>} endpoints - Endpoints ({ url, secret, events })
+ */
+function validateEndpoints(endpoints) {
+  if (!Array.isArray(endpoints)) {
+    throw new Error('webhooks.endpoints must be a list');
+  }
+
+  endpoints.forEach((endpoint, index) => {
+    const name = `webhooks.endpoints[${index}]`;
+    let url;
+
+    try {
+      url = new URL(endpoint.url);
+    } catch (error) {
+      throw new Error(`${name}.url is not a valid URL: ${endpoint.url}`);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`${name}.url must be an http or https URL`);
+    }
+
+    if (typeof endpoint.secret !== 'string' || endpoint.secret.length < 16) {
+      throw new Error(`${name}.secret must be a string of at least 16 characters`);
+    }
+
+    const unknown = (endpoint.events || []).filter((type) => !EVENT_TYPES[type]);
+
+    if (unknown.length > 0) {
+      throw new Error(`${name}.events has unknown event types: ${unknown.join(', ')}`);
+    }
+  });
+
+  if (new Set(endpoints.map((endpoint) => endpoint.url)).size !== endpoints.length) {
+    throw new Error('webhooks.endpoints lists the same URL more than once');
+  }
+}
+
+/**
+ * POST a delivery to an endpoint
+ * @param {string} url - Endpoint URL
+ * @param {string} body - Request body
+ * @param {Object} headers - Request headers
+ * @param {number} timeout - Milliseconds to wait for the answer
+ * @returns {Promise<Object>} { statusCode }
+ */
+function postWebhook(url, body, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout
+    }, (response) => {
+      // The answer's body is not used, but has to be read for the connection to be released
+      response.resume();
+      response.on('end', () => resolve({ statusCode: response.statusCode }));
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No answer within ${timeout}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Create a webhook dispatcher
+ * @param {Object} options
+ * @param {string} options.directory - Delivery log directory (pending/ holds deliveries still to be made,
+ *   done/ delivered and failed ones)
+ * @param {Array<Object>} options.endpoints - Endpoints ({ url, secret, events })
+ * @param {Object} options.repository - Swap repository, whose event journal is delivered
+ * @param {number} [options.timeout=10000] - Milliseconds to wait for an endpoint to answer
+ * @param {number} [options.maxAttempts=10] - Attempts before a delivery fails
+ * @param {number} [options.initialBackoff=30] - Seconds before the first retry, doubled after each attempt
+ * @param {number} [options.maxBackoff=3600] - Longest wait between retries, in seconds
+ * @param {number} [options.maxAttemptsPerPass=50] - Most attempts deliverDue makes; the rest wait for the next pass
+ * @param {Function} [options.send] - Sender (url, body, headers, timeout) => Promise<{ statusCode }>
+ * @returns {Object} Dispatcher with queueEvents, deliverDue, dispatch, listDeliveries, getDelivery and
+ *   replayDelivery
+ */
+function createWebhookDispatcher(options) {
+  const {
+    directory,
+    endpoints,
+    repository,
+    timeout = 10000,
+    maxAttempts = 10,
+    initialBackoff = 30,
+    maxBackoff = 3600,
+    maxAttemptsPerPass = 50,
+    send = postWebhook
+  } = options;
+  const pendingDirectory = path.join(directory, 'pending');
+  const doneDirectory = path.join(directory, 'done');
+  const cursorPath = path.join(directory, 'cursor.json');
+
+  validateEndpoints(endpoints);
+
+  const pendingPath = (deliveryId) => path.join(pendingDirectory, `${deliveryId}.json`);
+  const donePath = (deliveryId) => path.join(doneDirectory, `${deliveryId}.json`);
+
+  /**
+   * Create the delivery log directories
+   */
+  function initialize() {
+    fs.mkdirSync(pendingDirectory, { recursive: true, mode: 0o700 });
+    fs.mkdirSync(doneDirectory, { recursive: true, mode: 0o700 });
+  }
+
+  /**
+   * Read a JSON file
+   * @param {string} filePath - File path
+   * @returns {Object|null} Parsed content, or null if there is no such file
+   */
+  function readJson(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the deliveries in one directory of the log
+   * @param {string} deliveryDirectory - pending/ or done/
+   * @returns {Array<Object>} Deliveries, oldest first
+   */
+  function readDeliveries(deliveryDirectory) {
+    initialize();
+
+    return fs.readdirSync(deliveryDirectory)
+      .filter((name) => name.endsWith('.json') && DELIVERY_ID_PATTERN.test(name.slice(0, -5)))
+      .map((name) => {
+        try {
+          return readJson(path.join(deliveryDirectory, name));
+        } catch (error) {
+          console.warn(`Skipping webhook delivery ${name}: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt - b.createdAt || a.event.cursor - b.event.cursor);
+  }
+
+  /**
+   * Queue a delivery of an event to an endpoint
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} url - Endpoint URL
+   * @param {Object} event - Event from the journal
+   * @param {string} [replayOf] - ID of the delivery this one replays
+   * @returns {Object} The delivery
+   */
+  function queueDelivery(deliveryId, url, event, replayOf) {
+    const now = Math.floor(Date.now() / 1000);
+    const delivery = {
+      id: deliveryId,
+      url,
+      event,
+      status: 'pending',
+      createdAt: now,
+      nextAttemptAt: now,
+      attempts: [],
+      ...(replayOf && { replayOf })
+    };
+
+    writeFileAtomic(pendingPath(deliveryId), JSON.stringify(delivery, null, 2));
+
+    return delivery;
+  }
+
+  /**
+   * Queue deliveries of the events journaled since the last call
+   * The first call only marks where the journal ends, so events from before webhooks were set up are not
+   * sent. Delivery IDs are derived from the endpoint and the event, so an event queued again after a crash
+   * does not make a second delivery.
+   * @returns {number} Deliveries queued
+   */
+  function queueEvents() {
+    initialize();
+
+    const saved = readJson(cursorPath);
+    let cursor = saved ? saved.cursor : repository.getEventsEnd();
+    let queued = 0;
+    let page;
+
+    do {
+      page = repository.readEvents(cursor, { limit: EVENTS_PAGE_LIMIT });
+
+      for (const event of page.events) {
+        for (const endpoint of endpoints) {
+          if (endpoint.events && !endpoint.events.includes(event.type)) {
+            continue;
+          }
+
+          const deliveryId = crypto.createHash('sha256')
+            .update(`${endpoint.url}\n${event.swapId}\n${event.seq}`)
+            .digest('hex')
+            .slice(0, 32);
+
+          if (!fs.existsSync(pendingPath(deliveryId)) && !fs.existsSync(donePath(deliveryId))) {
+            queueDelivery(deliveryId, endpoint.url, event);
+            queued += 1;
+          }
+        }
+      }
+
+      cursor = page.cursor;
+    } while (page.events.length === EVENTS_PAGE_LIMIT);
+
+    if (!saved || saved.cursor !== cursor) {
+      writeFileAtomic(cursorPath, JSON.stringify({ cursor }));
+    }
+
+    return queued;
+  }
+
+  /**
+   * Seconds to wait before the next attempt of a delivery
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Seconds
+   */
+  function getBackoff(attempts) {
+    return Math.min(initialBackoff * (2 ** (attempts - 1)), maxBackoff);
+  }
+
+  /**
+   * Make one attempt of a delivery and record it
+   * @param {Object} delivery - Pending delivery
+   * @returns {Promise<Object>} The delivery, updated
+   */
+  async function attemptDelivery(delivery) {
+    const endpoint = endpoints.find(({ url }) => url === delivery.url);
+    const now = Math.floor(Date.now() / 1000);
+    const attempt = { at: now };
+
+    if (!endpoint) {
+      attempt.error = 'The endpoint is no longer configured';
+    } else {
+      const body = JSON.stringify({ deliveryId: delivery.id, event: delivery.event });
+      const startedAt = Date.now();
+
+      try {
+        const { statusCode } = await send(delivery.url, body, {
+          [SIGNATURE_HEADER]: signPayload(endpoint.secret, now, body),
+          [TIMESTAMP_HEADER]: String(now),
+          [DELIVERY_HEADER]: delivery.id,
+          [EVENT_HEADER]: delivery.event.type
+        }, timeout);
+
+        attempt.statusCode = statusCode;
+
+        if (statusCode < 200 || statusCode >= 300) {
+          attempt.error = `Endpoint answered ${statusCode}`;
+        }
+      } catch (error) {
+        attempt.error = error.message;
+      }
+
+      attempt.duration = Date.now() - startedAt;
+    }
+
+    const updated = { ...delivery, attempts: [...delivery.attempts, attempt] };
+
+    if (!attempt.error) {
+      updated.status = 'delivered';
+      updated.deliveredAt = now;
+      delete updated.nextAttemptAt;
+    } else if (!endpoint || updated.attempts.length >= maxAttempts) {
+      updated.status = 'failed';
+      updated.failedAt = now;
+      delete updated.nextAttemptAt;
+    } else {
+      updated.nextAttemptAt = now + getBackoff(updated.attempts.length);
+    }
+
+    if (updated.status === 'pending') {
+      writeFileAtomic(pendingPath(delivery.id), JSON.stringify(updated, null, 2));
+    } else {
+      // Write first: a crash in between leaves the delivery in both places, and done/ wins
+      writeFileAtomic(donePath(delivery.id), JSON.stringify(updated, null, 2));
+      fs.rmSync(pendingPath(delivery.id), { force: true });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Attempt the pending deliveries whose next attempt is due, oldest first
+   * After a failed attempt the endpoint's other deliveries wait for the next pass, so an endpoint that is down
+   * costs one timeout per pass rather than one per delivery. At most maxAttemptsPerPass attempts are made.
+   * @returns {Promise<Object>} Counts of deliveries attempted, delivered, failed, left to retry and deferred to
+   *   the next pass
+   */
+  async function deliverDue() {
+    const now = Math.floor(Date.now() / 1000);
+    const counts = { attempted: 0, delivered: 0, failed: 0, retrying: 0, deferred: 0 };
+    const failingUrls = new Set();
+
+    for (const delivery of readDeliveries(pendingDirectory)) {
+      // Left behind by a crash after the delivery was finished
+      if (fs.existsSync(donePath(delivery.id))) {
+        fs.rmSync(pendingPath(delivery.id), { force: true });
+        continue;
+      }
+
+      if (delivery.nextAttemptAt > now) {
+        continue;
+      }
+
+      if (failingUrls.has(delivery.url) || counts.attempted >= maxAttemptsPerPass) {
+        counts.deferred += 1;
+        continue;
+      }
+
+      const updated = await attemptDelivery(delivery);
+
+      counts.attempted += 1;
+      counts[updated.status === 'pending' ? 'retrying' : updated.status] += 1;
+
+      if (updated.status !== 'delivered') {
+        failingUrls.add(delivery.url);
+      }
+
+      if (updated.status === 'pending') {
+        console.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed ` +
+          `(${updated.attempts[updated.attempts.length - 1].error}); retrying in ${updated.nextAttemptAt - now}s`);
+      } else if (updated.status === 'failed') {
+        console.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed after ` +
+          `${updated.attempts.length} attempt(s); replay it once the endpoint is fixed`);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Queue the new events and make the deliveries that are due
+   * @returns {Promise<Object>} Deliveries queued, and the counts of deliverDue
+   */
+  async function dispatch() {
+    const queued = queueEvents();
+
+    return { queued, ...await deliverDue() };
+  }
+
+  /**
+   * List deliveries
+   * @param {Object} [listOptions]
+   * @param {string} [listOptions.status] - 'pending', 'delivered' or 'failed'
+   * @param {string} [listOptions.swapId] - Only deliveries of this swap's events
+   * @returns {Array<Object>} Deliveries, oldest first
+   */
+  function listDeliveries(listOptions = {}) {
+    const { status, swapId } = listOptions;
+    const directories = !status ? [pendingDirectory, doneDirectory]
+      : status === 'pending' ? [pendingDirectory] : [doneDirectory];
+
+    return directories
+      .flatMap(readDeliveries)
+      .filter((delivery) => (!status || delivery.status === status) && (!swapId || delivery.event.swapId === swapId))
+      .sort((a, b) => a.createdAt - b.createdAt || a.event.cursor - b.event.cursor);
+  }
+
+  /**
+   * Get a delivery
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object|null} The delivery, or null if there is none
+   */
+  function getDelivery(deliveryId) {
+    if (!DELIVERY_ID_PATTERN.test(deliveryId)) {
+      throw new Error(`Invalid delivery ID: ${deliveryId}`);
+    }
+
+    return readJson(donePath(deliveryId)) || readJson(pendingPath(deliveryId));
+  }
+
+  /**
+   * Queue a delivered or failed delivery again, as a new delivery to the same endpoint made at the next dispatch
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object} The new delivery
+   */
+  function replayDelivery(deliveryId) {
+    const delivery = getDelivery(deliveryId);
+
+    if (!delivery) {
+      throw new Error(`Delivery ${deliveryId} not found`);
+    }
+
+    if (delivery.status === 'pending') {
+      throw new Error(`Delivery ${deliveryId} is still pending; its next attempt is due at ${delivery.nextAttemptAt}`);
+    }
+
+    initialize();
+
+    return queueDelivery(crypto.randomBytes(16).toString('hex'), delivery.url, delivery.event, delivery.id);
+  }
+
+  return {
+    directory,
+    queueEvents,
+    deliverDue,
+    dispatch,
+    listDeliveries,
+    getDelivery,
+    replayDelivery
+  };
+}
+
+/**
+ * Create the webhook dispatcher of the configured data directory
+ * @param {Object} cfg - Application configuration
+ * @param {Object} repository - Swap repository
+ * @returns {Object} Webhook dispatcher
+ */
+function getWebhookDispatcher(cfg, repository) {
+  return createWebhookDispatcher({
+    directory: path.join(cfg.app.dataDir, cfg.webhooks.directory),
+    endpoints: cfg.webhooks.endpoints,
+    repository,
+    timeout: cfg.webhooks.timeout,
+    maxAttempts: cfg.webhooks.maxAttempts,
+    initialBackoff: cfg.webhooks.initialBackoff,
+    maxBackoff: cfg.webhooks.maxBackoff,
+    maxAttemptsPerPass: cfg.webhooks.maxAttemptsPerPass
+  });
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_HEADER,
+  EVENT_HEADER,
+  signPayload,
+  verifySignature,
+  postWebhook,
+  createWebhookDispatcher,
+  getWebhookDispatcher
+};
@@ -7,6 +7,23 @@
 const swapCoordinator = require('./core/swap-coordinator');
 const bitcoinHtlc = require('./core/bitcoin-htlc');
 const marscoinHtlc = require('./core/marscoin-htlc');
+const marscoinLib = require('./core/marscoin-lib-wrapper');
+const rpcClient = require('./core/rpc-client');
+const swapRepository = require('./core/swap-repository');
+const swapState = require('./core/swap-state');
+const swapEvents = require('./core/swap-events');
+const keystore = require('./core/keystore');
+const hdWallet = require('./core/hd-wallet');
+const swapProtocol = require('./core/swap-protocol');
+const contractAudit = require('./core/contract-audit');
+const feeEstimator = require('./core/fee-estimator');
+const feeBump = require('./core/fee-bump');
+const webhooks = require('./core/webhooks');
+const quoteEngine = require('./core/quote-engine');
+const liquidityManager = require('./core/liquidity-manager');
+const swapIntake = require('./core/swap-intake');
+const watcher = require('./watcher');
+const server = require('./server');
 
 // Import config
 const config = require('./config');
@@ -16,5 +33,22 @@ module.exports = {
   swapCoordinator,
   bitcoinHtlc,
   marscoinHtlc,
+  marscoinLib,
+  rpcClient,
+  swapRepository,
+  swapState,
+  swapEvents,
+  keystore,
+  hdWallet,
+  swapProtocol,
+  contractAudit,
+  feeEstimator,
+  feeBump,
+  webhooks,
+  quoteEngine,
+  liquidityManager,
+  swapIntake,
+  watcher,
+  server,
   config
 };
\ No newline at end of file
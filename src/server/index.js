@@ -0,0 +1,1144 @@
+/**
+ * REST API Server
+ * This module serves swap management over HTTP, so a backend can create, inspect, audit, claim and refund
+ * swaps without shelling out to the CLI. It listens on app.port, answers in JSON and requires an API key on
+ * every request. Swaps live in the same repository as the CLI's and the watcher's, and every change takes the
+ * swap's lock, so all three can run side by side. Private keys are never sent over the API: claims and refunds
+ * are signed with the keys in the keystore (stored or derived from the HD wallet) or the watcher's
+ * environment variables. Swap lifecycle events are served from the repository's event journal, as a page
+ * of JSON or as a server-sent event stream that a client resumes from its last cursor. Quotes price a swap
+ * from the configured rate, and a swap created from a quote takes its amounts and keeps it in the record.
+ * New swaps are held to the liquidity limits, and the capital open swaps tie up is reported.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const swapCoordinator = require('../core/swap-coordinator');
+const swapRepository = require('../core/swap-repository');
+const swapState = require('../core/swap-state');
+const keystoreModule = require('../core/keystore');
+const contractAudit = require('../core/contract-audit');
+const timelockPlanner = require('../core/timelock-planner');
+const feeEstimator = require('../core/fee-estimator');
+const marscoin = require('../core/marscoin-lib-wrapper');
+const quoteEngine = require('../core/quote-engine');
+const liquidityManager = require('../core/liquidity-manager');
+const swapIntake = require('../core/swap-intake');
+const { createRpcClient, RpcError, RpcTransportError } = require('../core/rpc-client');
+const {
+  createEnvKeyProvider,
+  createKeystoreKeyProvider,
+  getSwapKey,
+  KEYSTORE_PASSPHRASE_ENV_VAR
+} = require('../watcher');
+const config = require('../config');
+
+// Environment variable holding the accepted API keys, comma-separated
+const API_KEYS_ENV_VAR = 'BTC_MARS_API_KEYS';
+
+// Role whose key signs each spend
+const SPEND_ROLES = {
+  bitcoin: { claim: 'initiatorBtc', refund: 'participantBtc' },
+  marscoin: { claim: 'participantMarscoin', refund: 'initiatorMarscoin' }
+};
+
+// States from which each claim can still go out; the Bitcoin claim first checks the swap is funded
+const CLAIM_STATES = {
+  bitcoin: ['initialized', 'initiator-funded', 'participant-funded', 'funded'],
+  marscoin: ['funded', 'secret-revealed']
+};
+
+// HTTP status and error code of each quote failure
+const QUOTE_ERRORS = {
+  rate_unavailable: [503, 'rate_unavailable'],
+  out_of_range: [400, 'amount_out_of_range'],
+  not_found: [404, 'not_found'],
+  expired: [409, 'quote_expired'],
+  used: [409, 'quote_used']
+};
+
+/**
+ * Error answered with an HTTP status and a JSON error body
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Checks of each field type in request bodies, with the description used in error messages
+const FIELD_TYPES = {
+  string: {
+    check: (value) => typeof value === 'string' && value.trim().length > 0,
+    description: 'a non-empty string'
+  },
+  integer: {
+    check: (value) => Number.isSafeInteger(value) && value > 0,
+    description: 'a positive integer'
+  },
+  number: {
+    check: (value) => typeof value === 'number' && Number.isFinite(value) && value > 0,
+    description: 'a positive number'
+  },
+  boolean: {
+    check: (value) => typeof value === 'boolean',
+    description: 'true or false'
+  },
+  chain: {
+    check: (value) => value === 'bitcoin' || value === 'marscoin',
+    description: '"bitcoin" or "marscoin"'
+  },
+  hex: {
+    check: (value) => typeof value === 'string' && value.length > 0 && value.length % 2 === 0 && /^[0-9a-fA-F]+$/.test(value),
+    description: 'a hex string'
+  },
+  txid: {
+    check: (value) => typeof value === 'string' && /^[0-9a-fA-F]{64}$/.test(value),
+    description: 'a 64-character hex transaction ID'
+  },
+  pubKey: {
+    check: (value) => FIELD_TYPES.hex.check(value) ||
+      (value !== null && typeof value === 'object' && FIELD_TYPES.string.check(value.xpub) &&
+        FIELD_TYPES.string.check(value.path) && Object.keys(value).length === 2),
+    description: 'a hex public key or { "xpub", "path" }'
+  }
+};
+
+// Request bodies, per route: field types, required fields and defaults
+const SWAP_PARTY_FIELDS = {
+  initiatorBtcAddress: { type: 'string' },
+  initiatorBtcPubKey: { type: 'pubKey' },
+  initiatorMarscoinAddress: { type: 'string' },
+  initiatorMarscoinPubKey: { type: 'pubKey' },
+  participantBtcAddress: { type: 'string', required: true },
+  participantBtcPubKey: { type: 'pubKey', required: true },
+  participantMarscoinAddress: { type: 'string', required: true },
+  participantMarscoinPubKey: { type: 'pubKey', required: true }
+};
+const CREATE_SWAP_SCHEMA = {
+  ...SWAP_PARTY_FIELDS,
+  btcAmount: { type: 'integer' },
+  marscoinAmount: { type: 'number' },
+  quoteId: { type: 'string' },
+  deriveKeys: { type: 'boolean', default: false }
+};
+const CREATE_QUOTE_SCHEMA = {
+  btcAmount: { type: 'integer' },
+  marscoinAmount: { type: 'number' }
+};
+const AUDIT_SCHEMA = {
+  chain: { type: 'chain', required: true },
+  redeemScript: { type: 'hex' },
+  fundingTxId: { type: 'txid' },
+  confirmations: { type: 'integer' }
+};
+const CLAIM_SCHEMA = {
+  chain: { type: 'chain', default: 'bitcoin' },
+  feeRate: { type: 'number' }
+};
+const REFUND_SCHEMA = {
+  chain: { type: 'chain', required: true },
+  feeRate: { type: 'number' }
+};
+const INITIATOR_FIELDS = ['initiatorBtcAddress', 'initiatorBtcPubKey', 'initiatorMarscoinAddress', 'initiatorMarscoinPubKey'];
+
+// Most events returned in one page, or read from the journal at once for a stream
+const EVENTS_PAGE_LIMIT = 500;
+
+// Milliseconds of silence after which an event stream gets a comment, so proxies keep it open
+const EVENT_STREAM_HEARTBEAT = 15000;
+
+/**
+ * Check a request body against a schema
+ * @param {Object} body - Parsed JSON body
+ * @param {Object} schema - Fields by name: { type, required, default }
+ * @returns {Object} The body with defaults filled in
+ */
+function validateBody(body, schema) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'invalid_request', 'The request body must be a JSON object');
+  }
+
+  const details = Object.keys(body)
+    .filter((field) => !schema[field])
+    .map((field) => ({ field, message: 'Unknown field' }));
+  const values = {};
+
+  for (const [field, { type, required, default: defaultValue }] of Object.entries(schema)) {
+    const value = body[field];
+
+    if (value === undefined || value === null) {
+      if (required) {
+        details.push({ field, message: 'Required' });
+      } else if (defaultValue !== undefined) {
+        values[field] = defaultValue;
+      }
+      continue;
+    }
+
+    if (!FIELD_TYPES[type].check(value)) {
+      details.push({ field, message: `Must be ${FIELD_TYPES[type].description}` });
+      continue;
+    }
+
+    values[field] = value;
+  }
+
+  if (details.length > 0) {
+    throw new ApiError(400, 'invalid_request', 'The request body is invalid', details);
+  }
+
+  return values;
+}
+
+/**
+ * Check that an address is valid on its chain
+ * @param {Array<Object>} details - Validation errors, appended to
+ * @param {string} field - Field name
+ * @param {string} address - Address
+ * @param {Object} lib - bitcoinjs-lib or the MarsCoin wrapper
+ * @param {Object} network - Network object
+ */
+function checkAddress(details, field, address, lib, network) {
+  try {
+    lib.address.toOutputScript(address, network);
+  } catch (error) {
+    details.push({ field, message: `Not a valid address on this network: ${error.message}` });
+  }
+}
+
+/**
+ * Describe a swap for API responses
+ * @param {Object} swap - Swap object
+ * @returns {Object} ID, state, amounts, HTLC addresses, timelocks, transaction IDs and history
+ */
+function describeSwap(swap) {
+  return {
+    id: swap.id,
+    status: swap.status,
+    createdAt: swap.createdAt,
+    amounts: swap.amounts,
+    addresses: swap.addresses,
+    htlcAddresses: {
+      bitcoin: swap.btcHtlc ? swap.btcHtlc.address : null,
+      marscoin: swap.marscoinHtlc ? swap.marscoinHtlc.address : null
+    },
+    timelockType: swap.timelockType,
+    timeouts: swap.timeouts || null,
+    fundingTxIds: swap.fundingTxIds || {},
+    bitcoinClaimTxId: swap.bitcoinClaimTxId || null,
+    marscoinClaimTxId: swap.marscoinClaimTxId || null,
+    bitcoinRefundTxId: swap.bitcoinRefundTxId || null,
+    marscoinRefundTxId: swap.marscoinRefundTxId || null,
+    derivation: swap.derivation || null,
+    quote: swap.quote || null,
+    history: swap.history || [],
+    events: swap.events || []
+  };
+}
+
+/**
+ * Copy the configuration without RPC credentials or webhook secrets
+ * @param {Object} cfg - Application configuration
+ * @returns {Object} Configuration safe to return
+ */
+function redactConfig(cfg) {
+  const redactRpc = ({ password, cookieFile, ...rpc }) => ({
+    ...rpc,
+    password: password ? '<redacted>' : '',
+    cookieFile: cookieFile ? '<redacted>' : ''
+  });
+
+  return {
+    ...cfg,
+    bitcoin: { ...cfg.bitcoin, rpc: redactRpc(cfg.bitcoin.rpc) },
+    marscoin: { ...cfg.marscoin, rpc: redactRpc(cfg.marscoin.rpc) },
+    webhooks: {
+      ...cfg.webhooks,
+      endpoints: cfg.webhooks.endpoints.map((endpoint) => ({ ...endpoint, secret: '<redacted>' }))
+    }
+  };
+}
+
+/**
+ * Read the API keys from the environment
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Array<string>} API keys
+ */
+function readApiKeys(env = process.env) {
+  return (env[API_KEYS_ENV_VAR] || '').split(',').map((key) => key.trim()).filter(Boolean);
+}
+
+/**
+ * Create the REST API server
+ * @param {Object} [options]
+ * @param {Array<string>} options.apiKeys - Accepted API keys (sent as "Authorization: Bearer <key>")
+ * @param {Object} [options.cfg] - Application configuration (defaults to the loaded configuration)
+ * @param {Object} [options.btcClient] - Bitcoin RPC client (defaults to the configured node)
+ * @param {Object} [options.marscoinClient] - MarsCoin RPC client (defaults to the configured node)
+ * @param {Object} [options.repository] - Swap repository (defaults to the configured data directory)
+ * @param {Object} [options.keystore] - Keystore holding preimages and keys (defaults to the configured data directory)
+ * @param {Function} [options.keyProvider] - Key provider (swap, role) => WIF or null (defaults to the keystore,
+ *   then environment variables)
+ * @param {Object} [options.quoteEngine] - Quote engine (defaults to the configured rate source and limits)
+ * @param {Object} [options.liquidity] - Liquidity manager (defaults to the configured limits)
+ * @returns {Object} API with server, handleRequest, unlockKeystore, listen and close
+ */
+function createApiServer(options = {}) {
+  const cfg = options.cfg || config.getConfig();
+  const btcClient = options.btcClient || createRpcClient(cfg.bitcoin.rpc);
+  const marscoinClient = options.marscoinClient || createRpcClient(cfg.marscoin.rpc);
+  const repository = options.repository || swapRepository.getSwapRepository(cfg);
+  const keystore = options.keystore || keystoreModule.getKeystore(cfg);
+  const keyProvider = options.keyProvider || createKeystoreKeyProvider(keystore, createEnvKeyProvider());
+  const quotes = options.quoteEngine || quoteEngine.getQuoteEngine(cfg, btcClient, marscoinClient);
+  const intake = swapIntake.createSwapIntake({
+    cfg,
+    repository,
+    keystore,
+    btcClient,
+    marscoinClient,
+    quotes,
+    liquidity: options.liquidity
+  });
+  const { liquidity } = intake;
+  const feeSettings = feeEstimator.getFeeSettings(cfg);
+  const bitcoinNetwork = bitcoin.networks[cfg.bitcoin.network === 'mainnet' ? 'bitcoin' : cfg.bitcoin.network];
+  const marscoinNetwork = marscoin.getNetwork(cfg.marscoin.network);
+  // Open event streams: { res, swapId, cursor, lastWriteAt }
+  const subscribers = new Set();
+  let eventTimer = null;
+  // Keys are compared as hashes, so the comparison takes the same time whatever the key
+  const apiKeyHashes = (options.apiKeys || []).map((key) => crypto.createHash('sha256').update(key).digest());
+
+  if (apiKeyHashes.length === 0) {
+    throw new Error(`At least one API key is required; set ${API_KEYS_ENV_VAR}`);
+  }
+
+  /**
+   * Check the API key of a request
+   * @param {Object} req - HTTP request
+   */
+  function authenticate(req) {
+    const match = /^Bearer\s+(.+)$/.exec(req.headers.authorization || '');
+
+    if (!match) {
+      throw new ApiError(401, 'unauthorized', 'An API key is required: send "Authorization: Bearer <key>"');
+    }
+
+    const hash = crypto.createHash('sha256').update(match[1].trim()).digest();
+
+    if (!apiKeyHashes.some((keyHash) => crypto.timingSafeEqual(keyHash, hash))) {
+      throw new ApiError(401, 'unauthorized', 'Invalid API key');
+    }
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {Object} req - HTTP request
+   * @returns {Promise<Object>} Parsed body ({} when empty)
+   */
+  async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+
+      if (size > cfg.api.maxBodySize) {
+        throw new ApiError(413, 'payload_too_large', `The request body exceeds ${cfg.api.maxBodySize} bytes`);
+      }
+
+      chunks.push(chunk);
+    }
+
+    if (size === 0) {
+      return {};
+    }
+
+    if (!/^application\/json\b/.test(req.headers['content-type'] || '')) {
+      throw new ApiError(415, 'unsupported_media_type', 'The request body must be application/json');
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw new ApiError(400, 'invalid_json', `The request body is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a swap, active or archived
+   * @param {string} swapId - Swap ID
+   * @returns {Object} Swap object
+   */
+  function loadSwap(swapId) {
+    let swap;
+
+    try {
+      swap = repository.getSwap(swapId);
+    } catch (error) {
+      if (error.message.startsWith('Invalid swap ID')) {
+        throw new ApiError(400, 'invalid_request', error.message);
+      }
+      throw error;
+    }
+
+    if (!swap) {
+      throw new ApiError(404, 'not_found', `Swap ${swapId} not found`);
+    }
+
+    return swap;
+  }
+
+  /**
+   * Fail unless the keystore is unlocked
+   * @param {string} purpose - What needs it, for the error message
+   */
+  function requireUnlockedKeystore(purpose) {
+    if (!keystore.isUnlocked()) {
+      throw new ApiError(503, 'keystore_locked', `The keystore is locked; ${purpose} needs it. ` +
+        `Restart the server with ${KEYSTORE_PASSPHRASE_ENV_VAR} set`);
+    }
+  }
+
+  /**
+   * Get the server's key for the role signing a spend
+   * @param {Object} swap - Swap object
+   * @param {string} role - Swap role
+   * @returns {Promise<string>} WIF private key
+   */
+  async function requireSwapKey(swap, role) {
+    const privateKey = await getSwapKey(keyProvider, swap, role);
+
+    if (!privateKey) {
+      throw new ApiError(409, 'no_key', `The server holds no ${role} key matching swap ${swap.id}`);
+    }
+
+    return privateKey;
+  }
+
+  /**
+   * Fee parameters of a claim or refund: the requested fee rate, or the configured flat fee or estimate
+   * @param {string} chain - 'bitcoin' or 'marscoin'
+   * @param {number} [feeRate] - Fee rate in sat/vB
+   * @returns {Object} Parameters for completeSwap, redeemWithRevealedPreimage or handleSwapTimeout
+   */
+  function getFeeParams(chain, feeRate) {
+    const prefix = chain === 'bitcoin' ? 'btc' : 'marscoin';
+
+    return {
+      [`${prefix}Fee`]: feeRate ? undefined : cfg[chain].fee,
+      [`${prefix}FeeRate`]: feeRate,
+      feeSettings
+    };
+  }
+
+  /**
+   * Run a quote engine call, answering its failures with their HTTP status
+   * @param {Function} fn - Function calling the quote engine (may be async)
+   * @returns {Promise<*>} The function's result
+   */
+  async function withQuoteErrors(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error instanceof quoteEngine.QuoteError) {
+        const [status, code] = QUOTE_ERRORS[error.code];
+        throw new ApiError(status, code, error.message);
+      }
+
+      if (error.message.startsWith('Invalid quote ID')) {
+        throw new ApiError(400, 'invalid_request', error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * GET /v1/config: the configuration, without RPC credentials
+   */
+  async function getConfig() {
+    return { body: redactConfig(cfg) };
+  }
+
+  /**
+   * GET /v1/swaps: list active swaps, or archived ones with ?archived=true, optionally filtered by ?status=
+   */
+  async function listSwaps({ query }) {
+    const status = query.get('status');
+    const archived = query.get('archived');
+
+    if (status && !swapState.STATES[status]) {
+      throw new ApiError(400, 'invalid_request', `Unknown status: ${status}`,
+        [{ field: 'status', message: `Must be one of ${Object.keys(swapState.STATES).join(', ')}` }]);
+    }
+
+    if (archived && archived !== 'true' && archived !== 'false') {
+      throw new ApiError(400, 'invalid_request', 'archived must be true or false',
+        [{ field: 'archived', message: 'Must be true or false' }]);
+    }
+
+    const swaps = repository.listSwaps({ archived: archived === 'true' })
+      .filter((swap) => !status || swap.status === status)
+      .map(describeSwap);
+
+    return { body: { swaps } };
+  }
+
+  /**
+   * POST /v1/quotes: price a swap from the configured rate, given btcAmount or marscoinAmount
+   */
+  async function createQuote({ body }) {
+    const values = validateBody(body, CREATE_QUOTE_SCHEMA);
+
+    if ((values.btcAmount === undefined) === (values.marscoinAmount === undefined)) {
+      throw new ApiError(400, 'invalid_request', 'The request body is invalid', [
+        { field: 'btcAmount', message: 'Give either btcAmount or marscoinAmount' },
+        { field: 'marscoinAmount', message: 'Give either btcAmount or marscoinAmount' }
+      ]);
+    }
+
+    const quote = await withQuoteErrors(() => quotes.createQuote(values));
+
+    return { status: 201, body: quote };
+  }
+
+  /**
+   * GET /v1/quotes/:id: a quote, with the swap that accepted it
+   */
+  async function getQuote({ params }) {
+    const quote = await withQuoteErrors(() => quotes.getQuote(params.id));
+
+    if (!quote) {
+      throw new ApiError(404, 'not_found', `Quote ${params.id} not found`);
+    }
+
+    return { body: quote };
+  }
+
+  /**
+   * POST /v1/swaps: create a swap and its HTLCs as the initiator
+   * The initiator's addresses and public keys are given, or derived from the HD wallet with deriveKeys.
+   * The amounts are given, or taken from an accepted quote with quoteId. A swap over the liquidity limits is
+   * refused, or queued (202) for the watcher to start once it fits.
+   */
+  async function createSwap({ body }) {
+    const values = validateBody(body, CREATE_SWAP_SCHEMA);
+    const details = [];
+
+    for (const field of ['btcAmount', 'marscoinAmount']) {
+      if (values.quoteId !== undefined && values[field] !== undefined) {
+        details.push({ field, message: 'Not allowed with quoteId' });
+      } else if (values.quoteId === undefined && values[field] === undefined) {
+        details.push({ field, message: 'Required unless quoteId is given' });
+      }
+    }
+
+    for (const field of INITIATOR_FIELDS) {
+      if (values.deriveKeys && values[field] !== undefined) {
+        details.push({ field, message: 'Not allowed with deriveKeys' });
+      } else if (!values.deriveKeys && values[field] === undefined) {
+        details.push({ field, message: 'Required unless deriveKeys is true' });
+      }
+    }
+
+    for (const field of Object.keys(SWAP_PARTY_FIELDS).filter((name) => name.endsWith('Address'))) {
+      if (values[field] !== undefined) {
+        const isBitcoin = field.includes('Btc');
+        checkAddress(details, field, values[field], isBitcoin ? bitcoin : marscoin,
+          isBitcoin ? bitcoinNetwork : marscoinNetwork);
+      }
+    }
+
+    if (details.length > 0) {
+      throw new ApiError(400, 'invalid_request', 'The request body is invalid', details);
+    }
+
+    requireUnlockedKeystore('creating a swap');
+
+    let submitted;
+
+    try {
+      submitted = await withQuoteErrors(() => intake.submitSwap(values));
+    } catch (error) {
+      if (error instanceof swapIntake.SwapRequestError) {
+        throw new ApiError(400, 'invalid_request', error.message);
+      }
+
+      if (error instanceof liquidityManager.LiquidityError) {
+        throw new ApiError(409, 'liquidity_limit', error.message,
+          error.violations.map(({ limit, message }) => ({ limit, message })));
+      }
+      throw error;
+    }
+
+    if (submitted.queued) {
+      const { queued } = submitted;
+
+      console.log(`[api] Swap request ${queued.id} queued: ${queued.violations.map((violation) => violation.message).join('; ')}`);
+      return { status: 202, body: { queued } };
+    }
+
+    return { status: 201, body: describeSwap(submitted.swap) };
+  }
+
+  /**
+   * GET /v1/liquidity: wallet balances, the capital open swaps reserve and lock, and its expiry buckets
+   */
+  async function getLiquidity() {
+    return { body: await liquidity.getReport() };
+  }
+
+  /**
+   * GET /v1/liquidity/queue: swap requests queued by the liquidity limits, optionally filtered by ?status=
+   */
+  async function listQueue({ query }) {
+    const status = query.get('status');
+
+    if (status && !liquidityManager.QUEUE_STATUSES.includes(status)) {
+      throw new ApiError(400, 'invalid_request', `Unknown status: ${status}`,
+        [{ field: 'status', message: `Must be one of ${liquidityManager.QUEUE_STATUSES.join(', ')}` }]);
+    }
+
+    return { body: { requests: liquidity.listQueue({ status }) } };
+  }
+
+  /**
+   * Load a queued swap request
+   * @param {string} requestId - Request ID
+   * @returns {Object} Queued request
+   */
+  function loadQueued(requestId) {
+    let entry;
+
+    try {
+      entry = liquidity.getQueued(requestId);
+    } catch (error) {
+      throw new ApiError(400, 'invalid_request', error.message);
+    }
+
+    if (!entry) {
+      throw new ApiError(404, 'not_found', `Swap request ${requestId} not found`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * GET /v1/liquidity/queue/:id: a queued swap request, with the swap it started as
+   */
+  async function getQueued({ params }) {
+    return { body: loadQueued(params.id) };
+  }
+
+  /**
+   * POST /v1/liquidity/queue/:id/cancel: take a queued swap request out of the queue
+   */
+  async function cancelQueued({ params }) {
+    const entry = loadQueued(params.id);
+
+    if (entry.status !== 'queued') {
+      throw new ApiError(409, 'not_queued', `Swap request ${entry.id} is ${entry.status}, not queued`);
+    }
+
+    return { body: await liquidity.cancelQueued(entry.id) };
+  }
+
+  /**
+   * GET /v1/swaps/:id: the swap, with the funding and timelocks of both legs checked on chain
+   */
+  async function getSwapStatus({ params }) {
+    const loaded = loadSwap(params.id);
+
+    if (!loaded.btcHtlc || !loaded.marscoinHtlc || repository.isArchived(loaded.id)) {
+      return { body: { ...describeSwap(loaded), funding: null, timelocks: null } };
+    }
+
+    const { swap, fundingStatus, timelockStatus } = await repository.updateSwap(loaded.id, async (current) => ({
+      swap: current,
+      fundingStatus: await swapCoordinator.verifySwapFunding(
+        current, btcClient, marscoinClient, cfg.bitcoin.confirmations, cfg.marscoin.confirmations),
+      timelockStatus: await swapCoordinator.getTimelockStatus(current, btcClient, marscoinClient)
+    }));
+
+    return {
+      body: {
+        ...describeSwap(swap),
+        funding: { bitcoin: fundingStatus.bitcoin, marscoin: fundingStatus.marscoin, funded: fundingStatus.funded },
+        timelocks: timelockStatus
+      }
+    };
+  }
+
+  /**
+   * POST /v1/swaps/:id/audit: check the counterparty's HTLC against the agreed terms
+   */
+  async function auditSwap({ params, body }) {
+    const values = validateBody(body, AUDIT_SCHEMA);
+    const swap = loadSwap(params.id);
+
+    if (!swap.btcHtlc || !swap.marscoinHtlc) {
+      throw new ApiError(409, 'not_ready', 'The HTLCs have not been agreed with the counterparty yet');
+    }
+
+    const report = await contractAudit.auditSwapContract(swap, values.chain, {
+      redeemScript: values.redeemScript,
+      fundingTxId: values.fundingTxId
+    }, btcClient, marscoinClient, {
+      timelockSettings: timelockPlanner.getTimelockSettings(cfg),
+      confirmations: values.confirmations || cfg[values.chain].confirmations
+    });
+
+    return { body: report };
+  }
+
+  /**
+   * POST /v1/swaps/:id/claim: claim the Bitcoin with the preimage, or the MarsCoin with the preimage
+   * revealed on chain
+   */
+  async function claimSwap({ params, body }) {
+    const { chain, feeRate } = validateBody(body, CLAIM_SCHEMA);
+    const swap = loadSwap(params.id);
+
+    if (!CLAIM_STATES[chain].includes(swap.status)) {
+      throw new ApiError(409, 'invalid_state', `Swap ${swap.id} is ${swap.status}; its ${chain} cannot be claimed`);
+    }
+
+    const privateKey = await requireSwapKey(swap, SPEND_ROLES[chain].claim);
+
+    if (chain === 'bitcoin') {
+      // The Bitcoin claim reveals the preimage held in the keystore
+      requireUnlockedKeystore('the Bitcoin claim');
+
+      const claimResult = await repository.updateSwap(swap.id, (current) => swapCoordinator.completeSwap(
+        current, btcClient, marscoinClient, {
+          initiatorBtcPrivateKey: privateKey,
+          ...getFeeParams(chain, feeRate),
+          keystore
+        }));
+
+      if (claimResult.error) {
+        throw new ApiError(409, 'not_ready', claimResult.error);
+      }
+
+      if (!claimResult.success) {
+        throw new ApiError(502, 'broadcast_failed', 'The Bitcoin claim was not broadcast; see the server log');
+      }
+
+      return { body: { swapId: swap.id, chain, txId: claimResult.bitcoinClaimTxId, status: claimResult.status } };
+    }
+
+    const redeemResult = await repository.updateSwap(swap.id, async (current) => ({
+      ...await swapCoordinator.redeemWithRevealedPreimage(current, btcClient, marscoinClient, {
+        participantMarscoinPrivateKey: privateKey,
+        ...getFeeParams(chain, feeRate)
+      }),
+      status: current.status
+    }));
+
+    if (!redeemResult.redeemed) {
+      // Only a failed broadcast comes back with the preimage already known
+      throw redeemResult.preimage
+        ? new ApiError(502, 'broadcast_failed', redeemResult.message)
+        : new ApiError(409, 'not_ready', redeemResult.message);
+    }
+
+    return { body: { swapId: swap.id, chain, txId: redeemResult.marscoinClaimTxId, status: redeemResult.status } };
+  }
+
+  /**
+   * POST /v1/swaps/:id/refund: refund a leg whose timelock has opened
+   */
+  async function refundSwap({ params, body }) {
+    const { chain, feeRate } = validateBody(body, REFUND_SCHEMA);
+    const swap = loadSwap(params.id);
+    const role = SPEND_ROLES[chain].refund;
+
+    if (!swapState.canTransition(swap, 'refunded', { chain })) {
+      throw new ApiError(409, 'invalid_state', `Swap ${swap.id} is ${swap.status}; its ${chain} cannot be refunded`);
+    }
+
+    const privateKey = await requireSwapKey(swap, role);
+
+    const refundResult = await repository.updateSwap(swap.id, async (current) => {
+      // Pick up every deposit to the HTLC, including underpayments, so the refund returns all of them
+      await swapCoordinator.verifySwapFunding(
+        current, btcClient, marscoinClient, cfg.bitcoin.confirmations, cfg.marscoin.confirmations);
+
+      return swapCoordinator.handleSwapTimeout(current, btcClient, marscoinClient, {
+        [`${role}PrivateKey`]: privateKey,
+        ...getFeeParams(chain, feeRate)
+      });
+    });
+    const txId = refundResult[`${chain}RefundTxId`];
+
+    if (!txId) {
+      const expired = chain === 'bitcoin' ? refundResult.bitcoinExpired : refundResult.marscoinExpired;
+
+      if (refundResult.expired) {
+        throw new ApiError(409, 'invalid_state', refundResult.message);
+      }
+
+      throw expired
+        ? new ApiError(502, 'broadcast_failed', `The ${chain} refund was not broadcast; see the server log`)
+        : new ApiError(409, 'not_ready', `The ${chain} timelock has not expired yet`);
+    }
+
+    return { body: { swapId: swap.id, chain, txId, status: refundResult.status } };
+  }
+
+  /**
+   * Send the events an event stream has not seen yet, or a heartbeat if it has been quiet
+   * @param {Object} subscriber - Event stream
+   */
+  function pumpEvents(subscriber) {
+    let page;
+
+    do {
+      page = repository.readEvents(subscriber.cursor, { swapId: subscriber.swapId, limit: EVENTS_PAGE_LIMIT });
+
+      for (const event of page.events) {
+        subscriber.res.write(`id: ${event.cursor}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        subscriber.lastWriteAt = Date.now();
+      }
+
+      subscriber.cursor = page.cursor;
+    } while (page.events.length === EVENTS_PAGE_LIMIT);
+
+    if (Date.now() - subscriber.lastWriteAt >= EVENT_STREAM_HEARTBEAT) {
+      subscriber.res.write(': heartbeat\n\n');
+      subscriber.lastWriteAt = Date.now();
+    }
+  }
+
+  /**
+   * Check the event journal for every open event stream; the check runs while any stream is open
+   */
+  function pollEvents() {
+    for (const subscriber of subscribers) {
+      try {
+        pumpEvents(subscriber);
+      } catch (error) {
+        console.error(`[api] Event stream failed: ${error.message}`);
+        subscriber.res.end();
+        subscribers.delete(subscriber);
+      }
+    }
+
+    if (subscribers.size === 0) {
+      clearInterval(eventTimer);
+      eventTimer = null;
+    }
+  }
+
+  /**
+   * Read the cursor a client resumes from: ?cursor=, or the Last-Event-ID header an EventSource sends when it
+   * reconnects
+   * @param {Object} req - HTTP request
+   * @param {URLSearchParams} query - Query parameters
+   * @returns {number} Cursor (0 for the start of the journal)
+   */
+  function parseCursor(req, query) {
+    const value = query.get('cursor') || req.headers['last-event-id'] || '0';
+
+    if (!/^\d+$/.test(value)) {
+      throw new ApiError(400, 'invalid_request', `Invalid event cursor: ${value}`,
+        [{ field: 'cursor', message: 'Must be the cursor of an event' }]);
+    }
+
+    return Number(value);
+  }
+
+  /**
+   * GET /v1/events and GET /v1/swaps/:id/events: lifecycle events of every swap, or of one, after a cursor
+   * With "Accept: text/event-stream" the events are streamed as they happen; otherwise a page is returned
+   * with the cursor to ask for the next one from.
+   */
+  async function getEvents({ params, query, req, res }) {
+    if (params.id) {
+      loadSwap(params.id);
+    }
+
+    const cursor = parseCursor(req, query);
+    const limit = query.get('limit') ? Number(query.get('limit')) : EVENTS_PAGE_LIMIT;
+
+    if (!Number.isSafeInteger(limit) || limit < 1 || limit > EVENTS_PAGE_LIMIT) {
+      throw new ApiError(400, 'invalid_request', `limit must be between 1 and ${EVENTS_PAGE_LIMIT}`,
+        [{ field: 'limit', message: `Must be an integer between 1 and ${EVENTS_PAGE_LIMIT}` }]);
+    }
+
+    let page;
+
+    try {
+      page = repository.readEvents(cursor, { swapId: params.id, limit });
+    } catch (error) {
+      if (error.message.startsWith('Invalid event cursor')) {
+        throw new ApiError(400, 'invalid_request', error.message,
+          [{ field: 'cursor', message: 'Must be the cursor of an event' }]);
+      }
+      throw error;
+    }
+
+    if (!/\btext\/event-stream\b/.test(req.headers.accept || '')) {
+      return { body: page };
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const subscriber = { res, swapId: params.id, cursor, lastWriteAt: Date.now() };
+
+    subscribers.add(subscriber);
+    res.on('close', () => subscribers.delete(subscriber));
+    pumpEvents(subscriber);
+
+    if (!eventTimer) {
+      eventTimer = setInterval(pollEvents, cfg.api.eventPollInterval);
+    }
+
+    return { stream: true };
+  }
+
+  // Routes: method, path pattern (capturing the swap, quote or request ID) and handler
+  const ROUTES = [
+    ['GET', /^\/v1\/config$/, getConfig],
+    ['POST', /^\/v1\/quotes$/, createQuote],
+    ['GET', /^\/v1\/quotes\/([^/]+)$/, getQuote],
+    ['GET', /^\/v1\/liquidity$/, getLiquidity],
+    ['GET', /^\/v1\/liquidity\/queue$/, listQueue],
+    ['GET', /^\/v1\/liquidity\/queue\/([^/]+)$/, getQueued],
+    ['POST', /^\/v1\/liquidity\/queue\/([^/]+)\/cancel$/, cancelQueued],
+    ['GET', /^\/v1\/swaps$/, listSwaps],
+    ['POST', /^\/v1\/swaps$/, createSwap],
+    ['GET', /^\/v1\/swaps\/([^/]+)$/, getSwapStatus],
+    ['POST', /^\/v1\/swaps\/([^/]+)\/audit$/, auditSwap],
+    ['POST', /^\/v1\/swaps\/([^/]+)\/claim$/, claimSwap],
+    ['POST', /^\/v1\/swaps\/([^/]+)\/refund$/, refundSwap],
+    ['GET', /^\/v1\/events$/, getEvents],
+    ['GET', /^\/v1\/swaps\/([^/]+)\/events$/, getEvents]
+  ];
+
+  /**
+   * Send a JSON response
+   * @param {Object} res - HTTP response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  function sendJson(res, status, body) {
+    const data = JSON.stringify(body);
+
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(data),
+      'Cache-Control': 'no-store'
+    });
+    res.end(data);
+  }
+
+  /**
+   * Parse the URL of a request
+   * @param {Object} req - HTTP request
+   * @returns {URL} URL
+   */
+  function parseUrl(req) {
+    try {
+      return new URL(req.url, 'http://localhost');
+    } catch (error) {
+      throw new ApiError(400, 'invalid_request', `Invalid request URL: ${req.url}`);
+    }
+  }
+
+  /**
+   * Decode a percent-encoded path parameter
+   * @param {string} [value] - Parameter as matched in the path
+   * @returns {string|undefined} Decoded parameter
+   */
+  function decodeParam(value) {
+    try {
+      return value && decodeURIComponent(value);
+    } catch (error) {
+      throw new ApiError(400, 'invalid_request', `Invalid percent-encoding in the path: ${value}`);
+    }
+  }
+
+  /**
+   * Route a request and answer it; every failure is answered as { error: { code, message, details } }
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async function handleRequest(req, res) {
+    let pathname = req.url;
+    let status = 500;
+
+    try {
+      const url = parseUrl(req);
+      pathname = url.pathname;
+
+      authenticate(req);
+
+      const matches = ROUTES
+        .map(([method, pattern, handler]) => ({ method, handler, match: pattern.exec(url.pathname) }))
+        .filter(({ match }) => match);
+
+      if (matches.length === 0) {
+        throw new ApiError(404, 'not_found', `No such endpoint: ${url.pathname}`);
+      }
+
+      const route = matches.find(({ method }) => method === req.method);
+
+      if (!route) {
+        res.setHeader('Allow', matches.map(({ method }) => method).join(', '));
+        throw new ApiError(405, 'method_not_allowed', `${req.method} is not allowed on ${url.pathname}`);
+      }
+
+      const result = await route.handler({
+        params: { id: decodeParam(route.match[1]) },
+        query: url.searchParams,
+        body: req.method === 'POST' ? await readBody(req) : {},
+        req,
+        res
+      });
+
+      status = result.status || 200;
+
+      if (!result.stream) {
+        sendJson(res, status, result.body);
+      }
+    } catch (error) {
+      let apiError = error;
+
+      if (error instanceof RpcError || error instanceof RpcTransportError) {
+        apiError = new ApiError(502, 'node_error', `Node request failed: ${error.message}`);
+      } else if (!(error instanceof ApiError)) {
+        console.error(`[api] ${req.method} ${pathname} failed: ${error.stack || error.message}`);
+        apiError = new ApiError(500, 'internal_error', 'Internal server error; see the server log');
+      }
+
+      if (res.headersSent) {
+        // An event stream has already started; the error cannot be sent, so end the stream
+        console.error(`[api] ${req.method} ${pathname} failed after responding: ${apiError.message}`);
+        status = res.statusCode;
+        res.end();
+      } else {
+        status = apiError.status;
+        sendJson(res, status, {
+          error: {
+            code: apiError.code,
+            message: apiError.message,
+            ...(apiError.details && { details: apiError.details })
+          }
+        });
+      }
+    }
+
+    console.log(`[api] ${req.method} ${pathname} ${status}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      // Only a failure to answer at all gets here; drop the connection rather than leave it open
+      console.error(`[api] ${req.method} ${req.url} could not be answered: ${error.stack || error.message}`);
+      res.destroy();
+    });
+  });
+
+  /**
+   * Unlock the keystore for as long as the server runs, and move preimages left in swap records by older
+   * versions into it
+   * @param {string} [passphrase] - Keystore passphrase
+   * @returns {Promise<boolean>} Whether the keystore is unlocked
+   */
+  async function unlockKeystore(passphrase) {
+    if (!passphrase) {
+      console.warn(`[api] ${KEYSTORE_PASSPHRASE_ENV_VAR} is not set; the keystore stays locked, so swaps cannot ` +
+        'be created and Bitcoin claims are refused');
+      return false;
+    }
+
+    await keystore.unlock(passphrase, { timeout: 0 });
+    await keystoreModule.sealSwapPreimages(repository, keystore);
+
+    return true;
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=cfg.app.port] - Port
+   * @param {string} [host=cfg.api.host] - Interface
+   * @returns {Promise<Object>} The address listened on
+   */
+  function listen(port = cfg.app.port, host = cfg.api.host) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        const address = server.address();
+        console.log(`[api] Listening on http://${address.address}:${address.port}`);
+        resolve(address);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections and end the event streams (other requests in progress finish)
+   * @returns {Promise<void>}
+   */
+  function close() {
+    clearInterval(eventTimer);
+    eventTimer = null;
+
+    for (const subscriber of subscribers) {
+      subscriber.res.end();
+    }
+    subscribers.clear();
+
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return {
+    server,
+    handleRequest,
+    unlockKeystore,
+    listen,
+    close
+  };
+}
+
+module.exports = {
+  API_KEYS_ENV_VAR,
+  ApiError,
+  readApiKeys,
+  createApiServer
+};
+
+// If this file is run directly, start the server
+if (require.main === module) {
+  let api;
+
+  try {
+    api = createApiServer({ apiKeys: readApiKeys() });
+  } catch (error) {
+    console.error(`[api] ${error.message}`);
+    process.exit(1);
+  }
+
+  process.on('SIGINT', () => api.close());
+  process.on('SIGTERM', () => api.close());
+
+  api.unlockKeystore(process.env[KEYSTORE_PASSPHRASE_ENV_VAR])
+    .then(() => api.listen())
+    .catch((error) => {
+      console.error(`[api] Cannot start: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
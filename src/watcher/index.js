@@ -0,0 +1,530 @@
+/**
+ * Swap Watcher
+ * Long-running service that polls both nodes and drives persisted swaps through their lifecycle:
+ * it detects HTLC funding and confirmations, claims once a swap is funded and broadcasts refunds
+ * as soon as timelocks open. In participant mode (when it holds the participant's MarsCoin key) it
+ * watches the Bitcoin HTLC for the initiator's claim and redeems the MarsCoin with the revealed
+ * preimage. Unconfirmed claims and refunds are replaced at rising fee rates as their deadlines near.
+ * When webhooks are configured, it also delivers the swaps' lifecycle events to them, on a timer of its own so
+ * a slow endpoint never holds up claims and refunds. Swap requests queued by
+ * the liquidity limits are started once finishing swaps free enough capital.
+ * All state lives in the swap repository and the keystore, so a restarted watcher simply resumes from them.
+ */
+
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+const swapCoordinator = require('../core/swap-coordinator');
+const swapRepository = require('../core/swap-repository');
+const keystoreModule = require('../core/keystore');
+const hdWallet = require('../core/hd-wallet');
+const { TERMINAL_STATES } = require('../core/swap-state');
+const feeEstimator = require('../core/fee-estimator');
+const feeBump = require('../core/fee-bump');
+const webhooksModule = require('../core/webhooks');
+const swapIntake = require('../core/swap-intake');
+const { createRpcClient } = require('../core/rpc-client');
+const config = require('../config');
+
+const ECPair = ECPairFactory(ecc);
+
+// Claims and refunds the watcher may replace, with the role whose key signs them
+const FEE_BUMP_SPENDS = [
+  { name: 'bitcoinClaim', chain: 'bitcoin', path: 'claim', role: 'initiatorBtc' },
+  { name: 'marscoinClaim', chain: 'marscoin', path: 'claim', role: 'participantMarscoin' },
+  { name: 'bitcoinRefund', chain: 'bitcoin', path: 'refund', role: 'participantBtc' },
+  { name: 'marscoinRefund', chain: 'marscoin', path: 'refund', role: 'initiatorMarscoin' }
+];
+
+// Inside the fee bump window each replacement of a claim pays at least this much more than the last
+const FEE_BUMP_FACTOR = 1.25;
+
+// Environment variables read by the default key provider, per swap role
+const KEY_ENV_VARS = {
+  initiatorBtc: 'BTC_MARS_INITIATOR_BTC_WIF',
+  initiatorMarscoin: 'BTC_MARS_INITIATOR_MARSCOIN_WIF',
+  participantBtc: 'BTC_MARS_PARTICIPANT_BTC_WIF',
+  participantMarscoin: 'BTC_MARS_PARTICIPANT_MARSCOIN_WIF'
+};
+
+/**
+ * Check whether a swap still needs watching
+ * Swaps stay watched until they reach a terminal state, and after that while one of their claims or
+ * refunds is unconfirmed, for fee bumping
+ * @param {Object} swap - Swap object
+ * @returns {boolean} Whether the watcher should process the swap
+ */
+function needsWatching(swap) {
+  // Swaps still being negotiated have no HTLCs yet
+  if (!swap.btcHtlc || !swap.marscoinHtlc) {
+    return false;
+  }
+
+  if (Object.values(swap.spends || {}).some((spend) => !spend.settled)) {
+    return true;
+  }
+
+  return !TERMINAL_STATES.includes(swap.status);
+}
+
+// Environment variable holding the passphrase the watcher unlocks the keystore with
+const KEYSTORE_PASSPHRASE_ENV_VAR = 'BTC_MARS_KEYSTORE_PASSPHRASE';
+
+/**
+ * Create a key provider that reads WIF private keys from environment variables
+ * @param {Object} [env=process.env] - Environment to read from
+ * @returns {Function} Key provider (swap, role) => WIF or null
+ */
+function createEnvKeyProvider(env = process.env) {
+  return (swap, role) => env[KEY_ENV_VARS[role]] || null;
+}
+
+/**
+ * Create a key provider that reads WIF private keys from the keystore: a key stored for the swap, then
+ * the key derived from the HD wallet seed the swap records, then one stored for the role
+ * @param {Object} keystore - Keystore
+ * @param {Function} [fallback] - Key provider asked when the keystore is locked or has no key
+ * @returns {Function} Key provider (swap, role) => WIF or null
+ */
+function createKeystoreKeyProvider(keystore, fallback = () => null) {
+  return (swap, role) => {
+    const wif = keystore.isUnlocked()
+      ? keystore.getSecret(keystoreModule.keySecretName(role, swap.id)) ||
+        hdWallet.getSwapPrivateKey(keystore, swap, role) ||
+        keystore.getSecret(keystoreModule.keySecretName(role))
+      : null;
+
+    return wif || fallback(swap, role);
+  };
+}
+
+/**
+ * Get the private key for a role in a swap, if the key provider has one that matches the swap
+ * @param {Function} keyProvider - Key provider (swap, role) => WIF or null
+ * @param {Object} swap - Swap object
+ * @param {string} role - 'initiatorBtc', 'initiatorMarscoin', 'participantBtc' or 'participantMarscoin'
+ * @returns {string|null} WIF private key
+ */
+async function getSwapKey(keyProvider, swap, role) {
+  const wif = await keyProvider(swap, role);
+
+  if (!wif) {
+    return null;
+  }
+
+  const network = role.endsWith('Btc') ? swap.bitcoinNetwork : swap.marscoinNetwork;
+  const publicKey = ECPair.fromWIF(wif, network).publicKey.toString('hex');
+
+  // Never sign for a swap whose HTLC commits to a different key
+  return swap.pubKeys && swap.pubKeys[role] === publicKey ? wif : null;
+}
+
+/**
+ * Create a swap watcher
+ * @param {Object} [options]
+ * @param {Object} [options.btcClient] - Bitcoin RPC client (defaults to the configured node)
+ * @param {Object} [options.marscoinClient] - MarsCoin RPC client (defaults to the configured node)
+ * @param {Function} [options.keyProvider] - Key provider (swap, role) => WIF or null (defaults to the keystore,
+ *   then environment variables)
+ * @param {Object} [options.cfg] - Application configuration (defaults to the loaded configuration)
+ * @param {Object} [options.repository] - Swap repository (defaults to the configured data directory)
+ * @param {Object} [options.keystore] - Keystore holding preimages and keys (defaults to the configured data directory)
+ * @param {Object} [options.webhooks] - Webhook dispatcher (defaults to the configured endpoints, if any)
+ * @param {Object} [options.intake] - Swap intake starting queued swap requests (defaults to the configured limits)
+ * @returns {Object} Watcher with unlockKeystore, start, stop, poll and dispatchWebhooks
+ */
+function createSwapWatcher(options = {}) {
+  const cfg = options.cfg || config.getConfig();
+  const btcClient = options.btcClient || createRpcClient(cfg.bitcoin.rpc);
+  const marscoinClient = options.marscoinClient || createRpcClient(cfg.marscoin.rpc);
+  const repository = options.repository || swapRepository.getSwapRepository(cfg);
+  const keystore = options.keystore || keystoreModule.getKeystore(cfg);
+  const keyProvider = options.keyProvider || createKeystoreKeyProvider(keystore, createEnvKeyProvider());
+  const feeSettings = feeEstimator.getFeeSettings(cfg);
+  const webhooks = options.webhooks || (cfg.webhooks.endpoints.length > 0
+    ? webhooksModule.getWebhookDispatcher(cfg, repository)
+    : null);
+  const intake = options.intake || swapIntake.createSwapIntake({ cfg, repository, keystore, btcClient, marscoinClient });
+
+  let timer = null;
+  let webhookTimer = null;
+  let running = false;
+
+  /**
+   * Check funding, claim and refund a swap that has not completed
+   * @param {Object} swap - Swap object
+   */
+  async function driveSwap(swap) {
+    const fundingStatus = await swapCoordinator.verifySwapFunding(
+      swap,
+      btcClient,
+      marscoinClient,
+      cfg.bitcoin.confirmations,
+      cfg.marscoin.confirmations
+    );
+
+    if (fundingStatus.funded && cfg.watcher.autoClaim) {
+      const initiatorBtcPrivateKey = await getSwapKey(keyProvider, swap, 'initiatorBtc');
+
+      if (initiatorBtcPrivateKey) {
+        const claimResult = await swapCoordinator.completeSwap(swap, btcClient, marscoinClient, {
+          initiatorBtcPrivateKey,
+          btcFee: cfg.bitcoin.fee,
+          feeSettings,
+          keystore
+        });
+
+        if (claimResult.success) {
+          console.log(`[watcher] Swap ${swap.id} Bitcoin claimed: ${claimResult.bitcoinClaimTxId}`);
+        }
+      }
+    }
+
+    if (!TERMINAL_STATES.includes(swap.status)) {
+      const fundingOutputs = swap.fundingOutputs || {};
+      const autoRefund = cfg.watcher.autoRefund;
+
+      // Only offer keys for legs holding deposits (even underpaid ones) that are not yet spent by us. Without
+      // keys the timeout check still records refund windows opening, and fails a swap nobody funded.
+      const participantBtcPrivateKey = autoRefund && fundingOutputs.bitcoin && !swap.bitcoinClaimTxId && !swap.bitcoinRefundTxId
+        ? await getSwapKey(keyProvider, swap, 'participantBtc')
+        : null;
+      const initiatorMarscoinPrivateKey = autoRefund && fundingOutputs.marscoin && !swap.marscoinClaimTxId && !swap.marscoinRefundTxId
+        ? await getSwapKey(keyProvider, swap, 'initiatorMarscoin')
+        : null;
+
+      const refundResult = await swapCoordinator.handleSwapTimeout(swap, btcClient, marscoinClient, {
+        participantBtcPrivateKey,
+        initiatorMarscoinPrivateKey,
+        btcFee: cfg.bitcoin.fee,
+        marscoinFee: cfg.marscoin.fee,
+        feeSettings
+      });
+
+      if (refundResult.refunded) {
+        console.log(`[watcher] Swap ${swap.id} ${refundResult.status}: ` +
+          `bitcoin ${refundResult.bitcoinRefundTxId || '-'}, marscoin ${refundResult.marscoinRefundTxId || '-'}`);
+      } else if (refundResult.expired) {
+        console.log(`[watcher] Swap ${swap.id} failed: both timelocks expired before it was funded`);
+      }
+    }
+  }
+
+  /**
+   * Handle a claim or refund that has left the mempool: mark it settled once it has confirmed, otherwise it
+   * was evicted or lost and is broadcast again (rebuilt at the current fee estimate if the node refuses it)
+   * @param {Object} swap - Swap object
+   * @param {Object} target - Entry of FEE_BUMP_SPENDS
+   * @param {Object} rpcClient - RPC client for the chain
+   */
+  async function settleOrRebroadcast(swap, { name, chain, path, role }, rpcClient) {
+    const spend = swap.spends[name];
+
+    if (await swapCoordinator.isSpendConfirmed(swap, chain, path, rpcClient)) {
+      spend.settled = true;
+      return;
+    }
+
+    try {
+      const privateKey = await getSwapKey(keyProvider, swap, role);
+      const feeRate = privateKey ? await feeEstimator.estimateFeeRate(rpcClient, feeSettings[chain], chain) : undefined;
+      const result = await swapCoordinator.rebroadcastSwapSpend(swap, { chain, path, privateKey, feeRate, keystore }, rpcClient);
+
+      console.log(`[watcher] Swap ${swap.id} ${chain} ${path} ${spend.txId} left the mempool unconfirmed; ` +
+        (result.rebuilt ? `rebuilt as ${result.txId}` : 're-broadcast'));
+    } catch (error) {
+      console.error(`[watcher] Re-broadcast of swap ${swap.id} ${chain} ${path} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace unconfirmed claims and refunds that pay less than the fee market now asks
+   * Refunds follow the node's estimate. Claims must confirm before their leg's timelock lets the other
+   * party refund, so inside the fee bump window the confirmation target shrinks with the time left and
+   * every replacement pays at least FEE_BUMP_FACTOR times the last, up to the chain's maximum fee rate.
+   * A spend no longer in the mempool is only settled once it has confirmed; otherwise it is broadcast again.
+   * @param {Object} swap - Swap object
+   */
+  async function escalateFees(swap) {
+    const now = Math.floor(Date.now() / 1000);
+    let timelockStatus = null;
+
+    for (const { name, chain, path, role } of FEE_BUMP_SPENDS) {
+      const spend = (swap.spends || {})[name];
+
+      if (!spend || spend.settled || swap[`${name}TxId`] !== spend.txId) {
+        continue;
+      }
+
+      const rpcClient = chain === 'bitcoin' ? btcClient : marscoinClient;
+      const pending = await feeBump.getMempoolFee(rpcClient, spend.txId);
+
+      if (!pending) {
+        await settleOrRebroadcast(swap, { name, chain, path, role }, rpcClient);
+        continue;
+      }
+
+      if (!cfg.watcher.feeBump || now - spend.broadcastAt < cfg.watcher.feeBumpInterval) {
+        continue;
+      }
+
+      const privateKey = await getSwapKey(keyProvider, swap, role);
+
+      if (!privateKey) {
+        continue;
+      }
+
+      const settings = feeSettings[chain];
+      let feeTarget = settings.feeTarget;
+      let minFeeRate = 0;
+
+      if (path === 'claim') {
+        timelockStatus = timelockStatus || await swapCoordinator.getTimelockStatus(swap, btcClient, marscoinClient);
+        const { secondsRemaining } = timelockStatus[chain];
+
+        if (secondsRemaining !== null && secondsRemaining < cfg.watcher.feeBumpWindow) {
+          feeTarget = Math.max(1, Math.floor(settings.feeTarget * secondsRemaining / cfg.watcher.feeBumpWindow));
+          minFeeRate = pending.feeRate * FEE_BUMP_FACTOR;
+        }
+      }
+
+      const estimate = await feeEstimator.estimateFeeRate(rpcClient, { ...settings, feeTarget }, chain);
+      const feeRate = Math.min(Math.max(estimate, minFeeRate), settings.maxFeeRate);
+
+      if (feeRate < pending.feeRate + feeBump.INCREMENTAL_RELAY_FEE_RATE) {
+        continue;
+      }
+
+      try {
+        const bumpResult = await swapCoordinator.bumpSwapSpend(swap, { chain, path, privateKey, feeRate, keystore }, rpcClient);
+        console.log(`[watcher] Swap ${swap.id} ${chain} ${path} re-broadcast at ${bumpResult.feeRate.toFixed(2)} sat/vB: ` +
+          `${bumpResult.txId} replaces ${bumpResult.replacedTxId}`);
+      } catch (error) {
+        console.error(`[watcher] Fee bump of swap ${swap.id} ${chain} ${path} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Advance one swap as far as chain state allows
+   * @param {Object} swap - Swap object
+   * @returns {boolean} Whether the swap record changed
+   */
+  async function processSwap(swap) {
+    const before = JSON.stringify(swap);
+
+    if (!TERMINAL_STATES.includes(swap.status)) {
+      await driveSwap(swap);
+    }
+
+    // Participant mode: redeem the MarsCoin once the initiator's Bitcoin claim reveals the preimage
+    if (cfg.watcher.autoClaim && ['funded', 'secret-revealed'].includes(swap.status)) {
+      const participantMarscoinPrivateKey = await getSwapKey(keyProvider, swap, 'participantMarscoin');
+
+      if (participantMarscoinPrivateKey) {
+        const redeemResult = await swapCoordinator.redeemWithRevealedPreimage(swap, btcClient, marscoinClient, {
+          participantMarscoinPrivateKey,
+          marscoinFee: cfg.marscoin.fee,
+          feeSettings
+        });
+
+        if (redeemResult.redeemed) {
+          console.log(`[watcher] Swap ${swap.id} MarsCoin redeemed with revealed preimage: ${redeemResult.marscoinClaimTxId}`);
+        }
+      }
+    }
+
+    await escalateFees(swap);
+
+    return JSON.stringify(swap) !== before;
+  }
+
+  /**
+   * Run one pass over all active swaps in the repository, archiving those that are finished
+   * Each swap is processed under its lock, so the CLI can work on other swaps meanwhile.
+   * @returns {Object} Number of swaps checked, updated and archived, and queued requests processed
+   */
+  async function poll() {
+    const swaps = repository.listSwaps();
+    let checked = 0;
+    let updated = 0;
+    let archived = 0;
+
+    for (const { id } of swaps) {
+      try {
+        // The swap is read again under the lock, in case another process changed it since the listing
+        const result = await repository.updateSwap(id, async (swap) => {
+          if (!needsWatching(swap)) {
+            return { finished: TERMINAL_STATES.includes(swap.status) };
+          }
+
+          checked += 1;
+          return { changed: await processSwap(swap) };
+        });
+
+        if (result.changed) {
+          updated += 1;
+        }
+
+        if (result.finished && await repository.archiveSwap(id)) {
+          console.log(`[watcher] Swap ${id} archived`);
+          archived += 1;
+        }
+      } catch (error) {
+        console.error(`[watcher] Error processing swap ${id}: ${error.message}`);
+      }
+    }
+
+    // After the swaps, so the capital they freed can go to queued requests; a swap's preimage needs the keystore
+    let queue = null;
+
+    if (keystore.isUnlocked()) {
+      try {
+        queue = await intake.processQueue();
+
+        for (const request of queue.requests) {
+          if (request.status === 'started') {
+            console.log(`[watcher] Swap request ${request.id} started as swap ${request.swapId}`);
+          } else if (request.status === 'expired') {
+            console.log(`[watcher] Swap request ${request.id} expired in the queue`);
+          } else if (request.status === 'failed') {
+            console.error(`[watcher] Swap request ${request.id} failed: ${request.error}`);
+          } else {
+            console.error(`[watcher] Swap request ${request.id} could not start yet: ${request.error}`);
+          }
+        }
+      } catch (error) {
+        console.error(`[watcher] Processing the swap request queue failed: ${error.message}`);
+      }
+    }
+
+    return { checked, updated, archived, queue };
+  }
+
+  /**
+   * Queue webhook deliveries of the events journaled since the last pass and make those that are due
+   * @returns {Promise<Object|null>} Counts of the dispatcher, or null without webhooks or if the pass failed
+   */
+  async function dispatchWebhooks() {
+    if (!webhooks) {
+      return null;
+    }
+
+    try {
+      return await webhooks.dispatch();
+    } catch (error) {
+      console.error(`[watcher] Webhook dispatch failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Unlock the keystore for as long as the watcher runs, and move preimages left in swap records by older
+   * versions into it
+   * @param {string} [passphrase] - Keystore passphrase
+   * @returns {Promise<boolean>} Whether the keystore is unlocked
+   */
+  async function unlockKeystore(passphrase) {
+    if (!passphrase) {
+      console.warn(`[watcher] ${KEYSTORE_PASSPHRASE_ENV_VAR} is not set; the keystore stays locked and ` +
+        'Bitcoin claims wait for it');
+      return false;
+    }
+
+    await keystore.unlock(passphrase, { timeout: 0 });
+
+    const sealed = await keystoreModule.sealSwapPreimages(repository, keystore);
+
+    if (sealed > 0) {
+      console.log(`[watcher] Moved ${sealed} preimage(s) from swap records into the keystore`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Poll and schedule the next poll
+   */
+  async function tick() {
+    try {
+      await poll();
+    } catch (error) {
+      console.error(`[watcher] Poll failed: ${error.message}`);
+    }
+
+    if (running) {
+      timer = setTimeout(tick, cfg.watcher.pollInterval * 1000);
+    }
+  }
+
+  /**
+   * Dispatch webhooks and schedule the next pass
+   */
+  async function webhookTick() {
+    await dispatchWebhooks();
+
+    if (running) {
+      webhookTimer = setTimeout(webhookTick, cfg.webhooks.dispatchInterval * 1000);
+    }
+  }
+
+  /**
+   * Start polling, and dispatching webhooks if any are configured
+   */
+  function start() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    console.log(`[watcher] Watching ${repository.directory} every ${cfg.watcher.pollInterval}s`);
+    tick();
+
+    if (webhooks) {
+      webhookTick();
+    }
+  }
+
+  /**
+   * Stop polling and dispatching webhooks (a poll or dispatch already in progress finishes)
+   */
+  function stop() {
+    running = false;
+
+    clearTimeout(timer);
+    clearTimeout(webhookTimer);
+    timer = null;
+    webhookTimer = null;
+  }
+
+  return {
+    unlockKeystore,
+    start,
+    stop,
+    poll,
+    dispatchWebhooks
+  };
+}
+
+module.exports = {
+  KEY_ENV_VARS,
+  KEYSTORE_PASSPHRASE_ENV_VAR,
+  createEnvKeyProvider,
+  createKeystoreKeyProvider,
+  getSwapKey,
+  createSwapWatcher
+};
+
+// If this file is run directly, start the watcher
+if (require.main === module) {
+  const watcher = createSwapWatcher();
+
+  process.on('SIGINT', () => watcher.stop());
+  process.on('SIGTERM', () => watcher.stop());
+
+  watcher.unlockKeystore(process.env[KEYSTORE_PASSPHRASE_ENV_VAR])
+    .then(() => watcher.start())
+    .catch((error) => {
+      console.error(`[watcher] Cannot unlock the keystore: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
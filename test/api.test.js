@@ -0,0 +1,212 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const marscoin = require('../src/core/marscoin-lib-wrapper');
+const { ECPair } = require('./helpers');
+
+// The configuration is loaded, and written if missing, when the server module is required
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+process.env.HOME = home;
+
+const config = require('../src/config');
+const { createKeystore } = require('../src/core/keystore');
+const { createSwapRepository } = require('../src/core/swap-repository');
+const swapState = require('../src/core/swap-state');
+const { createApiServer } = require('../src/server');
+
+const API_KEY = 'test-key';
+const bitcoinNetwork = bitcoin.networks.testnet;
+const marscoinNetwork = marscoin.getNetwork('testnet');
+
+/**
+ * Addresses and public keys of one party, as API fields
+ */
+function partyFields(party, seed) {
+  const btcKey = ECPair.fromPrivateKey(Buffer.alloc(32, seed), { network: bitcoinNetwork });
+  const marscoinKey = ECPair.fromPrivateKey(Buffer.alloc(32, seed + 1), { network: marscoinNetwork });
+
+  return {
+    [`${party}BtcAddress`]: bitcoin.payments.p2wpkh({ pubkey: btcKey.publicKey, network: bitcoinNetwork }).address,
+    [`${party}BtcPubKey`]: btcKey.publicKey.toString('hex'),
+    [`${party}MarscoinAddress`]: marscoin.payments.p2pkh({ pubkey: marscoinKey.publicKey, network: marscoinNetwork }).address,
+    [`${party}MarscoinPubKey`]: marscoinKey.publicKey.toString('hex')
+  };
+}
+
+const nodeClient = { getBlockchainInfo: async () => ({ blocks: 800000, mediantime: 1700000000 }) };
+
+describe('api', () => {
+  let keystore;
+  let repository;
+  let api;
+  let baseUrl;
+  let createdSwapId;
+  // Reads of the event journal left before it fails, or null while it works
+  let readsBeforeFailure = null;
+
+  before(async () => {
+    const cfg = { ...config.getConfig(), app: { ...config.getConfig().app, dataDir: path.join(home, 'data') } };
+
+    keystore = createKeystore({ directory: path.join(home, 'keystore'), scryptCost: 1024, unlockTimeout: 0 });
+    repository = createSwapRepository({ directory: path.join(home, 'swaps') });
+    await keystore.create('passphrase');
+    keystore.lock();
+
+    api = createApiServer({
+      apiKeys: [API_KEY],
+      cfg,
+      btcClient: nodeClient,
+      marscoinClient: nodeClient,
+      repository: {
+        ...repository,
+        readEvents: (cursor, options) => {
+          if (readsBeforeFailure !== null && readsBeforeFailure-- === 0) {
+            throw new Error('journal unreadable');
+          }
+          return repository.readEvents(cursor, options);
+        }
+      },
+      keystore,
+      quoteEngine: {},
+      liquidity: { admitSwap: async (admission, start) => ({ swap: await start() }) }
+    });
+
+    const address = await api.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${address.port}`;
+  });
+
+  after(async () => {
+    keystore.lock();
+    await api.close();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  const request = (pathname, { method = 'GET', body, headers = {} } = {}) => fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${API_KEY}`,
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  /**
+   * Send a request line as is, bypassing the URL handling of fetch
+   */
+  function rawRequest(target) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(new URL(baseUrl).port, '127.0.0.1');
+      let response = '';
+
+      socket.setTimeout(5000, () => socket.destroy(new Error('No response')));
+      socket.on('data', (chunk) => { response += chunk; });
+      socket.on('end', () => resolve(response));
+      socket.on('error', reject);
+      socket.end(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nAuthorization: Bearer ${API_KEY}\r\nConnection: close\r\n\r\n`);
+    });
+  }
+
+  it('requires an API key', async () => {
+    const response = await fetch(`${baseUrl}/v1/swaps`);
+
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error.code, 'unauthorized');
+    assert.equal((await request('/v1/swaps', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+  });
+
+  it('answers unknown endpoints and methods', async () => {
+    const notFound = await request('/v1/nothing');
+    const notAllowed = await request('/v1/swaps', { method: 'DELETE' });
+
+    assert.equal(notFound.status, 404);
+    assert.equal(notAllowed.status, 405);
+    assert.equal(notAllowed.headers.get('allow'), 'GET, POST');
+  });
+
+  it('answers malformed URLs and path encodings with 400 and keeps serving', async () => {
+    const badUrl = await rawRequest('//[');
+    const badEncoding = await request('/v1/swaps/%E0%A4%A');
+
+    assert.match(badUrl, /^HTTP\/1\.1 400/);
+    assert.match(badUrl, /"code":"invalid_request"/);
+    assert.equal(badEncoding.status, 400);
+    assert.match((await badEncoding.json()).error.message, /Invalid percent-encoding/);
+    assert.equal((await request('/v1/swaps')).status, 200);
+  });
+
+  it('validates request bodies', async () => {
+    const invalid = await request('/v1/swaps', { method: 'POST', body: { btcAmount: -1, colour: 'red' } });
+    const { error } = await invalid.json();
+
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(error.details.find((detail) => detail.field === 'colour'), { field: 'colour', message: 'Unknown field' });
+    assert.ok(error.details.some((detail) => detail.field === 'participantBtcAddress'));
+    assert.equal((await request('/v1/swaps', { method: 'POST', body: '{' })).status, 400);
+    assert.equal((await request('/v1/swaps', {
+      method: 'POST', body: '{}', headers: { 'Content-Type': 'text/plain' }
+    })).status, 415);
+  });
+
+  it('creates a swap only while the keystore is unlocked', async () => {
+    const body = { ...partyFields('initiator', 0x41), ...partyFields('participant', 0x51), btcAmount: 100000, marscoinAmount: 25 };
+    const locked = await request('/v1/swaps', { method: 'POST', body });
+
+    assert.equal(locked.status, 503);
+    assert.equal((await locked.json()).error.code, 'keystore_locked');
+
+    await keystore.unlock('passphrase', { timeout: 0 });
+    const created = await request('/v1/swaps', { method: 'POST', body });
+    const swap = await created.json();
+
+    createdSwapId = swap.id;
+    assert.equal(created.status, 201);
+    assert.equal(swap.status, 'initialized');
+    assert.equal(swap.amounts.btc, 100000);
+    assert.match(swap.htlcAddresses.bitcoin, /^2/);
+
+    const fetched = await request(`/v1/swaps?status=initialized`);
+    assert.deepEqual((await fetched.json()).swaps.map((listed) => listed.id), [swap.id]);
+    assert.equal((await request('/v1/swaps/0123456789abcdef0123456789abcdef')).status, 404);
+  });
+
+  it('pages and streams lifecycle events', async () => {
+    await repository.updateSwap(createdSwapId, (swap) => {
+      swapState.transition(swap, 'funded', { chain: 'marscoin', txid: 'aa'.repeat(32) });
+    });
+
+    const page = await (await request('/v1/events?limit=1')).json();
+
+    assert.equal(page.events.length, 1);
+    assert.equal(page.events[0].type, 'status-changed');
+
+    const stream = await request('/v1/events', { headers: { Accept: 'text/event-stream' } });
+    const reader = stream.body.getReader();
+    const { value } = await reader.read();
+
+    assert.equal(stream.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    assert.match(Buffer.from(value).toString(), /^id: \d+\nevent: status-changed\ndata: /);
+    await reader.cancel();
+  });
+
+  it('ends an event stream that fails after it has started instead of answering twice', async () => {
+    // The first read answers the request; the stream's own read fails after the headers are sent
+    readsBeforeFailure = 1;
+
+    try {
+      const stream = await request('/v1/events', { headers: { Accept: 'text/event-stream' } });
+      const body = await stream.text();
+
+      assert.equal(stream.status, 200);
+      assert.equal(body, '');
+    } finally {
+      readsBeforeFailure = null;
+    }
+
+    assert.equal((await request('/v1/swaps')).status, 200);
+  });
+});
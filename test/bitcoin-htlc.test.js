@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinHtlc = require('../src/core/bitcoin-htlc');
+const htlcScript = require('../src/core/htlc-script');
+const {
+  network,
+  recipient,
+  refunder,
+  preimage,
+  hashLock,
+  destinationAddress,
+  assertHtlcSpend
+} = require('./helpers');
+
+const VALUE = 100000;
+const FEE = 1000;
+const spendOf = (htlc) => ({ ...htlc, htlcTxId: 'ab'.repeat(32), htlcVout: 2, amount: VALUE, fee: FEE, network });
+
+/**
+ * Create an HTLC between the fixture keys
+ */
+function createHtlc(scriptType, timelockType = 'cltv', timelock = 800000) {
+  return bitcoinHtlc.createHtlc({
+    hashLock,
+    timelock,
+    timelockType,
+    recipientPubKey: recipient.publicKey.toString('hex'),
+    refundPubKey: refunder.publicKey.toString('hex'),
+    scriptType,
+    network
+  });
+}
+
+describe('bitcoin-htlc', () => {
+  it('pays each script type to the matching output', async () => {
+    const p2sh = await createHtlc('p2sh');
+    const p2wsh = await createHtlc('p2wsh');
+    const wrapped = await createHtlc('p2sh-p2wsh');
+    const redeemScript = Buffer.from(p2wsh.redeemScript, 'hex');
+
+    // The redeem script does not depend on how it is paid to
+    assert.equal(p2sh.redeemScript, p2wsh.redeemScript);
+    assert.equal(wrapped.redeemScript, p2wsh.redeemScript);
+
+    assert.equal(p2sh.outputScript, bitcoin.payments.p2sh({ redeem: { output: redeemScript }, network }).output.toString('hex'));
+    assert.equal(p2wsh.outputScript, `0020${bitcoin.crypto.sha256(redeemScript).toString('hex')}`);
+    assert.match(p2wsh.address, /^tb1q/);
+    assert.equal(p2wsh.p2shOutput, null);
+    assert.match(wrapped.outputScript, /^a914[0-9a-f]{40}87$/);
+    assert.match(wrapped.address, /^2/);
+  });
+
+  it('decodes the hashlock, keys and timelock back out of the redeem script', async () => {
+    const htlc = await createHtlc('p2wsh');
+    const decoded = htlcScript.decodeHtlcScript(bitcoin, Buffer.from(htlc.redeemScript, 'hex'));
+
+    assert.deepEqual(decoded.hashLock, hashLock);
+    assert.deepEqual(decoded.recipientPubKeyHash, bitcoin.crypto.hash160(recipient.publicKey));
+    assert.deepEqual(decoded.refundPubKeyHash, bitcoin.crypto.hash160(refunder.publicKey));
+    assert.equal(decoded.timelockType, 'cltv');
+    assert.equal(decoded.timelock, 800000);
+  });
+
+  it('decodes relative timelocks, including those compiled to OP_1..OP_16', async () => {
+    for (const sequence of [10, htlcScript.encodeRelativeTimelock({ seconds: 3600 })]) {
+      const htlc = await createHtlc('p2wsh', 'csv', sequence);
+      const decoded = htlcScript.decodeHtlcScript(bitcoin, Buffer.from(htlc.redeemScript, 'hex'));
+
+      assert.equal(decoded.timelockType, 'csv');
+      assert.equal(decoded.timelock, sequence);
+      assert.equal(htlc.sequence, sequence);
+    }
+  });
+
+  for (const scriptType of ['p2sh', 'p2wsh', 'p2sh-p2wsh']) {
+    describe(scriptType, () => {
+      it('claims with the preimage through the claim branch', async () => {
+        const htlc = await createHtlc(scriptType);
+        const claim = await bitcoinHtlc.claimHtlcWithPreimage({
+          ...spendOf(htlc),
+          preimage: preimage.toString('hex'),
+          privateKey: recipient.toWIF(),
+          destinationAddress
+        });
+        const tx = bitcoin.Transaction.fromHex(claim.txHex);
+
+        assert.equal(claim.fee, FEE);
+        assert.equal(tx.ins[0].index, 2);
+        assert.equal(tx.ins[0].sequence, htlcScript.SEQUENCE_REPLACEABLE);
+        assert.equal(tx.outs[0].value, VALUE - FEE);
+        assertHtlcSpend(tx, htlc, { path: 'claim', values: [VALUE], publicKey: recipient.publicKey });
+        assert.equal(bitcoinHtlc.extractPreimageFromTransaction(claim.txHex, hashLock), preimage.toString('hex'));
+      });
+
+      it('refunds through the refund branch once the locktime is reached', async () => {
+        const htlc = await createHtlc(scriptType);
+        const refund = await bitcoinHtlc.refundHtlcAfterTimeout({
+          ...spendOf(htlc),
+          privateKey: refunder.toWIF(),
+          refundAddress: destinationAddress
+        });
+        const tx = bitcoin.Transaction.fromHex(refund.txHex);
+
+        assert.equal(tx.locktime, 800000);
+        assertHtlcSpend(tx, htlc, { path: 'refund', values: [VALUE], publicKey: refunder.publicKey });
+        assert.equal(bitcoinHtlc.extractPreimageFromTransaction(refund.txHex, hashLock), null);
+      });
+
+      it('refunds a relative-timelock HTLC with the BIP68 sequence on a version 2 transaction', async () => {
+        const sequence = htlcScript.encodeRelativeTimelock({ blocks: 10 });
+        const htlc = await createHtlc(scriptType, 'csv', sequence);
+        const refund = await bitcoinHtlc.refundHtlcAfterTimeout({
+          ...spendOf(htlc),
+          sequence: htlc.sequence,
+          privateKey: refunder.toWIF(),
+          refundAddress: destinationAddress
+        });
+        const tx = bitcoin.Transaction.fromHex(refund.txHex);
+
+        assert.equal(htlc.locktime, null);
+        assert.equal(tx.version, 2);
+        assert.equal(tx.locktime, 0);
+        assert.equal(tx.ins[0].sequence, 10);
+        assertHtlcSpend(tx, htlc, { path: 'refund', values: [VALUE], publicKey: refunder.publicKey });
+      });
+    });
+  }
+
+  it('refuses a fee that leaves a dust output', async () => {
+    const htlc = await createHtlc('p2wsh');
+
+    await assert.rejects(bitcoinHtlc.claimHtlcWithPreimage({
+      ...spendOf(htlc),
+      fee: VALUE - 100,
+      preimage: preimage.toString('hex'),
+      privateKey: recipient.toWIF(),
+      destinationAddress
+    }), /dust threshold/);
+  });
+});
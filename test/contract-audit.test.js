@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoinHtlc = require('../src/core/bitcoin-htlc');
+const taproot = require('../src/core/taproot');
+const contractAudit = require('../src/core/contract-audit');
+const { network, recipient, refunder, hashLock, ECPair } = require('./helpers');
+
+const FUNDING_TXID = 'f0'.repeat(32);
+const VALUE = 100000;
+
+/**
+ * Stub Bitcoin RPC client whose funding transaction pays an output script
+ */
+function stubClient(outputScript, value = VALUE) {
+  return {
+    getTransaction: async () => ({
+      txid: FUNDING_TXID,
+      confirmations: 3,
+      vout: [
+        { n: 0, value: 0.5, scriptPubKey: { hex: '0014'.padEnd(44, '0') } },
+        { n: 1, value: value / 100000000, scriptPubKey: { hex: outputScript } }
+      ]
+    }),
+    getBlockchainInfo: async () => ({ blocks: 799000, mediantime: 1700000000 })
+  };
+}
+
+/**
+ * Create an HTLC between the fixture keys
+ */
+function createHtlc(scriptType, params = {}) {
+  return bitcoinHtlc.createHtlc({
+    hashLock,
+    timelock: 800000,
+    timelockType: 'cltv',
+    recipientPubKey: recipient.publicKey,
+    refundPubKey: refunder.publicKey,
+    scriptType,
+    network,
+    ...params
+  });
+}
+
+const expected = {
+  hash: hashLock.toString('hex'),
+  recipientPubKey: recipient.publicKey.toString('hex'),
+  refundPubKey: refunder.publicKey.toString('hex'),
+  amount: VALUE,
+  timelockType: 'cltv',
+  confirmations: 1
+};
+
+const failedChecks = (report) => report.checks.filter((item) => !item.passed).map((item) => item.name);
+
+describe('contract-audit', () => {
+  it('passes a P2WSH HTLC that matches the agreed terms', async () => {
+    const htlc = await createHtlc('p2wsh');
+    const report = await contractAudit.auditContract({
+      chain: 'bitcoin',
+      redeemScript: htlc.redeemScript,
+      fundingTxId: FUNDING_TXID,
+      network,
+      expected
+    }, stubClient(htlc.outputScript));
+
+    assert.deepEqual(failedChecks(report), []);
+    assert.equal(report.passed, true);
+    assert.equal(report.contract.scriptType, 'p2wsh');
+    assert.deepEqual(report.funding.outputs, [{ txid: FUNDING_TXID, vout: 1, value: VALUE }]);
+  });
+
+  describe('p2tr', () => {
+    const audit = (htlc, overrides = {}, client = stubClient(htlc.outputScript)) => contractAudit.auditContract({
+      chain: 'bitcoin',
+      tapLeaves: htlc.tapLeaves,
+      internalPubKey: htlc.internalPubKey,
+      fundingTxId: FUNDING_TXID,
+      network,
+      expected: { ...expected, address: htlc.address },
+      ...overrides
+    }, client);
+
+    it('passes a Taproot HTLC rebuilt from the agreed terms', async () => {
+      const htlc = await createHtlc('p2tr');
+      const report = await audit(htlc);
+
+      assert.deepEqual(failedChecks(report), []);
+      assert.equal(report.passed, true);
+      assert.equal(report.contract.scriptType, 'p2tr');
+      assert.equal(report.contract.address, htlc.address);
+      assert.equal(report.contract.timelock, 800000);
+      assert.equal(report.contract.internalPubKey, htlc.internalPubKey);
+      assert.equal(report.funding.value, VALUE);
+    });
+
+    it('fails leaves paying another key', async () => {
+      const stranger = ECPair.fromPrivateKey(Buffer.alloc(32, 0x44), { network });
+      const htlc = await createHtlc('p2tr', { recipientPubKey: stranger.publicKey });
+      const report = await audit(htlc);
+
+      assert.equal(report.passed, false);
+      assert.ok(failedChecks(report).includes('recipient'));
+    });
+
+    it('fails an internal key other than the aggregate of both keys', async () => {
+      // A single party's internal key would let it take the funds through the key path
+      const htlc = await createHtlc('p2tr', { internalPubKey: taproot.toXOnly(refunder.publicKey).toString('hex') });
+      const report = await audit(htlc);
+
+      assert.deepEqual(failedChecks(report), ['internal-key']);
+    });
+
+    it('fails when the funding pays a different output key', async () => {
+      const htlc = await createHtlc('p2tr');
+      const other = await createHtlc('p2tr', { timelock: 800001 });
+      const report = await audit(htlc, {}, stubClient(other.outputScript));
+
+      assert.deepEqual(failedChecks(report), ['amount']);
+    });
+
+    it('fails leaves that are not the standard HTLC scripts', async () => {
+      const htlc = await createHtlc('p2tr');
+      const report = await audit({ ...htlc, tapLeaves: { ...htlc.tapLeaves, refund: htlc.tapLeaves.claim } });
+
+      assert.deepEqual(failedChecks(report), ['script']);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const cooperativeClose = require('../src/core/cooperative-close');
+const bitcoinHtlc = require('../src/core/bitcoin-htlc');
+const feeEstimator = require('../src/core/fee-estimator');
+const {
+  network,
+  recipient,
+  refunder,
+  hashLock,
+  destinationAddress
+} = require('./helpers');
+
+const INPUTS = [
+  { txid: 'ab'.repeat(32), vout: 0, value: 60000 },
+  { txid: 'cd'.repeat(32), vout: 3, value: 40000 }
+];
+
+describe('cooperative close', () => {
+  let htlc;
+  let session;
+
+  before(async () => {
+    htlc = await bitcoinHtlc.createHtlc({
+      hashLock,
+      timelock: 800000,
+      recipientPubKey: recipient.publicKey,
+      refundPubKey: refunder.publicKey,
+      scriptType: 'p2tr',
+      network
+    });
+    session = { htlc, publicKeys: [recipient.publicKey, refunder.publicKey], network };
+  });
+
+  /**
+   * Run both rounds of a close: nonces from both parties, then both partial signatures
+   */
+  function signBoth(psbt) {
+    const nonces = [recipient, refunder].map((keyPair) =>
+      cooperativeClose.createCloseNonces(psbt, { ...session, privateKey: keyPair.toWIF() }));
+    const pubNonces = INPUTS.map((input, inputIndex) => nonces.map((nonce) => nonce.pubNonces[inputIndex]));
+    const partialSigs = [recipient, refunder].map((keyPair, party) => cooperativeClose.signClose(psbt, {
+      ...session,
+      privateKey: keyPair.toWIF(),
+      secNonces: nonces[party].secNonces,
+      pubNonces
+    }));
+
+    return { nonces, pubNonces, partialSigs };
+  }
+
+  const perInput = (partialSigs) => INPUTS.map((input, inputIndex) => partialSigs.map((sigs) => sigs[inputIndex]));
+
+  it('spends every deposit through the key path with one aggregate signature each', async () => {
+    const psbt = cooperativeClose.createClosePsbt(htlc, { inputs: INPUTS, destinationAddress, feeRate: 2, network });
+    const { pubNonces, partialSigs } = signBoth(psbt);
+    const signed = cooperativeClose.aggregateClose(psbt, { ...session, pubNonces, partialSigs: perInput(partialSigs) });
+    const close = await bitcoinHtlc.finalizeHtlcPsbt(signed, network);
+    const tx = bitcoin.Transaction.fromHex(close.txHex);
+    const outputScript = Buffer.from(htlc.outputScript, 'hex');
+    const values = INPUTS.map((input) => input.value);
+
+    assert.equal(close.path, 'keypath');
+    assert.equal(close.txId, cooperativeClose.readClosePsbt(psbt, htlc, network).txId);
+
+    tx.ins.forEach((input, inputIndex) => {
+      const sighash = tx.hashForWitnessV1(inputIndex, values.map(() => outputScript), values, bitcoin.Transaction.SIGHASH_DEFAULT);
+
+      // A key-path witness is the signature alone, checked against the tweaked output key
+      assert.equal(input.witness.length, 1);
+      assert.equal(input.witness[0].length, 64);
+      assert.equal(ecc.verifySchnorr(sighash, outputScript.slice(2), input.witness[0]), true);
+    });
+
+    const vsize = feeEstimator.estimateSpendVsize({
+      path: 'keypath',
+      scriptType: 'p2tr',
+      tapLeaves: htlc.tapLeaves,
+      inputCount: INPUTS.length,
+      outputScript: tx.outs[0].script
+    });
+    assert.equal(vsize, tx.virtualSize());
+    assert.equal(tx.outs[0].value, 100000 - vsize * 2);
+    assert.equal(tx.ins[0].sequence, 0xfffffffd);
+  });
+
+  it('refuses a partial signature from the wrong key or for the wrong nonce', () => {
+    const psbt = cooperativeClose.createClosePsbt(htlc, { inputs: INPUTS, destinationAddress, feeRate: 2, network });
+    const { nonces, pubNonces, partialSigs } = signBoth(psbt);
+    const check = (signerPubKey, sigs) => () => cooperativeClose.verifyCloseSignatures(psbt, {
+      ...session,
+      pubNonces,
+      signerPubKey,
+      signerPubNonces: nonces[1].pubNonces,
+      partialSigs: sigs
+    });
+
+    check(refunder.publicKey, partialSigs[1])();
+    assert.throws(check(recipient.publicKey, partialSigs[1]), /partial signature of input 0 is invalid/);
+    assert.throws(check(refunder.publicKey, [partialSigs[1][0], partialSigs[0][1]]), /partial signature of input 1 is invalid/);
+    assert.throws(() => cooperativeClose.aggregateClose(psbt, {
+      ...session,
+      pubNonces,
+      partialSigs: perInput([partialSigs[0], partialSigs[0]])
+    }), /aggregate signature of input 0 does not verify/);
+  });
+
+  it('never signs twice with the same secret nonce', () => {
+    const psbt = cooperativeClose.createClosePsbt(htlc, { inputs: INPUTS, destinationAddress, feeRate: 2, network });
+    const nonces = cooperativeClose.createCloseNonces(psbt, { ...session, privateKey: recipient.toWIF() });
+    const other = cooperativeClose.createCloseNonces(psbt, { ...session, privateKey: refunder.toWIF() });
+    const params = {
+      ...session,
+      privateKey: recipient.toWIF(),
+      secNonces: nonces.secNonces,
+      pubNonces: INPUTS.map((input, inputIndex) => [nonces.pubNonces[inputIndex], other.pubNonces[inputIndex]])
+    };
+
+    cooperativeClose.signClose(psbt, params);
+    assert.throws(() => cooperativeClose.signClose(psbt, params), /already been used/);
+  });
+
+  it('refuses keys that do not aggregate to the internal key, and PSBTs spending other outputs', async () => {
+    const psbt = cooperativeClose.createClosePsbt(htlc, { inputs: INPUTS, destinationAddress, feeRate: 2, network });
+    const claim = await bitcoinHtlc.createClaimPsbt({
+      ...htlc,
+      inputs: INPUTS,
+      preimage: '11'.repeat(32),
+      destinationAddress,
+      feeRate: 2,
+      network
+    });
+
+    assert.throws(() => cooperativeClose.createCloseNonces(psbt, {
+      ...session,
+      publicKeys: [recipient.publicKey, recipient.publicKey],
+      privateKey: recipient.toWIF()
+    }), /do not aggregate to the HTLC internal key/);
+    assert.throws(() => cooperativeClose.readClosePsbt(claim, htlc, network), /not a key-path spend/);
+    assert.throws(() => cooperativeClose.createClosePsbt({ ...htlc, scriptType: 'p2wsh' }, {
+      inputs: INPUTS, destinationAddress, feeRate: 2, network
+    }), /Only Taproot HTLCs/);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinHtlc = require('../src/core/bitcoin-htlc');
+const swapCoordinator = require('../src/core/swap-coordinator');
+const { RpcError } = require('../src/core/rpc-client');
+const { network, recipient, refunder, hashLock, destinationAddress, assertHtlcSpend } = require('./helpers');
+
+const FUNDING = { txid: 'ab'.repeat(32), vout: 1, value: 100000 };
+const notFound = (method) => new RpcError('No such mempool or blockchain transaction', -5, method);
+
+/**
+ * Stub RPC client; each method can be overridden per test
+ */
+function stubClient(overrides = {}) {
+  const calls = [];
+  const client = {
+    calls,
+    getTransaction: async () => { throw notFound('getrawtransaction'); },
+    call: async (method, ...params) => {
+      calls.push([method, ...params]);
+      return null;
+    },
+    sendRawTransaction: async (txHex) => {
+      calls.push(['sendrawtransaction', txHex]);
+      return bitcoin.Transaction.fromHex(txHex).getId();
+    },
+    ...overrides
+  };
+  return client;
+}
+
+describe('swap spends that left the mempool', () => {
+  let swap;
+
+  before(async () => {
+    const btcHtlc = await bitcoinHtlc.createHtlc({
+      hashLock,
+      timelock: 800000,
+      recipientPubKey: recipient.publicKey,
+      refundPubKey: refunder.publicKey,
+      scriptType: 'p2wsh',
+      network
+    });
+    const refund = await bitcoinHtlc.refundHtlcAfterTimeout({
+      ...btcHtlc,
+      inputs: [FUNDING],
+      fee: 300,
+      privateKey: refunder.toWIF(),
+      refundAddress: destinationAddress,
+      network
+    });
+
+    swap = () => ({
+      id: 'swap-1',
+      status: 'refunded',
+      history: [],
+      btcHtlc,
+      bitcoinNetwork: network,
+      addresses: { participantBtc: destinationAddress },
+      fundingOutputs: { bitcoin: [FUNDING] },
+      bitcoinRefundTxId: refund.txId,
+      spends: {
+        bitcoinRefund: {
+          txId: refund.txId,
+          txHex: refund.txHex,
+          fee: 300,
+          vsize: 150,
+          feeRate: 2,
+          broadcastAt: 0,
+          replacedTxIds: [],
+          cpfpTxIds: []
+        }
+      }
+    });
+  });
+
+  it('counts a spend as confirmed when the node reports confirmations', async () => {
+    const rpc = stubClient({ getTransaction: async () => ({ confirmations: 2 }) });
+
+    assert.equal(await swapCoordinator.isSpendConfirmed(swap(), 'bitcoin', 'refund', rpc), true);
+    assert.deepEqual(rpc.calls, []);
+  });
+
+  it('does not count a spend the node knows but has not mined', async () => {
+    const rpc = stubClient({ getTransaction: async () => ({ confirmations: 0 }) });
+
+    assert.equal(await swapCoordinator.isSpendConfirmed(swap(), 'bitcoin', 'refund', rpc), false);
+  });
+
+  it('falls back to the HTLC outputs in the chain when the node cannot find the spend', async () => {
+    const spent = stubClient();
+    const unspent = stubClient({ call: async () => ({ value: 0.001 }) });
+
+    assert.equal(await swapCoordinator.isSpendConfirmed(swap(), 'bitcoin', 'refund', spent), true);
+    assert.deepEqual(spent.calls, [['gettxout', FUNDING.txid, FUNDING.vout, false]]);
+    assert.equal(await swapCoordinator.isSpendConfirmed(swap(), 'bitcoin', 'refund', unspent), false);
+  });
+
+  it('broadcasts the recorded transaction again', async () => {
+    const record = swap();
+    const rpc = stubClient();
+    const result = await swapCoordinator.rebroadcastSwapSpend(record, { chain: 'bitcoin', path: 'refund' }, rpc);
+
+    assert.deepEqual(result, { txId: record.bitcoinRefundTxId, rebuilt: false, replacedTxId: null });
+    assert.deepEqual(rpc.calls, [['sendrawtransaction', record.spends.bitcoinRefund.txHex]]);
+    assert.ok(record.spends.bitcoinRefund.broadcastAt > 0);
+  });
+
+  it('rebuilds the spend at the given fee rate when the node refuses the recorded one', async () => {
+    const record = swap();
+    const previousTxId = record.bitcoinRefundTxId;
+    const rpc = stubClient({
+      sendRawTransaction: async (txHex) => {
+        if (txHex === record.spends.bitcoinRefund.txHex) {
+          throw new RpcError('mempool min fee not met', -26, 'sendrawtransaction');
+        }
+        rpc.calls.push(['sendrawtransaction', txHex]);
+        return bitcoin.Transaction.fromHex(txHex).getId();
+      }
+    });
+
+    const result = await swapCoordinator.rebroadcastSwapSpend(record, {
+      chain: 'bitcoin',
+      path: 'refund',
+      privateKey: refunder.toWIF(),
+      feeRate: 10
+    }, rpc);
+    const tx = bitcoin.Transaction.fromHex(rpc.calls[0][1]);
+
+    assert.equal(result.rebuilt, true);
+    assert.equal(result.replacedTxId, previousTxId);
+    assert.equal(record.bitcoinRefundTxId, result.txId);
+    assert.deepEqual(record.spends.bitcoinRefund.replacedTxIds, [previousTxId]);
+    assert.ok(record.spends.bitcoinRefund.feeRate >= 10);
+    assertHtlcSpend(tx, record.btcHtlc, { path: 'refund', values: [FUNDING.value], publicKey: refunder.publicKey });
+  });
+
+  it('needs the key to rebuild a spend the node refuses', async () => {
+    const rpc = stubClient({ sendRawTransaction: async () => { throw new RpcError('rejected', -26, 'sendrawtransaction'); } });
+
+    await assert.rejects(swapCoordinator.rebroadcastSwapSpend(swap(), { chain: 'bitcoin', path: 'refund' }, rpc),
+      /needs its key to be rebuilt/);
+  });
+});
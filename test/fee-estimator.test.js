@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const feeEstimator = require('../src/core/fee-estimator');
+const bitcoinHtlc = require('../src/core/bitcoin-htlc');
+const { RpcError } = require('../src/core/rpc-client');
+const {
+  network,
+  recipient,
+  refunder,
+  preimage,
+  hashLock,
+  destinationAddress
+} = require('./helpers');
+
+const VALUE = 100000;
+
+/**
+ * Stub node answering estimatesmartfee, recording the targets it was asked for
+ * @param {Function} answer - (target) => estimatesmartfee result, or throws
+ */
+function feeNode(answer) {
+  const targets = [];
+
+  return {
+    targets,
+    call: async (method, target) => {
+      targets.push(target);
+      return answer(target);
+    }
+  };
+}
+
+describe('fee-estimator', () => {
+  describe('getFeeSettings', () => {
+    it('keeps a configured 0 and fills in only missing settings', () => {
+      const settings = feeEstimator.getFeeSettings({
+        bitcoin: { feeTarget: 2, minFeeRate: 0, maxFeeRate: null },
+        marscoin: {}
+      });
+
+      assert.deepEqual(settings.bitcoin, { feeTarget: 2, minFeeRate: 0, maxFeeRate: 200 });
+      assert.deepEqual(settings.marscoin, feeEstimator.DEFAULT_SETTINGS.marscoin);
+    });
+  });
+
+  describe('estimateFeeRate', () => {
+    const settings = { feeTarget: 3, minFeeRate: 2, maxFeeRate: 50 };
+
+    it('converts the node estimate from coins per kvB to sat/vB, asking for the configured target', async () => {
+      const node = feeNode(() => ({ feerate: 0.00012345, blocks: 3 }));
+
+      assert.equal(await feeEstimator.estimateFeeRate(node, settings), 12.345);
+      assert.deepEqual(node.targets, [3]);
+    });
+
+    it('clamps the estimate to the floor and ceiling', async () => {
+      assert.equal(await feeEstimator.estimateFeeRate(feeNode(() => ({ feerate: 0.00001 })), settings), 2);
+      assert.equal(await feeEstimator.estimateFeeRate(feeNode(() => ({ feerate: 0.01 })), settings), 50);
+      // The chain's defaults fill in what is not configured
+      assert.equal(await feeEstimator.estimateFeeRate(feeNode(() => ({ feerate: 0.01 })), {}, 'marscoin'), 100);
+    });
+
+    it('falls back to the floor without an estimate, and passes other failures on', async () => {
+      const noData = feeNode(() => ({ errors: ['Insufficient data or no feerate found'], blocks: 0 }));
+      const noMethod = feeNode(() => { throw new RpcError('Method not found', -32601, 'estimatesmartfee'); });
+      const broken = feeNode(() => { throw new TypeError('boom'); });
+
+      assert.equal(await feeEstimator.estimateFeeRate(noData, settings), 2);
+      assert.equal(await feeEstimator.estimateFeeRate(noMethod, settings), 2);
+      await assert.rejects(feeEstimator.estimateFeeRate(broken, settings), /boom/);
+    });
+  });
+
+  describe('estimateSpendVsize', () => {
+    /**
+     * Claim or refund an HTLC of a type, paying the fee for its estimated size at 1 sat/vB
+     */
+    async function spendAtOneSatPerVbyte(scriptType, path) {
+      const htlc = await bitcoinHtlc.createHtlc({
+        hashLock,
+        timelock: 800000,
+        recipientPubKey: recipient.publicKey.toString('hex'),
+        refundPubKey: refunder.publicKey.toString('hex'),
+        scriptType,
+        network
+      });
+      const spendParams = { ...htlc, htlcTxId: 'ab'.repeat(32), htlcVout: 0, amount: VALUE, feeRate: 1, network };
+      const spend = path === 'claim'
+        ? await bitcoinHtlc.claimHtlcWithPreimage({
+          ...spendParams,
+          preimage: preimage.toString('hex'),
+          privateKey: recipient.toWIF(),
+          destinationAddress
+        })
+        : await bitcoinHtlc.refundHtlcAfterTimeout({ ...spendParams, privateKey: refunder.toWIF(), refundAddress: destinationAddress });
+
+      return { fee: spend.fee, vsize: bitcoin.Transaction.fromHex(spend.txHex).virtualSize() };
+    }
+
+    for (const scriptType of ['p2sh', 'p2wsh', 'p2sh-p2wsh', 'p2tr']) {
+      for (const path of ['claim', 'refund']) {
+        it(`sizes a ${scriptType} ${path} no smaller than it turns out, and at most a signature's slack larger`, async () => {
+          const { fee, vsize } = await spendAtOneSatPerVbyte(scriptType, path);
+
+          // Signatures are sized at their largest: 73 bytes for ECDSA, where most are 71 or 72
+          assert.ok(fee >= vsize && fee <= vsize + 2, `estimated ${fee} vbytes, actual ${vsize}`);
+        });
+      }
+    }
+
+    it('sizes each further input at the same cost, to the vbyte', () => {
+      const redeemScript = Buffer.alloc(97);
+      const outputScript = bitcoin.address.toOutputScript(destinationAddress, network);
+      const size = (inputCount) => feeEstimator.estimateSpendVsize({
+        path: 'claim', scriptType: 'p2wsh', redeemScript, inputCount, outputScript
+      });
+
+      // Witness bytes weigh a quarter, so the total is rounded up to whole vbytes
+      assert.ok(Math.abs((size(3) - size(2)) - (size(2) - size(1))) <= 1);
+      assert.ok(size(2) - size(1) > 100);
+      assert.throws(() => feeEstimator.estimateSpendVsize({ path: 'claim', scriptType: 'p2tr', outputScript }),
+        /tapLeaves are required/);
+    });
+  });
+
+  describe('dust', () => {
+    it('follows Bitcoin Core\'s thresholds at the dust relay fee', () => {
+      const p2wpkh = bitcoin.address.toOutputScript(destinationAddress, network);
+      const p2pkh = bitcoin.payments.p2pkh({ pubkey: recipient.publicKey, network }).output;
+
+      assert.equal(feeEstimator.getDustThreshold(p2wpkh), 294);
+      assert.equal(feeEstimator.getDustThreshold(p2pkh), 546);
+    });
+
+    it('refuses a spend whose fee leaves less than the threshold', async () => {
+      const htlc = await bitcoinHtlc.createHtlc({
+        hashLock,
+        timelock: 800000,
+        recipientPubKey: recipient.publicKey.toString('hex'),
+        refundPubKey: refunder.publicKey.toString('hex'),
+        scriptType: 'p2wsh',
+        network
+      });
+      const claim = (amount) => bitcoinHtlc.claimHtlcWithPreimage({
+        ...htlc,
+        htlcTxId: 'ab'.repeat(32),
+        htlcVout: 0,
+        amount,
+        feeRate: 10,
+        preimage: preimage.toString('hex'),
+        privateKey: recipient.toWIF(),
+        destinationAddress,
+        network
+      });
+      const { fee } = await claim(VALUE);
+
+      await assert.rejects(claim(fee + 293), /Output of 293 satoshis after fees is below the dust threshold of 294/);
+      assert.equal(bitcoin.Transaction.fromHex((await claim(fee + 294)).txHex).outs[0].value, 294);
+    });
+  });
+});
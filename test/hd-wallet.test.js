@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const bitcoin = require('bitcoinjs-lib');
+const marscoin = require('../src/core/marscoin-lib-wrapper');
+const hdWallet = require('../src/core/hd-wallet');
+const { createKeystore } = require('../src/core/keystore');
+const { createSwapRepository } = require('../src/core/swap-repository');
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const SEED_NAME = 'main';
+
+describe('hd-wallet', () => {
+  let directory;
+  let keystore;
+  let repository;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hd-wallet-'));
+    keystore = createKeystore({ directory: path.join(directory, 'keystore'), scryptCost: 1024, unlockTimeout: 0 });
+    repository = createSwapRepository({ directory: path.join(directory, 'swaps') });
+    await keystore.create('passphrase');
+    hdWallet.createWallet(keystore, { seedName: SEED_NAME, mnemonic: MNEMONIC });
+  });
+
+  afterEach(() => {
+    keystore.lock();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const derive = (party = 'initiator', bitcoinNetwork = bitcoin.networks.testnet) => hdWallet.deriveSwapKeys(
+    keystore, repository, { party, seedName: SEED_NAME, bitcoinNetwork, marscoinNetwork: marscoin.getNetwork('testnet') });
+
+  it('derives BIP84 claim keys', async () => {
+    const derived = await derive('initiator', bitcoin.networks.bitcoin);
+
+    // First receive address of the BIP84 test vector
+    assert.equal(derived.addresses.initiatorBtc, 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu');
+    assert.deepEqual(derived.derivation, { seed: SEED_NAME, account: 0, index: 0, roles: ['initiatorBtc', 'initiatorMarscoin'] });
+    assert.equal(hdWallet.getDerivationPath('initiatorMarscoin', derived.derivation, marscoin.getNetwork('testnet')),
+      "m/44'/107'/0'/1/0");
+  });
+
+  it('gives swaps started at once different indexes, before any is stored', async () => {
+    const derived = await Promise.all(Array.from({ length: 5 }, () => derive()));
+    const indexes = derived.map((keys) => keys.derivation.index).sort((a, b) => a - b);
+
+    assert.deepEqual(indexes, [0, 1, 2, 3, 4]);
+    assert.equal(new Set(derived.map((keys) => keys.pubKeys.initiatorBtc)).size, 5);
+  });
+
+  it('does not hand out an index again when its swap was never stored', async () => {
+    assert.equal((await derive()).derivation.index, 0);
+    assert.equal((await derive('participant')).derivation.index, 1);
+  });
+
+  it('continues after the indexes of swaps on record when the counter is missing', async () => {
+    await repository.createSwap({
+      id: 'restored',
+      status: 'initialized',
+      history: [],
+      derivation: { seed: SEED_NAME, account: 0, index: 7, roles: ['initiatorBtc', 'initiatorMarscoin'] }
+    });
+
+    assert.equal((await derive()).derivation.index, 8);
+  });
+
+  it('reserves different indexes across processes', async () => {
+    const script = `
+      const hdWallet = require(${JSON.stringify(require.resolve('../src/core/hd-wallet'))});
+      const { createSwapRepository } = require(${JSON.stringify(require.resolve('../src/core/swap-repository'))});
+      const repository = createSwapRepository({ directory: process.argv[2] });
+      (async () => {
+        const indexes = [];
+        for (let i = 0; i < 10; i++) {
+          indexes.push(await hdWallet.reserveSwapIndex({ directory: process.argv[1] }, repository, 'main', 0));
+        }
+        console.log(JSON.stringify(indexes));
+      })();
+    `;
+    const args = ['-e', script, keystore.directory, repository.directory];
+    const runs = await Promise.all([1, 2].map(() => promisify(execFile)(process.execPath, args, { timeout: 30000 })));
+    const indexes = runs.flatMap(({ stdout }) => JSON.parse(stdout)).sort((a, b) => a - b);
+
+    assert.deepEqual(indexes, Array.from({ length: 20 }, (_, index) => index));
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Shared test fixtures: fixed HTLC keys and a check that a claim or refund input really
+ * satisfies the HTLC it spends
+ */
+
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+const taproot = require('../src/core/taproot');
+
+const ECPair = ECPairFactory(ecc);
+const network = bitcoin.networks.testnet;
+
+const recipient = ECPair.fromPrivateKey(Buffer.alloc(32, 0x11), { network });
+const refunder = ECPair.fromPrivateKey(Buffer.alloc(32, 0x22), { network });
+const preimage = Buffer.alloc(32, 0x33);
+const hashLock = bitcoin.crypto.sha256(preimage);
+const destinationAddress = bitcoin.payments.p2wpkh({ pubkey: recipient.publicKey, network }).address;
+
+/**
+ * Build a funding transaction paying value to an HTLC output
+ * @param {Object} htlc - HTLC details from createHtlc
+ * @param {number} value - Value in satoshis
+ * @returns {Object} Funding transaction
+ */
+function createFundingTx(htlc, value) {
+  const tx = new bitcoin.Transaction();
+  tx.addInput(Buffer.alloc(32, 0xee), 0);
+  tx.addOutput(Buffer.from(htlc.outputScript, 'hex'), value);
+  return tx;
+}
+
+/**
+ * Check that an input spends an HTLC through the given branch with a valid signature from the given key
+ * @param {Object} tx - Spending transaction
+ * @param {Object} htlc - HTLC details from createHtlc
+ * @param {Object} params
+ * @param {number} [params.inputIndex=0] - Index of the HTLC input
+ * @param {string} params.path - 'claim' or 'refund'
+ * @param {number[]} params.values - Values in satoshis of every input of the transaction
+ * @param {Buffer} params.publicKey - Public key expected to have signed
+ */
+function assertHtlcSpend(tx, htlc, { inputIndex = 0, path, values, publicKey }) {
+  const input = tx.ins[inputIndex];
+  const value = values[inputIndex];
+  const isClaim = path === 'claim';
+
+  if (htlc.scriptType === 'p2tr') {
+    const leaf = Buffer.from(htlc.tapLeaves[path], 'hex');
+    const controlBlock = input.witness[input.witness.length - 1];
+    const outputScript = Buffer.from(htlc.outputScript, 'hex');
+
+    assert.equal(input.witness.length, isClaim ? 4 : 3);
+    assert.deepEqual(input.witness[input.witness.length - 2], leaf);
+    assert.equal(controlBlock[0] & 0xfe, taproot.LEAF_VERSION);
+    assert.equal(controlBlock.slice(1, 33).toString('hex'), htlc.internalPubKey);
+    if (isClaim) {
+      assert.deepEqual(input.witness[1], preimage);
+    }
+
+    const signatureHash = tx.hashForWitnessV1(inputIndex, values.map(() => outputScript), values,
+      bitcoin.Transaction.SIGHASH_DEFAULT, taproot.tapleafHash(leaf));
+    assert.ok(ecc.verifySchnorr(signatureHash, taproot.toXOnly(publicKey), input.witness[0]));
+    return;
+  }
+
+  const redeemScript = Buffer.from(htlc.redeemScript, 'hex');
+  const items = htlc.scriptType === 'p2sh' ? bitcoin.script.decompile(input.script) : input.witness;
+  const [encodedSignature, signingKey] = items;
+  const branch = htlc.scriptType === 'p2sh'
+    ? (isClaim ? [preimage, bitcoin.opcodes.OP_TRUE] : [bitcoin.opcodes.OP_FALSE])
+    : (isClaim ? [preimage, Buffer.from([0x01])] : [Buffer.alloc(0)]);
+
+  assert.deepEqual(items.slice(2), [...branch, redeemScript]);
+  assert.deepEqual(signingKey, publicKey);
+
+  if (htlc.scriptType === 'p2sh-p2wsh') {
+    const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: redeemScript, network }, network });
+    assert.deepEqual(bitcoin.script.decompile(input.script), [p2wsh.output]);
+  } else if (htlc.scriptType === 'p2wsh') {
+    assert.equal(input.script.length, 0);
+  }
+
+  const { signature, hashType } = bitcoin.script.signature.decode(encodedSignature);
+  const signatureHash = htlc.scriptType === 'p2sh'
+    ? tx.hashForSignature(inputIndex, redeemScript, hashType)
+    : tx.hashForWitnessV0(inputIndex, redeemScript, value, hashType);
+
+  assert.equal(hashType, bitcoin.Transaction.SIGHASH_ALL);
+  assert.ok(ecc.verify(signatureHash, publicKey, signature));
+}
+
+module.exports = {
+  ECPair,
+  network,
+  recipient,
+  refunder,
+  preimage,
+  hashLock,
+  destinationAddress,
+  createFundingTx,
+  assertHtlcSpend
+};
@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinHtlc = require('../src/core/bitcoin-htlc');
+const htlcScript = require('../src/core/htlc-script');
+const {
+  network,
+  recipient,
+  refunder,
+  preimage,
+  hashLock,
+  destinationAddress,
+  createFundingTx,
+  assertHtlcSpend
+} = require('./helpers');
+
+const SCRIPT_TYPES = ['p2sh', 'p2wsh', 'p2sh-p2wsh', 'p2tr'];
+const VALUE = 100000;
+const FEE = 1000;
+
+/**
+ * Create an HTLC and a transaction funding it
+ */
+async function fundHtlc(scriptType, timelockType, timelock) {
+  const htlc = await bitcoinHtlc.createHtlc({
+    hashLock,
+    timelock,
+    timelockType,
+    recipientPubKey: recipient.publicKey,
+    refundPubKey: refunder.publicKey,
+    scriptType,
+    network
+  });
+  const fundingTx = createFundingTx(htlc, VALUE);
+
+  return {
+    htlc,
+    spend: {
+      ...htlc,
+      htlcTxId: fundingTx.getId(),
+      htlcVout: 0,
+      amount: VALUE,
+      fundingTxHex: fundingTx.toHex(),
+      fee: FEE,
+      network
+    }
+  };
+}
+
+/**
+ * Sign every input of a PSBT with a key, as an external signer would
+ */
+function signPsbt(psbtBase64, keyPair) {
+  const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+  psbt.signAllInputs(keyPair);
+  return psbt.toBase64();
+}
+
+describe('htlc-psbt', () => {
+  for (const scriptType of SCRIPT_TYPES) {
+    describe(scriptType, () => {
+      it('finalizes a signed claim PSBT into a claim revealing the preimage', async () => {
+        const { htlc, spend } = await fundHtlc(scriptType, 'cltv', 800000);
+        const psbt = await bitcoinHtlc.createClaimPsbt({ ...spend, preimage: preimage.toString('hex'), destinationAddress });
+        const result = await bitcoinHtlc.finalizeHtlcPsbt(signPsbt(psbt, recipient), network);
+        const tx = bitcoin.Transaction.fromHex(result.txHex);
+
+        assert.equal(result.path, 'claim');
+        assert.equal(result.txId, tx.getId());
+        assert.equal(tx.outs[0].value, VALUE - FEE);
+        assertHtlcSpend(tx, htlc, { path: 'claim', values: [VALUE], publicKey: recipient.publicKey });
+        assert.equal(bitcoinHtlc.extractPreimageFromTransaction(result.txHex, hashLock), preimage.toString('hex'));
+      });
+
+      it('finalizes a signed refund PSBT with the absolute timelock', async () => {
+        const { htlc, spend } = await fundHtlc(scriptType, 'cltv', 800000);
+        const psbt = await bitcoinHtlc.createRefundPsbt({ ...spend, refundAddress: destinationAddress });
+        const result = await bitcoinHtlc.finalizeHtlcPsbt(signPsbt(psbt, refunder), network);
+        const tx = bitcoin.Transaction.fromHex(result.txHex);
+
+        assert.equal(result.path, 'refund');
+        assert.equal(tx.locktime, 800000);
+        assert.equal(tx.ins[0].sequence, htlcScript.SEQUENCE_REPLACEABLE);
+        assertHtlcSpend(tx, htlc, { path: 'refund', values: [VALUE], publicKey: refunder.publicKey });
+      });
+
+      it('finalizes a signed refund PSBT with the relative timelock', async () => {
+        const sequence = htlcScript.encodeRelativeTimelock({ blocks: 144 });
+        const { htlc, spend } = await fundHtlc(scriptType, 'csv', sequence);
+        const psbt = await bitcoinHtlc.createRefundPsbt({ ...spend, refundAddress: destinationAddress });
+        const result = await bitcoinHtlc.finalizeHtlcPsbt(signPsbt(psbt, refunder), network);
+        const tx = bitcoin.Transaction.fromHex(result.txHex);
+
+        assert.equal(tx.version, 2);
+        assert.equal(tx.ins[0].sequence, sequence);
+        assertHtlcSpend(tx, htlc, { path: 'refund', values: [VALUE], publicKey: refunder.publicKey });
+      });
+    });
+  }
+
+  it('claims several HTLC outputs in one PSBT', async () => {
+    const { htlc, spend } = await fundHtlc('p2tr', 'cltv', 800000);
+    const inputs = [
+      { txid: spend.htlcTxId, vout: 0, value: VALUE },
+      { txid: 'cd'.repeat(32), vout: 3, value: 50000 }
+    ];
+    const psbt = await bitcoinHtlc.createClaimPsbt({ ...spend, inputs, preimage: preimage.toString('hex'), destinationAddress });
+    const tx = bitcoin.Transaction.fromHex((await bitcoinHtlc.finalizeHtlcPsbt(signPsbt(psbt, recipient), network)).txHex);
+
+    assert.equal(tx.ins.length, 2);
+    assert.equal(tx.outs[0].value, VALUE + 50000 - FEE);
+    inputs.forEach((input, inputIndex) => {
+      assertHtlcSpend(tx, htlc, { inputIndex, path: 'claim', values: [VALUE, 50000], publicKey: recipient.publicKey });
+    });
+  });
+
+  it('refuses to finalize an unsigned PSBT', async () => {
+    const { spend } = await fundHtlc('p2wsh', 'cltv', 800000);
+    const psbt = await bitcoinHtlc.createRefundPsbt({ ...spend, refundAddress: destinationAddress });
+
+    await assert.rejects(bitcoinHtlc.finalizeHtlcPsbt(psbt, network), /has not been signed/);
+  });
+
+  it('refuses a claim PSBT without a preimage', async () => {
+    const { spend } = await fundHtlc('p2wsh', 'cltv', 800000);
+
+    await assert.rejects(bitcoinHtlc.createClaimPsbt({ ...spend, destinationAddress }), /preimage is required/);
+  });
+
+  it('serializes witness stacks with CompactSize prefixes', () => {
+    const long = Buffer.alloc(300, 0xaa);
+    const serialized = htlcScript.serializeWitness([Buffer.alloc(0), Buffer.from([0x01]), long]);
+
+    assert.equal(serialized.toString('hex', 0, 6), '03000101fd2c');
+    assert.equal(serialized.length, 1 + 1 + 2 + 3 + 300);
+    assert.equal(htlcScript.encodeCompactSize(0x10000).toString('hex'), 'fe00000100');
+  });
+});
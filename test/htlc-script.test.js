@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const htlcScript = require('../src/core/htlc-script');
+
+describe('htlc-script relative timelocks', () => {
+  it('encodes block counts as the BIP68 value with the type flag clear', () => {
+    assert.equal(htlcScript.encodeRelativeTimelock({ blocks: 1 }), 1);
+    assert.equal(htlcScript.encodeRelativeTimelock({ blocks: 144 }), 144);
+    assert.equal(htlcScript.encodeRelativeTimelock({ blocks: 0xffff }), 0xffff);
+  });
+
+  it('encodes seconds in 512-second units with the type flag set, rounding up', () => {
+    assert.equal(htlcScript.encodeRelativeTimelock({ seconds: 512 }), 0x00400001);
+    assert.equal(htlcScript.encodeRelativeTimelock({ seconds: 513 }), 0x00400002);
+    assert.equal(htlcScript.encodeRelativeTimelock({ seconds: 86400 }), 0x00400000 | 169);
+  });
+
+  it('refuses values BIP68 cannot express', () => {
+    assert.throws(() => htlcScript.encodeRelativeTimelock({ blocks: 0 }), /out of range/);
+    assert.throws(() => htlcScript.encodeRelativeTimelock({ blocks: 0x10000 }), /out of range/);
+    assert.throws(() => htlcScript.encodeRelativeTimelock({ blocks: 1.5 }), /out of range/);
+    assert.throws(() => htlcScript.encodeRelativeTimelock({ seconds: 512 * 0x10000 + 1 }), /out of range/);
+    assert.throws(() => htlcScript.encodeRelativeTimelock({ blocks: 1, seconds: 512 }), /not both/);
+  });
+
+  it('decodes sequence numbers back into blocks or seconds', () => {
+    assert.deepEqual(htlcScript.decodeRelativeTimelock(144), { blocks: 144 });
+    assert.deepEqual(htlcScript.decodeRelativeTimelock(0x00400000 | 169), { seconds: 169 * 512 });
+    // Bits outside the type flag and the value are ignored
+    assert.deepEqual(htlcScript.decodeRelativeTimelock(0x80000000 | 10), { blocks: 10 });
+  });
+
+  it('puts the timelock under OP_CHECKSEQUENCEVERIFY and decodes it back out', () => {
+    for (const timelock of [1, 16, 17, 144, 0x00400000 | 169]) {
+      const ops = htlcScript.timelockOps(bitcoin, 'csv', timelock);
+
+      assert.equal(ops[1], bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY);
+      assert.equal(bitcoin.script.number.decode(ops[0]), timelock);
+    }
+
+    assert.equal(htlcScript.timelockOps(bitcoin, 'cltv', 800000)[1], bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY);
+    assert.throws(() => htlcScript.timelockOps(bitcoin, 'nsequence', 1), /Unsupported HTLC timelock type/);
+  });
+});
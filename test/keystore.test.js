@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keystoreModule = require('../src/core/keystore');
+const { createSwapRepository } = require('../src/core/swap-repository');
+
+// A low scrypt cost keeps the tests fast; the format does not depend on it
+const SCRYPT_COST = 1024;
+const PREIMAGE = '33'.repeat(32);
+
+describe('keystore', () => {
+  let directory;
+  let keystore;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    keystore = keystoreModule.createKeystore({ directory, scryptCost: SCRYPT_COST, unlockTimeout: 0 });
+    await keystore.create('correct horse');
+  });
+
+  afterEach(() => {
+    keystore.lock();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const secretFile = (name) => path.join(directory, 'secrets', `${name}.json`);
+
+  it('encrypts secrets at rest and reads them back', () => {
+    keystore.setSecret('swap.abc.preimage', PREIMAGE);
+
+    const header = JSON.parse(fs.readFileSync(path.join(directory, 'keystore.json'), 'utf8'));
+    const stored = fs.readFileSync(secretFile('swap.abc.preimage'), 'utf8');
+
+    assert.equal(header.cipher, 'aes-256-gcm');
+    assert.deepEqual([header.kdf.name, header.kdf.N, header.kdf.r, header.kdf.p], ['scrypt', SCRYPT_COST, 8, 1]);
+    assert.ok(!stored.includes(PREIMAGE));
+    assert.equal(keystore.getSecret('swap.abc.preimage'), PREIMAGE);
+    assert.equal(keystore.getSecret('swap.missing.preimage'), null);
+  });
+
+  it('uses a fresh IV for every write', () => {
+    keystore.setSecret('a', 'same value');
+    keystore.setSecret('b', 'same value');
+
+    const [a, b] = ['a', 'b'].map((name) => JSON.parse(fs.readFileSync(secretFile(name), 'utf8')));
+    assert.notEqual(a.iv, b.iv);
+    assert.notEqual(a.data + a.tag, b.data + b.tag);
+  });
+
+  it('unlocks only with the right passphrase', async () => {
+    keystore.setSecret('seed.main', 'seed words');
+    keystore.lock();
+
+    await assert.rejects(keystore.unlock('wrong horse'), /Wrong keystore passphrase/);
+    assert.equal(keystore.isUnlocked(), false);
+
+    await keystore.unlock('correct horse');
+    assert.equal(keystore.getSecret('seed.main'), 'seed words');
+  });
+
+  it('refuses to read or write secrets while locked, but lists them', () => {
+    keystore.setSecret('key.initiatorBtc', 'wif');
+    keystore.lock();
+
+    assert.throws(() => keystore.getSecret('key.initiatorBtc'), /locked/);
+    assert.throws(() => keystore.setSecret('key.initiatorBtc', 'other'), /locked/);
+    assert.deepEqual(keystore.listSecrets(), ['key.initiatorBtc']);
+    assert.equal(keystore.hasSecret('key.initiatorBtc'), true);
+  });
+
+  it('detects tampered ciphertexts and secrets moved to another name', () => {
+    keystore.setSecret('swap.one.preimage', PREIMAGE);
+
+    const entry = JSON.parse(fs.readFileSync(secretFile('swap.one.preimage'), 'utf8'));
+    const flipped = (entry.data[0] === '0' ? '1' : '0') + entry.data.slice(1);
+    fs.writeFileSync(secretFile('swap.two.preimage'), JSON.stringify(entry));
+    fs.writeFileSync(secretFile('swap.one.preimage'), JSON.stringify({ ...entry, data: flipped }));
+
+    assert.throws(() => keystore.getSecret('swap.one.preimage'), /tampered with/);
+    // The name is authenticated data, so a copy under another swap's name does not decrypt
+    assert.throws(() => keystore.getSecret('swap.two.preimage'), /tampered with/);
+  });
+
+  it('changes the passphrase without rewriting the secrets', async () => {
+    keystore.setSecret('seed.main', 'seed words');
+    const before = fs.readFileSync(secretFile('seed.main'), 'utf8');
+
+    await keystore.changePassphrase('correct horse', 'battery staple');
+    keystore.lock();
+
+    await assert.rejects(keystore.unlock('correct horse'), /Wrong keystore passphrase/);
+    await keystore.unlock('battery staple');
+    assert.equal(keystore.getSecret('seed.main'), 'seed words');
+    assert.equal(fs.readFileSync(secretFile('seed.main'), 'utf8'), before);
+  });
+
+  it('locks itself when the unlock times out', async () => {
+    keystore.lock();
+    await keystore.unlock('correct horse', { timeout: 1 });
+
+    assert.ok(keystore.getStatus().expiresAt > 0);
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    assert.equal(keystore.isUnlocked(), false);
+  });
+
+  it('refuses secret names that could leave the secrets directory', () => {
+    for (const name of ['../keystore', 'a/b', '.hidden', 'a..b', '']) {
+      assert.throws(() => keystore.setSecret(name, 'x'), /Invalid secret name/);
+    }
+    assert.throws(() => keystoreModule.keySecretName('attacker'), /Unknown key role/);
+  });
+
+  it('moves plaintext preimages out of swap records', async () => {
+    const repository = createSwapRepository({ directory: path.join(directory, 'swaps') });
+    await repository.createSwap({ id: 'legacy', status: 'initialized', history: [], preimage: PREIMAGE });
+
+    assert.equal(await keystoreModule.sealSwapPreimages(repository, keystore), 1);
+    assert.equal(repository.getSwap('legacy').preimage, undefined);
+    assert.equal(keystoreModule.getSwapPreimage(keystore, { id: 'legacy' }), PREIMAGE);
+  });
+});
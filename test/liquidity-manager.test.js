@@ -0,0 +1,246 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLiquidityManager, LiquidityError } = require('../src/core/liquidity-manager');
+const { RpcTransportError } = require('../src/core/rpc-client');
+const marscoin = require('../src/core/marscoin-lib-wrapper');
+
+const HEIGHT = 800000;
+const MEDIAN_TIME = 1700000000;
+const MRS = (amount) => marscoin.toSatoshis(amount);
+
+/**
+ * Swap record as the repository lists it; an initiator's MarsCoin leg is the one the provider funds
+ */
+function swapOf(id, fields = {}) {
+  return {
+    id,
+    role: 'initiator',
+    status: 'initialized',
+    amounts: { btc: 100000, marscoin: 6 },
+    timelockType: 'cltv',
+    timeouts: { bitcoin: HEIGHT + 144, marscoin: HEIGHT + 1440 },
+    ...fields
+  };
+}
+
+/**
+ * Stub node with a wallet balance, in coins
+ */
+function nodeClient(balance) {
+  return {
+    getBalance: async () => balance,
+    getBlockchainInfo: async () => ({ blocks: HEIGHT, mediantime: MEDIAN_TIME })
+  };
+}
+
+describe('liquidity-manager', () => {
+  let directory;
+  let swaps;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'liquidity-'));
+    swaps = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const manager = (options = {}) => createLiquidityManager({
+    directory,
+    repository: { listSwaps: () => swaps, withSwapLock: async (id, fn) => fn() },
+    btcClient: nodeClient(1),
+    marscoinClient: nodeClient(100),
+    ...options
+  });
+
+  /**
+   * A start function that records the requests it is given and makes a swap of each
+   */
+  function starter() {
+    const started = [];
+    const start = async (request) => {
+      started.push(request);
+      return { id: `swap-${started.length}` };
+    };
+
+    return { started, start };
+  }
+
+  const counts = ({ requests, ...rest }) => rest;
+
+  const admit = (liquidity, name, value, start, expiresAt) => liquidity.admitSwap({
+    chain: 'marscoin',
+    value: MRS(value),
+    request: { name },
+    expiresAt
+  }, () => start({ name }));
+
+  it('refuses or queues a swap over a limit, as configured', async () => {
+    swaps.push(swapOf('open'));
+    const limits = { maxOpenSwaps: 1 };
+    const { started, start } = starter();
+
+    await assert.rejects(admit(manager({ limits }), 'refused', 1, start), (error) => {
+      assert.ok(error instanceof LiquidityError);
+      assert.deepEqual(error.violations.map((violation) => violation.limit), ['maxOpenSwaps']);
+      return true;
+    });
+    assert.deepEqual(manager().listQueue(), []);
+
+    const { queued } = await admit(manager({ limits, overLimit: 'queue' }), 'queued', 1, start);
+
+    assert.equal(queued.status, 'queued');
+    assert.deepEqual(queued.request, { name: 'queued' });
+    assert.deepEqual(manager().listQueue().map((entry) => entry.id), [queued.id]);
+    assert.deepEqual(started, []);
+  });
+
+  it('refuses a swap that alone exceeds a limit, even when queueing', async () => {
+    const liquidity = manager({ limits: { maxLocked: { marscoin: MRS(10) } }, overLimit: 'queue' });
+    const { start } = starter();
+
+    await assert.rejects(admit(liquidity, 'too-big', 11, start), (error) => {
+      assert.deepEqual(error.violations, [{
+        limit: 'maxLocked',
+        message: '11 MRS on top of the 0 MRS reserved or locked exceeds the marscoin limit of 10 MRS',
+        permanent: true
+      }]);
+      return true;
+    });
+    assert.deepEqual(liquidity.listQueue(), []);
+  });
+
+  it('starts queued requests in order, a request that does not fit holding back later ones', async () => {
+    swaps.push(swapOf('open'));
+    const liquidity = manager({ limits: { maxLocked: { marscoin: MRS(10) } }, overLimit: 'queue' });
+    const { started, start } = starter();
+
+    // 6 MRS are reserved: the first request waits for capital, the second for the first
+    const { queued: first } = await admit(liquidity, 'first', 5, start);
+    const { queued: second } = await admit(liquidity, 'second', 1, start);
+
+    assert.deepEqual(first.violations.map((violation) => violation.limit), ['maxLocked']);
+    assert.deepEqual(second.violations.map((violation) => violation.limit), ['queue']);
+
+    assert.deepEqual(counts(await liquidity.processQueue(start)), { started: 0, expired: 0, failed: 0, waiting: 2 });
+    assert.deepEqual(started, []);
+
+    swaps[0].status = 'claimed';
+
+    assert.deepEqual(counts(await liquidity.processQueue(start)), { started: 2, expired: 0, failed: 0, waiting: 0 });
+    assert.deepEqual(started, [{ name: 'first' }, { name: 'second' }]);
+    assert.deepEqual(liquidity.listQueue().map((entry) => [entry.status, entry.swapId]), [
+      ['started', 'swap-1'],
+      ['started', 'swap-2']
+    ]);
+  });
+
+  it('lets a queued request expire with its quote', async () => {
+    swaps.push(swapOf('open'));
+    const liquidity = manager({ limits: { maxOpenSwaps: 1 }, overLimit: 'queue', queueTimeout: 3600 });
+    const { started, start } = starter();
+    const now = Math.floor(Date.now() / 1000);
+
+    const { queued: lasting } = await admit(liquidity, 'lasting', 1, start, now + 60);
+    assert.equal(lasting.expiresAt, now + 60);
+
+    await liquidity.cancelQueued(lasting.id);
+    const { queued: lapsed } = await admit(liquidity, 'lapsed', 1, start, now - 1);
+
+    swaps.length = 0;
+
+    assert.deepEqual(counts(await liquidity.processQueue(start)), { started: 0, expired: 1, failed: 0, waiting: 0 });
+    assert.equal(liquidity.getQueued(lapsed.id).status, 'expired');
+    assert.deepEqual(started, []);
+
+    // An expired request holds nothing back
+    assert.ok((await admit(liquidity, 'fresh', 1, start)).swap);
+  });
+
+  it('keeps a request queued while a node cannot be reached, and fails it on any other error', async () => {
+    const liquidity = manager({ limits: { maxOpenSwaps: 1 }, overLimit: 'queue' });
+    const { started, start } = starter();
+
+    swaps.push(swapOf('open'));
+    const { queued: first } = await admit(liquidity, 'first', 1, start);
+    const { queued: second } = await admit(liquidity, 'second', 1, start);
+    swaps.length = 0;
+
+    const unreachable = async () => { throw new RpcTransportError('connect ECONNREFUSED', null); };
+
+    const held = await liquidity.processQueue(unreachable);
+
+    assert.deepEqual(counts(held), { started: 0, expired: 0, failed: 0, waiting: 2 });
+    assert.deepEqual(held.requests.map((request) => [request.id, request.status, request.error]),
+      [[first.id, 'queued', 'connect ECONNREFUSED']]);
+    assert.equal(liquidity.getQueued(first.id).status, 'queued');
+    assert.equal(liquidity.getQueued(second.id).status, 'queued');
+
+    const refusing = async (request) => {
+      if (request.name === 'first') {
+        throw new Error('Invalid participant address');
+      }
+      return start(request);
+    };
+
+    const handled = await liquidity.processQueue(refusing);
+
+    assert.deepEqual(counts(handled), { started: 1, expired: 0, failed: 1, waiting: 0 });
+    assert.deepEqual(handled.requests.map((request) => [request.id, request.status, request.swapId]),
+      [[first.id, 'failed', null], [second.id, 'started', 'swap-1']]);
+    assert.equal(liquidity.getQueued(first.id).status, 'failed');
+    assert.equal(liquidity.getQueued(first.id).error, 'Invalid participant address');
+    assert.deepEqual(started, [{ name: 'second' }]);
+  });
+
+  it('reports the capital tied up by when each refund opens, keeping the reserve out of what is available', async () => {
+    swaps.push(
+      // Reserved, refundable within the hour
+      swapOf('soon', { timeouts: { marscoin: MEDIAN_TIME + 1800 } }),
+      // Locked in its HTLC, refundable in two hours
+      swapOf('funded', {
+        status: 'funded',
+        timeouts: { marscoin: MEDIAN_TIME + 7200 },
+        fundingOutputs: { marscoin: [{ txid: 'aa'.repeat(32), vout: 0, value: MRS(4), height: HEIGHT }] }
+      }),
+      // A participant's Bitcoin leg, past its timelock
+      swapOf('late', { role: 'participant', status: 'participant-funded', timeouts: { bitcoin: HEIGHT - 1 } }),
+      // Not agreed yet: no timelock
+      swapOf('unplanned', { timeouts: undefined }),
+      swapOf('done', { status: 'refunded' })
+    );
+    const liquidity = manager({ limits: { reserve: { marscoin: MRS(10) } } });
+    const report = await liquidity.getReport();
+    const bucket = (label) => report.buckets.find((candidate) => candidate.label === label);
+
+    assert.equal(report.openSwaps, 4);
+    assert.deepEqual(report.chains.marscoin, {
+      balance: 100,
+      reserved: 12,
+      locked: 4,
+      available: 78,
+      reserve: 10,
+      maxLocked: null
+    });
+    assert.deepEqual(report.chains.bitcoin, {
+      balance: 100000000,
+      reserved: 100000,
+      locked: 0,
+      available: 99900000,
+      reserve: 0,
+      maxLocked: null
+    });
+
+    assert.deepEqual(report.buckets.map((candidate) => candidate.label),
+      ['expired', 'within 1h', '1h to 6h', '6h to 1d', 'after 1d', 'not started']);
+    assert.deepEqual(bucket('expired').bitcoin, { swaps: 1, reserved: 100000, locked: 0 });
+    assert.deepEqual(bucket('within 1h').marscoin, { swaps: 1, reserved: 6, locked: 0 });
+    assert.deepEqual(bucket('1h to 6h').marscoin, { swaps: 1, reserved: 0, locked: 4 });
+    assert.deepEqual(bucket('not started').marscoin, { swaps: 1, reserved: 6, locked: 0 });
+    assert.equal(report.queued, 0);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const marscoin = require('../src/core/marscoin-lib-wrapper');
+const marscoinHtlc = require('../src/core/marscoin-htlc');
+const { recipient, refunder, preimage, hashLock, assertHtlcSpend } = require('./helpers');
+
+const network = marscoin.getNetwork('testnet');
+const VALUE = 500000;
+
+describe('marscoin-htlc redeemMarscoinWithPreimage', () => {
+  const destinationAddress = marscoin.payments.p2wpkh({ pubkey: recipient.publicKey, network }).address;
+  const sent = [];
+  const rpcClient = {
+    sendRawTransaction: async (txHex) => {
+      sent.push(txHex);
+      return bitcoin.Transaction.fromHex(txHex).getId();
+    }
+  };
+
+  const createHtlc = () => marscoinHtlc.createHtlc({
+    hashLock,
+    timelock: 2000000,
+    recipientPubKey: recipient.publicKey,
+    refundPubKey: refunder.publicKey,
+    scriptType: 'p2wsh',
+    network
+  });
+  const claimParams = (htlc) => ({
+    privateKey: recipient.toWIF(),
+    destinationAddress,
+    amount: VALUE,
+    fee: 1000,
+    redeemScript: htlc.redeemScript,
+    network,
+    scriptType: htlc.scriptType
+  });
+
+  it('refuses to guess the HTLC output index', async () => {
+    const htlc = await createHtlc();
+
+    await assert.rejects(
+      marscoinHtlc.redeemMarscoinWithPreimage('ab'.repeat(32), preimage.toString('hex'), claimParams(htlc), rpcClient),
+      /output index \(vout\) is required/
+    );
+    assert.equal(sent.length, 0);
+  });
+
+  it('claims the given output and broadcasts the claim', async () => {
+    const htlc = await createHtlc();
+    const result = await marscoinHtlc.redeemMarscoinWithPreimage('ab'.repeat(32), preimage.toString('hex'),
+      { ...claimParams(htlc), vout: 1 }, rpcClient);
+    const tx = bitcoin.Transaction.fromHex(sent[sent.length - 1]);
+
+    assert.equal(result.success, true);
+    assert.equal(result.txId, tx.getId());
+    assert.equal(tx.ins[0].index, 1);
+    assertHtlcSpend(tx, htlc, { path: 'claim', values: [VALUE], publicKey: recipient.publicKey });
+  });
+
+  it('claims several outputs given as inputs without a vout', async () => {
+    const htlc = await createHtlc();
+    const inputs = [{ txid: 'ab'.repeat(32), vout: 0, value: VALUE }, { txid: 'cd'.repeat(32), vout: 2, value: VALUE }];
+    const result = await marscoinHtlc.redeemMarscoinWithPreimage(undefined, preimage.toString('hex'),
+      { ...claimParams(htlc), inputs }, rpcClient);
+    const tx = bitcoin.Transaction.fromHex(sent[sent.length - 1]);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(tx.ins.map((input) => input.index), [0, 2]);
+  });
+});
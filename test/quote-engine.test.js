@@ -0,0 +1,175 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQuoteEngine, createRateSource, createLocalRateFeed } = require('../src/core/quote-engine');
+
+const RATE = 250;
+
+describe('quote-engine', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'quotes-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const fixedRate = (rate = RATE) => ({ name: 'static', getRate: async () => ({ rate, updatedAt: null }) });
+
+  const engine = (options = {}) => createQuoteEngine({
+    directory: path.join(directory, 'quotes'),
+    rateSource: fixedRate(),
+    spread: 0.02,
+    minBtcAmount: 10000,
+    maxBtcAmount: 10000000,
+    maxRateAge: 300,
+    ttl: 600,
+    ...options
+  });
+
+  /**
+   * Configuration of a rate source, as createRateSource reads it
+   */
+  const rateConfig = (quotes) => ({ app: { dataDir: directory }, quotes: { rate: RATE, ...quotes } });
+
+  const rejectsWith = (promise, code, pattern) => assert.rejects(promise, (error) => {
+    assert.equal(error.name, 'QuoteError');
+    assert.equal(error.code, code);
+    assert.match(error.message, pattern);
+    return true;
+  });
+
+  describe('pricing', () => {
+    it('keeps the spread off the mid rate', async () => {
+      const quote = await engine().createQuote({ btcAmount: 100000 });
+
+      // 100000 satoshis at 250 MRS/BTC less 2%
+      assert.equal(quote.btcAmount, 100000);
+      assert.equal(quote.marscoinAmount, 0.245);
+      assert.deepEqual(quote.rate, { source: 'static', mid: RATE, updatedAt: null, quoted: 245 });
+      assert.equal(quote.fees, null);
+      assert.equal(quote.expiresAt - quote.createdAt, 600);
+    });
+
+    it('takes the passed-through fees off the MarsCoin, converting the Bitcoin claim at the mid rate', async () => {
+      const quotes = engine({ estimateFees: async () => ({ bitcoinClaim: 501, marscoinFunding: 10000 }) });
+      const quote = await quotes.createQuote({ btcAmount: 100000 });
+
+      // 501 satoshis at the mid rate are 125250 MarsCoin satoshis, not 122745 at the quoted rate
+      assert.deepEqual(quote.fees, { bitcoinClaim: 501, marscoinFunding: 0.0001, deducted: 0.0013525 });
+      assert.equal(quote.marscoinAmount, 0.2436475);
+    });
+
+    it('prices a MarsCoin amount with the Bitcoin rounded up, so the customer pays enough', async () => {
+      const quote = await engine().createQuote({ marscoinAmount: 1 });
+
+      // 1e8 / 245 = 408163.27
+      assert.equal(quote.btcAmount, 408164);
+      assert.equal(quote.marscoinAmount, 1);
+      assert.ok(quote.btcAmount * 245 >= 1e8 && (quote.btcAmount - 1) * 245 < 1e8);
+
+      const withFees = await engine({ estimateFees: async () => ({ bitcoinClaim: 501, marscoinFunding: 10000 }) })
+        .createQuote({ marscoinAmount: 0.2436475 });
+
+      assert.equal(withFees.btcAmount, 100000);
+    });
+
+    it('refuses swaps outside the quoted range, and ones whose fees take all the MarsCoin', async () => {
+      const quotes = engine({ estimateFees: async () => ({ bitcoinClaim: 20000, marscoinFunding: 10000 }) });
+
+      await rejectsWith(quotes.createQuote({ btcAmount: 9999 }), 'out_of_range', /from 10000 to 10000000 satoshis/);
+      await rejectsWith(quotes.createQuote({ btcAmount: 10000001 }), 'out_of_range', /10000001 satoshis/);
+      await rejectsWith(quotes.createQuote({ marscoinAmount: 100 }), 'out_of_range', /this one is 40836776 satoshis/);
+      await rejectsWith(quotes.createQuote({ btcAmount: 10000 }), 'out_of_range', /do not cover the fees/);
+      await assert.rejects(quotes.createQuote({ btcAmount: 10000, marscoinAmount: 1 }), /either a Bitcoin amount/);
+    });
+  });
+
+  describe('rate sources', () => {
+    const now = () => Math.floor(Date.now() / 1000);
+
+    it('reads the rate file on every quote, refusing a missing, invalid or stale rate', async () => {
+      const rateFile = path.join(directory, 'rate.json');
+      const quotes = engine({ rateSource: createRateSource(rateConfig({ rateSource: 'file', rateFile: 'rate.json' })) });
+
+      await rejectsWith(quotes.getRate(), 'rate_unavailable', /The file rate source failed: ENOENT/);
+
+      fs.writeFileSync(rateFile, JSON.stringify({ rate: 260, updatedAt: now() }));
+      assert.equal((await quotes.getRate()).mid, 260);
+
+      fs.writeFileSync(rateFile, JSON.stringify({ rate: 260, updatedAt: now() - 1000 }));
+      await rejectsWith(quotes.getRate(), 'rate_unavailable', /is 100\d seconds old; quotes need one at most 300/);
+
+      fs.writeFileSync(rateFile, JSON.stringify({ rate: 0, updatedAt: now() }));
+      await rejectsWith(quotes.getRate(), 'rate_unavailable', /has no valid rate \(got 0\)/);
+
+      fs.writeFileSync(rateFile, '{"rate": 26');
+      await rejectsWith(quotes.getRate(), 'rate_unavailable', /The file rate source failed/);
+    });
+
+    it('asks the feed on every quote, refusing a failing, invalid or stale feed', async () => {
+      let answer;
+      const feed = { getRate: async () => answer() };
+      const quotes = engine({ rateSource: createRateSource(rateConfig({ rateSource: 'feed' }), feed) });
+
+      const fetchedAt = now();
+
+      answer = () => ({ rate: 255, updatedAt: fetchedAt });
+      assert.deepEqual(await quotes.getRate(), { source: 'feed', mid: 255, updatedAt: fetchedAt });
+
+      answer = () => { throw new Error('HTTP 503'); };
+      await rejectsWith(quotes.getRate(), 'rate_unavailable', /The feed rate source failed: HTTP 503/);
+
+      answer = () => ({ rate: '255', updatedAt: now() });
+      await rejectsWith(quotes.getRate(), 'rate_unavailable', /has no valid rate \(got 255\)/);
+
+      answer = () => ({ rate: 255, updatedAt: 'yesterday' });
+      await rejectsWith(quotes.getRate(), 'rate_unavailable', /NaN seconds old/);
+
+      answer = () => ({ rate: 255, updatedAt: now() - 301 });
+      await rejectsWith(quotes.getRate(), 'rate_unavailable', /30\d seconds old/);
+    });
+
+    it('quotes a configured rate however old, and serves it fresh from the local feed', async () => {
+      const staticQuotes = engine({ rateSource: createRateSource(rateConfig({ rateSource: 'static' })) });
+      const local = await createLocalRateFeed(RATE).getRate();
+
+      assert.deepEqual(await staticQuotes.getRate(), { source: 'static', mid: RATE, updatedAt: null });
+      assert.equal(local.rate, RATE);
+      assert.ok(now() - local.updatedAt <= 1);
+      assert.throws(() => createRateSource(rateConfig({ rateSource: 'exchange' })), /Unknown quotes.rateSource/);
+    });
+  });
+
+  describe('acceptance', () => {
+    it('refuses an expired quote', async () => {
+      const quotes = engine({ ttl: 0 });
+      const quote = await quotes.createQuote({ btcAmount: 100000 });
+
+      assert.throws(() => quotes.checkQuote(quote.id), { name: 'QuoteError', code: 'expired' });
+      assert.throws(() => quotes.bindQuote(quote.id, 'ab'.repeat(16)), { name: 'QuoteError', code: 'expired' });
+      assert.throws(() => quotes.checkQuote('cd'.repeat(16)), { name: 'QuoteError', code: 'not_found' });
+    });
+
+    it('lets exactly one swap accept a quote', async () => {
+      const quotes = engine();
+      const quote = await quotes.createQuote({ btcAmount: 100000 });
+      const bound = quotes.bindQuote(quote.id, 'ab'.repeat(16));
+
+      assert.equal(bound.swapId, 'ab'.repeat(16));
+      assert.throws(() => quotes.checkQuote(quote.id), { name: 'QuoteError', code: 'used', message: /by swap abab/ });
+      assert.throws(() => quotes.bindQuote(quote.id, 'cd'.repeat(16)), { name: 'QuoteError', code: 'used' });
+
+      // A binding whose quote was not yet rewritten, as after a crash in between, still takes it
+      const other = await quotes.createQuote({ btcAmount: 100000 });
+      fs.writeFileSync(path.join(quotes.directory, `${other.id}.swap`), 'ef'.repeat(16));
+
+      assert.throws(() => quotes.checkQuote(other.id), { name: 'QuoteError', code: 'used' });
+      assert.throws(() => quotes.getQuote('../quote'), /Invalid quote ID/);
+    });
+  });
+});
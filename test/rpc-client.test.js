@@ -0,0 +1,219 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  createRpcClient,
+  RpcError,
+  RpcTransportError,
+  RpcAuthError,
+  RpcTimeoutError
+} = require('../src/core/rpc-client');
+
+/**
+ * Start a local stub node answering JSON-RPC requests with a handler
+ * @param {Function} handler - (request, body) => { status, body } or a JSON-RPC response object
+ * @returns {Promise<Object>} { port, requests, close }
+ */
+async function startStubNode(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      const body = JSON.parse(text);
+      requests.push({ url: req.url, headers: req.headers, body });
+
+      const reply = await handler(req, body);
+
+      if (reply === undefined) {
+        return; // Never answer, for timeouts
+      }
+
+      const { status = 200, raw } = reply;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(raw !== undefined ? raw : JSON.stringify(reply.body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+const answer = (body, result) => ({ body: { id: body.id, result, error: null } });
+
+describe('rpc-client', () => {
+  let node;
+  let tempDir;
+
+  before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-client-'));
+    node = await startStubNode((req, body) => {
+      if (Array.isArray(body)) {
+        // Answer a batch out of order, as nodes may
+        return {
+          body: body.slice().reverse().map((call) => (call.method === 'fail'
+            ? { id: call.id, result: null, error: { code: -8, message: 'batch failure' } }
+            : { id: call.id, result: `${call.method}:${call.params.join(',')}`, error: null }))
+        };
+      }
+
+      switch (body.method) {
+        case 'getblockcount':
+          return answer(body, 812345);
+        case 'echo':
+          return answer(body, body.params);
+        case 'getrawtransaction':
+          return answer(body, body.params[1] ? { txid: body.params[0] } : 'deadbeef');
+        case 'scantxoutset':
+          return answer(body, {
+            height: 110,
+            unspents: [
+              { txid: 'aa'.repeat(32), vout: 1, scriptPubKey: '0014', amount: 0.0012345, height: 101 },
+              { txid: 'bb'.repeat(32), vout: 0, scriptPubKey: '0014', amount: 1, height: 0 }
+            ]
+          });
+        case 'badjson':
+          return { status: 502, raw: '<html>bad gateway</html>' };
+        case 'denied':
+          return { status: 401, raw: '' };
+        case 'hang':
+          return undefined;
+        default:
+          // bitcoind answers RPC errors with HTTP 500 and a JSON body
+          return { status: 500, body: { id: body.id, result: null, error: { code: -32601, message: 'Method not found' } } };
+      }
+    });
+  });
+
+  after(async () => {
+    await node.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const client = (overrides = {}) => createRpcClient({
+    host: '127.0.0.1',
+    port: node.port,
+    username: 'user',
+    password: 'pass',
+    timeout: 2000,
+    ...overrides
+  });
+
+  it('sends a JSON-RPC 1.0 request with basic auth and returns the result', async () => {
+    assert.equal(await client().getBlockCount(), 812345);
+
+    const request = node.requests[node.requests.length - 1];
+    assert.equal(request.url, '/');
+    assert.equal(request.body.jsonrpc, '1.0');
+    assert.equal(request.body.method, 'getblockcount');
+    assert.deepEqual(request.body.params, []);
+    assert.equal(request.headers.authorization, `Basic ${Buffer.from('user:pass').toString('base64')}`);
+  });
+
+  it('passes positional parameters and routes wallet calls to the wallet path', async () => {
+    assert.deepEqual(await client({ wallet: 'swap wallet' }).call('echo', 1, 'two', true), [1, 'two', true]);
+    assert.equal(node.requests[node.requests.length - 1].url, '/wallet/swap%20wallet');
+  });
+
+  it('reads credentials from the cookie file on every call', async () => {
+    const cookieFile = path.join(tempDir, '.cookie');
+    const rpc = client({ username: '', cookieFile });
+
+    fs.writeFileSync(cookieFile, '__cookie__:first\n');
+    await rpc.getBlockCount();
+    assert.equal(node.requests[node.requests.length - 1].headers.authorization,
+      `Basic ${Buffer.from('__cookie__:first').toString('base64')}`);
+
+    fs.writeFileSync(cookieFile, '__cookie__:second\n');
+    await rpc.getBlockCount();
+    assert.equal(node.requests[node.requests.length - 1].headers.authorization,
+      `Basic ${Buffer.from('__cookie__:second').toString('base64')}`);
+  });
+
+  it('fails with RpcAuthError when the cookie file cannot be read', async () => {
+    await assert.rejects(client({ username: '', cookieFile: path.join(tempDir, 'missing') }).getBlockCount(), RpcAuthError);
+  });
+
+  it('turns node errors into RpcError with the code and method', async () => {
+    await assert.rejects(client().call('nosuchmethod'), (error) => {
+      assert.ok(error instanceof RpcError);
+      assert.equal(error.code, -32601);
+      assert.equal(error.method, 'nosuchmethod');
+      assert.equal(error.message, 'Method not found');
+      return true;
+    });
+  });
+
+  it('turns HTTP 401 into RpcAuthError', async () => {
+    await assert.rejects(client().call('denied'), (error) => error instanceof RpcAuthError && error.statusCode === 401);
+  });
+
+  it('turns an unparsable body into RpcTransportError', async () => {
+    await assert.rejects(client().call('badjson'), (error) => {
+      assert.ok(error instanceof RpcTransportError);
+      assert.ok(!(error instanceof RpcAuthError));
+      assert.equal(error.statusCode, 502);
+      return true;
+    });
+  });
+
+  it('times out with RpcTimeoutError', async () => {
+    await assert.rejects(client({ timeout: 100 }).call('hang'), RpcTimeoutError);
+  });
+
+  it('fails with RpcTransportError when the node cannot be reached', async () => {
+    const closed = await startStubNode(() => undefined);
+    const { port } = closed;
+    await closed.close();
+
+    await assert.rejects(client({ port }).getBlockCount(), (error) => {
+      assert.ok(error instanceof RpcTransportError);
+      assert.match(error.message, /RPC connection error/);
+      return true;
+    });
+  });
+
+  it('matches batch responses to their calls by ID', async () => {
+    const results = await client().batch([
+      { method: 'first', params: [1] },
+      { method: 'second' },
+      { method: 'third', params: ['a', 'b'] }
+    ]);
+
+    assert.deepEqual(results, ['first:1', 'second:', 'third:a,b']);
+    assert.deepEqual(await client().batch([]), []);
+  });
+
+  it('fails a batch with the RpcError of a failed call', async () => {
+    await assert.rejects(client().batch([{ method: 'ok' }, { method: 'fail' }]),
+      (error) => error instanceof RpcError && error.method === 'fail' && error.code === -8);
+  });
+
+  it('converts scantxoutset amounts to satoshis and confirmations', async () => {
+    const utxos = await client().getAddressUtxos('tb1qexample');
+
+    assert.deepEqual(node.requests[node.requests.length - 1].body.params, ['start', ['addr(tb1qexample)']]);
+    assert.equal(utxos.length, 2);
+    assert.equal(utxos[0].value, 123450);
+    assert.equal(utxos[0].confirmations, 10);
+    assert.equal(utxos[1].value, 100000000);
+    assert.equal(utxos[1].confirmations, 0);
+  });
+
+  it('reads raw and decoded transactions', async () => {
+    assert.equal(await client().getRawTransaction('cc'.repeat(32)), 'deadbeef');
+    assert.deepEqual(await client().getTransaction('cc'.repeat(32)), { txid: 'cc'.repeat(32), confirmations: 0 });
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findOutpointSpend } = require('../src/core/spend-finder');
+const { RpcError } = require('../src/core/rpc-client');
+
+const FUNDING = { txid: 'aa'.repeat(32), vout: 1 };
+const OTHER = { txid: 'bb'.repeat(32), vout: 0 };
+
+/**
+ * Stub node: blocks of transactions given by the outpoints they spend, and a mempool
+ * @param {Object} params
+ * @param {Object} params.blocks - Per height, [{ txid, vin: [outpoint] }]
+ * @param {Array<Object>} [params.mempool] - [{ txid, vin }]
+ * @param {boolean} [params.spendingIndex=true] - Whether the node has gettxspendingprevout
+ * @returns {Object} Client, with the RPC calls it answered in calls
+ */
+function stubNode({ blocks, mempool = [], spendingIndex = true }) {
+  const heights = Object.keys(blocks).map(Number);
+  const calls = [];
+  const all = [...Object.values(blocks).flat(), ...mempool];
+  const spender = (txs, { txid, vout }) => txs.find((tx) => tx.vin.some((input) => input.txid === txid && input.vout === vout));
+
+  return {
+    calls,
+    getBlockCount: async () => Math.max(...heights),
+    getRawTransaction: async (txid) => `hex-${txid}`,
+    call: async (method, ...params) => {
+      calls.push([method, ...params]);
+
+      switch (method) {
+        case 'gettxout':
+          return spender(all, { txid: params[0], vout: params[1] }) ? null : { value: 0.001 };
+        case 'gettxspendingprevout': {
+          if (!spendingIndex) {
+            throw new RpcError('Method not found', -32601, method);
+          }
+          const [outpoint] = params[0];
+          const tx = spender(mempool, outpoint);
+          return [{ ...outpoint, ...(tx && { spendingtxid: tx.txid }) }];
+        }
+        case 'getblockhash':
+          return `block-${params[0]}`;
+        case 'getblock':
+          return {
+            tx: blocks[Number(params[0].slice('block-'.length))]
+              .map((tx) => ({ ...tx, hex: `hex-${tx.txid}` }))
+          };
+        default:
+          throw new RpcError(`Method not found: ${method}`, -32601, method);
+      }
+    }
+  };
+}
+
+const scannedBlocks = (node) => node.calls.filter(([method]) => method === 'getblock').map(([, hash]) => hash);
+
+describe('spend-finder', () => {
+  it('finds a spend in the mempool without scanning blocks', async () => {
+    const node = stubNode({
+      blocks: { 100: [], 101: [] },
+      mempool: [{ txid: 'c1'.repeat(32), vin: [FUNDING] }]
+    });
+
+    const result = await findOutpointSpend(node, FUNDING, { startHeight: 100 });
+
+    assert.deepEqual(result, {
+      spend: { txid: 'c1'.repeat(32), txHex: `hex-${'c1'.repeat(32)}`, blockHeight: null },
+      scannedHeight: 99
+    });
+    assert.deepEqual(scannedBlocks(node), []);
+  });
+
+  it('scans blocks for a confirmed spend, resuming after the height already scanned', async () => {
+    const node = stubNode({
+      blocks: {
+        100: [{ txid: 'f0'.repeat(32), vin: [OTHER] }],
+        101: [],
+        102: [{ txid: 'c2'.repeat(32), vin: [OTHER, FUNDING] }],
+        103: []
+      }
+    });
+
+    const result = await findOutpointSpend(node, FUNDING, { startHeight: 100, scannedHeight: 100 });
+
+    assert.deepEqual(result, {
+      spend: { txid: 'c2'.repeat(32), txHex: `hex-${'c2'.repeat(32)}`, blockHeight: 102 },
+      scannedHeight: 102
+    });
+    assert.deepEqual(scannedBlocks(node), ['block-101', 'block-102']);
+  });
+
+  it('scans blocks when the node cannot look up mempool spends', async () => {
+    const node = stubNode({
+      blocks: { 100: [], 101: [{ txid: 'c3'.repeat(32), vin: [FUNDING] }] },
+      spendingIndex: false
+    });
+
+    const { spend } = await findOutpointSpend(node, FUNDING, { startHeight: 100 });
+
+    assert.equal(spend.txid, 'c3'.repeat(32));
+    assert.equal(spend.blockHeight, 101);
+  });
+
+  it('reports nothing spent up to the tip without asking for any block', async () => {
+    const node = stubNode({ blocks: { 100: [{ txid: 'f1'.repeat(32), vin: [OTHER] }], 101: [], 102: [] } });
+
+    assert.deepEqual(await findOutpointSpend(node, [FUNDING, { ...FUNDING, vout: 2 }], { startHeight: 100 }),
+      { spend: null, scannedHeight: 102 });
+    assert.deepEqual(scannedBlocks(node), []);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEventJournal } = require('../src/core/swap-events');
+
+// Longer than the journal reads at once
+const LONG_NOTE = 'x'.repeat(1.5 * 1024 * 1024);
+
+describe('swap-events journal', () => {
+  let directory;
+  let journal;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-events-'));
+    journal = createEventJournal({ file: path.join(directory, 'events.log') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const event = (seq, details = {}) => ({ seq, type: 'status-changed', at: 1700000000, ...details });
+
+  it('reads events after a cursor, by swap and in pages', () => {
+    journal.append('a', [event(0), event(1)]);
+    journal.append('b', [event(0)]);
+
+    const all = journal.read();
+    const page = journal.read(0, { limit: 2 });
+
+    assert.deepEqual(all.events.map(({ swapId, seq }) => `${swapId}${seq}`), ['a0', 'a1', 'b0']);
+    assert.equal(all.cursor, journal.end());
+    assert.deepEqual(journal.read(page.cursor).events.map(({ swapId }) => swapId), ['b']);
+    assert.deepEqual(journal.read(0, { swapId: 'b' }).events.map(({ cursor }) => cursor), [all.cursor]);
+    assert.throws(() => journal.read(3), /Invalid event cursor/);
+  });
+
+  it('reads past a line longer than one read', () => {
+    journal.append('a', [event(0), event(1, { note: LONG_NOTE }), event(2)]);
+
+    const { events, cursor } = journal.read();
+
+    assert.deepEqual(events.map(({ seq }) => seq), [0, 1, 2]);
+    assert.equal(events[1].note.length, LONG_NOTE.length);
+    assert.equal(cursor, fs.statSync(journal.file).size);
+    assert.deepEqual(journal.read(events[0].cursor).events.map(({ seq }) => seq), [1, 2]);
+  });
+
+  it('stops before a last line that is still being written, however long', () => {
+    journal.append('a', [event(0)]);
+    const complete = journal.end();
+    fs.appendFileSync(journal.file, `{"swapId":"a","note":"${LONG_NOTE}`);
+
+    assert.deepEqual(journal.read(), { events: [{ cursor: complete, swapId: 'a', ...event(0) }], cursor: complete });
+    assert.equal(journal.end(), complete);
+    assert.deepEqual(journal.read(complete).events, []);
+  });
+
+  it('finds the end of a journal that is one unfinished line', () => {
+    assert.equal(journal.end(), 0);
+    fs.writeFileSync(journal.file, `{"swapId":"a","note":"${LONG_NOTE}`);
+    assert.equal(journal.end(), 0);
+    assert.deepEqual(journal.read(), { events: [], cursor: 0 });
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const marscoin = require('../src/core/marscoin-lib-wrapper');
+const { ECPair } = require('./helpers');
+
+// The configuration is loaded, and written if missing, when the config module is required
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-intake-'));
+process.env.HOME = home;
+
+const config = require('../src/config');
+const { createKeystore } = require('../src/core/keystore');
+const { createSwapRepository } = require('../src/core/swap-repository');
+const { createQuoteEngine } = require('../src/core/quote-engine');
+const { createSwapIntake } = require('../src/core/swap-intake');
+
+const bitcoinNetwork = bitcoin.networks.testnet;
+const marscoinNetwork = marscoin.getNetwork('testnet');
+
+/**
+ * Addresses and public keys of one party, as request fields
+ */
+function partyFields(party, seed) {
+  const btcKey = ECPair.fromPrivateKey(Buffer.alloc(32, seed), { network: bitcoinNetwork });
+  const marscoinKey = ECPair.fromPrivateKey(Buffer.alloc(32, seed + 1), { network: marscoinNetwork });
+
+  return {
+    [`${party}BtcAddress`]: bitcoin.payments.p2wpkh({ pubkey: btcKey.publicKey, network: bitcoinNetwork }).address,
+    [`${party}BtcPubKey`]: btcKey.publicKey.toString('hex'),
+    [`${party}MarscoinAddress`]: marscoin.payments.p2pkh({ pubkey: marscoinKey.publicKey, network: marscoinNetwork }).address,
+    [`${party}MarscoinPubKey`]: marscoinKey.publicKey.toString('hex')
+  };
+}
+
+const nodeClient = { getBlockchainInfo: async () => ({ blocks: 800000, mediantime: 1700000000 }) };
+
+describe('swap-intake', () => {
+  let keystore;
+  let repository;
+  let quotes;
+  let intake;
+  // Set to make the next swap the repository stores fail
+  let failNextCreate = false;
+
+  before(async () => {
+    keystore = createKeystore({ directory: path.join(home, 'keystore'), scryptCost: 1024, unlockTimeout: 0 });
+    repository = createSwapRepository({ directory: path.join(home, 'swaps') });
+    quotes = createQuoteEngine({
+      directory: path.join(home, 'quotes'),
+      rateSource: { name: 'static', getRate: async () => ({ rate: 250, updatedAt: null }) },
+      spread: 0.02,
+      minBtcAmount: 10000,
+      maxBtcAmount: 10000000,
+      maxRateAge: 300,
+      ttl: 600
+    });
+    await keystore.create('passphrase');
+
+    intake = createSwapIntake({
+      cfg: config.getConfig(),
+      repository: {
+        ...repository,
+        createSwap: async (swap) => {
+          if (failNextCreate) {
+            failNextCreate = false;
+            throw new Error('disk full');
+          }
+          return repository.createSwap(swap);
+        }
+      },
+      keystore,
+      btcClient: nodeClient,
+      marscoinClient: nodeClient,
+      quotes,
+      liquidity: { admitSwap: async (admission, start) => ({ swap: await start() }) }
+    });
+  });
+
+  after(() => {
+    keystore.lock();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  const request = (quoteId) => ({ ...partyFields('initiator', 0x41), ...partyFields('participant', 0x51), quoteId });
+
+  it('gives a quote back when its swap cannot be stored', async () => {
+    const quote = await quotes.createQuote({ btcAmount: 100000 });
+
+    failNextCreate = true;
+    await assert.rejects(intake.startSwap(request(quote.id)), /disk full/);
+
+    assert.equal(quotes.checkQuote(quote.id).swapId, null);
+    assert.equal(fs.existsSync(path.join(quotes.directory, `${quote.id}.swap`)), false);
+
+    const swap = await intake.startSwap(request(quote.id));
+
+    assert.equal(quotes.getQuote(quote.id).swapId, swap.id);
+    assert.equal((await repository.getSwap(swap.id)).quote.id, quote.id);
+    await assert.rejects(intake.startSwap(request(quote.id)), { name: 'QuoteError', code: 'used' });
+  });
+
+  it('leaves a quote taken by another swap alone', async () => {
+    const quote = await quotes.createQuote({ btcAmount: 100000 });
+
+    quotes.bindQuote(quote.id, 'ab'.repeat(16));
+    quotes.releaseQuote(quote.id, 'cd'.repeat(16));
+
+    assert.equal(quotes.getQuote(quote.id).swapId, 'ab'.repeat(16));
+  });
+});
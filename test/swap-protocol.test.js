@@ -0,0 +1,360 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const marscoin = require('../src/core/marscoin-lib-wrapper');
+const protocol = require('../src/core/swap-protocol');
+const swapCoordinator = require('../src/core/swap-coordinator');
+const swapState = require('../src/core/swap-state');
+const { createKeystore, getSwapPreimage } = require('../src/core/keystore');
+const { ECPair, network } = require('./helpers');
+
+const marscoinNetwork = marscoin.getNetwork('testnet');
+const networkNames = { bitcoin: 'testnet', marscoin: 'testnet' };
+const BTC_AMOUNT = 100000;
+const MARSCOIN_AMOUNT = 25;
+
+/**
+ * A party's keys and the payout addresses they control on both chains
+ */
+function partyOf(seed) {
+  const btcKey = ECPair.fromPrivateKey(Buffer.alloc(32, seed), { network });
+  const marscoinKey = ECPair.fromPrivateKey(Buffer.alloc(32, seed + 1), { network: marscoinNetwork });
+
+  return {
+    btcAddress: bitcoin.payments.p2wpkh({ pubkey: btcKey.publicKey, network }).address,
+    marscoinAddress: marscoin.payments.p2pkh({ pubkey: marscoinKey.publicKey, network: marscoinNetwork }).address,
+    btcPubKey: btcKey.publicKey.toString('hex'),
+    marscoinPubKey: marscoinKey.publicKey.toString('hex'),
+    btcWif: btcKey.toWIF()
+  };
+}
+
+const initiator = partyOf(0x41);
+const participant = partyOf(0x51);
+const stranger = partyOf(0x61);
+
+/**
+ * Stub RPC client at a fixed tip, whose transactions pay the given outputs
+ * @param {Object} transactions - Per txid, { outputScript, value (in coins), confirmations }
+ */
+function stubClient(transactions = {}) {
+  return {
+    getBlockchainInfo: async () => ({ blocks: 800000, mediantime: 1700000000 }),
+    getTransaction: async (txid) => {
+      const { outputScript, value, confirmations = 1 } = transactions[txid];
+      return { txid, confirmations, vout: [{ n: 0, value, scriptPubKey: { hex: outputScript } }] };
+    }
+  };
+}
+
+describe('swap-protocol', () => {
+  let directory;
+  let keystore;
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-protocol-'));
+    keystore = createKeystore({ directory, scryptCost: 1024, unlockTimeout: 0 });
+    await keystore.create('passphrase');
+  });
+
+  after(() => {
+    keystore.lock();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const offer = (params = {}) => protocol.createOffer({
+    initiatorBtcAddress: initiator.btcAddress,
+    initiatorMarscoinAddress: initiator.marscoinAddress,
+    initiatorBtcPubKey: initiator.btcPubKey,
+    initiatorMarscoinPubKey: initiator.marscoinPubKey,
+    btcAmount: BTC_AMOUNT,
+    marscoinAmount: MARSCOIN_AMOUNT,
+    timeoutDuration: 86400,
+    scriptTypes: { bitcoin: 'p2wsh' },
+    networkNames,
+    bitcoinNetwork: network,
+    marscoinNetwork,
+    keystore,
+    ...params
+  });
+
+  const accept = (message, params = {}) => protocol.acceptOffer(message, {
+    participantBtcAddress: participant.btcAddress,
+    participantMarscoinAddress: participant.marscoinAddress,
+    participantBtcPubKey: participant.btcPubKey,
+    participantMarscoinPubKey: participant.marscoinPubKey,
+    networkNames,
+    bitcoinNetwork: network,
+    marscoinNetwork,
+    ...params
+  });
+
+  // Serialize every message, as it would be on the wire
+  const wire = (message) => JSON.stringify(message);
+
+  /**
+   * Negotiate a swap up to agreed HTLCs
+   */
+  async function agreeSwap(timelockType = 'cltv', scriptTypes = { bitcoin: 'p2wsh' }) {
+    const offered = offer({ timelockType, scriptTypes });
+    const accepted = accept(wire(offered.message));
+    const htlcParams = await protocol.handleAccept(offered.swap, wire(accepted.message), stubClient(), stubClient());
+    await protocol.handleHtlcParams(accepted.swap, wire(htlcParams), stubClient(), stubClient());
+
+    return { initiatorSwap: offered.swap, participantSwap: accepted.swap, htlcParams };
+  }
+
+  describe('messages', () => {
+    it('rejects messages of another protocol, version or swap', () => {
+      const message = protocol.createMessage('offer', 'ab'.repeat(16), {});
+
+      assert.throws(() => protocol.parseMessage('{not json'), /Invalid message/);
+      assert.throws(() => protocol.parseMessage({ ...message, protocol: 'other' }), /unknown protocol/);
+      assert.throws(() => protocol.parseMessage({ ...message, version: 2 }), /Unsupported protocol version/);
+      assert.throws(() => protocol.parseMessage({ ...message, swapId: '../x' }), /malformed swap ID/);
+      assert.throws(() => protocol.createMessage('gossip', message.swapId, {}), /Unknown message type/);
+      assert.deepEqual(protocol.parseMessage(wire(message)), message);
+    });
+  });
+
+  describe('offer and accept', () => {
+    it('keeps the preimage in the keystore and out of the offer', () => {
+      const { swap, message } = offer();
+      const preimage = getSwapPreimage(keystore, swap);
+
+      assert.equal(swap.status, 'offered');
+      assert.equal(bitcoin.crypto.sha256(Buffer.from(preimage, 'hex')).toString('hex'), swap.hash);
+      assert.ok(!wire(message).includes(preimage));
+      assert.equal(swap.preimage, undefined);
+    });
+
+    it('refuses public keys that do not match the payout addresses', () => {
+      assert.throws(() => offer({ initiatorBtcPubKey: stranger.btcPubKey }), /does not match address/);
+      assert.throws(() => accept(offer().message, { participantMarscoinPubKey: stranger.marscoinPubKey }),
+        /does not match address/);
+    });
+
+    it('refuses an offer for other networks or a tampered offer', () => {
+      const { message } = offer();
+      const tampered = { ...message, payload: { ...message.payload, pubKeys: { ...message.payload.pubKeys, btc: stranger.btcPubKey } } };
+
+      assert.throws(() => accept(message, { networkNames: { ...networkNames, bitcoin: 'mainnet' } }), /Offer is for bitcoin testnet/);
+      assert.throws(() => accept(tampered), /initiator Bitcoin public key .* does not match/);
+      assert.throws(() => accept({ ...message, type: 'accept' }), /Expected an offer message/);
+    });
+  });
+
+  describe('HTLC parameters', () => {
+    for (const timelockType of ['cltv', 'csv']) {
+      it(`agrees on the same ${timelockType} HTLCs on both sides`, async () => {
+        const { initiatorSwap, participantSwap } = await agreeSwap(timelockType);
+
+        assert.equal(initiatorSwap.status, 'initialized');
+        assert.equal(participantSwap.status, 'initialized');
+        assert.deepEqual(participantSwap.timeouts, initiatorSwap.timeouts);
+        assert.equal(participantSwap.btcHtlc.address, initiatorSwap.btcHtlc.address);
+        assert.equal(participantSwap.marscoinHtlc.address, initiatorSwap.marscoinHtlc.address);
+        assert.equal(participantSwap.btcHtlc.scriptType, 'p2wsh');
+      });
+    }
+
+    it('refuses HTLCs that are not built from the agreed terms', async () => {
+      const offered = offer();
+      const accepted = accept(offered.message);
+      const htlcParams = await protocol.handleAccept(offered.swap, accepted.message, stubClient(), stubClient());
+      const swapped = {
+        ...htlcParams,
+        payload: { ...htlcParams.payload, btcHtlc: htlcParams.payload.marscoinHtlc }
+      };
+
+      await assert.rejects(protocol.handleHtlcParams(accepted.swap, swapped, stubClient(), stubClient()),
+        /The Bitcoin HTLC .* does not match the agreed terms/);
+      assert.equal(accepted.swap.status, 'accepted');
+    });
+
+    it('refuses timelocks that leave the participant less than its margin', async () => {
+      const offered = offer();
+      const accepted = accept(offered.message);
+      const htlcParams = await protocol.handleAccept(offered.swap, accepted.message, stubClient(), stubClient());
+
+      await assert.rejects(protocol.handleHtlcParams(accepted.swap, htlcParams, stubClient(), stubClient(), {
+        timelockSettings: { safetyMargin: 7 * 86400 }
+      }), /Unsafe timelocks/);
+    });
+
+    it('refuses a Bitcoin timelock longer than the agreed timeout', async () => {
+      const offered = offer();
+      const accepted = accept(offered.message);
+      const htlcParams = await protocol.handleAccept(offered.swap, accepted.message, stubClient(), stubClient());
+
+      // Rebuild the swap as if the offer had promised a shorter timeout
+      accepted.swap.terms = { ...accepted.swap.terms, timeoutDuration: 3600 };
+      await assert.rejects(protocol.handleHtlcParams(accepted.swap, htlcParams, stubClient(), stubClient()),
+        /but the agreed timeout is 3600s/);
+    });
+
+    it('only handles the message in the expected state and role', async () => {
+      const { initiatorSwap, htlcParams } = await agreeSwap();
+
+      await assert.rejects(protocol.handleHtlcParams(initiatorSwap, htlcParams, stubClient(), stubClient()),
+        /Only the participant handles htlc-params messages/);
+    });
+  });
+
+  describe('funding and the secret', () => {
+    it('verifies funding on chain and reveals the secret after the Bitcoin claim', async () => {
+      const { initiatorSwap, participantSwap } = await agreeSwap();
+      const marscoinTxId = 'a1'.repeat(32);
+      const btcTxId = 'b2'.repeat(32);
+      const marscoinClient = stubClient({
+        [marscoinTxId]: { outputScript: initiatorSwap.marscoinHtlc.outputScript, value: MARSCOIN_AMOUNT }
+      });
+      const btcClient = stubClient({
+        [btcTxId]: { outputScript: initiatorSwap.btcHtlc.outputScript, value: BTC_AMOUNT / 1e8 }
+      });
+
+      assert.throws(() => protocol.createFundingNotice(participantSwap, btcTxId), /before the initiator's MarsCoin HTLC/);
+
+      const marscoinFunded = await protocol.handleFundingNotice(
+        participantSwap, wire(protocol.createFundingNotice(initiatorSwap, marscoinTxId)), btcClient, marscoinClient);
+      const btcFunded = await protocol.handleFundingNotice(
+        initiatorSwap, wire(protocol.createFundingNotice(participantSwap, btcTxId)), btcClient, marscoinClient);
+
+      assert.equal(marscoinFunded.verified, true);
+      assert.equal(btcFunded.verified, true);
+      assert.equal(participantSwap.status, 'initiator-funded');
+      assert.equal(initiatorSwap.status, 'participant-funded');
+      assert.deepEqual(initiatorSwap.fundingOutputs.bitcoin, [{ txid: btcTxId, vout: 0, value: BTC_AMOUNT, height: null }]);
+
+      assert.throws(() => protocol.createSecretReveal(initiatorSwap, keystore), /Claim the Bitcoin HTLC/);
+      initiatorSwap.bitcoinClaimTxId = 'c3'.repeat(32);
+
+      const reveal = protocol.createSecretReveal(initiatorSwap, keystore);
+      const preimage = protocol.handleSecretReveal(participantSwap, wire(reveal));
+
+      assert.equal(preimage, getSwapPreimage(keystore, initiatorSwap));
+      assert.equal(participantSwap.bitcoinClaimTxId, initiatorSwap.bitcoinClaimTxId);
+    });
+
+    it('refuses underpaid, unconfirmed and wrong-leg funding', async () => {
+      const { initiatorSwap, participantSwap } = await agreeSwap();
+      const outputScript = initiatorSwap.marscoinHtlc.outputScript;
+      const marscoinClient = stubClient({
+        ['d1'.repeat(32)]: { outputScript, value: MARSCOIN_AMOUNT - 1 },
+        ['d2'.repeat(32)]: { outputScript, value: MARSCOIN_AMOUNT, confirmations: 0 },
+        ['d3'.repeat(32)]: { outputScript: initiatorSwap.btcHtlc.outputScript, value: MARSCOIN_AMOUNT }
+      });
+      const notice = (txid) => protocol.createFundingNotice(initiatorSwap, txid);
+
+      await assert.rejects(protocol.handleFundingNotice(participantSwap, notice('d1'.repeat(32)), stubClient(), marscoinClient),
+        /but 2500000000 was agreed/);
+      await assert.rejects(protocol.handleFundingNotice(participantSwap, notice('d3'.repeat(32)), stubClient(), marscoinClient),
+        /does not pay the marscoin HTLC/);
+
+      const pending = await protocol.handleFundingNotice(participantSwap, notice('d2'.repeat(32)), stubClient(), marscoinClient);
+      assert.equal(pending.verified, false);
+      assert.equal(participantSwap.status, 'initialized');
+
+      // The participant's own leg is not the initiator's to announce
+      const wrongLeg = { ...notice('d2'.repeat(32)), payload: { chain: 'bitcoin', txid: 'd2'.repeat(32) } };
+      await assert.rejects(protocol.handleFundingNotice(participantSwap, wrongLeg, stubClient(), marscoinClient),
+        /The initiator funds the marscoin leg/);
+    });
+
+    it('refuses a revealed secret that does not match the hashlock', async () => {
+      const { participantSwap } = await agreeSwap();
+      const reveal = protocol.createMessage('secret-reveal', participantSwap.id, { preimage: '44'.repeat(32) });
+
+      assert.throws(() => protocol.handleSecretReveal(participantSwap, reveal), /does not match the hashlock/);
+      assert.equal(participantSwap.revealedPreimage, undefined);
+    });
+  });
+
+  describe('cooperative close', () => {
+    /**
+     * Negotiate a swap with a Taproot Bitcoin HTLC up to both legs funded on both sides
+     */
+    async function fundTaprootSwap() {
+      const { initiatorSwap, participantSwap } = await agreeSwap('cltv', { bitcoin: 'p2tr' });
+      const marscoinTxId = 'a1'.repeat(32);
+      const btcTxId = 'b2'.repeat(32);
+      const marscoinClient = stubClient({
+        [marscoinTxId]: { outputScript: initiatorSwap.marscoinHtlc.outputScript, value: MARSCOIN_AMOUNT }
+      });
+      const btcClient = stubClient({
+        [btcTxId]: { outputScript: initiatorSwap.btcHtlc.outputScript, value: BTC_AMOUNT / 1e8 }
+      });
+
+      await protocol.handleFundingNotice(
+        participantSwap, wire(protocol.createFundingNotice(initiatorSwap, marscoinTxId)), btcClient, marscoinClient);
+      await protocol.handleFundingNotice(
+        initiatorSwap, wire(protocol.createFundingNotice(participantSwap, btcTxId)), btcClient, marscoinClient);
+
+      // Each side's own deposit is seen by its watcher
+      swapState.recordFunding(initiatorSwap, 'marscoin', marscoinTxId);
+      participantSwap.fundingOutputs = { ...participantSwap.fundingOutputs, bitcoin: initiatorSwap.fundingOutputs.bitcoin };
+      swapState.recordFunding(participantSwap, 'bitcoin', btcTxId);
+
+      return { initiatorSwap, participantSwap, btcClient, marscoinClient };
+    }
+
+    it('closes the Bitcoin HTLC through the key path with both parties\' partial signatures', async () => {
+      const { initiatorSwap, participantSwap, btcClient, marscoinClient } = await fundTaprootSwap();
+      const request = protocol.createCloseRequest(initiatorSwap, keystore, { privateKey: initiator.btcWif, feeRate: 2 });
+      const reply = await protocol.handleCloseRequest(participantSwap, wire(request), btcClient, marscoinClient, {
+        privateKey: participant.btcWif
+      });
+
+      // Signing gives up the refund, so the participant goes on to redeem the MarsCoin
+      assert.equal(participantSwap.status, 'secret-revealed');
+      assert.equal(participantSwap.revealedPreimage, getSwapPreimage(keystore, initiatorSwap));
+
+      const signed = protocol.handleCloseSign(initiatorSwap, wire(reply), keystore, { privateKey: initiator.btcWif });
+
+      // The initiator's nonces are deleted before they are used
+      assert.throws(() => protocol.handleCloseSign(initiatorSwap, wire(reply), keystore, { privateKey: initiator.btcWif }),
+        /No cooperative close/);
+
+      const sent = [];
+      const result = await swapCoordinator.finalizeSwapPsbt(initiatorSwap, 'bitcoin', signed, {
+        sendRawTransaction: async (txHex) => {
+          sent.push(bitcoin.Transaction.fromHex(txHex));
+          return sent[0].getId();
+        }
+      });
+
+      assert.equal(result.path, 'claim');
+      assert.equal(result.txId, participantSwap.bitcoinClaimTxId);
+      assert.equal(initiatorSwap.status, 'secret-revealed');
+      assert.deepEqual(sent[0].ins.map((input) => input.witness.length), [1]);
+      assert.equal(bitcoin.address.fromOutputScript(sent[0].outs[0].script, network), initiator.btcAddress);
+    });
+
+    it('refuses a close request with the wrong secret, other outputs or too little time left', async () => {
+      const { initiatorSwap, participantSwap, btcClient, marscoinClient } = await fundTaprootSwap();
+      const params = { privateKey: initiator.btcWif, feeRate: 2 };
+      const request = protocol.createCloseRequest(initiatorSwap, keystore, params);
+      const handle = (message, options = {}) => protocol.handleCloseRequest(participantSwap, wire(message), btcClient, marscoinClient, {
+        privateKey: participant.btcWif,
+        ...options
+      });
+      const strayOutput = { txid: 'e5'.repeat(32), vout: 0, value: 5000, height: null };
+      const widened = protocol.createCloseRequest({
+        ...initiatorSwap,
+        fundingOutputs: { ...initiatorSwap.fundingOutputs, bitcoin: [...initiatorSwap.fundingOutputs.bitcoin, strayOutput] }
+      }, keystore, params);
+
+      await assert.rejects(handle({ ...request, payload: { ...request.payload, preimage: '44'.repeat(32) } }),
+        /does not match the hashlock/);
+      await assert.rejects(handle(widened), /spends outputs other than the Bitcoin HTLC deposits/);
+      await assert.rejects(handle(request, { timelockSettings: { safetyMargin: 30 * 86400 } }), /too soon to claim it/);
+
+      assert.equal(participantSwap.status, 'funded');
+      assert.equal(participantSwap.revealedPreimage, undefined);
+      assert.throws(() => protocol.createCloseRequest(participantSwap, keystore, params), /Only the initiator/);
+    });
+  });
+});
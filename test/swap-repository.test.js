@@ -0,0 +1,156 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createSwapRepository, SCHEMA_VERSION } = require('../src/core/swap-repository');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('swap-repository', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'swap-repository-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const repository = (options = {}) => createSwapRepository({ directory, ...options });
+  const swapOf = (id, fields = {}) => ({ id, status: 'initialized', history: [], createdAt: 1700000000, ...fields });
+
+  describe('migrations', () => {
+    it('imports the legacy single-file database and migrates its statuses', async () => {
+      const legacyDatabasePath = path.join(directory, 'swaps.json');
+      fs.writeFileSync(legacyDatabasePath, JSON.stringify({
+        fresh: { id: 'fresh', status: 'initialized', createdAt: 1 },
+        funded: { id: 'funded', status: 'initialized', fundingTxIds: { marscoin: 'aa' }, createdAt: 2 },
+        revealed: { id: 'revealed', status: 'completed', bitcoinClaimTxId: 'bb', completedAt: 3 },
+        halfRefunded: {
+          id: 'halfRefunded',
+          status: 'refunded',
+          fundingOutputs: { bitcoin: [{ txid: 'cc', vout: 0, value: 1 }], marscoin: [{ txid: 'dd', vout: 0, value: 1 }] },
+          bitcoinRefundTxId: 'ee',
+          refundedAt: 4
+        },
+        '../escape': { id: '../escape', status: 'initialized' }
+      }));
+
+      const repo = repository({ legacyDatabasePath });
+      const statuses = Object.fromEntries(repo.listSwaps().map((swap) => [swap.id, swap.status]));
+
+      assert.deepEqual(statuses, {
+        fresh: 'initialized',
+        funded: 'initiator-funded',
+        revealed: 'secret-revealed',
+        halfRefunded: 'partially-refunded'
+      });
+      assert.deepEqual(repo.getSwap('revealed').history, [{ event: 'migrated', from: 'completed', to: 'secret-revealed', at: 3 }]);
+      assert.equal(repo.getSwap('fresh').timelockType, 'cltv');
+      assert.ok(fs.existsSync(`${legacyDatabasePath}.imported`));
+
+      const stored = JSON.parse(fs.readFileSync(path.join(directory, 'fresh.json'), 'utf8'));
+      assert.equal(stored.schemaVersion, SCHEMA_VERSION);
+    });
+
+    it('migrates older records when read and refuses records from a newer version', () => {
+      const repo = repository();
+      repo.listSwaps();
+      fs.writeFileSync(path.join(directory, 'old.json'), JSON.stringify({
+        schemaVersion: 2,
+        swap: { id: 'old', status: 'completed', marscoinClaimTxId: 'ff', completedAt: 5 }
+      }));
+      fs.writeFileSync(path.join(directory, 'future.json'), JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, swap: { id: 'future' } }));
+
+      assert.equal(repo.getSwap('old').status, 'claimed');
+      assert.throws(() => repo.getSwap('future'), /written by a newer version/);
+      assert.deepEqual(repo.listSwaps().map((swap) => swap.id), ['old']);
+    });
+  });
+
+  describe('locks', () => {
+    const lockPath = (id) => path.join(directory, `${id}.lock`);
+    const writeLock = (id, holder, ageMs = 0) => {
+      fs.writeFileSync(lockPath(id), typeof holder === 'string' ? holder : JSON.stringify(holder));
+      const then = new Date(Date.now() - ageMs);
+      fs.utimesSync(lockPath(id), then, then);
+    };
+
+    it('serializes updates within one process', async () => {
+      const repo = repository();
+      await repo.createSwap(swapOf('counter', { count: 0 }));
+
+      await Promise.all(Array.from({ length: 5 }, () => repo.updateSwap('counter', async (swap) => {
+        const count = swap.count;
+        await sleep(5);
+        swap.count = count + 1;
+      })));
+
+      assert.equal(repo.getSwap('counter').count, 5);
+      assert.ok(!fs.existsSync(lockPath('counter')));
+    });
+
+    it('keeps an old lock whose holder on this machine is still running', async () => {
+      const repo = repository({ lockTimeout: 300, staleLockAge: 50 });
+      writeLock('busy', { pid: process.ppid, hostname: os.hostname(), acquiredAt: 0 }, 60000);
+
+      await assert.rejects(repo.withSwapLock('busy', () => 'taken'), /Timed out waiting/);
+      assert.ok(fs.existsSync(lockPath('busy')));
+    });
+
+    it('breaks the lock of a holder on this machine that has exited, however recent', async () => {
+      const repo = repository({ lockTimeout: 300 });
+      const { pid } = spawnSync(process.execPath, ['-e', '']);
+      writeLock('crashed', { pid, hostname: os.hostname(), acquiredAt: Date.now() });
+
+      assert.equal(await repo.withSwapLock('crashed', () => 'taken'), 'taken');
+    });
+
+    it('breaks a stale lock without leaving its renamed copy behind', async () => {
+      const repo = repository({ lockTimeout: 300 });
+      const { pid } = spawnSync(process.execPath, ['-e', '']);
+      writeLock('tombstone', { pid, hostname: os.hostname(), acquiredAt: Date.now() });
+
+      assert.equal(await repo.withSwapLock('tombstone', () => 'taken'), 'taken');
+      assert.deepEqual(fs.readdirSync(directory).filter((name) => name.startsWith('tombstone.lock')), []);
+    });
+
+    it('leaves a lock that another process took over in place when released', async () => {
+      const repo = repository();
+      const other = { pid: process.ppid, hostname: os.hostname(), acquiredAt: 1 };
+
+      await repo.withSwapLock('taken-over', () => writeLock('taken-over', other));
+
+      assert.deepEqual(JSON.parse(fs.readFileSync(lockPath('taken-over'), 'utf8')), other);
+    });
+
+    it('judges locks from another machine and unreadable locks by their age', async () => {
+      const repo = repository({ lockTimeout: 300, staleLockAge: 1000 });
+      const remote = { pid: 1, hostname: `not-${os.hostname()}`, acquiredAt: 0 };
+
+      writeLock('remote-old', remote, 5000);
+      writeLock('garbled-old', '{"pid": 12', 5000);
+      assert.equal(await repo.withSwapLock('remote-old', () => 'taken'), 'taken');
+      assert.equal(await repo.withSwapLock('garbled-old', () => 'taken'), 'taken');
+
+      writeLock('remote-fresh', remote);
+      await assert.rejects(repo.withSwapLock('remote-fresh', () => 'taken'), /Timed out waiting/);
+    });
+
+    it('refreshes the lock file while the holder works', async () => {
+      const repo = repository({ staleLockAge: 300 });
+      let mtimes;
+
+      await repo.withSwapLock('slow', async () => {
+        const first = fs.statSync(lockPath('slow')).mtimeMs;
+        await sleep(450);
+        mtimes = [first, fs.statSync(lockPath('slow')).mtimeMs];
+      });
+
+      assert.ok(mtimes[1] > mtimes[0], 'lock file mtime was not refreshed');
+    });
+  });
+});
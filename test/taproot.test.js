@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const taproot = require('../src/core/taproot');
+const bitcoinHtlc = require('../src/core/bitcoin-htlc');
+const htlcScript = require('../src/core/htlc-script');
+const {
+  network,
+  recipient,
+  refunder,
+  preimage,
+  hashLock,
+  destinationAddress,
+  assertHtlcSpend
+} = require('./helpers');
+
+const key = (hex) => Buffer.from(hex, 'hex');
+
+// Public keys and aggregates from the BIP327 key_agg_vectors
+const X1 = key('02F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9');
+const X2 = key('03DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659');
+const X3 = key('023590A94E768F8E1815C2F24B4D80A8E3149316C3518CE7B7AD338368D038CA66');
+
+describe('taproot key aggregation', () => {
+  it('matches the BIP327 KeyAgg test vectors', () => {
+    const vectors = [
+      [[X1, X2, X3], '90539EEDE565F5D054F32CC0C220126889ED1E5D193BAF15AEF344FE59D4610C'],
+      [[X3, X2, X1], '6204DE8B083426DC6EAF9502D27024D53FC826BF7D2012148A0575435DF54B2B'],
+      [[X1, X1, X1], 'B436E3BAD62B8CD409969A224731C193D051162D8C5AE8B109306127DA3AA935'],
+      [[X1, X1, X2, X2], '69BC22BFA5D106306E48A20679DE1D7389386124D07571D0D872686028C26A3E']
+    ];
+
+    for (const [publicKeys, expected] of vectors) {
+      assert.equal(taproot.keyAgg(publicKeys).toString('hex').toUpperCase(), expected);
+    }
+  });
+
+  it('sorts the keys first, so the internal key does not depend on their order', () => {
+    assert.deepEqual(taproot.keySort([X1, X2, X3]), [X3, X1, X2]);
+    assert.deepEqual(taproot.aggregatePublicKeys([X2, X1]), taproot.aggregatePublicKeys([X1, X2]));
+    assert.deepEqual(taproot.aggregatePublicKeys([X2, X1]), taproot.keyAgg([X1, X2]));
+  });
+
+  it('refuses x-only and invalid public keys', () => {
+    assert.throws(() => taproot.keyAgg([X1.slice(1), X2]), /33-byte compressed/);
+    assert.throws(() => taproot.keyAgg([Buffer.concat([Buffer.from([0x02]), Buffer.alloc(32, 0xff)]), X2]), /33-byte compressed/);
+  });
+});
+
+describe('taproot HTLC', () => {
+  const funding = { htlcTxId: 'ab'.repeat(32), htlcVout: 1, amount: 100000, fee: 500, network };
+
+  const createHtlc = (timelockType, timelock) => bitcoinHtlc.createHtlc({
+    hashLock,
+    timelock,
+    timelockType,
+    recipientPubKey: recipient.publicKey,
+    refundPubKey: refunder.publicKey,
+    scriptType: 'p2tr',
+    network
+  });
+
+  it('uses the aggregate of both keys as the internal key', async () => {
+    const htlc = await createHtlc('cltv', 800000);
+
+    assert.equal(htlc.internalPubKey,
+      taproot.aggregatePublicKeys([recipient.publicKey, refunder.publicKey]).toString('hex'));
+  });
+
+  it('commits the output key to both leaves (BIP341 tweak)', async () => {
+    const htlc = await createHtlc('cltv', 800000);
+    const leafHashes = [htlc.tapLeaves.claim, htlc.tapLeaves.refund]
+      .map((leaf) => taproot.tapleafHash(Buffer.from(leaf, 'hex')))
+      .sort(Buffer.compare);
+    const merkleRoot = bitcoin.crypto.taggedHash('TapBranch', Buffer.concat(leafHashes));
+    const internalPubKey = Buffer.from(htlc.internalPubKey, 'hex');
+    const tweak = bitcoin.crypto.taggedHash('TapTweak', Buffer.concat([internalPubKey, merkleRoot]));
+    const { xOnlyPubkey } = ecc.xOnlyPointAddTweak(internalPubKey, tweak);
+
+    assert.equal(htlc.outputScript, `5120${Buffer.from(xOnlyPubkey).toString('hex')}`);
+  });
+
+  it('claims through the claim leaf, revealing the preimage', async () => {
+    const htlc = await createHtlc('cltv', 800000);
+    const claim = await bitcoinHtlc.claimHtlcWithPreimage({
+      ...funding,
+      ...htlc,
+      preimage: preimage.toString('hex'),
+      privateKey: recipient.toWIF(),
+      destinationAddress
+    });
+
+    const tx = bitcoin.Transaction.fromHex(claim.txHex);
+    assertHtlcSpend(tx, htlc, { path: 'claim', values: [funding.amount], publicKey: recipient.publicKey });
+    assert.equal(tx.outs[0].value, funding.amount - funding.fee);
+    assert.equal(bitcoinHtlc.extractPreimageFromTransaction(claim.txHex, hashLock), preimage.toString('hex'));
+  });
+
+  it('refunds through the refund leaf after an absolute timelock', async () => {
+    const htlc = await createHtlc('cltv', 800000);
+    const refund = await bitcoinHtlc.refundHtlcAfterTimeout({
+      ...funding,
+      ...htlc,
+      privateKey: refunder.toWIF(),
+      refundAddress: destinationAddress
+    });
+
+    const tx = bitcoin.Transaction.fromHex(refund.txHex);
+    assertHtlcSpend(tx, htlc, { path: 'refund', values: [funding.amount], publicKey: refunder.publicKey });
+    assert.equal(tx.locktime, 800000);
+    assert.equal(tx.ins[0].sequence, htlcScript.SEQUENCE_REPLACEABLE);
+  });
+
+  it('refunds through the refund leaf after a relative timelock', async () => {
+    const sequence = htlcScript.encodeRelativeTimelock({ blocks: 144 });
+    const htlc = await createHtlc('csv', sequence);
+    const refund = await bitcoinHtlc.refundHtlcAfterTimeout({
+      ...funding,
+      ...htlc,
+      privateKey: refunder.toWIF(),
+      refundAddress: destinationAddress
+    });
+
+    const tx = bitcoin.Transaction.fromHex(refund.txHex);
+    assertHtlcSpend(tx, htlc, { path: 'refund', values: [funding.amount], publicKey: refunder.publicKey });
+    assert.equal(tx.version, 2);
+    assert.equal(tx.ins[0].sequence, 144);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const timelockPlanner = require('../src/core/timelock-planner');
+const htlcScript = require('../src/core/htlc-script');
+
+const MEDIAN_TIME = 1700000000;
+const CHAIN_STATES = {
+  bitcoin: { height: 800000, medianTime: MEDIAN_TIME },
+  marscoin: { height: 2000000, medianTime: MEDIAN_TIME + 300 }
+};
+
+// The default margin: one hour, plus a block on each chain for the claims to confirm
+const REQUIRED_MARGIN = 3600 + 600 + 123;
+
+describe('timelock-planner', () => {
+  describe('expiry', () => {
+    it('opens a height lock once the next block may include the refund', () => {
+      assert.equal(timelockPlanner.isTimelockExpired(800010, { height: 800009, medianTime: MEDIAN_TIME }), false);
+      assert.equal(timelockPlanner.isTimelockExpired(800010, { height: 800010, medianTime: MEDIAN_TIME }), true);
+      assert.equal(timelockPlanner.estimateSecondsRemaining(800010, { height: 800004 }, 600), 3600);
+      assert.equal(timelockPlanner.estimateSecondsRemaining(800010, { height: 800011 }, 600), 0);
+    });
+
+    it('judges a time lock by the median-time-past, not the wall clock', () => {
+      const locktime = MEDIAN_TIME + 1000;
+
+      // The median-time-past lags the latest block by about an hour, so a lock the clock has passed may hold
+      assert.equal(timelockPlanner.isTimelockExpired(locktime, { height: 0, medianTime: locktime }), false);
+      assert.equal(timelockPlanner.isTimelockExpired(locktime, { height: 0, medianTime: locktime + 1 }), true);
+      assert.equal(timelockPlanner.estimateSecondsRemaining(locktime, { height: 0, medianTime: MEDIAN_TIME }, 600), 1000);
+    });
+  });
+
+  describe('planTimelocks', () => {
+    it('locks both legs to block heights, the MarsCoin leg outliving the Bitcoin leg by the margin', () => {
+      const plan = timelockPlanner.planTimelocks(CHAIN_STATES, { timeoutDuration: 3600 });
+
+      assert.equal(plan.requiredMargin, REQUIRED_MARGIN);
+      assert.deepEqual(plan.bitcoin, {
+        mode: 'height',
+        locktime: 800006,
+        blockInterval: 600,
+        startHeight: 800000,
+        startMedianTime: MEDIAN_TIME
+      });
+      // 3600 + 4323 seconds are 64.4 MarsCoin blocks, rounded up
+      assert.equal(plan.marscoin.locktime, 2000065);
+      assert.equal(timelockPlanner.assertSafetyMargin(plan, CHAIN_STATES), 65 * 123 - 3600);
+    });
+
+    it('measures the margin from the whole blocks a height lock rounds up to', () => {
+      const plan = timelockPlanner.planTimelocks(CHAIN_STATES, { timeoutDuration: 3001 });
+
+      // 3001 seconds round up to 6 Bitcoin blocks, which expire after 3600 seconds
+      assert.equal(plan.bitcoin.locktime, 800006);
+      assert.equal(plan.marscoin.locktime, 2000065);
+    });
+
+    it('locks to the median-time-past of each chain in time mode', () => {
+      const settings = {
+        bitcoin: { timelockMode: 'time' },
+        marscoin: { timelockMode: 'time' }
+      };
+      const plan = timelockPlanner.planTimelocks(CHAIN_STATES, { timeoutDuration: 3600, settings });
+
+      assert.equal(plan.bitcoin.locktime, MEDIAN_TIME + 3600);
+      assert.equal(plan.marscoin.locktime, MEDIAN_TIME + 300 + 3600 + REQUIRED_MARGIN);
+      assert.equal(timelockPlanner.assertSafetyMargin(plan, CHAIN_STATES), REQUIRED_MARGIN);
+    });
+
+    it('mixes modes across the legs and keeps a longer MarsCoin lifetime when asked for one', () => {
+      const plan = timelockPlanner.planTimelocks(CHAIN_STATES, {
+        timeoutDuration: 3600,
+        marscoinTimeoutDuration: 86400,
+        settings: { marscoin: { timelockMode: 'time' }, safetyMargin: 0 }
+      });
+
+      assert.equal(plan.requiredMargin, 723);
+      assert.equal(plan.bitcoin.locktime, 800006);
+      assert.equal(plan.marscoin.locktime, MEDIAN_TIME + 300 + 86400);
+    });
+
+    it('refuses a plan without a timeout, with an unknown mode or past the height range', () => {
+      assert.throws(() => timelockPlanner.planTimelocks(CHAIN_STATES, { timeoutDuration: 0 }), /positive number/);
+      assert.throws(() => timelockPlanner.planTimelocks(CHAIN_STATES, {
+        timeoutDuration: 3600,
+        settings: { bitcoin: { timelockMode: 'epoch' } }
+      }), /Unknown timelock mode: epoch/);
+      assert.throws(() => timelockPlanner.planTimelocks({
+        ...CHAIN_STATES,
+        bitcoin: { height: 499999990, medianTime: MEDIAN_TIME }
+      }, { timeoutDuration: 36000 }), /out of range/);
+    });
+
+    it('refuses timelocks closer together than the margin', () => {
+      const plan = {
+        requiredMargin: REQUIRED_MARGIN,
+        bitcoin: { locktime: 800006, blockInterval: 600 },
+        marscoin: { locktime: 2000060, blockInterval: 123 }
+      };
+
+      // 60 MarsCoin blocks are 7380 seconds, 4323 after the Bitcoin leg's 3600 would be 7923
+      assert.throws(() => timelockPlanner.assertSafetyMargin(plan, CHAIN_STATES),
+        /expires 3780s after the Bitcoin HTLC, but at least 4323s is required/);
+    });
+  });
+
+  describe('planRelativeTimelocks', () => {
+    it('encodes delays counted from each deposit, keeping the margin between them', () => {
+      const plan = timelockPlanner.planRelativeTimelocks({ timeoutDuration: 3600 });
+
+      assert.deepEqual(htlcScript.decodeRelativeTimelock(plan.bitcoin.sequence), { blocks: 6 });
+      assert.deepEqual(htlcScript.decodeRelativeTimelock(plan.marscoin.sequence), { blocks: 65 });
+      assert.ok(timelockPlanner.relativeDelaySeconds(plan.marscoin.sequence, 123) -
+        timelockPlanner.relativeDelaySeconds(plan.bitcoin.sequence, 600) >= REQUIRED_MARGIN);
+    });
+  });
+});
@@ -0,0 +1,416 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const marscoin = require('../src/core/marscoin-lib-wrapper');
+const { ECPair } = require('./helpers');
+
+// The configuration is loaded, and written if missing, when the watcher module is required
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-'));
+process.env.HOME = home;
+
+const config = require('../src/config');
+const { createKeystore } = require('../src/core/keystore');
+const { createSwapRepository } = require('../src/core/swap-repository');
+const { RpcError } = require('../src/core/rpc-client');
+const swapCoordinator = require('../src/core/swap-coordinator');
+const timelockPlanner = require('../src/core/timelock-planner');
+const { createSwapWatcher } = require('../src/watcher');
+
+const bitcoinNetwork = bitcoin.networks.testnet;
+const marscoinNetwork = marscoin.getNetwork('testnet');
+const START_HEIGHT = 800000;
+const BTC_AMOUNT = 100000;
+const MARSCOIN_AMOUNT = 25;
+
+// The parties' keys, per swap role
+const KEYS = {
+  initiatorBtc: ECPair.fromPrivateKey(Buffer.alloc(32, 0x41), { network: bitcoinNetwork }),
+  initiatorMarscoin: ECPair.fromPrivateKey(Buffer.alloc(32, 0x42), { network: marscoinNetwork }),
+  participantBtc: ECPair.fromPrivateKey(Buffer.alloc(32, 0x51), { network: bitcoinNetwork }),
+  participantMarscoin: ECPair.fromPrivateKey(Buffer.alloc(32, 0x52), { network: marscoinNetwork })
+};
+
+/**
+ * Stub node of one chain: deposits, a mempool and blocks, enough for the watcher's calls
+ * @param {Object} lib - bitcoinjs-lib compatible library of the chain
+ * @returns {Object} Client, with fund(address, value) and mine() to move the chain along and the
+ *   transactions broadcast in sent
+ */
+function stubChain(lib) {
+  const chain = { height: START_HEIGHT, feeRate: 0.00002, sent: [] };
+  // Per txid: { hex, fee, vsize, height (null in the mempool), outputs: [{ address, value }] }
+  const transactions = new Map();
+  const blocks = new Map();
+  const spentBy = new Map();
+  const outpoint = (txid, vout) => `${txid}:${vout}`;
+  const notFound = (method) => new RpcError('No such mempool or blockchain transaction', -5, method);
+
+  chain.fund = (address, value) => {
+    const txid = crypto.randomBytes(32).toString('hex');
+
+    transactions.set(txid, { height: chain.height, outputs: [{ address, value }] });
+    return txid;
+  };
+
+  chain.mine = (count = 1) => {
+    for (let i = 0; i < count; i += 1) {
+      chain.height += 1;
+      const mined = [...transactions].filter(([, tx]) => tx.height === null).map(([txid]) => txid);
+
+      mined.forEach((txid) => { transactions.get(txid).height = chain.height; });
+      blocks.set(chain.height, mined);
+    }
+  };
+
+  chain.getBlockchainInfo = async () => ({ blocks: chain.height, mediantime: 1700000000 + (chain.height - START_HEIGHT) * 600 });
+  chain.getBlockCount = async () => chain.height;
+
+  chain.getAddressUtxos = async (address) => [...transactions].flatMap(([txid, tx]) => tx.outputs
+    .map((output, vout) => ({ txid, vout, ...output }))
+    .filter((output) => output.address === address && !spentBy.has(outpoint(txid, output.vout)))
+    .map(({ vout, value }) => ({
+      txid, vout, value, height: tx.height || 0, confirmations: tx.height ? chain.height - tx.height + 1 : 0
+    })));
+
+  chain.sendRawTransaction = async (hex) => {
+    const tx = lib.Transaction.fromHex(hex);
+    const txid = tx.getId();
+    let inputValue = 0;
+
+    for (const input of tx.ins) {
+      const prevTxId = Buffer.from(input.hash).reverse().toString('hex');
+      const key = outpoint(prevTxId, input.index);
+      const conflict = spentBy.get(key);
+
+      if (conflict && conflict !== txid) {
+        // A replacement evicts what it conflicts with
+        transactions.delete(conflict);
+      }
+
+      spentBy.set(key, txid);
+      inputValue += transactions.get(prevTxId).outputs[input.index].value;
+    }
+
+    const outputValue = tx.outs.reduce((total, output) => total + output.value, 0);
+
+    transactions.set(txid, { hex, fee: inputValue - outputValue, vsize: tx.virtualSize(), height: null, outputs: [] });
+    chain.sent.push({ txid, tx });
+    return txid;
+  };
+
+  chain.getTransaction = async (txid) => {
+    const tx = transactions.get(txid);
+
+    if (!tx) {
+      throw notFound('getrawtransaction');
+    }
+    return { txid, hex: tx.hex, confirmations: tx.height ? chain.height - tx.height + 1 : 0 };
+  };
+
+  chain.getRawTransaction = async (txid) => (await chain.getTransaction(txid)).hex;
+
+  chain.call = async (method, ...params) => {
+    switch (method) {
+      case 'estimatesmartfee':
+        return { feerate: chain.feeRate };
+      case 'getmempoolentry': {
+        const tx = transactions.get(params[0]);
+
+        if (!tx || tx.height !== null) {
+          throw new RpcError('Transaction not in mempool', -5, method);
+        }
+        return { vsize: tx.vsize, fees: { base: tx.fee / 1e8, descendant: tx.fee / 1e8 } };
+      }
+      case 'gettxout': {
+        const [txid, vout, includeMempool] = params;
+        const spender = spentBy.get(outpoint(txid, vout));
+        const spent = spender && (includeMempool || transactions.get(spender).height !== null);
+
+        return transactions.has(txid) && !spent ? { value: transactions.get(txid).outputs[vout].value / 1e8 } : null;
+      }
+      case 'gettxspendingprevout': {
+        const [[{ txid, vout }]] = params;
+        const spender = spentBy.get(outpoint(txid, vout));
+
+        return [{ txid, vout, ...(spender && transactions.get(spender).height === null && { spendingtxid: spender }) }];
+      }
+      case 'getblockhash':
+        return `block-${params[0]}`;
+      case 'getblock': {
+        const height = Number(params[0].slice('block-'.length));
+
+        return {
+          tx: (blocks.get(height) || []).map((txid) => {
+            const tx = lib.Transaction.fromHex(transactions.get(txid).hex);
+
+            return {
+              txid,
+              hex: transactions.get(txid).hex,
+              vin: tx.ins.map((input) => ({ txid: Buffer.from(input.hash).reverse().toString('hex'), vout: input.index }))
+            };
+          })
+        };
+      }
+      default:
+        throw new RpcError(`Method not found: ${method}`, -32601, method);
+    }
+  };
+
+  return chain;
+}
+
+describe('watcher', () => {
+  let keystore;
+  let repository;
+  let btcChain;
+  let marscoinChain;
+  let watcher;
+  const cfg = config.getConfig();
+
+  before(async () => {
+    keystore = createKeystore({ directory: path.join(home, 'keystore'), scryptCost: 1024, unlockTimeout: 0 });
+    await keystore.create('passphrase');
+  });
+
+  after(() => {
+    keystore.lock();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  /**
+   * Create a watcher of the stub chains, with watcher settings overriding the configured ones
+   */
+  function watcherWith(settings = {}) {
+    return createSwapWatcher({
+      cfg: { ...cfg, watcher: { ...cfg.watcher, ...settings } },
+      btcClient: btcChain,
+      marscoinClient: marscoinChain,
+      keyProvider: (swap, role) => KEYS[role].toWIF(),
+      repository,
+      keystore,
+      intake: { processQueue: async () => ({ started: 0, expired: 0, failed: 0, waiting: 0, requests: [] }) }
+    });
+  }
+
+  beforeEach(() => {
+    repository = createSwapRepository({ directory: fs.mkdtempSync(path.join(home, 'swaps-')) });
+    btcChain = stubChain(bitcoin);
+    marscoinChain = stubChain(marscoin);
+    watcher = watcherWith();
+  });
+
+  /**
+   * Create and store a swap between the parties, with HTLCs timelocked from the stub chains' tips
+   */
+  async function createSwap() {
+    const field = (role) => ({
+      address: role.endsWith('Btc')
+        ? bitcoin.payments.p2wpkh({ pubkey: KEYS[role].publicKey, network: bitcoinNetwork }).address
+        : marscoin.payments.p2pkh({ pubkey: KEYS[role].publicKey, network: marscoinNetwork }).address,
+      pubKey: KEYS[role].publicKey.toString('hex')
+    });
+    const swap = await swapCoordinator.initiateSwap({
+      initiatorBtcAddress: field('initiatorBtc').address,
+      initiatorBtcPubKey: field('initiatorBtc').pubKey,
+      initiatorMarscoinAddress: field('initiatorMarscoin').address,
+      initiatorMarscoinPubKey: field('initiatorMarscoin').pubKey,
+      participantBtcAddress: field('participantBtc').address,
+      participantBtcPubKey: field('participantBtc').pubKey,
+      participantMarscoinAddress: field('participantMarscoin').address,
+      participantMarscoinPubKey: field('participantMarscoin').pubKey,
+      btcAmount: BTC_AMOUNT,
+      marscoinAmount: MARSCOIN_AMOUNT,
+      timeoutDuration: cfg.bitcoin.timeoutDuration,
+      marscoinTimeoutDuration: cfg.marscoin.timeoutDuration,
+      timelockSettings: timelockPlanner.getTimelockSettings(cfg),
+      bitcoinNetwork,
+      marscoinNetwork,
+      keystore
+    }, btcChain, marscoinChain);
+
+    await repository.createSwap(swap);
+    return swap;
+  }
+
+  /**
+   * Mine blocks on a chain until a swap's HTLC on it can be refunded
+   */
+  function mineToTimeout(chain, locktime) {
+    chain.mine(locktime - chain.height);
+  }
+
+  /**
+   * Fund both legs of a swap in full
+   */
+  function fundSwap(swap) {
+    return {
+      bitcoin: btcChain.fund(swap.btcHtlc.address, BTC_AMOUNT),
+      marscoin: marscoinChain.fund(swap.marscoinHtlc.address, marscoin.toSatoshis(MARSCOIN_AMOUNT))
+    };
+  }
+
+  const spentOutpoints = (tx) => tx.ins.map((input) => `${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`);
+
+  it('claims a funded swap and redeems the MarsCoin with the preimage the claim reveals, in one pass', async () => {
+    const swap = await createSwap();
+    const funding = fundSwap(swap);
+
+    await watcher.poll();
+
+    const claimed = await repository.getSwap(swap.id);
+    assert.equal(claimed.status, 'claimed');
+    assert.equal(btcChain.sent.length, 1);
+    assert.equal(marscoinChain.sent.length, 1);
+    assert.equal(claimed.bitcoinClaimTxId, btcChain.sent[0].txid);
+    assert.equal(claimed.marscoinClaimTxId, marscoinChain.sent[0].txid);
+    assert.deepEqual(spentOutpoints(btcChain.sent[0].tx), [`${funding.bitcoin}:0`]);
+    assert.deepEqual(spentOutpoints(marscoinChain.sent[0].tx), [`${funding.marscoin}:0`]);
+
+    // The MarsCoin side learned the preimage from the Bitcoin claim in the mempool
+    assert.equal(claimed.preimageScan.scannedHeight, START_HEIGHT - 1);
+    assert.equal(bitcoin.crypto.sha256(Buffer.from(claimed.revealedPreimage, 'hex')).toString('hex'), swap.hash);
+
+    btcChain.mine();
+    marscoinChain.mine();
+    await watcher.poll();
+    assert.equal((await watcher.poll()).archived, 1);
+  });
+
+  it('refunds both legs of a funded swap nobody claims, each once its timelock opens', async () => {
+    const swap = await createSwap();
+    const funding = fundSwap(swap);
+
+    watcher = watcherWith({ autoClaim: false });
+    await watcher.poll();
+    assert.equal((await repository.getSwap(swap.id)).status, 'funded');
+    assert.equal(btcChain.sent.length + marscoinChain.sent.length, 0);
+
+    mineToTimeout(btcChain, swap.timeouts.bitcoin - 1);
+    await watcher.poll();
+    assert.equal(btcChain.sent.length, 0, 'refunded before the timelock opened');
+
+    btcChain.mine();
+    await watcher.poll();
+
+    const halfRefunded = await repository.getSwap(swap.id);
+    assert.equal(halfRefunded.status, 'partially-refunded');
+    assert.equal(halfRefunded.bitcoinRefundTxId, btcChain.sent[0].txid);
+    assert.deepEqual(spentOutpoints(btcChain.sent[0].tx), [`${funding.bitcoin}:0`]);
+    assert.equal(btcChain.sent[0].tx.locktime, swap.timeouts.bitcoin);
+
+    mineToTimeout(marscoinChain, swap.timeouts.marscoin);
+    await watcher.poll();
+
+    const refunded = await repository.getSwap(swap.id);
+    assert.equal(refunded.status, 'refunded');
+    assert.equal(refunded.marscoinRefundTxId, marscoinChain.sent[0].txid);
+    assert.deepEqual(spentOutpoints(marscoinChain.sent[0].tx), [`${funding.marscoin}:0`]);
+  });
+
+  /**
+   * Check the fee rate a broadcast transaction pays: a little more, since the fee is worked out from a size
+   * estimated with the largest signatures and rounded up to whole satoshis
+   */
+  async function assertFeeRate(chain, txid, feeRate) {
+    const entry = await chain.call('getmempoolentry', txid);
+    const paid = Math.round(entry.fees.base * 1e8) / entry.vsize;
+
+    assert.ok(paid >= feeRate && paid <= feeRate * 1.02 + 0.1, `${txid} pays ${paid.toFixed(2)} sat/vB, not ${feeRate}`);
+  }
+
+  it('replaces a claim once the fee estimate beats it by the BIP125 increment', async () => {
+    const swap = await createSwap();
+
+    fundSwap(swap);
+    watcher = watcherWith({ feeBumpInterval: 0 });
+    await watcher.poll();
+
+    const claim = btcChain.sent[0];
+    const claimFee = Math.round((await btcChain.call('getmempoolentry', claim.txid)).fees.base * 1e8);
+    assert.equal(claim.tx.ins[0].sequence, 0xfffffffd);
+    await assertFeeRate(btcChain, claim.txid, 2);
+
+    // Less than 1 sat/vB more than the claim pays: not worth a replacement the node would refuse
+    btcChain.feeRate = 0.000025;
+    await watcher.poll();
+    assert.equal(btcChain.sent.length, 1);
+
+    btcChain.feeRate = 0.0001;
+    await watcher.poll();
+
+    const bumped = await repository.getSwap(swap.id);
+    const replacement = btcChain.sent[1];
+    const replacementFee = Math.round((await btcChain.call('getmempoolentry', replacement.txid)).fees.base * 1e8);
+
+    assert.equal(btcChain.sent.length, 2);
+    assert.equal(bumped.bitcoinClaimTxId, replacement.txid);
+    assert.deepEqual(spentOutpoints(replacement.tx), spentOutpoints(claim.tx));
+    await assertFeeRate(btcChain, replacement.txid, 10);
+    assert.ok(replacementFee >= claimFee + replacement.tx.virtualSize(), 'the replacement does not outbid the claim');
+    await assert.rejects(btcChain.call('getmempoolentry', claim.txid), /not in mempool/);
+    assert.equal(marscoinChain.sent.length, 1, 'the MarsCoin claim was replaced without a higher estimate');
+  });
+
+  it('raises a claim fee above the estimate as its leg\'s timelock draws near', async () => {
+    const swap = await createSwap();
+
+    fundSwap(swap);
+    btcChain.feeRate = 0.00008;
+
+    // Both legs' timelocks are inside a window of a year, so each pass pays at least 1.25 times the last
+    watcher = watcherWith({ feeBumpInterval: 0, feeBumpWindow: 365 * 86400 });
+    await watcher.poll();
+
+    assert.equal(btcChain.sent.length, 2);
+    await assertFeeRate(btcChain, btcChain.sent[1].txid, 10);
+    assert.equal((await repository.getSwap(swap.id)).bitcoinClaimTxId, btcChain.sent[1].txid);
+
+    await watcher.poll();
+
+    assert.equal(btcChain.sent.length, 3);
+    await assertFeeRate(btcChain, btcChain.sent[2].txid, 12.5);
+
+    // Never past the chain's maximum fee rate
+    btcChain.feeRate = 1;
+    await watcher.poll();
+    assert.equal(btcChain.sent.length, 4);
+    await assertFeeRate(btcChain, btcChain.sent[3].txid, cfg.bitcoin.maxFeeRate);
+  });
+
+  it('refunds the other leg of a half-funded swap after refunding the first', async () => {
+    const swap = await createSwap();
+
+    // The Bitcoin leg is underpaid, so the swap is never fully funded
+    btcChain.fund(swap.btcHtlc.address, BTC_AMOUNT / 2);
+    marscoinChain.fund(swap.marscoinHtlc.address, marscoin.toSatoshis(MARSCOIN_AMOUNT));
+    await watcher.poll();
+    assert.equal((await repository.getSwap(swap.id)).status, 'initiator-funded');
+
+    // The Bitcoin timelock is the shorter and opens first
+    mineToTimeout(btcChain, swap.timeouts.bitcoin);
+    await watcher.poll();
+
+    const halfRefunded = await repository.getSwap(swap.id);
+    assert.equal(halfRefunded.status, 'partially-refunded');
+    assert.equal(btcChain.sent.length, 1);
+    assert.equal(halfRefunded.bitcoinRefundTxId, btcChain.sent[0].txid);
+
+    btcChain.mine();
+    mineToTimeout(marscoinChain, swap.timeouts.marscoin);
+    await watcher.poll();
+
+    const refunded = await repository.getSwap(swap.id);
+    assert.equal(refunded.status, 'refunded');
+    assert.equal(marscoinChain.sent.length, 1);
+    assert.equal(refunded.marscoinRefundTxId, marscoinChain.sent[0].txid);
+
+    // Archived once both refunds are seen confirmed
+    marscoinChain.mine();
+    await watcher.poll();
+    assert.equal((await watcher.poll()).archived, 1);
+  });
+});
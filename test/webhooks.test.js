@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const webhooks = require('../src/core/webhooks');
+const { createSwapRepository } = require('../src/core/swap-repository');
+const swapState = require('../src/core/swap-state');
+
+const SECRET = 'a-secret-of-some-length';
+const UP = 'https://up.example.com/hooks';
+const DOWN = 'https://down.example.com/hooks';
+
+describe('webhooks', () => {
+  describe('signatures', () => {
+    const body = JSON.stringify({ deliveryId: 'ab'.repeat(16), event: { type: 'claimed' } });
+
+    it('signs the timestamp and body with HMAC-SHA256', () => {
+      const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+      assert.equal(webhooks.signPayload(SECRET, 1700000000, body), `sha256=${expected}`);
+      assert.equal(webhooks.verifySignature(SECRET, '1700000000', body, `sha256=${expected}`), true);
+    });
+
+    it('rejects another body, timestamp or secret, and malformed signatures', () => {
+      const signature = webhooks.signPayload(SECRET, 1700000000, body);
+
+      assert.equal(webhooks.verifySignature(SECRET, 1700000000, body.replace('claimed', 'refunded'), signature), false);
+      assert.equal(webhooks.verifySignature(SECRET, 1700000001, body, signature), false);
+      assert.equal(webhooks.verifySignature('another-secret-entirely', 1700000000, body, signature), false);
+      assert.equal(webhooks.verifySignature(SECRET, 1700000000, body, signature.slice(0, -2)), false);
+      assert.equal(webhooks.verifySignature(SECRET, 1700000000, body, undefined), false);
+    });
+
+    it('refuses endpoints with short secrets, bad URLs or unknown event types', () => {
+      const dispatcherFor = (endpoints) => webhooks.createWebhookDispatcher({ directory: os.tmpdir(), endpoints });
+
+      assert.throws(() => dispatcherFor([{ url: UP, secret: 'short' }]), /at least 16 characters/);
+      assert.throws(() => dispatcherFor([{ url: 'ftp://example.com', secret: SECRET }]), /http or https/);
+      assert.throws(() => dispatcherFor([{ url: UP, secret: SECRET, events: ['teleported'] }]), /unknown event types/);
+    });
+  });
+
+  describe('dispatcher', () => {
+    let directory;
+    let repository;
+    let sent;
+    let swapCount;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+      repository = createSwapRepository({ directory: path.join(directory, 'swaps') });
+      sent = [];
+      swapCount = 0;
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * Create a dispatcher whose endpoint at DOWN answers 503 and every other one 200
+     */
+    const dispatcherOf = (endpoints, options = {}) => webhooks.createWebhookDispatcher({
+      directory: path.join(directory, 'webhooks'),
+      endpoints,
+      repository,
+      send: async (url, body, headers) => {
+        sent.push({ url, body, headers });
+        return { statusCode: url === DOWN ? 503 : 200 };
+      },
+      ...options
+    });
+
+    /**
+     * Journal an event for each of a number of new swaps
+     */
+    async function journalEvents(count) {
+      for (let index = 0; index < count; index += 1) {
+        const swap = swapState.startHistory({ id: `swap${swapCount++}`, createdAt: 1700000000 }, 'initialized');
+        await repository.createSwap(swap);
+        await repository.updateSwap(swap.id, (current) => {
+          swapState.transition(current, 'funded', { chain: 'marscoin', txid: 'aa'.repeat(32) });
+        });
+      }
+    }
+
+    it('sends only new events, signed so the receiver can check them', async () => {
+      await journalEvents(1);
+      const dispatcher = dispatcherOf([{ url: UP, secret: SECRET }]);
+
+      assert.equal(dispatcher.queueEvents(), 0);
+      await journalEvents(2);
+
+      const counts = await dispatcher.dispatch();
+      const [{ body, headers }] = sent;
+
+      assert.deepEqual(counts, { queued: 2, attempted: 2, delivered: 2, failed: 0, retrying: 0, deferred: 0 });
+      assert.equal(headers[webhooks.EVENT_HEADER], 'status-changed');
+      assert.equal(headers[webhooks.DELIVERY_HEADER], JSON.parse(body).deliveryId);
+      assert.equal(webhooks.verifySignature(SECRET, headers[webhooks.TIMESTAMP_HEADER], body,
+        headers[webhooks.SIGNATURE_HEADER]), true);
+      assert.equal((await dispatcher.dispatch()).queued, 0);
+    });
+
+    it('leaves a failing endpoint alone for the rest of a pass', async () => {
+      const dispatcher = dispatcherOf([{ url: UP, secret: SECRET }, { url: DOWN, secret: SECRET }]);
+
+      dispatcher.queueEvents();
+      await journalEvents(3);
+
+      const counts = await dispatcher.dispatch();
+
+      assert.deepEqual(counts, { queued: 6, attempted: 4, delivered: 3, failed: 0, retrying: 1, deferred: 2 });
+      assert.equal(sent.filter(({ url }) => url === DOWN).length, 1);
+      assert.equal(dispatcher.listDeliveries({ status: 'pending' }).length, 3);
+    });
+
+    it('caps the attempts of one pass and makes the rest in the next', async () => {
+      const dispatcher = dispatcherOf([{ url: UP, secret: SECRET }], { maxAttemptsPerPass: 2 });
+
+      dispatcher.queueEvents();
+      await journalEvents(3);
+
+      assert.deepEqual(await dispatcher.dispatch(), { queued: 3, attempted: 2, delivered: 2, failed: 0, retrying: 0, deferred: 1 });
+      assert.deepEqual(await dispatcher.dispatch(), { queued: 0, attempted: 1, delivered: 1, failed: 0, retrying: 0, deferred: 0 });
+    });
+
+    it('fails a delivery after its last attempt and replays it on request', async () => {
+      const dispatcher = dispatcherOf([{ url: DOWN, secret: SECRET }], { maxAttempts: 1 });
+
+      dispatcher.queueEvents();
+      await journalEvents(1);
+      await dispatcher.dispatch();
+
+      const [failed] = dispatcher.listDeliveries({ status: 'failed' });
+      const replay = dispatcher.replayDelivery(failed.id);
+
+      assert.equal(failed.attempts[0].error, 'Endpoint answered 503');
+      assert.equal(replay.replayOf, failed.id);
+      assert.equal(replay.status, 'pending');
+    });
+  });
+});